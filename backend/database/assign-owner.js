@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/**
+ * Assign legacy data to an account
+ * Summits and visits created before per-user ownership have no user_id.
+ * Usage: node database/assign-owner.js <username>
+ */
+
+require('dotenv').config();
+
+const { db, dbGet, initializeDatabase } = require('./db');
+const { countUnownedData, assignUnownedData } = require('./ownership');
+
+async function run() {
+  const username = process.argv[2];
+
+  if (!username) {
+    console.error('Usage: node database/assign-owner.js <username>');
+    process.exit(1);
+  }
+
+  await initializeDatabase();
+
+  const user = await dbGet('SELECT id, username FROM users WHERE username = ?', [username]);
+  if (!user) {
+    console.error(`✗ User "${username}" not found - register the account first`);
+    process.exit(1);
+  }
+
+  const unowned = await countUnownedData();
+  console.log(`Found ${unowned.summits} unowned summits and ${unowned.visits} unowned visits`);
+
+  if (unowned.summits === 0 && unowned.visits === 0) {
+    console.log('Nothing to assign');
+    return;
+  }
+
+  const assigned = await assignUnownedData(user.id);
+  console.log(`✓ Assigned ${assigned.summits} summits and ${assigned.visits} visits to ${user.username}`);
+}
+
+run()
+  .catch(err => {
+    console.error('✗ Assigning data failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
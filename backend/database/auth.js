@@ -187,10 +187,12 @@ function optionalAuth(req, res, next) {
     });
 }
 
-// Clean up expired sessions every hour
-setInterval(cleanupSessions, 60 * 60 * 1000);
+// Clean up expired sessions every hour. The timer alone doesn't keep the
+// process alive, so scripts and tests that load this module can exit.
+setInterval(cleanupSessions, 60 * 60 * 1000).unref();
 
 module.exports = {
+  SESSION_DURATION,
   createUser,
   verifyUser,
   createSession,
@@ -1,6 +1,8 @@
 const sqlite3 = require('sqlite3').verbose();
+const { AsyncLocalStorage } = require('async_hooks');
 const path = require('path');
 const fs = require('fs');
+const { runMigrations } = require('./migrator');
 
 // Database path - use environment variable or default
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, '..', 'data', 'summits.db');
@@ -23,51 +25,98 @@ const db = new sqlite3.Database(DB_PATH, (err) => {
 // Enable foreign keys
 db.run('PRAGMA foreign_keys = ON');
 
+// Transactions share the single connection. While one is open, statements of
+// other requests wait until it is finished, so they are never committed or
+// rolled back with it. The statements of the transaction itself are recognized
+// by the async context work() runs in.
+// Not reentrant - calling withTransaction from inside work() deadlocks.
+const transactionContext = new AsyncLocalStorage();
+let transactionQueue = Promise.resolve();
+let transactionOpen = false;
+// Statements outside a transaction that have not finished yet
+const runningStatements = new Set();
+
+const schedule = async (statement) => {
+  if (transactionContext.getStore()?.open) {
+    return statement();
+  }
+
+  while (transactionOpen) {
+    await transactionQueue;
+  }
+  const running = statement();
+  runningStatements.add(running);
+  try {
+    return await running;
+  } finally {
+    runningStatements.delete(running);
+  }
+};
+
 // Promisify database operations
-const dbRun = (sql, params = []) => {
+const dbRun = (sql, params = []) => schedule(() => {
   return new Promise((resolve, reject) => {
     db.run(sql, params, function(err) {
       if (err) reject(err);
       else resolve(this);
     });
   });
-};
+});
 
-const dbGet = (sql, params = []) => {
+const dbGet = (sql, params = []) => schedule(() => {
   return new Promise((resolve, reject) => {
     db.get(sql, params, (err, row) => {
       if (err) reject(err);
       else resolve(row);
     });
   });
-};
+});
 
-const dbAll = (sql, params = []) => {
+const dbAll = (sql, params = []) => schedule(() => {
   return new Promise((resolve, reject) => {
     db.all(sql, params, (err, rows) => {
       if (err) reject(err);
       else resolve(rows);
     });
   });
-};
+});
 
-// Transactions share the single connection, so they are queued: statements
-// from a concurrent request must never land inside another BEGIN/COMMIT.
-// Not reentrant - calling withTransaction from inside work() deadlocks.
-let transactionQueue = Promise.resolve();
+// Execute several statements at once (used for SQL migration files)
+const dbExec = (sql) => schedule(() => {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+});
 
-const withTransaction = (work) => {
+// Transactions are queued and start once the statements already running
+// have finished. With { dryRun: true } the work is rolled back even when it
+// succeeds; other requests wait for the rollback, so they see none of it.
+const withTransaction = (work, { dryRun = false } = {}) => {
   const run = async () => {
-    await dbRun('BEGIN IMMEDIATE');
+    transactionOpen = true;
     try {
-      const result = await work();
-      await dbRun('COMMIT');
-      return result;
-    } catch (error) {
-      await dbRun('ROLLBACK').catch(rollbackError => {
-        console.error('Error rolling back transaction:', rollbackError);
+      await Promise.allSettled(runningStatements);
+      const transaction = { open: true };
+      return await transactionContext.run(transaction, async () => {
+        await dbRun('BEGIN IMMEDIATE');
+        try {
+          const result = await work();
+          await dbRun(dryRun ? 'ROLLBACK' : 'COMMIT');
+          return result;
+        } catch (error) {
+          await dbRun('ROLLBACK').catch(rollbackError => {
+            console.error('Error rolling back transaction:', rollbackError);
+          });
+          throw error;
+        } finally {
+          transaction.open = false;
+        }
       });
-      throw error;
+    } finally {
+      transactionOpen = false;
     }
   };
 
@@ -76,19 +125,23 @@ const withTransaction = (work) => {
   return result;
 };
 
-// Initialize database schema
+// Row ids are millisecond timestamps. Bulk operations create many rows within
+// the same millisecond, so ids are kept strictly increasing per process.
+let lastGeneratedId = 0;
+
+const generateId = () => {
+  lastGeneratedId = Math.max(Date.now(), lastGeneratedId + 1);
+  return lastGeneratedId;
+};
+
+// Initialize database schema by applying pending migrations
 async function initializeDatabase() {
   try {
-    const schemaPath = path.join(__dirname, 'schema.sql');
-    const schema = fs.readFileSync(schemaPath, 'utf-8');
-    
-    // Split by semicolons and execute each statement
-    const statements = schema.split(';').filter(stmt => stmt.trim());
+    const applied = await runMigrations({ dbRun, dbGet, dbAll, dbExec });
     
-    for (const statement of statements) {
-      await dbRun(statement);
+    if (applied.length > 0) {
+      console.log(`Applied ${applied.length} database migration(s)`);
     }
-    
     console.log('Database schema initialized successfully');
   } catch (error) {
     console.error('Error initializing database:', error);
@@ -113,6 +166,8 @@ module.exports = {
   dbRun,
   dbGet,
   dbAll,
+  dbExec,
   withTransaction,
+  generateId,
   initializeDatabase
 };
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Load peaks into the offline peaks table
+ * Reads natural=peak and natural=volcano nodes from an Overpass JSON dump or an
+ * OSM extract (e.g. from download.geofabrik.de). Importing the same area again
+ * updates the stored peaks.
+ * Peak lookups still ask Overpass where the local table has no peak, unless the
+ * point lies inside --bbox: pass it only for a rectangle the files cover
+ * completely (e.g. cut with osmium extract -b), not for a country extract.
+ * Usage: node database/import-peaks.js [--bbox minLon,minLat,maxLon,maxLat] <file.json|file.osm|file.osm.pbf> [...]
+ */
+
+require('dotenv').config();
+
+const { db, dbGet, initializeDatabase } = require('./db');
+const { readPeaks } = require('../osm/extract');
+const { savePeaks } = require('../osm/local-peaks');
+
+const USAGE = 'Usage: node database/import-peaks.js [--bbox minLon,minLat,maxLon,maxLat] <file.json|file.osm|file.osm.pbf> [...]';
+
+// Same order as osmium and the OSM API: left, bottom, right, top
+function parseBbox(value) {
+  const [minLon, minLat, maxLon, maxLat] = String(value).split(',').map(Number);
+  const valid = [minLon, minLat, maxLon, maxLat].every(Number.isFinite) &&
+    minLon < maxLon && minLat < maxLat &&
+    minLat >= -90 && maxLat <= 90 && minLon >= -180 && maxLon <= 180;
+  return valid ? { minLat, minLon, maxLat, maxLon } : null;
+}
+
+async function run() {
+  const files = process.argv.slice(2);
+  const bboxIndex = files.indexOf('--bbox');
+  let area = null;
+
+  if (bboxIndex >= 0) {
+    area = parseBbox(files[bboxIndex + 1]);
+    if (!area) {
+      console.error('--bbox needs minLon,minLat,maxLon,maxLat, e.g. --bbox 10.2,47.2,13.1,48.6');
+      process.exit(1);
+    }
+    files.splice(bboxIndex, 2);
+  }
+
+  if (files.length === 0) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  await initializeDatabase();
+
+  for (const file of files) {
+    console.log(`Reading ${file}...`);
+    const peaks = await readPeaks(file);
+    const { count, bounds } = await savePeaks(peaks, file, area);
+
+    if (count === 0) {
+      console.log(`  No peaks found in ${file}`);
+    } else {
+      console.log(
+        `  ✓ Imported ${count} peaks (${bounds.minLat.toFixed(3)},${bounds.minLon.toFixed(3)} – ` +
+        `${bounds.maxLat.toFixed(3)},${bounds.maxLon.toFixed(3)})`
+      );
+    }
+  }
+
+  const { total } = await dbGet('SELECT COUNT(*) as total FROM peaks');
+  console.log(`✓ Local peak database contains ${total} peaks`);
+}
+
+run()
+  .catch(err => {
+    console.error('✗ Importing peaks failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+/**
+ * Load Wikidata facts (description, prominence, first ascent, Wikipedia articles
+ * in all languages) into the local wikidata_entities table
+ * Reads Wikidata JSON dumps (.json or .json.gz, e.g. a filtered extract of
+ * latest-all.json.gz) and Special:EntityData/<id>.json downloads; a directory
+ * is read file by file. Only entities referenced by summits or by the local
+ * peaks table are kept, unless --all is given.
+ * Usage: node database/import-wikidata.js [--all] <file|directory> [...]
+ */
+
+require('dotenv').config();
+
+const { db, dbGet, initializeDatabase } = require('./db');
+const { readEntityFile, entityFiles } = require('../wikidata/dump');
+const { saveEntities, findReferencedIds } = require('../wikidata/entities');
+
+async function run() {
+  const args = process.argv.slice(2);
+  const keepAll = args.includes('--all');
+  const targets = args.filter(arg => arg !== '--all');
+
+  if (targets.length === 0) {
+    console.error('Usage: node database/import-wikidata.js [--all] <file|directory> [...]');
+    process.exit(1);
+  }
+
+  await initializeDatabase();
+
+  const referenced = keepAll ? null : await findReferencedIds();
+  if (referenced && referenced.size === 0) {
+    console.log('No summits or peaks reference a Wikidata entity - nothing to import');
+    return;
+  }
+  const wanted = referenced ? (id => referenced.has(id)) : undefined;
+
+  for (const file of targets.flatMap(entityFiles)) {
+    console.log(`Reading ${file}...`);
+    const entities = await readEntityFile(file, wanted);
+    const count = await saveEntities(entities, file);
+    console.log(count === 0 ? `  No matching entities in ${file}` : `  ✓ Imported ${count} entities`);
+  }
+
+  const { total } = await dbGet('SELECT COUNT(*) as total FROM wikidata_entities');
+  console.log(`✓ Local Wikidata table contains ${total} entities`);
+}
+
+run()
+  .catch(err => {
+    console.error('✗ Importing Wikidata failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
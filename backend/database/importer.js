@@ -0,0 +1,227 @@
+const { normalizeWikipedia } = require('@summit-tracker/shared');
+const { dbRun, dbGet, withTransaction, generateId } = require('./db');
+const { findSummitByCoordinates, parseOsmId, parseWikidataId, isVisitDate } = require('./summits');
+
+const IMPORT_MODES = ['merge', 'replace', 'skip-existing'];
+
+const emptySummary = () => ({ created: 0, updated: 0, skipped: 0, conflict: 0 });
+
+// Ids from the file are only kept when they fit the INTEGER PRIMARY KEY
+const isValidId = (id) => Number.isInteger(id) && id > 0;
+
+// Compare an imported value with the stored one (imports often carry numbers as strings)
+const differs = (imported, stored) => {
+  if (imported === undefined || imported === null || imported === '') return false;
+  return String(imported) !== String(stored ?? '');
+};
+
+async function importSummit(userId, summit, mode) {
+  const { name, latitude, longitude, elevation } = summit;
+  const wikipedia = normalizeWikipedia(summit.wikipedia);
+  const lat = parseFloat(latitude);
+  const lon = parseFloat(longitude);
+
+  if (!name || isNaN(lat) || isNaN(lon)) {
+    return { status: 'conflict', reason: 'Name, latitude, and longitude are required' };
+  }
+
+  let osmId;
+  let wikidata;
+  try {
+    osmId = parseOsmId(summit.osmId);
+    wikidata = parseWikidataId(summit.wikidata);
+  } catch (error) {
+    return { status: 'conflict', reason: error.message };
+  }
+
+  // Match by id first (re-importing our own export), then by coordinates
+  let existing = summit.id
+    ? await dbGet('SELECT * FROM summits WHERE id = ? AND user_id = ?', [summit.id, userId])
+    : null;
+
+  if (existing && (Math.abs(existing.latitude - lat) >= 0.001 || Math.abs(existing.longitude - lon) >= 0.001)) {
+    return {
+      status: 'conflict',
+      id: existing.id,
+      reason: `Summit #${existing.id} (${existing.name}) exists at different coordinates`
+    };
+  }
+
+  if (!existing) {
+    existing = await findSummitByCoordinates(userId, lat, lon);
+  }
+
+  if (existing) {
+    if (mode === 'skip-existing') {
+      return { status: 'skipped', id: existing.id, reason: `Matches existing summit ${existing.name}` };
+    }
+
+    const changed = differs(name, existing.name) || differs(elevation, existing.elevation) ||
+      differs(wikipedia, existing.wikipedia) || differs(wikidata, existing.wikidata) ||
+      differs(osmId, existing.osm_id);
+
+    if (!changed) {
+      return { status: 'skipped', id: existing.id, reason: 'Unchanged' };
+    }
+
+    await dbRun(
+      'UPDATE summits SET name = ?, elevation = ?, wikipedia = ?, wikidata = ?, osm_id = ?, updated_at = ? WHERE id = ?',
+      [
+        name,
+        differs(elevation, existing.elevation) ? elevation : existing.elevation,
+        differs(wikipedia, existing.wikipedia) ? wikipedia : existing.wikipedia,
+        differs(wikidata, existing.wikidata) ? wikidata : existing.wikidata,
+        differs(osmId, existing.osm_id) ? osmId : existing.osm_id,
+        new Date().toISOString(),
+        existing.id
+      ]
+    );
+    return { status: 'updated', id: existing.id };
+  }
+
+  // Keep the imported id when it is free so references from other systems stay valid
+  const idTaken = isValidId(summit.id)
+    ? await dbGet('SELECT id FROM summits WHERE id = ?', [summit.id])
+    : true;
+  const id = idTaken ? generateId() : summit.id;
+
+  await dbRun(
+    `INSERT INTO summits (id, user_id, name, latitude, longitude, elevation, wikipedia, wikidata, osm_id, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      id,
+      userId,
+      name,
+      lat,
+      lon,
+      elevation || null,
+      wikipedia,
+      wikidata,
+      osmId,
+      summit.createdAt || new Date().toISOString(),
+      summit.updatedAt || null
+    ]
+  );
+  return { status: 'created', id };
+}
+
+async function importVisit(userId, visit, summitIdMap, summitRefMap, mode) {
+  if (!visit.date) {
+    return { status: 'conflict', reason: 'Date is required' };
+  }
+
+  if (!isVisitDate(visit.date)) {
+    return { status: 'conflict', reason: `Invalid date "${visit.date}", expected YYYY-MM-DD` };
+  }
+
+  // Visits reference summits by their id in the imported file, or by summitRef
+  // for files without ids (e.g. CSV)
+  let summitId;
+  if (visit.summitRef !== undefined) {
+    summitId = summitRefMap.get(visit.summitRef);
+  } else {
+    summitId = summitIdMap.has(visit.summitId) ? summitIdMap.get(visit.summitId) : visit.summitId;
+  }
+  const summit = summitId
+    ? await dbGet('SELECT id FROM summits WHERE id = ? AND user_id = ?', [summitId, userId])
+    : null;
+
+  if (!summit) {
+    return { status: 'conflict', reason: `Unknown summit ${visit.summitRef ?? visit.summitId}` };
+  }
+
+  // The same summit on the same day counts as the same visit
+  const existing = await dbGet(
+    'SELECT * FROM visits WHERE summit_id = ? AND user_id = ? AND date = ?',
+    [summit.id, userId, visit.date]
+  );
+
+  if (existing) {
+    if (mode === 'skip-existing' || !differs(visit.notes, existing.notes)) {
+      return { status: 'skipped', id: existing.id, summitId: summit.id, reason: 'Visit on this date exists' };
+    }
+
+    await dbRun('UPDATE visits SET notes = ? WHERE id = ?', [visit.notes, existing.id]);
+    return { status: 'updated', id: existing.id, summitId: summit.id };
+  }
+
+  const idTaken = isValidId(visit.id)
+    ? await dbGet('SELECT id FROM visits WHERE id = ?', [visit.id])
+    : true;
+  const id = idTaken ? generateId() : visit.id;
+
+  // Track files are not part of an export, so the link is only kept when the
+  // track belongs to the importing user (e.g. restoring into the same account)
+  const track = isValidId(visit.trackId)
+    ? await dbGet('SELECT id FROM tracks WHERE id = ? AND user_id = ?', [visit.trackId, userId])
+    : null;
+
+  await dbRun(
+    'INSERT INTO visits (id, summit_id, user_id, date, notes, track_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [
+      id, summit.id, userId, visit.date, visit.notes || null, track ? track.id : null,
+      visit.createdAt || new Date().toISOString()
+    ]
+  );
+  return { status: 'created', id, summitId: summit.id };
+}
+
+/**
+ * Import summits and visits for a user in a single transaction
+ * @param {number} userId - Owner of the imported rows
+ * @param {Object} data - { summits: [], visits: [] } in the export format. Summits may carry
+ *   a file-local ref instead of an id, which visits then point to with summitRef.
+ * @param {Object} options - mode: 'merge' | 'replace' | 'skip-existing', dryRun: roll back after reporting
+ * @returns {Object} Per-row report with a summary per table
+ */
+async function importData(userId, { summits = [], visits = [] }, { mode = 'merge', dryRun = false } = {}) {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new Error(`Unknown import mode "${mode}"`);
+  }
+
+  return withTransaction(async () => {
+    const report = {
+      mode,
+      dryRun,
+      deleted: { summits: 0, visits: 0 },
+      summary: { summits: emptySummary(), visits: emptySummary() },
+      rows: { summits: [], visits: [] }
+    };
+
+    if (mode === 'replace') {
+      const deletedVisits = await dbRun('DELETE FROM visits WHERE user_id = ?', [userId]);
+      const deletedSummits = await dbRun('DELETE FROM summits WHERE user_id = ?', [userId]);
+      report.deleted = { summits: deletedSummits.changes, visits: deletedVisits.changes };
+    }
+
+    const summitIdMap = new Map();
+    const summitRefMap = new Map();
+
+    for (const [index, summit] of summits.entries()) {
+      const result = await importSummit(userId, summit, mode);
+      // Visits of a conflicting summit must not fall back to a stored summit with the same id
+      const resolvedId = result.status === 'conflict' ? null : result.id;
+      if (summit.id !== undefined) {
+        summitIdMap.set(summit.id, resolvedId);
+      }
+      if (summit.ref !== undefined) {
+        summitRefMap.set(summit.ref, resolvedId);
+      }
+      report.summary.summits[result.status]++;
+      report.rows.summits.push({ index, name: summit.name, ...result });
+    }
+
+    for (const [index, visit] of visits.entries()) {
+      const result = await importVisit(userId, visit, summitIdMap, summitRefMap, mode);
+      report.summary.visits[result.status]++;
+      report.rows.visits.push({ index, date: visit.date, ...result });
+    }
+
+    return report;
+  }, { dryRun });
+}
+
+module.exports = {
+  IMPORT_MODES,
+  importData
+};
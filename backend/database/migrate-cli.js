@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Schema migration CLI
+ * Usage:
+ *   node database/migrate-cli.js status   Show applied and pending migrations
+ *   node database/migrate-cli.js up       Apply all pending migrations
+ */
+
+require('dotenv').config();
+
+const { db, dbRun, dbGet, dbAll, dbExec } = require('./db');
+const { migrationLabel, getMigrationStatus, runMigrations } = require('./migrator');
+
+const conn = { dbRun, dbGet, dbAll, dbExec };
+
+async function showStatus() {
+  const status = await getMigrationStatus(conn);
+
+  if (status.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+
+  for (const migration of status) {
+    const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+    console.log(`  ${migration.applied ? '✓' : '·'} ${migrationLabel(migration)}  (${state})`);
+  }
+
+  const pending = status.filter(m => !m.applied).length;
+  console.log(`\n${status.length - pending} applied, ${pending} pending`);
+}
+
+async function applyPending() {
+  const applied = await runMigrations(conn, { log: message => console.log(`  ${message}`) });
+
+  if (applied.length === 0) {
+    console.log('Database is up to date');
+  } else {
+    console.log(`✓ Applied ${applied.length} migration${applied.length === 1 ? '' : 's'}`);
+  }
+}
+
+const commands = {
+  status: showStatus,
+  up: applyPending
+};
+
+const command = commands[process.argv[2]];
+
+if (!command) {
+  console.error('Usage: node database/migrate-cli.js <status|up>');
+  db.close();
+  process.exit(1);
+}
+
+command()
+  .catch(err => {
+    console.error('✗', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -8,6 +8,7 @@
 const fs = require('fs');
 const path = require('path');
 const sqlite3 = require('sqlite3').verbose();
+const { runMigrations } = require('./migrator');
 
 // Paths
 const DATA_DIR = path.join(__dirname, '..', 'data');
@@ -35,6 +36,24 @@ function dbGet(db, sql, params = []) {
   });
 }
 
+function dbAll(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+function dbExec(db, sql) {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
 // Main migration function
 async function runMigration() {
   // Create backup directory
@@ -106,14 +125,14 @@ async function runMigration() {
   // Step 5: Create schema
   console.log('\nStep 5: Creating database schema...');
   try {
-    const schema = fs.readFileSync(path.join(__dirname, 'schema.sql'), 'utf-8');
-    const statements = schema.split(';').filter(stmt => stmt.trim());
-    
-    for (const statement of statements) {
-      await dbRun(db, statement);
-    }
+    const applied = await runMigrations({
+      dbRun: (sql, params) => dbRun(db, sql, params),
+      dbGet: (sql, params) => dbGet(db, sql, params),
+      dbAll: (sql, params) => dbAll(db, sql, params),
+      dbExec: (sql) => dbExec(db, sql)
+    }, { log: message => console.log(`  ${message}`) });
     
-    console.log(`  ✓ Executed ${statements.length} schema statements`);
+    console.log(`  ✓ Applied ${applied.length} schema migrations`);
   } catch (error) {
     console.error('  ✗ Error creating schema:', error.message);
     db.close();
@@ -1,5 +1,6 @@
--- Summit Tracker Database Schema
--- SQLite version
+-- Migration 001: initial schema
+-- Uses IF NOT EXISTS so databases created before the migration runner
+-- existed are adopted without changes.
 
 -- Summits table
 CREATE TABLE IF NOT EXISTS summits (
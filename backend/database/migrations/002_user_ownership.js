@@ -0,0 +1,47 @@
+/**
+ * Migration 002: per-user ownership of summits and visits
+ * summits needs its UNIQUE constraint widened to (user_id, latitude, longitude),
+ * which SQLite can only do by rebuilding the table. Existing rows keep
+ * user_id = NULL until assigned (see database/assign-owner.js).
+ */
+module.exports = {
+  up: async ({ dbRun, dbAll, dbExec }) => {
+    // Databases that 001_initial_schema.sql adopted from before the migration runner
+    // may already have the columns, if they were created after ownership was introduced
+    const summitColumns = await dbAll('PRAGMA table_info(summits)');
+    if (!summitColumns.some(column => column.name === 'user_id')) {
+      await dbExec(`
+        CREATE TABLE summits_new (
+          id INTEGER PRIMARY KEY,
+          user_id INTEGER,
+          name TEXT NOT NULL,
+          latitude REAL NOT NULL,
+          longitude REAL NOT NULL,
+          elevation INTEGER,
+          wikipedia TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT,
+          UNIQUE(user_id, latitude, longitude),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        INSERT INTO summits_new (id, name, latitude, longitude, elevation, wikipedia, created_at, updated_at)
+        SELECT id, name, latitude, longitude, elevation, wikipedia, created_at, updated_at FROM summits;
+
+        DROP TABLE summits;
+        ALTER TABLE summits_new RENAME TO summits;
+
+        CREATE INDEX idx_summits_coords ON summits(latitude, longitude);
+        CREATE INDEX idx_summits_name ON summits(name);
+      `);
+    }
+
+    const visitColumns = await dbAll('PRAGMA table_info(visits)');
+    if (!visitColumns.some(column => column.name === 'user_id')) {
+      await dbRun('ALTER TABLE visits ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE CASCADE');
+    }
+
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_summits_user ON summits(user_id)');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_visits_user ON visits(user_id)');
+  }
+};
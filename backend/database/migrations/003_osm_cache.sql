@@ -0,0 +1,9 @@
+-- Cached Overpass responses, keyed by query type and rounded coordinates
+CREATE TABLE IF NOT EXISTS osm_cache (
+  cache_key TEXT PRIMARY KEY,
+  response TEXT NOT NULL,
+  fetched_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_osm_cache_expires ON osm_cache(expires_at);
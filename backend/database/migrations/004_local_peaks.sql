@@ -0,0 +1,27 @@
+-- Offline reference copy of OSM peaks, loaded with database/import-peaks.js
+CREATE TABLE IF NOT EXISTS peaks (
+  osm_id INTEGER PRIMARY KEY,
+  natural TEXT NOT NULL,
+  name TEXT,
+  latitude REAL NOT NULL,
+  longitude REAL NOT NULL,
+  elevation REAL,
+  wikipedia TEXT,
+  wikidata TEXT,
+  imported_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_peaks_coordinates ON peaks(latitude, longitude);
+
+-- Area covered by each import. Lookups inside it are answered from the local
+-- table alone, even when it has no peak there.
+CREATE TABLE IF NOT EXISTS peak_imports (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  source TEXT NOT NULL,
+  min_lat REAL NOT NULL,
+  min_lon REAL NOT NULL,
+  max_lat REAL NOT NULL,
+  max_lon REAL NOT NULL,
+  peak_count INTEGER NOT NULL,
+  imported_at TEXT NOT NULL
+);
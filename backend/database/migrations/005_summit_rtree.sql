@@ -0,0 +1,29 @@
+-- R*Tree index over summit coordinates for radius and bounding-box queries.
+-- Triggers keep it in sync with the summits table. A migration that rebuilds
+-- summits has to recreate these triggers.
+CREATE VIRTUAL TABLE IF NOT EXISTS summits_rtree USING rtree(
+  id,
+  min_lat, max_lat,
+  min_lon, max_lon
+);
+
+INSERT OR REPLACE INTO summits_rtree (id, min_lat, max_lat, min_lon, max_lon)
+SELECT id, latitude, latitude, longitude, longitude FROM summits;
+
+CREATE TRIGGER IF NOT EXISTS summits_rtree_insert AFTER INSERT ON summits
+BEGIN
+  INSERT OR REPLACE INTO summits_rtree (id, min_lat, max_lat, min_lon, max_lon)
+  VALUES (NEW.id, NEW.latitude, NEW.latitude, NEW.longitude, NEW.longitude);
+END;
+
+CREATE TRIGGER IF NOT EXISTS summits_rtree_update AFTER UPDATE OF id, latitude, longitude ON summits
+BEGIN
+  DELETE FROM summits_rtree WHERE id = OLD.id;
+  INSERT INTO summits_rtree (id, min_lat, max_lat, min_lon, max_lon)
+  VALUES (NEW.id, NEW.latitude, NEW.latitude, NEW.longitude, NEW.longitude);
+END;
+
+CREATE TRIGGER IF NOT EXISTS summits_rtree_delete AFTER DELETE ON summits
+BEGIN
+  DELETE FROM summits_rtree WHERE id = OLD.id;
+END;
@@ -0,0 +1,28 @@
+-- Recorded tracks (e.g. GPX uploads) with their original file, a simplified
+-- polyline for map display and precomputed statistics. Visits imported from a
+-- track link to it.
+CREATE TABLE IF NOT EXISTS tracks (
+  id INTEGER PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  name TEXT,
+  file_name TEXT,
+  format TEXT NOT NULL,
+  original BLOB NOT NULL,
+  polyline TEXT NOT NULL,
+  point_count INTEGER NOT NULL,
+  distance REAL NOT NULL,
+  ascent REAL NOT NULL,
+  descent REAL NOT NULL,
+  moving_time REAL,
+  elapsed_time REAL,
+  start_time TEXT,
+  end_time TEXT,
+  created_at TEXT NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_tracks_user ON tracks(user_id);
+
+ALTER TABLE visits ADD COLUMN track_id INTEGER REFERENCES tracks(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_visits_track ON visits(track_id);
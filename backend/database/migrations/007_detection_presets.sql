@@ -0,0 +1,13 @@
+-- Named peak detection settings per user (e.g. "Skitour"). The preset used
+-- most recently has the newest last_used_at and is preselected in the analyzer.
+CREATE TABLE IF NOT EXISTS detection_presets (
+  id INTEGER PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  settings TEXT NOT NULL,
+  last_used_at TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE (user_id, name)
+);
@@ -0,0 +1,4 @@
+-- OpenStreetMap node a summit was taken from, so its data can be re-synced
+ALTER TABLE summits ADD COLUMN osm_id INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_summits_osm_id ON summits(osm_id);
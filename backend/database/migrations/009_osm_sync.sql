@@ -0,0 +1,17 @@
+-- When a summit was last compared with its OpenStreetMap node
+ALTER TABLE summits ADD COLUMN osm_synced_at TEXT;
+
+-- OSM values the re-sync found for a summit, as JSON objects field -> value.
+-- changes waits for the user to accept or reject it, rejected values are kept
+-- so they are not proposed again until OSM changes once more.
+CREATE TABLE IF NOT EXISTS osm_sync_changes (
+  summit_id INTEGER PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  changes TEXT NOT NULL DEFAULT '{}',
+  rejected TEXT NOT NULL DEFAULT '{}',
+  detected_at TEXT NOT NULL,
+  FOREIGN KEY (summit_id) REFERENCES summits(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_osm_sync_changes_user ON osm_sync_changes(user_id);
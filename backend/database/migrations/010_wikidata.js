@@ -0,0 +1,32 @@
+const { normalizeWikipedia } = require('@summit-tracker/shared');
+
+/**
+ * Migration 010: Wikidata ids on summits and a local table of Wikidata facts
+ * Stored Wikipedia references are normalized to "lang:Title". Entries without
+ * a language were always linked to the English Wikipedia, so they become "en:".
+ */
+module.exports = {
+  up: async ({ dbRun, dbAll, dbExec }) => {
+    await dbExec(`
+      ALTER TABLE summits ADD COLUMN wikidata TEXT;
+
+      CREATE TABLE IF NOT EXISTS wikidata_entities (
+        id TEXT PRIMARY KEY,
+        descriptions TEXT NOT NULL,
+        sitelinks TEXT NOT NULL,
+        prominence INTEGER,
+        first_ascent TEXT,
+        source TEXT NOT NULL,
+        imported_at TEXT NOT NULL
+      );
+    `);
+
+    const summits = await dbAll('SELECT id, wikipedia FROM summits WHERE wikipedia IS NOT NULL');
+    for (const summit of summits) {
+      const wikipedia = normalizeWikipedia(summit.wikipedia);
+      if (wikipedia !== summit.wikipedia) {
+        await dbRun('UPDATE summits SET wikipedia = ? WHERE id = ?', [wikipedia, summit.id]);
+      }
+    }
+  }
+};
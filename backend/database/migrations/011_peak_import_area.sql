@@ -0,0 +1,4 @@
+-- Only imports with an explicitly given area answer lookups without Overpass.
+-- The box of the imported peaks reaches beyond non-rectangular extracts (a
+-- country) into land without local data, so earlier imports no longer count.
+ALTER TABLE peak_imports ADD COLUMN covers_area INTEGER NOT NULL DEFAULT 0;
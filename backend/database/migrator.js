@@ -0,0 +1,134 @@
+const path = require('path');
+const fs = require('fs');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migration files are named <version>_<name>.sql or <version>_<name>.js,
+// e.g. 003_add_tracks.sql. SQL files are executed as a whole, JS files export
+// an async up({ dbRun, dbGet, dbAll, dbExec }) function.
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+/**
+ * List all migrations in the migrations directory, ordered by version
+ * @param {string} dir - Directory to read, defaults to database/migrations
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) return null;
+
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        type: match[3],
+        file: path.join(dir, file)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+}
+
+const migrationLabel = (migration) => `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+async function ensureMigrationsTable(conn) {
+  await conn.dbRun(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+}
+
+/**
+ * Get every known migration together with whether (and when) it was applied
+ */
+async function getMigrationStatus(conn, { dir } = {}) {
+  await ensureMigrationsTable(conn);
+
+  const applied = await conn.dbAll('SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+
+  return loadMigrations(dir).map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: appliedAt.has(migration.version),
+    appliedAt: appliedAt.get(migration.version) || null
+  }));
+}
+
+async function applyMigration(conn, migration) {
+  // Foreign keys are switched off while a migration runs so tables can be
+  // rebuilt without cascading deletes. The pragma cannot change inside a
+  // transaction, and violations are checked before committing instead.
+  await conn.dbRun('PRAGMA foreign_keys = OFF');
+  try {
+    await conn.dbRun('BEGIN IMMEDIATE');
+    try {
+      if (migration.type === 'sql') {
+        await conn.dbExec(fs.readFileSync(migration.file, 'utf-8'));
+      } else {
+        const { up } = require(migration.file);
+        await up(conn);
+      }
+
+      const violations = await conn.dbAll('PRAGMA foreign_key_check');
+      if (violations.length > 0) {
+        throw new Error(`Migration leaves ${violations.length} foreign key violations (first in table ${violations[0].table})`);
+      }
+
+      await conn.dbRun(
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+        [migration.version, migration.name, new Date().toISOString()]
+      );
+      await conn.dbRun('COMMIT');
+    } catch (error) {
+      await conn.dbRun('ROLLBACK').catch(rollbackError => {
+        console.error('Error rolling back migration:', rollbackError);
+      });
+      throw error;
+    }
+  } finally {
+    await conn.dbRun('PRAGMA foreign_keys = ON');
+  }
+}
+
+/**
+ * Apply all pending migrations in order, each in its own transaction.
+ * Stops at the first failing migration; earlier ones stay applied.
+ * @returns {Array} The migrations that were applied
+ */
+async function runMigrations(conn, { log = console.log, dir } = {}) {
+  const status = await getMigrationStatus(conn, { dir });
+  const pending = loadMigrations(dir).filter(migration =>
+    !status.find(s => s.version === migration.version).applied
+  );
+
+  for (const migration of pending) {
+    log(`Applying migration ${migrationLabel(migration)}...`);
+    try {
+      await applyMigration(conn, migration);
+    } catch (error) {
+      error.message = `Migration ${migrationLabel(migration)} failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  return pending;
+}
+
+module.exports = {
+  migrationLabel,
+  loadMigrations,
+  getMigrationStatus,
+  runMigrations
+};
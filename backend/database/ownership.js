@@ -0,0 +1,49 @@
+const { dbRun, dbGet, withTransaction } = require('./db');
+
+/**
+ * Count summits and visits that do not belong to any user yet
+ * (rows created before per-user ownership existed)
+ */
+async function countUnownedData() {
+  const summits = await dbGet('SELECT COUNT(*) as count FROM summits WHERE user_id IS NULL');
+  const visits = await dbGet('SELECT COUNT(*) as count FROM visits WHERE user_id IS NULL');
+
+  return {
+    summits: summits.count,
+    visits: visits.count
+  };
+}
+
+/**
+ * Assign all unowned summits and visits to a user
+ */
+async function assignUnownedData(userId) {
+  return withTransaction(async () => {
+    const summits = await dbRun('UPDATE summits SET user_id = ? WHERE user_id IS NULL', [userId]);
+    const visits = await dbRun('UPDATE visits SET user_id = ? WHERE user_id IS NULL', [userId]);
+
+    return {
+      summits: summits.changes,
+      visits: visits.changes
+    };
+  });
+}
+
+/**
+ * Give legacy data to the very first account that is registered,
+ * so an existing single-user logbook is not hidden after login is enabled
+ */
+async function claimUnownedDataForFirstUser(userId) {
+  const userCount = await dbGet('SELECT COUNT(*) as count FROM users');
+  if (userCount.count !== 1) {
+    return null;
+  }
+
+  return assignUnownedData(userId);
+}
+
+module.exports = {
+  countUnownedData,
+  assignUnownedData,
+  claimUnownedDataForFirstUser
+};
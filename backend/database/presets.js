@@ -0,0 +1,104 @@
+const { dbRun, dbGet, dbAll, generateId } = require('./db');
+
+const MAX_NAME_LENGTH = 100;
+
+// Convert a preset row to the API shape
+const formatPreset = (preset) => ({
+  id: preset.id,
+  name: preset.name,
+  settings: JSON.parse(preset.settings),
+  lastUsedAt: preset.last_used_at,
+  createdAt: preset.created_at,
+  updatedAt: preset.updated_at
+});
+
+// All presets of a user, sorted by name
+const findPresets = (userId) => dbAll(
+  'SELECT * FROM detection_presets WHERE user_id = ? ORDER BY name COLLATE NOCASE',
+  [userId]
+);
+
+const findPreset = (userId, presetId) => dbGet(
+  'SELECT * FROM detection_presets WHERE id = ? AND user_id = ?',
+  [presetId, userId]
+);
+
+const findPresetByName = (userId, name) => dbGet(
+  'SELECT * FROM detection_presets WHERE user_id = ? AND name = ?',
+  [userId, name]
+);
+
+/**
+ * Pick the preset the user worked with last
+ * @param {Array} presets - Preset rows
+ * @returns {number|null} Preset id
+ */
+const lastUsedPresetId = (presets) => {
+  const used = presets.filter(p => p.last_used_at).sort((a, b) => b.last_used_at.localeCompare(a.last_used_at));
+  return used.length > 0 ? used[0].id : null;
+};
+
+/**
+ * Store a new preset. A new preset counts as used, so it is preselected next time.
+ * @param {number} userId - Owner
+ * @param {string} name - Unique per user
+ * @param {Object} settings - Validated detection settings
+ * @returns {Promise<Object>} The stored preset row
+ */
+async function createPreset(userId, name, settings) {
+  const id = generateId();
+  const now = new Date().toISOString();
+
+  await dbRun(
+    `INSERT INTO detection_presets (id, user_id, name, settings, last_used_at, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [id, userId, name, JSON.stringify(settings), now, now, now]
+  );
+
+  return dbGet('SELECT * FROM detection_presets WHERE id = ?', [id]);
+}
+
+/**
+ * Rename a preset and/or replace its settings
+ * @param {Object} preset - Existing preset row
+ * @param {Object} changes - name and/or settings
+ * @returns {Promise<Object>} The updated preset row
+ */
+async function updatePreset(preset, { name, settings }) {
+  await dbRun(
+    'UPDATE detection_presets SET name = ?, settings = ?, updated_at = ? WHERE id = ?',
+    [
+      name !== undefined ? name : preset.name,
+      settings !== undefined ? JSON.stringify(settings) : preset.settings,
+      new Date().toISOString(),
+      preset.id
+    ]
+  );
+
+  return dbGet('SELECT * FROM detection_presets WHERE id = ?', [preset.id]);
+}
+
+// Remember the preset as the last one used for an analysis
+const markPresetUsed = (presetId) => dbRun(
+  'UPDATE detection_presets SET last_used_at = ? WHERE id = ?',
+  [new Date().toISOString(), presetId]
+);
+
+// Forget the last used preset, so the next analysis starts with the default settings
+const clearPresetsUsed = (userId) => dbRun(
+  'UPDATE detection_presets SET last_used_at = NULL WHERE user_id = ?',
+  [userId]
+);
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  formatPreset,
+  findPresets,
+  findPreset,
+  findPresetByName,
+  lastUsedPresetId,
+  createPreset,
+  updatePreset,
+  markPresetUsed,
+  clearPresetsUsed
+};
@@ -0,0 +1,260 @@
+const { isWikidataId } = require('@summit-tracker/shared');
+const { dbGet, dbAll } = require('./db');
+const { haversineDistance, boundingBox } = require('../utils/geo');
+
+// Two summits closer than this are considered the same summit
+const DUPLICATE_DISTANCE = 100; // meters
+
+// Convert database rows (snake_case) to the camelCase shape used by the frontend
+const formatSummit = (summit) => ({
+  id: summit.id,
+  name: summit.name,
+  latitude: summit.latitude,
+  longitude: summit.longitude,
+  elevation: summit.elevation,
+  wikipedia: summit.wikipedia,
+  wikidata: summit.wikidata,
+  osmId: summit.osm_id,
+  osmSyncedAt: summit.osm_synced_at,
+  createdAt: summit.created_at,
+  updatedAt: summit.updated_at
+});
+
+// Summit list entries also carry visit stats, and distance (meters) for spatial queries
+const formatSummitWithStats = (summit) => ({
+  ...formatSummit(summit),
+  visitCount: summit.visitCount,
+  lastVisited: summit.lastVisited,
+  ...(summit.distance !== undefined && { distance: Math.round(summit.distance) })
+});
+
+const formatVisit = (visit) => ({
+  id: visit.id,
+  summitId: visit.summit_id,
+  date: visit.date,
+  notes: visit.notes,
+  trackId: visit.track_id,
+  createdAt: visit.created_at
+});
+
+// Summit columns plus visit statistics, as returned by the summit list endpoints
+const SUMMIT_WITH_STATS_SQL = `
+  SELECT
+    s.*,
+    COUNT(v.id) as visitCount,
+    MAX(v.date) as lastVisited
+  FROM summits s
+  LEFT JOIN visits v ON s.id = v.summit_id AND v.user_id = s.user_id`;
+
+// R*Tree condition for a longitude range, split in two when it crosses the antimeridian
+const lonRangeCondition = (minLon, maxLon) => {
+  if (maxLon - minLon >= 360) {
+    return { sql: '1', params: [] };
+  }
+
+  const normalize = (lon) => (lon < -180 || lon > 180 ? ((lon + 540) % 360) - 180 : lon);
+  const west = normalize(minLon);
+  const east = normalize(maxLon);
+
+  if (west <= east) {
+    return { sql: 'r.max_lon >= ? AND r.min_lon <= ?', params: [west, east] };
+  }
+  return { sql: '(r.max_lon >= ? OR r.min_lon <= ?)', params: [west, east] };
+};
+
+// Load a user's summits (with visit stats) inside a box through the R*Tree index
+const findSummitsInBox = (userId, { minLat, maxLat, minLon, maxLon }) => {
+  const lonRange = lonRangeCondition(minLon, maxLon);
+
+  return dbAll(
+    `${SUMMIT_WITH_STATS_SQL}
+     JOIN summits_rtree r ON r.id = s.id
+     WHERE s.user_id = ?
+       AND r.max_lat >= ? AND r.min_lat <= ?
+       AND ${lonRange.sql}
+     GROUP BY s.id`,
+    [userId, minLat, maxLat, ...lonRange.params]
+  );
+};
+
+const withDistance = (summits, lat, lon) => summits
+  .map(summit => ({ ...summit, distance: haversineDistance(lat, lon, summit.latitude, summit.longitude) }))
+  .sort((a, b) => a.distance - b.distance);
+
+/**
+ * Find a user's summits within radius meters of a point
+ * @returns {Promise<Array>} Summit rows with visit stats and distance (meters), nearest first
+ */
+async function findSummitsNear(userId, lat, lon, radius, limit = Infinity) {
+  const summits = await findSummitsInBox(userId, boundingBox(lat, lon, radius));
+  return withDistance(summits, lat, lon)
+    .filter(summit => summit.distance <= radius)
+    .slice(0, limit);
+}
+
+/**
+ * Find a user's summits inside a bounding box
+ * @param {Object} bbox - { minLon, minLat, maxLon, maxLat }; minLon > maxLon crosses the antimeridian
+ * @param {Object} center - { lat, lon } to sort by distance from, defaults to the box center
+ * @returns {Promise<Array>} Summit rows with visit stats and distance (meters), nearest first
+ */
+async function findSummitsInBbox(userId, bbox, center = null) {
+  const maxLon = bbox.maxLon < bbox.minLon ? bbox.maxLon + 360 : bbox.maxLon;
+  const summits = await findSummitsInBox(userId, { ...bbox, maxLon });
+  const origin = center || {
+    lat: (bbox.minLat + bbox.maxLat) / 2,
+    lon: (bbox.minLon + maxLon) / 2
+  };
+  return withDistance(summits, origin.lat, origin.lon);
+}
+
+// OSM node ids from request input: a positive integer, or null to unlink
+const parseOsmId = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new Error('osmId must be a positive integer');
+  }
+  return id;
+};
+
+// Wikidata ids from request input: "Q1234", or null to unlink
+const parseWikidataId = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const id = String(value).trim().toUpperCase();
+  if (!isWikidataId(id)) {
+    throw new Error('wikidata must be a Wikidata id like Q1234');
+  }
+  return id;
+};
+
+// Visit dates are calendar dates (YYYY-MM-DD); the year/season filters and
+// the exports rely on that form
+const isVisitDate = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+};
+
+// Find the user's nearest summit at (roughly) the same coordinates - used for duplicate detection
+const findSummitByCoordinates = async (userId, latitude, longitude) => {
+  const [nearest] = await findSummitsNear(userId, parseFloat(latitude), parseFloat(longitude), DUPLICATE_DISTANCE, 1);
+  return nearest;
+};
+
+const SEASON_MONTHS = {
+  'winter': ['12', '01', '02'],
+  'spring': ['03', '04', '05'],
+  'summer': ['06', '07', '08'],
+  'autumn': ['09', '10', '11']
+};
+
+// Build SQL conditions for the optional visit filters (summitId, year, season)
+// shared by the visit list and the exports. alias is the visits table alias.
+const buildVisitFilter = ({ summitId, year, season } = {}, alias = 'v') => {
+  const conditions = [];
+  const params = [];
+  
+  if (summitId) {
+    conditions.push(`${alias}.summit_id = ?`);
+    params.push(parseInt(summitId));
+  }
+  
+  if (year) {
+    conditions.push(`strftime('%Y', ${alias}.date) = ?`);
+    params.push(String(year));
+  }
+  
+  if (season && SEASON_MONTHS[season]) {
+    conditions.push(`strftime('%m', ${alias}.date) IN (${SEASON_MONTHS[season].map(() => '?').join(',')})`);
+    params.push(...SEASON_MONTHS[season]);
+  }
+  
+  return { conditions, params };
+};
+
+/**
+ * Search a user's summits by name, optionally only those visited in a year/season,
+ * one page at a time in name order
+ * @param {Object} filters - { search, year, season }
+ * @param {Object} page - { limit, offset }
+ * @returns {Promise<Object>} { summits, total } with summit rows including visit stats
+ */
+async function searchSummits(userId, { search, year, season } = {}, { limit = 100, offset = 0 } = {}) {
+  const conditions = ['s.user_id = ?'];
+  const params = [userId];
+  
+  if (search) {
+    conditions.push("s.name LIKE ? ESCAPE '\\'");
+    params.push(`%${search.replace(/[\\%_]/g, '\\$&')}%`);
+  }
+  
+  const filter = buildVisitFilter({ year, season }, 'fv');
+  if (filter.conditions.length > 0) {
+    conditions.push(
+      `EXISTS (SELECT 1 FROM visits fv WHERE fv.summit_id = s.id AND fv.user_id = s.user_id AND ${filter.conditions.join(' AND ')})`
+    );
+    params.push(...filter.params);
+  }
+  
+  const where = conditions.join(' AND ');
+  const { total } = await dbGet(`SELECT COUNT(*) as total FROM summits s WHERE ${where}`, params);
+  const summits = await dbAll(
+    `${SUMMIT_WITH_STATS_SQL}
+     WHERE ${where}
+     GROUP BY s.id
+     ORDER BY s.name, s.id
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  
+  return { summits, total };
+}
+
+/**
+ * Load a user's summits and visits for export, optionally filtered like GET /api/visits.
+ * With a year/season filter only summits visited in that period are included,
+ * with a summitId filter only that summit.
+ * @returns {Object} { summits, visits } as database rows, visits sorted by date
+ */
+async function findSummitsWithVisits(userId, filters = {}) {
+  const filter = buildVisitFilter(filters);
+  const visits = await dbAll(
+    `SELECT v.* FROM visits v
+     WHERE v.user_id = ?${filter.conditions.map(c => ` AND ${c}`).join('')}
+     ORDER BY v.date, v.id`,
+    [userId, ...filter.params]
+  );
+  
+  let summits;
+  if (filters.summitId) {
+    summits = await dbAll(
+      'SELECT * FROM summits WHERE user_id = ? AND id = ?',
+      [userId, parseInt(filters.summitId)]
+    );
+  } else if (filters.year || filters.season) {
+    const visitedIds = new Set(visits.map(v => v.summit_id));
+    summits = (await dbAll('SELECT * FROM summits WHERE user_id = ? ORDER BY name', [userId]))
+      .filter(summit => visitedIds.has(summit.id));
+  } else {
+    summits = await dbAll('SELECT * FROM summits WHERE user_id = ? ORDER BY name', [userId]);
+  }
+  
+  return { summits, visits };
+}
+
+module.exports = {
+  SUMMIT_WITH_STATS_SQL,
+  formatSummit,
+  parseOsmId,
+  parseWikidataId,
+  isVisitDate,
+  formatSummitWithStats,
+  formatVisit,
+  findSummitByCoordinates,
+  findSummitsNear,
+  findSummitsInBbox,
+  buildVisitFilter,
+  searchSummits,
+  findSummitsWithVisits
+};
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Re-sync summits with OpenStreetMap and print the differences found
+ * The changes are kept for review in the app, nothing is applied here.
+ * Usage: node database/sync-osm.js [username]
+ */
+
+require('dotenv').config();
+
+const { db, dbGet, initializeDatabase } = require('./db');
+const { syncSummits, findSyncChanges } = require('../osm/sync');
+
+const formatValue = (value) => (value === null ? '(none)' : String(value));
+
+async function run() {
+  const username = process.argv[2];
+
+  await initializeDatabase();
+
+  let userId = null;
+  if (username) {
+    const user = await dbGet('SELECT id FROM users WHERE username = ?', [username]);
+    if (!user) {
+      console.error(`✗ User "${username}" not found`);
+      process.exit(1);
+    }
+    userId = user.id;
+  }
+
+  const result = await syncSummits({ userId, log: message => console.error(`  ${message}`) });
+  console.log(`Checked ${result.checked} summits, ${result.changed} with new changes, ${result.failed} failed`);
+
+  const pending = await findSyncChanges(userId);
+  if (pending.length === 0) {
+    console.log('✓ No pending changes');
+    return;
+  }
+
+  console.log(`\n${pending.length} summit${pending.length === 1 ? '' : 's'} with pending changes:`);
+  for (const { summit, changes } of pending) {
+    console.log(`  ${summit.name} (#${summit.id})`);
+    for (const [field, { current, osm }] of Object.entries(changes)) {
+      console.log(`    ${field}: ${formatValue(current)} → ${formatValue(osm)}`);
+    }
+  }
+  console.log('\nReview the changes in the app to accept or reject them');
+}
+
+run()
+  .catch(err => {
+    console.error('✗ OSM sync failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -0,0 +1,110 @@
+const {
+  TRACK_FORMATS,
+  parseTrack,
+  smoothTrack,
+  computeTrackStats,
+  simplifyTrack
+} = require('@summit-tracker/shared');
+const { dbRun, dbGet, generateId } = require('./db');
+
+// Simplification tolerance for the stored polyline, plenty for map display
+const POLYLINE_TOLERANCE = 5; // meters
+
+// Content types for downloading the original file
+const TRACK_CONTENT_TYPES = {
+  gpx: 'application/gpx+xml',
+  tcx: 'application/vnd.garmin.tcx+xml',
+  kml: 'application/vnd.google-earth.kml+xml',
+  fit: 'application/vnd.ant.fit'
+};
+
+// Convert a track row to the API shape (without the original file)
+const formatTrack = (track) => ({
+  id: track.id,
+  name: track.name,
+  fileName: track.file_name,
+  format: track.format,
+  polyline: JSON.parse(track.polyline),
+  pointCount: track.point_count,
+  distance: track.distance,
+  ascent: track.ascent,
+  descent: track.descent,
+  movingTime: track.moving_time,
+  elapsedTime: track.elapsed_time,
+  startTime: track.start_time,
+  endTime: track.end_time,
+  createdAt: track.created_at
+});
+
+/**
+ * Parse an uploaded track file and store it with its polyline and statistics
+ * @param {number} userId - Owner of the track
+ * @param {Buffer} original - File contents, stored unchanged for download
+ * @param {Object} options - fileName, format (default: from the file name, else gpx)
+ * @returns {Promise<Object>} The stored track row
+ * @throws {Error} With invalidFile set if the file cannot be read
+ */
+async function createTrack(userId, original, { fileName = null, format } = {}) {
+  const trackFormat = (format || (fileName && fileName.split('.').pop()) || 'gpx').toLowerCase();
+
+  if (!TRACK_FORMATS.includes(trackFormat)) {
+    throw Object.assign(
+      new Error(`Track format must be one of: ${TRACK_FORMATS.join(', ')}`),
+      { invalidFile: true }
+    );
+  }
+
+  let points;
+  try {
+    points = parseTrack(original, trackFormat);
+  } catch (error) {
+    throw Object.assign(error, { invalidFile: true });
+  }
+  if (points.length === 0) {
+    throw Object.assign(new Error('Track contains no points'), { invalidFile: true });
+  }
+
+  // Smoothed with the default settings so ascent and descent aren't inflated by GPS noise
+  const stats = computeTrackStats(smoothTrack(points));
+  const polyline = simplifyTrack(points, POLYLINE_TOLERANCE).map(p => [p.lat, p.lon]);
+  const id = generateId();
+
+  await dbRun(
+    `INSERT INTO tracks (id, user_id, name, file_name, format, original, polyline, point_count,
+       distance, ascent, descent, moving_time, elapsed_time, start_time, end_time, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      id,
+      userId,
+      fileName ? fileName.replace(/\.[^.]+$/, '') : null,
+      fileName,
+      trackFormat,
+      original,
+      JSON.stringify(polyline),
+      stats.pointCount,
+      stats.distance,
+      stats.elevationGain,
+      stats.elevationLoss,
+      stats.movingTime,
+      stats.elapsedTime,
+      stats.startTime ? stats.startTime.toISOString() : null,
+      stats.endTime ? stats.endTime.toISOString() : null,
+      new Date().toISOString()
+    ]
+  );
+
+  return dbGet('SELECT * FROM tracks WHERE id = ?', [id]);
+}
+
+// Look up one of the user's tracks, used to validate track ids sent with visits
+const findTrack = (userId, trackId) => dbGet(
+  'SELECT * FROM tracks WHERE id = ? AND user_id = ?',
+  [trackId, userId]
+);
+
+module.exports = {
+  TRACK_CONTENT_TYPES,
+  formatTrack,
+  createTrack,
+  findTrack
+};
@@ -0,0 +1,148 @@
+// Elevation lookup from SRTM .hgt tiles in a local directory (ELEVATION_TILES_DIR).
+// A tile covers one degree, named after its south-west corner (N47E010.hgt), and
+// holds a square grid of big-endian 16-bit heights in meters, rows from north to
+// south: 1201 samples per side for SRTM3 (3"), 3601 for SRTM1 (1"). Zipped tiles
+// as downloaded from NASA (N47E010.SRTMGL1.hgt.zip) are read as well.
+
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+const TILES_DIR = process.env.ELEVATION_TILES_DIR || null;
+// An SRTM1 tile takes 26 MB of memory, tracks rarely cross more than a few tiles
+const MAX_CACHED_TILES = parseInt(process.env.ELEVATION_TILE_CACHE || '6', 10);
+
+const VOID = -32768;
+const TILE_SIZES = [1201, 3601];
+const TILE_FILE_PATTERN = /^([NS]\d{2}[EW]\d{3}).*\.hgt(\.zip)?$/i;
+
+// Tile name -> file, read from the directory on first use
+let tileFiles = null;
+// Tile name -> { size, data } in least recently used order, null for tiles without a file
+const tiles = new Map();
+const loading = new Map();
+
+const isElevationConfigured = () => Boolean(TILES_DIR);
+
+const tileName = (lat, lon) => {
+  const latDeg = Math.floor(lat);
+  const lonDeg = Math.floor(lon);
+  return `${latDeg < 0 ? 'S' : 'N'}${String(Math.abs(latDeg)).padStart(2, '0')}` +
+    `${lonDeg < 0 ? 'W' : 'E'}${String(Math.abs(lonDeg)).padStart(3, '0')}`;
+};
+
+function findTileFiles() {
+  if (!tileFiles) {
+    tileFiles = new Map();
+    for (const file of fs.readdirSync(TILES_DIR)) {
+      const match = TILE_FILE_PATTERN.exec(file);
+      // Unzipped tiles win over zipped copies of the same tile
+      if (match && (!tileFiles.has(match[1].toUpperCase()) || !match[2])) {
+        tileFiles.set(match[1].toUpperCase(), path.join(TILES_DIR, file));
+      }
+    }
+  }
+  return tileFiles;
+}
+
+async function readTile(file) {
+  let data;
+  if (file.toLowerCase().endsWith('.zip')) {
+    const entry = new AdmZip(file).getEntries().find(e => e.entryName.toLowerCase().endsWith('.hgt'));
+    if (!entry) throw new Error(`No .hgt file in ${path.basename(file)}`);
+    data = entry.getData();
+  } else {
+    data = await fs.promises.readFile(file);
+  }
+
+  const size = TILE_SIZES.find(s => s * s * 2 === data.length);
+  if (!size) throw new Error(`${path.basename(file)} is not an SRTM tile`);
+  return { size, data };
+}
+
+async function loadTile(name) {
+  if (tiles.has(name)) {
+    // Move to the end, the most recently used position
+    const tile = tiles.get(name);
+    tiles.delete(name);
+    tiles.set(name, tile);
+    return tile;
+  }
+
+  if (!loading.has(name)) {
+    const file = findTileFiles().get(name);
+    const request = (file ? readTile(file) : Promise.resolve(null))
+      .then(tile => {
+        tiles.set(name, tile);
+        // Missing tiles cost nothing to keep, only loaded ones count against the limit
+        const loaded = [...tiles].filter(([, t]) => t);
+        if (loaded.length > MAX_CACHED_TILES) tiles.delete(loaded[0][0]);
+        return tile;
+      })
+      .finally(() => loading.delete(name));
+    loading.set(name, request);
+  }
+
+  return loading.get(name);
+}
+
+const sample = (tile, row, col) => {
+  const value = tile.data.readInt16BE((row * tile.size + col) * 2);
+  return value === VOID ? null : value;
+};
+
+/**
+ * Bilinear interpolation between the four samples around a point. Void samples
+ * are left out and the weights of the others scaled up.
+ */
+function interpolate(tile, lat, lon) {
+  const cells = tile.size - 1;
+  const y = (Math.floor(lat) + 1 - lat) * cells;
+  const x = (lon - Math.floor(lon)) * cells;
+  const row = Math.min(Math.floor(y), cells - 1);
+  const col = Math.min(Math.floor(x), cells - 1);
+  const dy = y - row;
+  const dx = x - col;
+
+  const corners = [
+    { value: sample(tile, row, col), weight: (1 - dx) * (1 - dy) },
+    { value: sample(tile, row, col + 1), weight: dx * (1 - dy) },
+    { value: sample(tile, row + 1, col), weight: (1 - dx) * dy },
+    { value: sample(tile, row + 1, col + 1), weight: dx * dy }
+  ].filter(corner => corner.value !== null);
+
+  const weight = corners.reduce((sum, corner) => sum + corner.weight, 0);
+  if (corners.length === 0) return null;
+  if (weight === 0) return corners[0].value;
+
+  const elevation = corners.reduce((sum, corner) => sum + corner.value * corner.weight, 0) / weight;
+  return Math.round(elevation * 10) / 10;
+}
+
+/**
+ * Elevation of a point from the local tiles
+ * @returns {Promise<number|null>} Meters above sea level, null without a tile or data for the point
+ */
+async function getElevation(lat, lon) {
+  const tile = await loadTile(tileName(lat, lon));
+  return tile ? interpolate(tile, lat, lon) : null;
+}
+
+/**
+ * Elevations of many points, e.g. a whole track
+ * @param {Array} points - [[lat, lon], ...]
+ * @returns {Promise<Array>} Elevation per point, null where there is no data
+ */
+async function getElevations(points) {
+  const elevations = [];
+  for (const [lat, lon] of points) {
+    elevations.push(await getElevation(lat, lon));
+  }
+  return elevations;
+}
+
+module.exports = {
+  isElevationConfigured,
+  getElevation,
+  getElevations
+};
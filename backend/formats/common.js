@@ -0,0 +1,34 @@
+// Helpers shared by the export format writers
+
+const { parseWikipedia, wikipediaUrl: articleUrl } = require('@summit-tracker/shared');
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// OSM-style wikipedia tag ("de:Zugspitze") to article URL
+const wikipediaUrl = (tag) => {
+  const article = parseWikipedia(tag);
+  return article ? articleUrl(article.lang, article.title) : null;
+};
+
+// Group visit rows by summit id, keeping their order
+const groupVisitsBySummit = (visits) => {
+  const bySummit = new Map();
+  visits.forEach(visit => {
+    if (!bySummit.has(visit.summit_id)) {
+      bySummit.set(visit.summit_id, []);
+    }
+    bySummit.get(visit.summit_id).push(visit);
+  });
+  return bySummit;
+};
+
+module.exports = {
+  escapeXml,
+  wikipediaUrl,
+  groupVisitsBySummit
+};
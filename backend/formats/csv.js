@@ -0,0 +1,74 @@
+const { groupVisitsBySummit } = require('./common');
+
+// Byte order mark so spreadsheet programs detect UTF-8 (umlauts in summit names)
+const BOM = '﻿';
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) => {
+  const lines = [columns.map(column => escapeCsv(column.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsv(column.value(row))).join(','));
+  });
+  return BOM + lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * Build a CSV with one line per summit
+ * @param {Array} summits - Summit rows (snake_case, as stored)
+ * @param {Array} visits - Visit rows, sorted by date
+ * @returns {string} CSV text
+ */
+function buildSummitsCsv(summits, visits) {
+  const visitsBySummit = groupVisitsBySummit(visits);
+
+  return toCsv([
+    { header: 'name', value: s => s.name },
+    { header: 'latitude', value: s => s.latitude },
+    { header: 'longitude', value: s => s.longitude },
+    { header: 'elevation', value: s => s.elevation },
+    { header: 'wikipedia', value: s => s.wikipedia },
+    { header: 'wikidata', value: s => s.wikidata },
+    { header: 'visitCount', value: s => (visitsBySummit.get(s.id) || []).length },
+    {
+      header: 'lastVisited',
+      value: s => {
+        const summitVisits = visitsBySummit.get(s.id) || [];
+        return summitVisits.length > 0 ? summitVisits[summitVisits.length - 1].date : null;
+      }
+    }
+  ], summits);
+}
+
+/**
+ * Build a CSV with one line per visit, repeating the summit details on each line
+ * @param {Array} summits - Summit rows (snake_case, as stored)
+ * @param {Array} visits - Visit rows, sorted by date
+ * @returns {string} CSV text
+ */
+function buildVisitsCsv(summits, visits) {
+  const summitsById = new Map(summits.map(summit => [summit.id, summit]));
+  const rows = visits
+    .filter(visit => summitsById.has(visit.summit_id))
+    .map(visit => ({ visit, summit: summitsById.get(visit.summit_id) }));
+
+  return toCsv([
+    { header: 'date', value: r => r.visit.date },
+    { header: 'name', value: r => r.summit.name },
+    { header: 'latitude', value: r => r.summit.latitude },
+    { header: 'longitude', value: r => r.summit.longitude },
+    { header: 'elevation', value: r => r.summit.elevation },
+    { header: 'wikipedia', value: r => r.summit.wikipedia },
+    { header: 'wikidata', value: r => r.summit.wikidata },
+    { header: 'notes', value: r => r.visit.notes }
+  ], rows);
+}
+
+module.exports = {
+  buildSummitsCsv,
+  buildVisitsCsv
+};
@@ -0,0 +1,90 @@
+const { groupVisitsBySummit } = require('./common');
+
+/**
+ * Build a GeoJSON FeatureCollection with one Point feature per summit
+ * @param {Array} summits - Summit rows (snake_case, as stored)
+ * @param {Array} visits - Visit rows, sorted by date
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function buildGeoJson(summits, visits) {
+  const visitsBySummit = groupVisitsBySummit(visits);
+
+  return {
+    type: 'FeatureCollection',
+    features: summits.map(summit => {
+      const summitVisits = visitsBySummit.get(summit.id) || [];
+      const coordinates = [summit.longitude, summit.latitude];
+      if (summit.elevation !== null && summit.elevation !== undefined) {
+        coordinates.push(Number(summit.elevation));
+      }
+
+      return {
+        type: 'Feature',
+        id: summit.id,
+        geometry: { type: 'Point', coordinates },
+        properties: {
+          name: summit.name,
+          ele: summit.elevation,
+          wikipedia: summit.wikipedia,
+          wikidata: summit.wikidata,
+          visitCount: summitVisits.length,
+          lastVisited: summitVisits.length > 0 ? summitVisits[summitVisits.length - 1].date : null
+        }
+      };
+    })
+  };
+}
+
+// Read the first non-empty property out of several common spellings
+const pickProperty = (properties, keys) => {
+  for (const key of keys) {
+    const value = properties[key];
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return null;
+};
+
+/**
+ * Convert GeoJSON (FeatureCollection, Feature or bare Point) into importable summits.
+ * Non-point features are ignored.
+ * @param {Object|string} input - Parsed GeoJSON or its text
+ * @returns {Array} Summits in the import format
+ */
+function parseGeoJson(input) {
+  const geojson = typeof input === 'string' ? JSON.parse(input) : input;
+
+  let features;
+  if (geojson?.type === 'FeatureCollection') {
+    features = geojson.features || [];
+  } else if (geojson?.type === 'Feature') {
+    features = [geojson];
+  } else if (geojson?.type === 'Point') {
+    features = [{ type: 'Feature', geometry: geojson, properties: {} }];
+  } else {
+    throw new Error('Not a GeoJSON FeatureCollection or Feature');
+  }
+
+  return features
+    .filter(feature => feature?.geometry?.type === 'Point')
+    .map(feature => {
+      const [longitude, latitude, altitude] = feature.geometry.coordinates;
+      const properties = feature.properties || {};
+      const elevation = pickProperty(properties, ['ele', 'elevation', 'altitude']) ??
+        (altitude ? Math.round(altitude) : null);
+
+      return {
+        name: pickProperty(properties, ['name', 'title', 'Name']),
+        latitude,
+        longitude,
+        elevation: elevation !== null ? parseInt(elevation, 10) || null : null,
+        wikipedia: pickProperty(properties, ['wikipedia', 'Wikipedia']),
+        wikidata: pickProperty(properties, ['wikidata', 'Wikidata'])
+      };
+    });
+}
+
+module.exports = {
+  buildGeoJson,
+  parseGeoJson,
+  pickProperty
+};
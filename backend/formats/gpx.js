@@ -0,0 +1,86 @@
+const { escapeXml, wikipediaUrl, groupVisitsBySummit } = require('./common');
+
+// Namespace for the visit logbook carried in <extensions>; GPX readers that
+// don't know it (e.g. Garmin devices) simply ignore the element
+const LOGBOOK_NS = 'urn:summit-tracker:gpx:logbook:1';
+
+function buildWaypoint(summit, visits) {
+  const lines = [`  <wpt lat="${summit.latitude}" lon="${summit.longitude}">`];
+
+  if (summit.elevation !== null && summit.elevation !== undefined && summit.elevation !== '') {
+    lines.push(`    <ele>${escapeXml(summit.elevation)}</ele>`);
+  }
+
+  // <time> is the most recent visit, left out when its date can't be read
+  const lastVisit = visits[visits.length - 1];
+  const lastVisitTime = lastVisit ? new Date(lastVisit.date) : null;
+  if (lastVisitTime && !isNaN(lastVisitTime)) {
+    lines.push(`    <time>${escapeXml(lastVisitTime.toISOString())}</time>`);
+  }
+
+  lines.push(`    <name>${escapeXml(summit.name)}</name>`);
+
+  if (visits.length > 0) {
+    const dates = visits.map(v => v.date).join(', ');
+    lines.push(`    <desc>${escapeXml(`${visits.length} Besuch${visits.length === 1 ? '' : 'e'}: ${dates}`)}</desc>`);
+  }
+
+  const link = wikipediaUrl(summit.wikipedia);
+  if (link) {
+    lines.push(`    <link href="${escapeXml(link)}">`);
+    lines.push('      <text>Wikipedia</text>');
+    lines.push('    </link>');
+  }
+
+  lines.push('    <sym>Summit</sym>');
+  lines.push('    <type>Summit</type>');
+
+  if (visits.length > 0) {
+    lines.push('    <extensions>');
+    lines.push('      <logbook:visits>');
+    visits.forEach(visit => {
+      const notes = visit.notes ? escapeXml(visit.notes) : '';
+      lines.push(`        <logbook:visit date="${escapeXml(visit.date)}">${notes}</logbook:visit>`);
+    });
+    lines.push('      </logbook:visits>');
+    lines.push('    </extensions>');
+  }
+
+  lines.push('  </wpt>');
+  return lines.join('\n');
+}
+
+/**
+ * Build a GPX 1.1 document with one waypoint per summit
+ * @param {Array} summits - Summit rows (snake_case, as stored)
+ * @param {Array} visits - Visit rows, sorted by date
+ * @param {Object} options - name: document name
+ * @returns {string} GPX XML
+ */
+function buildGpx(summits, visits, { name = 'Summit Tracker' } = {}) {
+  const visitsBySummit = groupVisitsBySummit(visits);
+
+  const waypoints = summits.map(summit =>
+    buildWaypoint(summit, visitsBySummit.get(summit.id) || [])
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Summit Tracker"',
+    '     xmlns="http://www.topografix.com/GPX/1/1"',
+    '     xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    `     xmlns:logbook="${LOGBOOK_NS}"`,
+    '     xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">',
+    '  <metadata>',
+    `    <name>${escapeXml(name)}</name>`,
+    `    <time>${new Date().toISOString()}</time>`,
+    '  </metadata>',
+    ...waypoints,
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  buildGpx
+};
@@ -0,0 +1,185 @@
+const AdmZip = require('adm-zip');
+const { XMLParser } = require('fast-xml-parser');
+const { escapeXml, wikipediaUrl, groupVisitsBySummit } = require('./common');
+const { pickProperty } = require('./geojson');
+
+const SUMMIT_ICON = 'https://maps.google.com/mapfiles/kml/shapes/mountains.png';
+
+function buildPlacemark(summit, visits) {
+  const lastVisited = visits.length > 0 ? visits[visits.length - 1].date : null;
+  const link = wikipediaUrl(summit.wikipedia);
+
+  const description = [
+    summit.elevation ? `Höhe: ${summit.elevation} m` : null,
+    `Besuche: ${visits.length}`,
+    lastVisited ? `Letzter Besuch: ${lastVisited}` : null,
+    link ? `<a href="${link}">Wikipedia</a>` : null
+  ].filter(Boolean).join('<br/>');
+
+  const data = {
+    ele: summit.elevation,
+    wikipedia: summit.wikipedia,
+    wikidata: summit.wikidata,
+    visitCount: visits.length,
+    lastVisited
+  };
+
+  const altitude = summit.elevation !== null && summit.elevation !== undefined ? `,${summit.elevation}` : '';
+
+  return [
+    `    <Placemark id="summit-${summit.id}">`,
+    `      <name>${escapeXml(summit.name)}</name>`,
+    `      <description><![CDATA[${description}]]></description>`,
+    '      <styleUrl>#summit</styleUrl>',
+    '      <ExtendedData>',
+    ...Object.entries(data)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([name, value]) => `        <Data name="${name}"><value>${escapeXml(value)}</value></Data>`),
+    '      </ExtendedData>',
+    '      <Point>',
+    `        <coordinates>${summit.longitude},${summit.latitude}${altitude}</coordinates>`,
+    '      </Point>',
+    '    </Placemark>'
+  ].join('\n');
+}
+
+/**
+ * Build a KML 2.2 document with one Placemark per summit
+ * @param {Array} summits - Summit rows (snake_case, as stored)
+ * @param {Array} visits - Visit rows, sorted by date
+ * @param {Object} options - name: document name
+ * @returns {string} KML XML
+ */
+function buildKml(summits, visits, { name = 'Summit Tracker' } = {}) {
+  const visitsBySummit = groupVisitsBySummit(visits);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <Style id="summit">',
+    '      <IconStyle>',
+    `        <Icon><href>${SUMMIT_ICON}</href></Icon>`,
+    '      </IconStyle>',
+    '    </Style>',
+    ...summits.map(summit => buildPlacemark(summit, visitsBySummit.get(summit.id) || [])),
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Build a KMZ archive (zipped doc.kml)
+ * @returns {Buffer} KMZ file contents
+ */
+function buildKmz(summits, visits, options) {
+  const zip = new AdmZip();
+  zip.addFile('doc.kml', Buffer.from(buildKml(summits, visits, options), 'utf-8'));
+  return zip.toBuffer();
+}
+
+const asArray = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+// Collect Placemarks from any nesting of Document/Folder elements
+function collectPlacemarks(node, placemarks = []) {
+  if (!node || typeof node !== 'object') return placemarks;
+
+  asArray(node.Placemark).forEach(placemark => placemarks.push(placemark));
+  ['kml', 'Document', 'Folder'].forEach(key => {
+    asArray(node[key]).forEach(child => collectPlacemarks(child, placemarks));
+  });
+
+  return placemarks;
+}
+
+// ExtendedData can hold <Data name><value> pairs or <SchemaData><SimpleData name> values
+function readExtendedData(placemark) {
+  const properties = {};
+  const extended = placemark.ExtendedData;
+  if (!extended) return properties;
+
+  asArray(extended.Data).forEach(data => {
+    if (data.name) properties[data.name] = data.value ?? null;
+  });
+  asArray(extended.SchemaData).forEach(schemaData => {
+    asArray(schemaData.SimpleData).forEach(simple => {
+      if (simple.name) properties[simple.name] = simple['#text'] ?? null;
+    });
+  });
+
+  return properties;
+}
+
+/**
+ * Convert a KML document into importable summits. Only Point placemarks are used.
+ * @param {string|Buffer} input - KML text
+ * @returns {Array} Summits in the import format
+ */
+function parseKml(input) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    parseAttributeValue: false,
+    trimValues: true
+  });
+
+  const document = parser.parse(input.toString('utf-8'));
+  if (!document.kml) {
+    throw new Error('Not a KML document');
+  }
+
+  return collectPlacemarks(document)
+    .filter(placemark => placemark.Point?.coordinates)
+    .map(placemark => {
+      const [longitude, latitude, altitude] = String(placemark.Point.coordinates)
+        .trim()
+        .split(',')
+        .map(parseFloat);
+      const properties = readExtendedData(placemark);
+      const elevation = pickProperty(properties, ['ele', 'elevation', 'altitude']) ??
+        (altitude ? Math.round(altitude) : null);
+
+      return {
+        name: typeof placemark.name === 'string' ? placemark.name : pickProperty(properties, ['name']),
+        latitude,
+        longitude,
+        elevation: elevation !== null ? parseInt(elevation, 10) || null : null,
+        wikipedia: pickProperty(properties, ['wikipedia', 'Wikipedia']),
+        wikidata: pickProperty(properties, ['wikidata', 'Wikidata'])
+      };
+    });
+}
+
+/**
+ * Convert a KMZ archive into importable summits (reads the first .kml entry, usually doc.kml)
+ * @param {Buffer} input - KMZ file contents
+ * @returns {Array} Summits in the import format
+ */
+function parseKmz(input) {
+  let entries;
+  try {
+    entries = new AdmZip(input).getEntries();
+  } catch (error) {
+    throw new Error('Not a valid KMZ archive');
+  }
+
+  const kmlEntry = entries.find(entry => entry.entryName === 'doc.kml') ||
+    entries.find(entry => entry.entryName.toLowerCase().endsWith('.kml'));
+
+  if (!kmlEntry) {
+    throw new Error('KMZ archive contains no KML file');
+  }
+
+  return parseKml(kmlEntry.getData());
+}
+
+module.exports = {
+  buildKml,
+  buildKmz,
+  parseKml,
+  parseKmz
+};
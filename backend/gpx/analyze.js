@@ -0,0 +1,94 @@
+const {
+  SETTING_OPTIONS,
+  DEFAULT_SETTINGS,
+  parseTrack,
+  smoothTrack,
+  detectPeaks,
+  summarizePeak,
+  computeTrackStats
+} = require('@summit-tracker/shared');
+const { findPeaks } = require('../osm/peaks');
+
+/**
+ * Read detection settings from request input (query strings or JSON), ignoring unknown keys
+ * @param {Object} input - Raw settings
+ * @returns {Object} Settings with numeric values (or one of SETTING_OPTIONS)
+ * @throws {Error} If a known setting is not a number, or not one of its options
+ */
+function parseDetectionSettings(input = {}) {
+  const settings = {};
+
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (input[key] === undefined || input[key] === '') continue;
+
+    if (SETTING_OPTIONS[key]) {
+      if (!SETTING_OPTIONS[key].includes(input[key])) {
+        throw new Error(`Setting ${key} must be one of: ${SETTING_OPTIONS[key].join(', ')}`);
+      }
+      settings[key] = input[key];
+      continue;
+    }
+
+    const value = Number(input[key]);
+    if (isNaN(value)) {
+      throw new Error(`Setting ${key} must be a number`);
+    }
+    settings[key] = value;
+  }
+
+  return settings;
+}
+
+/**
+ * Analyze a track file: detect summits and look them up in OpenStreetMap
+ * @param {string|Buffer} data - Track file contents (GPX XML by default)
+ * @param {Object} settings - Detection settings, see DEFAULT_SETTINGS
+ * @param {Object} options - format: one of TRACK_FORMATS (default gpx), osmLookup: query OSM per peak,
+ *   osmRadius: search radius in meters
+ * @returns {Promise<Object>} { settings, stats, peaks }, every peak with its osmMatches (nearest first)
+ */
+async function analyzeGpx(data, settings = {}, { format = 'gpx', osmLookup = true, osmRadius = 100 } = {}) {
+  // Problems with the file itself are flagged so the API can answer 400
+  const invalidFile = (error) => Object.assign(error, { invalidFile: true });
+
+  let points;
+  try {
+    points = parseTrack(data, format);
+  } catch (error) {
+    throw invalidFile(error);
+  }
+  if (points.length === 0) {
+    throw invalidFile(new Error('Track file contains no track points'));
+  }
+
+  const effectiveSettings = { ...DEFAULT_SETTINGS, ...settings };
+  const track = smoothTrack(points, effectiveSettings);
+  const peaks = detectPeaks(track, effectiveSettings).map(summarizePeak);
+
+  // One at a time, Overpass requests are queued anyway
+  for (const peak of peaks) {
+    peak.osmMatches = [];
+    if (!osmLookup) continue;
+
+    try {
+      const result = await findPeaks(peak.lat, peak.lon, osmRadius);
+      peak.osmMatches = result.peaks;
+    } catch (error) {
+      peak.osmError = error.message;
+    }
+  }
+
+  return {
+    settings: effectiveSettings,
+    stats: computeTrackStats(track, {
+      movingSpeedThreshold: effectiveSettings.stopSpeedThreshold,
+      ascentThreshold: effectiveSettings.ascentThreshold
+    }),
+    peaks
+  };
+}
+
+module.exports = {
+  parseDetectionSettings,
+  analyzeGpx
+};
@@ -0,0 +1,93 @@
+// Readers for OSM data files: Overpass JSON dumps, .osm XML and .osm.pbf extracts.
+// Each reader streams the file and collects the natural=peak|volcano nodes.
+
+const fs = require('fs');
+const sax = require('sax');
+const parseOsmPbf = require('osm-pbf-parser');
+
+const PEAK_TYPES = ['peak', 'volcano'];
+
+const isPeak = (tags) => tags && PEAK_TYPES.includes(tags.natural);
+
+const toPeak = (id, lat, lon, tags) => ({
+  osmId: Number(id),
+  natural: tags.natural,
+  name: tags.name || null,
+  latitude: Number(lat),
+  longitude: Number(lon),
+  // ele is free text in OSM ("2962", "2962 m", "2962.5")
+  elevation: isNaN(parseFloat(tags.ele)) ? null : parseFloat(tags.ele),
+  wikipedia: tags.wikipedia || null,
+  wikidata: tags.wikidata || null
+});
+
+function readOverpassJson(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  return (data.elements || [])
+    .filter(element => element.type === 'node' && isPeak(element.tags))
+    .map(element => toPeak(element.id, element.lat, element.lon, element.tags));
+}
+
+function readOsmXml(file) {
+  return new Promise((resolve, reject) => {
+    const peaks = [];
+    const stream = sax.createStream(true);
+    let node = null;
+
+    stream.on('opentag', tag => {
+      if (tag.name === 'node') {
+        node = { ...tag.attributes, tags: {} };
+      } else if (tag.name === 'tag' && node) {
+        node.tags[tag.attributes.k] = tag.attributes.v;
+      }
+    });
+    stream.on('closetag', name => {
+      if (name === 'node' && node) {
+        if (isPeak(node.tags)) peaks.push(toPeak(node.id, node.lat, node.lon, node.tags));
+        node = null;
+      }
+    });
+    stream.on('error', reject);
+    stream.on('end', () => resolve(peaks));
+
+    fs.createReadStream(file).on('error', reject).pipe(stream);
+  });
+}
+
+function readOsmPbf(file) {
+  return new Promise((resolve, reject) => {
+    const peaks = [];
+    const parser = parseOsmPbf();
+
+    parser.on('data', items => {
+      items.forEach(item => {
+        if (item.type === 'node' && isPeak(item.tags)) {
+          peaks.push(toPeak(item.id, item.lat, item.lon, item.tags));
+        }
+      });
+    });
+    parser.on('error', reject);
+    parser.on('end', () => resolve(peaks));
+
+    fs.createReadStream(file).on('error', reject).pipe(parser);
+  });
+}
+
+/**
+ * Read all peaks and volcanoes from an OSM file, chosen by its extension
+ * @param {string} file - Path to a .json (Overpass), .osm or .osm.pbf file
+ * @returns {Promise<Array>} Peaks with osmId, natural, name, latitude, longitude, elevation, wikipedia, wikidata
+ */
+async function readPeaks(file) {
+  const lower = file.toLowerCase();
+
+  if (lower.endsWith('.osm.pbf') || lower.endsWith('.pbf')) return readOsmPbf(file);
+  if (lower.endsWith('.osm') || lower.endsWith('.xml')) return readOsmXml(file);
+  if (lower.endsWith('.json')) return readOverpassJson(file);
+
+  throw new Error(`Unsupported file type: ${file} (expected .json, .osm or .osm.pbf)`);
+}
+
+module.exports = {
+  readPeaks
+};
@@ -0,0 +1,118 @@
+const path = require('path');
+const { isWikidataId } = require('@summit-tracker/shared');
+const { dbRun, dbGet, dbAll, withTransaction } = require('../database/db');
+const { haversineDistance, boundingBox } = require('../utils/geo');
+
+/**
+ * Store peaks in the local reference table, replacing earlier copies of the same nodes
+ * @param {Array} peaks - Peaks as returned by readPeaks()
+ * @param {string} source - File the peaks were read from
+ * @param {Object|null} area - { minLat, minLon, maxLat, maxLon } the extract covers completely.
+ *   Only inside such an area an empty local result is trusted, without it the
+ *   box of the peaks is recorded for information.
+ * @returns {Promise<Object>} Recorded bounding box and number of stored peaks
+ */
+async function savePeaks(peaks, source, area = null) {
+  if (peaks.length === 0 && !area) {
+    return { count: 0, bounds: null };
+  }
+
+  const importedAt = new Date().toISOString();
+  // Large extracts hold too many peaks to spread into Math.min/max
+  const bounds = area || peaks.reduce((box, p) => ({
+    minLat: Math.min(box.minLat, p.latitude),
+    minLon: Math.min(box.minLon, p.longitude),
+    maxLat: Math.max(box.maxLat, p.latitude),
+    maxLon: Math.max(box.maxLon, p.longitude)
+  }), { minLat: Infinity, minLon: Infinity, maxLat: -Infinity, maxLon: -Infinity });
+
+  await withTransaction(async () => {
+    for (const peak of peaks) {
+      await dbRun(
+        `INSERT OR REPLACE INTO peaks
+           (osm_id, natural, name, latitude, longitude, elevation, wikipedia, wikidata, imported_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          peak.osmId, peak.natural, peak.name, peak.latitude, peak.longitude,
+          peak.elevation, peak.wikipedia, peak.wikidata, importedAt
+        ]
+      );
+    }
+
+    await dbRun(
+      `INSERT INTO peak_imports (source, min_lat, min_lon, max_lat, max_lon, covers_area, peak_count, imported_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        path.basename(source), bounds.minLat, bounds.minLon, bounds.maxLat, bounds.maxLon,
+        area ? 1 : 0, peaks.length, importedAt
+      ]
+    );
+  });
+
+  return { count: peaks.length, bounds };
+}
+
+/**
+ * Whether a point lies inside the area of a local import made with an explicit area
+ */
+async function isCovered(lat, lon) {
+  const row = await dbGet(
+    `SELECT id FROM peak_imports
+     WHERE covers_area = 1
+       AND ? BETWEEN min_lat AND max_lat AND ? BETWEEN min_lon AND max_lon
+     LIMIT 1`,
+    [lat, lon]
+  );
+  return Boolean(row);
+}
+
+const formatPeak = (row) => ({
+  osmId: row.osm_id,
+  name: row.name,
+  latitude: row.latitude,
+  longitude: row.longitude,
+  elevation: row.elevation,
+  wikipedia: row.wikipedia,
+  wikidata: isWikidataId(row.wikidata) ? row.wikidata : null
+});
+
+/**
+ * Find peaks in the local table within radius meters of a point
+ * @returns {Promise<Array>} Peaks in the same shape as the Overpass lookup, without distance
+ */
+async function findLocalPeaks(lat, lon, radius) {
+  // Pre-filter with a bounding box on the coordinate index, then check the real distance
+  const box = boundingBox(lat, lon, radius);
+
+  const rows = await dbAll(
+    `SELECT * FROM peaks
+     WHERE latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?`,
+    [box.minLat, box.maxLat, box.minLon, box.maxLon]
+  );
+
+  return rows
+    .filter(row => haversineDistance(lat, lon, row.latitude, row.longitude) <= radius)
+    .map(formatPeak);
+}
+
+/**
+ * Find peaks in the local table by OSM node id
+ * @param {Array<number>} osmIds - Node ids
+ * @returns {Promise<Array>} The peaks that are in the table, same shape as findLocalPeaks()
+ */
+async function findLocalPeaksById(osmIds) {
+  if (osmIds.length === 0) return [];
+
+  const rows = await dbAll(
+    `SELECT * FROM peaks WHERE osm_id IN (${osmIds.map(() => '?').join(',')})`,
+    osmIds
+  );
+  return rows.map(formatPeak);
+}
+
+module.exports = {
+  savePeaks,
+  isCovered,
+  findLocalPeaks,
+  findLocalPeaksById
+};
@@ -0,0 +1,90 @@
+// Overpass API client. All upstream calls go through a single queue so the
+// public instance is never hit by more than one request at a time.
+
+const OVERPASS_URL = process.env.OVERPASS_URL || 'https://overpass-api.de/api/interpreter';
+const MIN_INTERVAL_MS = parseInt(process.env.OVERPASS_MIN_INTERVAL_MS || '1000', 10);
+const TIMEOUT_MS = 30000;
+const MAX_RETRIES = 2;
+
+let queue = Promise.resolve();
+let lastRequestAt = 0;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Build the query for peaks and volcanoes around a point
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} radius - Search radius in meters
+ * @returns {string} Overpass QL query
+ */
+function buildPeaksQuery(lat, lon, radius) {
+  return `
+    [out:json][timeout:25];
+    (
+      node["natural"="peak"](around:${radius},${lat},${lon});
+      node["natural"="volcano"](around:${radius},${lat},${lon});
+    );
+    out body;
+  `;
+}
+
+/**
+ * Build the query for nodes by id, whatever their tags are now
+ * @param {Array<number>} ids - OSM node ids
+ * @returns {string} Overpass QL query
+ */
+function buildNodesQuery(ids) {
+  return `
+    [out:json][timeout:25];
+    node(id:${ids.join(',')});
+    out body;
+  `;
+}
+
+async function sendQuery(query) {
+  for (let attempt = 0; ; attempt++) {
+    const wait = lastRequestAt + MIN_INTERVAL_MS - Date.now();
+    if (wait > 0) await sleep(wait);
+    lastRequestAt = Date.now();
+
+    const response = await fetch(OVERPASS_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ data: query }).toString(),
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+
+    // Overpass answers 429 (too many requests) or 504 (server busy) under load
+    if ((response.status === 429 || response.status === 504) && attempt < MAX_RETRIES) {
+      const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+      await sleep((retryAfter > 0 ? retryAfter * 1000 : MIN_INTERVAL_MS) * (attempt + 1));
+      continue;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Overpass request failed with status ${response.status}`);
+    }
+
+    return response.json();
+  }
+}
+
+/**
+ * Run an Overpass query, queued behind any pending ones
+ * @param {string} query - Overpass QL query
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+function runQuery(query) {
+  const result = queue.then(() => sendQuery(query));
+  // Keep the queue going even if this query fails
+  queue = result.catch(() => {});
+  return result;
+}
+
+module.exports = {
+  OVERPASS_URL,
+  buildPeaksQuery,
+  buildNodesQuery,
+  runQuery
+};
@@ -0,0 +1,133 @@
+const { isWikidataId } = require('@summit-tracker/shared');
+const { dbRun, dbGet } = require('../database/db');
+const { haversineDistance } = require('../utils/geo');
+const { buildPeaksQuery, buildNodesQuery, runQuery } = require('./overpass');
+const { isCovered, findLocalPeaks, findLocalPeaksById } = require('./local-peaks');
+
+const HOUR_MS = 60 * 60 * 1000;
+const CACHE_TTL_MS = parseFloat(process.env.OSM_CACHE_TTL_HOURS || '168') * HOUR_MS;
+// Empty results are cached shorter, new peaks get mapped all the time
+const EMPTY_CACHE_TTL_MS = parseFloat(process.env.OSM_CACHE_EMPTY_TTL_HOURS || '24') * HOUR_MS;
+// Expired entries are kept a while as fallback when Overpass is unavailable
+const STALE_RETENTION_MS = 30 * 24 * HOUR_MS;
+
+const DEFAULT_RADIUS = 100;
+const MAX_RADIUS = 5000;
+
+// 4 decimals are about 11 m, close enough to share results between lookups
+const roundCoordinate = (value) => Math.round(value * 1e4) / 1e4;
+
+// Identical lookups that arrive while a request is in flight share it
+const inFlight = new Map();
+
+const toPeak = (element) => ({
+  osmId: element.id,
+  name: element.tags?.name || null,
+  latitude: element.lat,
+  longitude: element.lon,
+  elevation: element.tags?.ele || element.tags?.elevation || null,
+  wikipedia: element.tags?.wikipedia || null,
+  // Some nodes tag several ids ("Q1;Q2"), those are left out
+  wikidata: isWikidataId(element.tags?.wikidata) ? element.tags.wikidata : null
+});
+
+async function fetchAndCache(cacheKey, lat, lon, radius) {
+  const data = await runQuery(buildPeaksQuery(lat, lon, radius));
+  const peaks = (data.elements || []).filter(element => element.type === 'node').map(toPeak);
+
+  const now = Date.now();
+  const ttl = peaks.length > 0 ? CACHE_TTL_MS : EMPTY_CACHE_TTL_MS;
+  await dbRun(
+    `INSERT OR REPLACE INTO osm_cache (cache_key, response, fetched_at, expires_at)
+     VALUES (?, ?, ?, ?)`,
+    [cacheKey, JSON.stringify(peaks), new Date(now).toISOString(), new Date(now + ttl).toISOString()]
+  );
+  await dbRun('DELETE FROM osm_cache WHERE expires_at < ?', [new Date(now - STALE_RETENTION_MS).toISOString()]);
+
+  return peaks;
+}
+
+const sortByDistance = (peaks, lat, lon) => peaks
+  .map(peak => ({
+    ...peak,
+    distance: Math.round(haversineDistance(lat, lon, peak.latitude, peak.longitude))
+  }))
+  .sort((a, b) => a.distance - b.distance);
+
+/**
+ * Find OSM peaks and volcanoes around a point. The local peaks table is asked
+ * first, then the Overpass cache, then Overpass itself.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} radius - Search radius in meters
+ * @returns {Promise<Object>} { peaks, source: 'local' | 'cache' | 'overpass', stale }, peaks sorted by distance
+ */
+async function findPeaks(lat, lon, radius = DEFAULT_RADIUS) {
+  // Inside an area imported with --bbox an empty result is a real answer, so no
+  // network is needed. Elsewhere an empty local result falls through to Overpass.
+  const localPeaks = await findLocalPeaks(lat, lon, radius);
+  if (localPeaks.length > 0 || await isCovered(lat, lon)) {
+    return { peaks: sortByDistance(localPeaks, lat, lon), source: 'local', stale: false };
+  }
+
+  const roundedLat = roundCoordinate(lat);
+  const roundedLon = roundCoordinate(lon);
+  const cacheKey = `peaks:${roundedLat}:${roundedLon}:${radius}`;
+
+  const cached = await dbGet('SELECT response, expires_at FROM osm_cache WHERE cache_key = ?', [cacheKey]);
+  let peaks;
+  let source = 'cache';
+  let stale = false;
+
+  if (cached && cached.expires_at > new Date().toISOString()) {
+    peaks = JSON.parse(cached.response);
+  } else {
+    if (!inFlight.has(cacheKey)) {
+      const request = fetchAndCache(cacheKey, roundedLat, roundedLon, radius)
+        .finally(() => inFlight.delete(cacheKey));
+      inFlight.set(cacheKey, request);
+    }
+
+    try {
+      peaks = await inFlight.get(cacheKey);
+      source = 'overpass';
+    } catch (error) {
+      if (!cached) throw error;
+      console.error('Overpass unavailable, serving stale cache entry:', error.message);
+      peaks = JSON.parse(cached.response);
+      stale = true;
+    }
+  }
+
+  return { peaks: sortByDistance(peaks, lat, lon), source, stale };
+}
+
+/**
+ * Look up OSM nodes by id, from the local peaks table where it has them and
+ * from Overpass otherwise. Nothing is cached, the caller wants current data.
+ * @param {Array<number>} osmIds - Node ids, kept to a few hundred per call
+ * @returns {Promise<Map>} Node id -> peak, without entries for nodes that no longer exist
+ */
+async function findPeaksById(osmIds) {
+  const found = new Map();
+  for (const peak of await findLocalPeaksById(osmIds)) {
+    found.set(peak.osmId, peak);
+  }
+
+  const missing = osmIds.filter(id => !found.has(id));
+  if (missing.length > 0) {
+    const data = await runQuery(buildNodesQuery(missing));
+    (data.elements || [])
+      .filter(element => element.type === 'node')
+      .forEach(element => found.set(element.id, toPeak(element)));
+  }
+
+  return found;
+}
+
+module.exports = {
+  DEFAULT_RADIUS,
+  MAX_RADIUS,
+  findPeaks,
+  findPeaksById
+};
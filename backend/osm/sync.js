@@ -0,0 +1,337 @@
+// Re-sync of stored summits with OpenStreetMap. Name, elevation, Wikipedia
+// link and Wikidata id of a summit are compared with its OSM node; differences wait in
+// osm_sync_changes until the user accepts or rejects them. Summits without a
+// node get the nearest OSM peak proposed as link.
+
+const { normalizeWikipedia } = require('@summit-tracker/shared');
+const { dbRun, dbGet, dbAll, withTransaction } = require('../database/db');
+const { formatSummit } = require('../database/summits');
+const { findPeaks, findPeaksById } = require('./peaks');
+
+// Summit columns of the fields the sync compares
+const SYNC_FIELDS = {
+  name: 'name',
+  elevation: 'elevation',
+  wikipedia: 'wikipedia',
+  wikidata: 'wikidata',
+  osmId: 'osm_id'
+};
+
+// Same tolerance as the duplicate check: an OSM peak this close is the summit
+const MATCH_DISTANCE = 100; // meters
+// Linked summits are looked up with one Overpass query per batch
+const NODE_BATCH_SIZE = 100;
+
+const HOUR_MS = 60 * 60 * 1000;
+const SYNC_INTERVAL_MS = parseFloat(process.env.OSM_SYNC_INTERVAL_HOURS || '0') * HOUR_MS;
+
+// Syncs started by users, by user id. They run in the background since a large
+// collection takes minutes; the client polls the status.
+const userSyncs = new Map();
+
+// OSM writes elevations as text ("2962", "2962 m"), summits keep whole meters
+const parseElevation = (value) => {
+  const elevation = parseFloat(value);
+  return isNaN(elevation) ? null : Math.round(elevation);
+};
+
+const currentValue = (summit, field) => {
+  const value = summit[SYNC_FIELDS[field]];
+  if (value === null || value === undefined) return null;
+  return field === 'elevation' ? Number(value) : value;
+};
+
+/**
+ * OSM values that differ from the summit. Tags missing in OSM are not proposed
+ * as removals, only a deleted node unlinks the summit (osmId -> null).
+ * @param {Object} summit - Summit row
+ * @param {Object|null} peak - Its OSM peak, null if the node no longer exists
+ * @returns {Object} field -> OSM value
+ */
+const diffSummit = (summit, peak) => {
+  if (!peak) {
+    return summit.osm_id ? { osmId: null } : {};
+  }
+
+  const osm = {
+    name: peak.name,
+    elevation: parseElevation(peak.elevation),
+    wikipedia: normalizeWikipedia(peak.wikipedia),
+    wikidata: peak.wikidata,
+    osmId: peak.osmId
+  };
+
+  return Object.fromEntries(Object.keys(SYNC_FIELDS)
+    .filter(field => osm[field] !== null && osm[field] !== undefined)
+    .filter(field => osm[field] !== currentValue(summit, field))
+    .map(field => [field, osm[field]]));
+};
+
+// Summits to sync, oldest sync first. Unowned legacy summits are left out.
+const findSummitsToSync = ({ userId, summitIds, syncedBefore } = {}) => {
+  const conditions = ['user_id IS NOT NULL'];
+  const params = [];
+
+  if (userId) {
+    conditions.push('user_id = ?');
+    params.push(userId);
+  }
+  if (summitIds) {
+    conditions.push(`id IN (${summitIds.map(() => '?').join(',')})`);
+    params.push(...summitIds);
+  }
+  if (syncedBefore) {
+    conditions.push('(osm_synced_at IS NULL OR osm_synced_at < ?)');
+    params.push(syncedBefore);
+  }
+
+  return dbAll(
+    `SELECT * FROM summits WHERE ${conditions.join(' AND ')} ORDER BY osm_synced_at IS NOT NULL, osm_synced_at`,
+    params
+  );
+};
+
+/**
+ * Store what a sync found for a summit. Values the user rejected before are
+ * not proposed again, unless OSM has changed them since.
+ * @returns {Promise<boolean>} Whether changes are pending for the summit
+ */
+async function storeSyncResult(summit, found) {
+  const existing = await dbGet('SELECT rejected FROM osm_sync_changes WHERE summit_id = ?', [summit.id]);
+  const previouslyRejected = existing ? JSON.parse(existing.rejected) : {};
+
+  const changes = {};
+  const rejected = {};
+  for (const [field, value] of Object.entries(found)) {
+    if (field in previouslyRejected && previouslyRejected[field] === value) {
+      rejected[field] = value;
+    } else {
+      changes[field] = value;
+    }
+  }
+
+  const now = new Date().toISOString();
+  await withTransaction(async () => {
+    if (Object.keys(changes).length === 0 && Object.keys(rejected).length === 0) {
+      await dbRun('DELETE FROM osm_sync_changes WHERE summit_id = ?', [summit.id]);
+    } else {
+      await dbRun(
+        `INSERT OR REPLACE INTO osm_sync_changes (summit_id, user_id, changes, rejected, detected_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [summit.id, summit.user_id, JSON.stringify(changes), JSON.stringify(rejected), now]
+      );
+    }
+    await dbRun('UPDATE summits SET osm_synced_at = ? WHERE id = ?', [now, summit.id]);
+  });
+
+  return Object.keys(changes).length > 0;
+}
+
+/**
+ * Compare summits with the configured peak source (local peaks table, else Overpass)
+ * and record the differences. A failed lookup leaves the summit for the next run.
+ * @param {Object} options - { userId, summitIds, syncedBefore (ISO date), log,
+ *   onProgress (called with { total, checked, changed, failed } after each summit) }
+ * @returns {Promise<Object>} { checked, changed, failed }
+ */
+async function syncSummits({ log = () => {}, onProgress = () => {}, ...filters } = {}) {
+  const summits = await findSummitsToSync(filters);
+  const result = { checked: 0, changed: 0, failed: 0 };
+  const progress = () => onProgress({ total: summits.length, ...result });
+  progress();
+
+  const record = async (summit, peak) => {
+    if (await storeSyncResult(summit, diffSummit(summit, peak))) result.changed++;
+    result.checked++;
+    progress();
+  };
+
+  const linked = summits.filter(summit => summit.osm_id);
+  for (let i = 0; i < linked.length; i += NODE_BATCH_SIZE) {
+    const batch = linked.slice(i, i + NODE_BATCH_SIZE);
+    let nodes;
+    try {
+      nodes = await findPeaksById(batch.map(summit => summit.osm_id));
+    } catch (error) {
+      log(`OSM lookup failed for ${batch.length} summits: ${error.message}`);
+      result.failed += batch.length;
+      progress();
+      continue;
+    }
+
+    for (const summit of batch) {
+      await record(summit, nodes.get(summit.osm_id) || null);
+    }
+  }
+
+  for (const summit of summits.filter(s => !s.osm_id)) {
+    try {
+      const { peaks } = await findPeaks(summit.latitude, summit.longitude, MATCH_DISTANCE);
+      await record(summit, peaks[0] || null);
+    } catch (error) {
+      log(`OSM lookup failed for ${summit.name}: ${error.message}`);
+      result.failed++;
+      progress();
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Start a sync of the user's summits in the background, unless one is running already
+ * @param {number} userId - Owner of the summits
+ * @param {Array<number>} [summitIds] - Only these summits
+ * @returns {Object} Status of the running sync, see userSyncStatus()
+ */
+function startUserSync(userId, summitIds) {
+  const current = userSyncs.get(userId);
+  if (current && current.running) return { ...current };
+
+  const status = {
+    running: true,
+    total: null,
+    checked: 0,
+    changed: 0,
+    failed: 0,
+    error: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null
+  };
+  userSyncs.set(userId, status);
+
+  syncSummits({
+    userId,
+    summitIds,
+    log: message => console.error(message),
+    onProgress: progress => Object.assign(status, progress)
+  })
+    .catch(error => {
+      console.error('OSM sync failed:', error);
+      status.error = error.message;
+    })
+    .finally(() => {
+      status.running = false;
+      status.finishedAt = new Date().toISOString();
+    });
+
+  return { ...status };
+}
+
+/**
+ * Progress of the user's last sync started with startUserSync()
+ * @returns {Object|null} { running, total, checked, changed, failed, error, startedAt, finishedAt }
+ */
+function userSyncStatus(userId) {
+  const status = userSyncs.get(userId);
+  return status ? { ...status } : null;
+}
+
+/**
+ * Pending sync changes, with the summit's current values next to the OSM ones.
+ * Changes the summit has caught up with in the meantime are left out.
+ * @param {number|null} userId - Only this user's summits, null for all
+ * @returns {Promise<Array>} [{ summit, detectedAt, changes: { field: { current, osm } } }] by summit name
+ */
+async function findSyncChanges(userId = null) {
+  const rows = await dbAll(
+    `SELECT s.*, c.changes AS sync_changes, c.detected_at AS sync_detected_at
+     FROM osm_sync_changes c
+     JOIN summits s ON s.id = c.summit_id
+     WHERE c.changes != '{}'${userId ? ' AND c.user_id = ?' : ''}
+     ORDER BY s.name COLLATE NOCASE`,
+    userId ? [userId] : []
+  );
+
+  return rows
+    .map(row => ({
+      summit: formatSummit(row),
+      detectedAt: row.sync_detected_at,
+      changes: Object.fromEntries(Object.entries(JSON.parse(row.sync_changes))
+        .filter(([field, osm]) => osm !== currentValue(row, field))
+        .map(([field, osm]) => [field, { current: currentValue(row, field), osm }]))
+    }))
+    .filter(entry => Object.keys(entry.changes).length > 0);
+}
+
+/**
+ * Apply the accepted fields of a summit's pending changes. The other pending
+ * fields count as rejected.
+ * @param {number} userId - Owner of the summit
+ * @param {number} summitId - Summit
+ * @param {Array<string>} fields - Accepted fields, empty to reject all
+ * @returns {Promise<Object|null>} The updated summit row, null if nothing was pending
+ */
+async function applySyncChanges(userId, summitId, fields) {
+  const unknown = fields.filter(field => !(field in SYNC_FIELDS));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown sync fields: ${unknown.join(', ')}`);
+  }
+
+  return withTransaction(async () => {
+    const row = await dbGet(
+      'SELECT * FROM osm_sync_changes WHERE summit_id = ? AND user_id = ?',
+      [summitId, userId]
+    );
+    if (!row) return null;
+
+    const changes = JSON.parse(row.changes);
+    const rejected = JSON.parse(row.rejected);
+    const accepted = fields.filter(field => field in changes);
+
+    if (accepted.length > 0) {
+      await dbRun(
+        `UPDATE summits SET ${accepted.map(field => `${SYNC_FIELDS[field]} = ?`).join(', ')}, updated_at = ?
+         WHERE id = ?`,
+        [...accepted.map(field => changes[field]), new Date().toISOString(), summitId]
+      );
+    }
+
+    for (const [field, value] of Object.entries(changes)) {
+      if (!accepted.includes(field)) rejected[field] = value;
+    }
+    await dbRun(
+      `UPDATE osm_sync_changes SET changes = '{}', rejected = ? WHERE summit_id = ?`,
+      [JSON.stringify(rejected), summitId]
+    );
+
+    return dbGet('SELECT * FROM summits WHERE id = ?', [summitId]);
+  });
+}
+
+/**
+ * Re-sync summits whose last sync is older than OSM_SYNC_INTERVAL_HOURS, checked
+ * hourly so a large collection is spread out. Does nothing when the interval is not set.
+ */
+function startSyncJob() {
+  if (!(SYNC_INTERVAL_MS > 0)) return;
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const syncedBefore = new Date(Date.now() - SYNC_INTERVAL_MS).toISOString();
+      const result = await syncSummits({ syncedBefore, log: message => console.error(message) });
+      if (result.checked > 0 || result.failed > 0) {
+        console.log(`OSM sync: ${result.checked} summits checked, ${result.changed} with changes, ${result.failed} failed`);
+      }
+    } catch (error) {
+      console.error('OSM sync failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  setInterval(run, Math.min(SYNC_INTERVAL_MS, HOUR_MS));
+}
+
+module.exports = {
+  SYNC_FIELDS,
+  syncSummits,
+  startUserSync,
+  userSyncStatus,
+  findSyncChanges,
+  applySyncChanges,
+  startSyncJob
+};
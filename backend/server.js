@@ -1,105 +1,314 @@
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
+const cookieParser = require('cookie-parser');
 require('dotenv').config();
 
-const { dbRun, dbGet, dbAll, withTransaction, initializeDatabase } = require('./database/db');
+const { dbRun, dbGet, dbAll, withTransaction, generateId, initializeDatabase } = require('./database/db');
+const {
+  SESSION_DURATION,
+  createUser,
+  verifyUser,
+  createSession,
+  deleteSession,
+  requireAuth
+} = require('./database/auth');
+const { claimUnownedDataForFirstUser } = require('./database/ownership');
+const {
+  SUMMIT_WITH_STATS_SQL,
+  formatSummit,
+  parseOsmId,
+  parseWikidataId,
+  isVisitDate,
+  formatSummitWithStats,
+  formatVisit,
+  findSummitByCoordinates,
+  findSummitsNear,
+  findSummitsInBbox,
+  buildVisitFilter,
+  searchSummits,
+  findSummitsWithVisits
+} = require('./database/summits');
+const { IMPORT_MODES, importData } = require('./database/importer');
+const { buildGpx } = require('./formats/gpx');
+const { buildGeoJson, parseGeoJson } = require('./formats/geojson');
+const { buildKml, buildKmz, parseKml, parseKmz } = require('./formats/kml');
+const { buildSummitsCsv, buildVisitsCsv } = require('./formats/csv');
+const { DEFAULT_RADIUS, MAX_RADIUS, findPeaks } = require('./osm/peaks');
+const {
+  SYNC_FIELDS,
+  startUserSync,
+  userSyncStatus,
+  findSyncChanges,
+  applySyncChanges,
+  startSyncJob
+} = require('./osm/sync');
+const { attachWikidata } = require('./wikidata/entities');
+const { isElevationConfigured, getElevation, getElevations } = require('./elevation/srtm');
+const { parseBbox } = require('./utils/geo');
+const { parseDetectionSettings, analyzeGpx } = require('./gpx/analyze');
+const { TRACK_FORMATS, normalizeWikipedia } = require('@summit-tracker/shared');
+const { TRACK_CONTENT_TYPES, formatTrack, createTrack, findTrack } = require('./database/tracks');
+const {
+  MAX_NAME_LENGTH,
+  formatPreset,
+  findPresets,
+  findPreset,
+  findPresetByName,
+  lastUsedPresetId,
+  createPreset,
+  updatePreset,
+  markPresetUsed,
+  clearPresetsUsed
+} = require('./database/presets');
+
+const EXPORT_FORMATS = ['json', 'gpx', 'geojson', 'kml', 'kmz', 'csv'];
+
+// Geo formats that can be converted into summits for the bulk import
+const IMPORT_PARSERS = {
+  geojson: (body) => parseGeoJson(body.toString('utf-8')),
+  kml: parseKml,
+  kmz: parseKmz
+};
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
-app.use(cors());
-app.use(bodyParser.json());
+// Credentials (session cookie) require an explicit origin instead of '*'
+app.use(cors({
+  origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
+  credentials: true,
+  // Lets the frontend read download file names
+  exposedHeaders: ['Content-Disposition']
+}));
+app.use(bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.urlencoded({ extended: true }));
+app.use(cookieParser());
+
+const SESSION_COOKIE = 'sessionId';
+
+const sessionCookieOptions = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  maxAge: SESSION_DURATION
+};
+
+// ===== AUTH ENDPOINTS =====
 
-// Initialize database on startup
-initializeDatabase().catch(err => {
-  console.error('Failed to initialize database:', err);
-  process.exit(1);
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { username, password, email } = req.body;
+    
+    if (typeof username !== 'string' || typeof password !== 'string' || !username.trim() || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+    
+    if (email !== undefined && email !== null && typeof email !== 'string') {
+      return res.status(400).json({ error: 'Email must be a string' });
+    }
+    
+    if (password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+    
+    let user;
+    try {
+      user = await createUser(username.trim(), password, email || null);
+    } catch (err) {
+      if (err.message === 'Username already exists') {
+        return res.status(409).json({ error: err.message });
+      }
+      throw err;
+    }
+    
+    // The first account on an existing installation inherits the legacy logbook
+    const claimed = await claimUnownedDataForFirstUser(user.id);
+    if (claimed && (claimed.summits > 0 || claimed.visits > 0)) {
+      console.log(`Assigned ${claimed.summits} summits and ${claimed.visits} visits to ${user.username}`);
+    }
+    
+    const sessionId = await createSession(user.id);
+    res.cookie(SESSION_COOKIE, sessionId, sessionCookieOptions);
+    
+    res.status(201).json({
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email
+      }
+    });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({ error: 'Failed to register user' });
+  }
 });
 
-// ===== HELPERS =====
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    
+    if (typeof username !== 'string' || typeof password !== 'string' || !username.trim() || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+    
+    const user = await verifyUser(username.trim(), password);
+    
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    
+    const sessionId = await createSession(user.id);
+    res.cookie(SESSION_COOKIE, sessionId, sessionCookieOptions);
+    
+    res.json({
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email
+      }
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
 
-// Convert database rows (snake_case) to the camelCase shape used by the frontend
-const formatSummit = (summit) => ({
-  id: summit.id,
-  name: summit.name,
-  latitude: summit.latitude,
-  longitude: summit.longitude,
-  elevation: summit.elevation,
-  wikipedia: summit.wikipedia,
-  createdAt: summit.created_at,
-  updatedAt: summit.updated_at
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const sessionId = req.cookies?.[SESSION_COOKIE];
+    
+    if (sessionId) {
+      await deleteSession(sessionId);
+    }
+    
+    const { maxAge, ...clearOptions } = sessionCookieOptions;
+    res.clearCookie(SESSION_COOKIE, clearOptions);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
 });
 
-const formatVisit = (visit) => ({
-  id: visit.id,
-  summitId: visit.summit_id,
-  date: visit.date,
-  notes: visit.notes,
-  createdAt: visit.created_at
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({ user: req.user });
 });
 
-// Find a summit at (roughly) the same coordinates - used for duplicate detection
-const findSummitByCoordinates = (latitude, longitude) => {
-  return dbGet(
-    'SELECT * FROM summits WHERE ABS(latitude - ?) < 0.001 AND ABS(longitude - ?) < 0.001',
-    [parseFloat(latitude), parseFloat(longitude)]
-  );
-};
+// Everything below requires a logged-in user
+app.use('/api', requireAuth);
 
 // ===== SUMMIT ENDPOINTS =====
 
 // GET all summits with visit counts
+// With ?bbox=minLon,minLat,maxLon,maxLat only summits inside the box are returned,
+// sorted by distance from the box center (or from ?lat=&lon= when given)
 app.get('/api/summits', async (req, res) => {
   try {
-    const summits = await dbAll(`
-      SELECT 
-        s.*,
-        COUNT(v.id) as visitCount,
-        MAX(v.date) as lastVisited
-      FROM summits s
-      LEFT JOIN visits v ON s.id = v.summit_id
-      GROUP BY s.id
-      ORDER BY s.name
-    `);
+    let summits;
     
-    // Convert snake_case to camelCase for frontend compatibility
-    const formattedSummits = summits.map(summit => ({
-      id: summit.id,
-      name: summit.name,
-      latitude: summit.latitude,
-      longitude: summit.longitude,
-      elevation: summit.elevation,
-      wikipedia: summit.wikipedia,
-      createdAt: summit.created_at,
-      updatedAt: summit.updated_at,
-      visitCount: summit.visitCount,
-      lastVisited: summit.lastVisited
-    }));
+    if (req.query.bbox) {
+      const bbox = parseBbox(req.query.bbox);
+      if (!bbox) {
+        return res.status(400).json({ error: 'bbox must be minLon,minLat,maxLon,maxLat' });
+      }
+      
+      const lat = parseFloat(req.query.lat);
+      const lon = parseFloat(req.query.lon);
+      const center = isNaN(lat) || isNaN(lon) ? null : { lat, lon };
+      summits = await findSummitsInBbox(req.user.id, bbox, center);
+    } else {
+      summits = await dbAll(`
+        ${SUMMIT_WITH_STATS_SQL}
+        WHERE s.user_id = ?
+        GROUP BY s.id
+        ORDER BY s.name
+      `, [req.user.id]);
+    }
     
-    res.json(formattedSummits);
+    // Convert snake_case to camelCase for frontend compatibility
+    res.json(await attachWikidata(summits.map(formatSummitWithStats)));
   } catch (error) {
     console.error('Error fetching summits:', error);
     res.status(500).json({ error: 'Failed to fetch summits' });
   }
 });
 
+// GET summits within ?radius= meters (default 1000) of ?lat=&lon=, nearest first
+app.get('/api/summits/near', async (req, res) => {
+  const lat = parseFloat(req.query.lat);
+  const lon = parseFloat(req.query.lon);
+  const radius = req.query.radius === undefined ? 1000 : parseFloat(req.query.radius);
+  const limit = req.query.limit === undefined ? Infinity : parseInt(req.query.limit, 10);
+  
+  if (isNaN(lat) || lat < -90 || lat > 90 || isNaN(lon) || lon < -180 || lon > 180) {
+    return res.status(400).json({ error: 'Valid lat and lon are required' });
+  }
+  if (isNaN(radius) || radius <= 0) {
+    return res.status(400).json({ error: 'Radius must be a positive number of meters' });
+  }
+  if (isNaN(limit) || limit < 1) {
+    return res.status(400).json({ error: 'Limit must be a positive number' });
+  }
+  
+  try {
+    const summits = await findSummitsNear(req.user.id, lat, lon, radius, limit);
+    res.json(await attachWikidata(summits.map(formatSummitWithStats)));
+  } catch (error) {
+    console.error('Error searching nearby summits:', error);
+    res.status(500).json({ error: 'Failed to search summits' });
+  }
+});
+
+// Summits per search page by default, and the most one page may hold
+const SUMMIT_PAGE_SIZE = 100;
+const MAX_SUMMIT_PAGE_SIZE = 500;
+
+// GET one page of summits by name (?q=), optionally only those visited in ?year= / ?season=,
+// sorted by name. Lists search the whole collection, also when the map loads only its viewport.
+app.get('/api/summits/search', async (req, res) => {
+  const limit = req.query.limit === undefined ? SUMMIT_PAGE_SIZE : parseInt(req.query.limit, 10);
+  const offset = req.query.offset === undefined ? 0 : parseInt(req.query.offset, 10);
+  
+  if (isNaN(limit) || limit < 1 || limit > MAX_SUMMIT_PAGE_SIZE) {
+    return res.status(400).json({ error: `Limit must be between 1 and ${MAX_SUMMIT_PAGE_SIZE}` });
+  }
+  if (isNaN(offset) || offset < 0) {
+    return res.status(400).json({ error: 'Offset must not be negative' });
+  }
+  
+  try {
+    const search = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const { summits, total } = await searchSummits(
+      req.user.id,
+      { search, year: req.query.year, season: req.query.season },
+      { limit, offset }
+    );
+    res.json({ summits: await attachWikidata(summits.map(formatSummitWithStats)), total });
+  } catch (error) {
+    console.error('Error searching summits:', error);
+    res.status(500).json({ error: 'Failed to search summits' });
+  }
+});
+
 // GET single summit with all visits
 app.get('/api/summits/:id', async (req, res) => {
   try {
     const summitId = parseInt(req.params.id);
     
-    const summit = await dbGet('SELECT * FROM summits WHERE id = ?', [summitId]);
+    const summit = await dbGet(
+      'SELECT * FROM summits WHERE id = ? AND user_id = ?',
+      [summitId, req.user.id]
+    );
     
     if (!summit) {
       return res.status(404).json({ error: 'Summit not found' });
     }
     
     const visits = await dbAll(
-      'SELECT * FROM visits WHERE summit_id = ? ORDER BY date DESC',
-      [summitId]
+      'SELECT * FROM visits WHERE summit_id = ? AND user_id = ? ORDER BY date DESC',
+      [summitId, req.user.id]
     );
     
     // Format for frontend
@@ -108,6 +317,7 @@ app.get('/api/summits/:id', async (req, res) => {
       summitId: v.summit_id,
       date: v.date,
       notes: v.notes,
+      trackId: v.track_id,
       createdAt: v.created_at
     }));
     
@@ -118,6 +328,8 @@ app.get('/api/summits/:id', async (req, res) => {
       longitude: summit.longitude,
       elevation: summit.elevation,
       wikipedia: summit.wikipedia,
+      wikidata: summit.wikidata,
+      osmId: summit.osm_id,
       createdAt: summit.created_at,
       updatedAt: summit.updated_at,
       visits: formattedVisits
@@ -137,8 +349,17 @@ app.post('/api/summits', async (req, res) => {
       return res.status(400).json({ error: 'Name, latitude, and longitude are required' });
     }
     
+    let osmId;
+    let wikidata;
+    try {
+      osmId = parseOsmId(req.body.osmId);
+      wikidata = parseWikidataId(req.body.wikidata);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
     // Check if summit already exists (by coordinates)
-    const existing = await findSummitByCoordinates(latitude, longitude);
+    const existing = await findSummitByCoordinates(req.user.id, latitude, longitude);
     
     if (existing) {
       return res.status(409).json({ 
@@ -153,13 +374,16 @@ app.post('/api/summits', async (req, res) => {
     }
     
     // Generate ID and timestamps
-    const id = Date.now();
+    const id = generateId();
     const createdAt = new Date().toISOString();
     
     await dbRun(
-      `INSERT INTO summits (id, name, latitude, longitude, elevation, wikipedia, created_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [id, name, parseFloat(latitude), parseFloat(longitude), elevation || null, wikipedia || null, createdAt]
+      `INSERT INTO summits (id, user_id, name, latitude, longitude, elevation, wikipedia, wikidata, osm_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id, req.user.id, name, parseFloat(latitude), parseFloat(longitude), elevation || null,
+        normalizeWikipedia(wikipedia), wikidata, osmId, createdAt
+      ]
     );
     
     const newSummit = await dbGet('SELECT * FROM summits WHERE id = ?', [id]);
@@ -171,6 +395,8 @@ app.post('/api/summits', async (req, res) => {
       longitude: newSummit.longitude,
       elevation: newSummit.elevation,
       wikipedia: newSummit.wikipedia,
+      wikidata: newSummit.wikidata,
+      osmId: newSummit.osm_id,
       createdAt: newSummit.created_at
     });
   } catch (error) {
@@ -183,31 +409,51 @@ app.post('/api/summits', async (req, res) => {
 // If a summit already exists at these coordinates the visit is attached to it.
 app.post('/api/summits-with-visit', async (req, res) => {
   try {
-    const { name, latitude, longitude, elevation, wikipedia, date, notes } = req.body;
+    const { name, latitude, longitude, elevation, wikipedia, date, notes, trackId } = req.body;
     
     if (!name || !latitude || !longitude || !date) {
       return res.status(400).json({ error: 'Name, latitude, longitude, and date are required' });
     }
     
+    if (!isVisitDate(date)) {
+      return res.status(400).json({ error: 'Date must be a date like 2024-07-15' });
+    }
+    
+    let osmId;
+    let wikidata;
+    try {
+      osmId = parseOsmId(req.body.osmId);
+      wikidata = parseWikidataId(req.body.wikidata);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    if (trackId && !(await findTrack(req.user.id, trackId))) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+    
     const result = await withTransaction(async () => {
-      let summit = await findSummitByCoordinates(latitude, longitude);
+      let summit = await findSummitByCoordinates(req.user.id, latitude, longitude);
       const summitCreated = !summit;
       const createdAt = new Date().toISOString();
       
       if (summitCreated) {
-        const summitId = Date.now();
+        const summitId = generateId();
         await dbRun(
-          `INSERT INTO summits (id, name, latitude, longitude, elevation, wikipedia, created_at)
-           VALUES (?, ?, ?, ?, ?, ?, ?)`,
-          [summitId, name, parseFloat(latitude), parseFloat(longitude), elevation || null, wikipedia || null, createdAt]
+          `INSERT INTO summits (id, user_id, name, latitude, longitude, elevation, wikipedia, wikidata, osm_id, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            summitId, req.user.id, name, parseFloat(latitude), parseFloat(longitude), elevation || null,
+            normalizeWikipedia(wikipedia), wikidata, osmId, createdAt
+          ]
         );
         summit = await dbGet('SELECT * FROM summits WHERE id = ?', [summitId]);
       }
       
-      const visitId = Date.now();
+      const visitId = generateId();
       await dbRun(
-        'INSERT INTO visits (id, summit_id, date, notes, created_at) VALUES (?, ?, ?, ?, ?)',
-        [visitId, summit.id, date, notes || null, createdAt]
+        'INSERT INTO visits (id, summit_id, user_id, date, notes, track_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [visitId, summit.id, req.user.id, date, notes || null, trackId || null, createdAt]
       );
       const visit = await dbGet('SELECT * FROM visits WHERE id = ?', [visitId]);
       
@@ -231,7 +477,19 @@ app.put('/api/summits/:id', async (req, res) => {
     const summitId = parseInt(req.params.id);
     const { name, latitude, longitude, elevation, wikipedia } = req.body;
     
-    const existing = await dbGet('SELECT * FROM summits WHERE id = ?', [summitId]);
+    let osmId;
+    let wikidata;
+    try {
+      osmId = req.body.osmId !== undefined ? parseOsmId(req.body.osmId) : undefined;
+      wikidata = req.body.wikidata !== undefined ? parseWikidataId(req.body.wikidata) : undefined;
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    const existing = await dbGet(
+      'SELECT * FROM summits WHERE id = ? AND user_id = ?',
+      [summitId, req.user.id]
+    );
     
     if (!existing) {
       return res.status(404).json({ error: 'Summit not found' });
@@ -241,14 +499,16 @@ app.put('/api/summits/:id', async (req, res) => {
     
     await dbRun(
       `UPDATE summits 
-       SET name = ?, latitude = ?, longitude = ?, elevation = ?, wikipedia = ?, updated_at = ?
+       SET name = ?, latitude = ?, longitude = ?, elevation = ?, wikipedia = ?, wikidata = ?, osm_id = ?, updated_at = ?
        WHERE id = ?`,
       [
         name || existing.name,
         latitude !== undefined ? parseFloat(latitude) : existing.latitude,
         longitude !== undefined ? parseFloat(longitude) : existing.longitude,
         elevation !== undefined ? elevation : existing.elevation,
-        wikipedia !== undefined ? wikipedia : existing.wikipedia,
+        wikipedia !== undefined ? normalizeWikipedia(wikipedia) : existing.wikipedia,
+        wikidata !== undefined ? wikidata : existing.wikidata,
+        osmId !== undefined ? osmId : existing.osm_id,
         updatedAt,
         summitId
       ]
@@ -263,6 +523,8 @@ app.put('/api/summits/:id', async (req, res) => {
       longitude: updated.longitude,
       elevation: updated.elevation,
       wikipedia: updated.wikipedia,
+      wikidata: updated.wikidata,
+      osmId: updated.osm_id,
       createdAt: updated.created_at,
       updatedAt: updated.updated_at
     });
@@ -277,7 +539,10 @@ app.delete('/api/summits/:id', async (req, res) => {
   try {
     const summitId = parseInt(req.params.id);
     
-    const existing = await dbGet('SELECT * FROM summits WHERE id = ?', [summitId]);
+    const existing = await dbGet(
+      'SELECT * FROM summits WHERE id = ? AND user_id = ?',
+      [summitId, req.user.id]
+    );
     
     if (!existing) {
       return res.status(404).json({ error: 'Summit not found' });
@@ -299,39 +564,19 @@ app.delete('/api/summits/:id', async (req, res) => {
 // GET all visits (with optional filters)
 app.get('/api/visits', async (req, res) => {
   try {
-    const { summitId, year, season } = req.query;
+    const filter = buildVisitFilter(req.query);
     
     let sql = `
       SELECT v.*, s.name as summit_name
       FROM visits v
       JOIN summits s ON v.summit_id = s.id
-      WHERE 1=1
+      WHERE v.user_id = ?
     `;
-    const params = [];
-    
-    if (summitId) {
-      sql += ' AND v.summit_id = ?';
-      params.push(parseInt(summitId));
-    }
-    
-    if (year) {
-      sql += ' AND strftime("%Y", v.date) = ?';
-      params.push(year);
-    }
+    const params = [req.user.id, ...filter.params];
     
-    if (season) {
-      const seasonMonths = {
-        'winter': ['12', '01', '02'],
-        'spring': ['03', '04', '05'],
-        'summer': ['06', '07', '08'],
-        'autumn': ['09', '10', '11']
-      };
-      
-      if (seasonMonths[season]) {
-        sql += ' AND strftime("%m", v.date) IN (' + seasonMonths[season].map(() => '?').join(',') + ')';
-        params.push(...seasonMonths[season]);
-      }
-    }
+    filter.conditions.forEach(condition => {
+      sql += ` AND ${condition}`;
+    });
     
     sql += ' ORDER BY v.date DESC';
     
@@ -343,6 +588,7 @@ app.get('/api/visits', async (req, res) => {
       summitName: v.summit_name,
       date: v.date,
       notes: v.notes,
+      trackId: v.track_id,
       createdAt: v.created_at
     }));
     
@@ -356,24 +602,35 @@ app.get('/api/visits', async (req, res) => {
 // POST new visit
 app.post('/api/visits', async (req, res) => {
   try {
-    const { summitId, date, notes } = req.body;
+    const { summitId, date, notes, trackId } = req.body;
     
     if (!summitId || !date) {
       return res.status(400).json({ error: 'Summit ID and date are required' });
     }
     
+    if (!isVisitDate(date)) {
+      return res.status(400).json({ error: 'Date must be a date like 2024-07-15' });
+    }
+    
     // Verify summit exists
-    const summit = await dbGet('SELECT * FROM summits WHERE id = ?', [summitId]);
+    const summit = await dbGet(
+      'SELECT * FROM summits WHERE id = ? AND user_id = ?',
+      [summitId, req.user.id]
+    );
     if (!summit) {
       return res.status(404).json({ error: 'Summit not found' });
     }
     
-    const id = Date.now();
+    if (trackId && !(await findTrack(req.user.id, trackId))) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+    
+    const id = generateId();
     const createdAt = new Date().toISOString();
     
     await dbRun(
-      'INSERT INTO visits (id, summit_id, date, notes, created_at) VALUES (?, ?, ?, ?, ?)',
-      [id, summitId, date, notes || null, createdAt]
+      'INSERT INTO visits (id, summit_id, user_id, date, notes, track_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [id, summitId, req.user.id, date, notes || null, trackId || null, createdAt]
     );
     
     const newVisit = await dbGet('SELECT * FROM visits WHERE id = ?', [id]);
@@ -383,6 +640,7 @@ app.post('/api/visits', async (req, res) => {
       summitId: newVisit.summit_id,
       date: newVisit.date,
       notes: newVisit.notes,
+      trackId: newVisit.track_id,
       createdAt: newVisit.created_at
     });
   } catch (error) {
@@ -397,7 +655,14 @@ app.put('/api/visits/:id', async (req, res) => {
     const visitId = parseInt(req.params.id);
     const { date, notes } = req.body;
     
-    const existing = await dbGet('SELECT * FROM visits WHERE id = ?', [visitId]);
+    if (date && !isVisitDate(date)) {
+      return res.status(400).json({ error: 'Date must be a date like 2024-07-15' });
+    }
+    
+    const existing = await dbGet(
+      'SELECT * FROM visits WHERE id = ? AND user_id = ?',
+      [visitId, req.user.id]
+    );
     
     if (!existing) {
       return res.status(404).json({ error: 'Visit not found' });
@@ -415,6 +680,7 @@ app.put('/api/visits/:id', async (req, res) => {
       summitId: updated.summit_id,
       date: updated.date,
       notes: updated.notes,
+      trackId: updated.track_id,
       createdAt: updated.created_at
     });
   } catch (error) {
@@ -428,7 +694,10 @@ app.delete('/api/visits/:id', async (req, res) => {
   try {
     const visitId = parseInt(req.params.id);
     
-    const existing = await dbGet('SELECT * FROM visits WHERE id = ?', [visitId]);
+    const existing = await dbGet(
+      'SELECT * FROM visits WHERE id = ? AND user_id = ?',
+      [visitId, req.user.id]
+    );
     
     if (!existing) {
       return res.status(404).json({ error: 'Visit not found' });
@@ -443,6 +712,394 @@ app.delete('/api/visits/:id', async (req, res) => {
   }
 });
 
+// ===== TRACK ENDPOINTS =====
+
+// POST upload a track file (GPX, TCX, KML or FIT) as raw body (?fileName=&format=).
+// Visits link to it via trackId.
+app.post('/api/tracks', express.raw({ type: '*/*', limit: '20mb' }), async (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'No track file uploaded' });
+  }
+  
+  try {
+    const track = await createTrack(req.user.id, req.body, {
+      fileName: req.query.fileName || null,
+      format: req.query.format
+    });
+    res.status(201).json(formatTrack(track));
+  } catch (error) {
+    if (error.invalidFile) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error storing track:', error);
+    res.status(500).json({ error: 'Failed to store track' });
+  }
+});
+
+// GET track with simplified polyline and statistics
+app.get('/api/tracks/:id', async (req, res) => {
+  try {
+    const track = await findTrack(req.user.id, parseInt(req.params.id));
+    
+    if (!track) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+    
+    res.json(formatTrack(track));
+  } catch (error) {
+    console.error('Error fetching track:', error);
+    res.status(500).json({ error: 'Failed to fetch track' });
+  }
+});
+
+// GET the originally uploaded track file
+app.get('/api/tracks/:id/download', async (req, res) => {
+  try {
+    const track = await findTrack(req.user.id, parseInt(req.params.id));
+    
+    if (!track) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+    
+    res.attachment(track.file_name || `track-${track.id}.${track.format}`);
+    res.type(TRACK_CONTENT_TYPES[track.format] || 'application/octet-stream');
+    res.send(track.original);
+  } catch (error) {
+    console.error('Error downloading track:', error);
+    res.status(500).json({ error: 'Failed to download track' });
+  }
+});
+
+// DELETE track - linked visits are kept and lose their track
+app.delete('/api/tracks/:id', async (req, res) => {
+  try {
+    const trackId = parseInt(req.params.id);
+    const track = await findTrack(req.user.id, trackId);
+    
+    if (!track) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+    
+    await dbRun('DELETE FROM tracks WHERE id = ?', [trackId]);
+    
+    res.json({ message: 'Track deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting track:', error);
+    res.status(500).json({ error: 'Failed to delete track' });
+  }
+});
+
+// ===== OSM ENDPOINTS =====
+
+// GET peaks from OpenStreetMap around a point (?lat=&lon=&radius= in meters)
+app.get('/api/osm/peaks', async (req, res) => {
+  const lat = parseFloat(req.query.lat);
+  const lon = parseFloat(req.query.lon);
+  const radius = req.query.radius === undefined ? DEFAULT_RADIUS : parseInt(req.query.radius, 10);
+
+  if (isNaN(lat) || lat < -90 || lat > 90 || isNaN(lon) || lon < -180 || lon > 180) {
+    return res.status(400).json({ error: 'Valid lat and lon are required' });
+  }
+  if (isNaN(radius) || radius < 1 || radius > MAX_RADIUS) {
+    return res.status(400).json({ error: `Radius must be between 1 and ${MAX_RADIUS} meters` });
+  }
+
+  try {
+    res.json(await findPeaks(lat, lon, radius));
+  } catch (error) {
+    console.error('Error querying OSM peaks:', error);
+    res.status(502).json({ error: 'Failed to query OpenStreetMap' });
+  }
+});
+
+// GET the differences between the user's summits and OSM found by the last re-sync
+app.get('/api/osm/sync', async (req, res) => {
+  try {
+    res.json(await findSyncChanges(req.user.id));
+  } catch (error) {
+    console.error('Error fetching OSM sync changes:', error);
+    res.status(500).json({ error: 'Failed to fetch OSM sync changes' });
+  }
+});
+
+// GET progress of the user's last re-sync
+app.get('/api/osm/sync/status', (req, res) => {
+  res.json(userSyncStatus(req.user.id) || { running: false });
+});
+
+// POST re-sync the user's summits with OSM, optionally only { summitIds }.
+// Runs in the background, poll GET /api/osm/sync/status for the result.
+app.post('/api/osm/sync', (req, res) => {
+  const { summitIds } = req.body || {};
+  if (summitIds !== undefined &&
+      (!Array.isArray(summitIds) || summitIds.length === 0 || !summitIds.every(Number.isInteger))) {
+    return res.status(400).json({ error: 'summitIds must be a non-empty array of summit ids' });
+  }
+
+  res.status(202).json(startUserSync(req.user.id, summitIds));
+});
+
+// POST apply reviewed sync changes { decisions: [{ summitId, fields }] }.
+// The listed fields are taken from OSM, the summit's other changes are rejected.
+app.post('/api/osm/sync/apply', async (req, res) => {
+  const { decisions } = req.body || {};
+  const valid = Array.isArray(decisions) && decisions.length > 0 && decisions.every(decision =>
+    decision && Number.isInteger(decision.summitId) && Array.isArray(decision.fields) &&
+    decision.fields.every(field => field in SYNC_FIELDS));
+  if (!valid) {
+    return res.status(400).json({
+      error: `decisions must list { summitId, fields } with fields out of ${Object.keys(SYNC_FIELDS).join(', ')}`
+    });
+  }
+
+  try {
+    const summits = [];
+    for (const { summitId, fields } of decisions) {
+      const summit = await applySyncChanges(req.user.id, summitId, fields);
+      if (summit) summits.push(formatSummit(summit));
+    }
+    res.json({ summits });
+  } catch (error) {
+    console.error('Error applying OSM sync changes:', error);
+    res.status(500).json({ error: 'Failed to apply OSM sync changes' });
+  }
+});
+
+// ===== ELEVATION ENDPOINTS =====
+
+// Points per batch request, enough for a long track
+const MAX_ELEVATION_POINTS = 20000;
+
+const isValidPosition = (lat, lon) => Number.isFinite(lat) && lat >= -90 && lat <= 90 &&
+  Number.isFinite(lon) && lon >= -180 && lon <= 180;
+
+// GET elevation in meters of ?lat=&lon= from the local SRTM tiles (null without data)
+app.get('/api/elevation', async (req, res) => {
+  if (!isElevationConfigured()) {
+    return res.status(503).json({ error: 'No elevation data configured' });
+  }
+
+  const lat = parseFloat(req.query.lat);
+  const lon = parseFloat(req.query.lon);
+  if (!isValidPosition(lat, lon)) {
+    return res.status(400).json({ error: 'Valid lat and lon are required' });
+  }
+
+  try {
+    res.json({ latitude: lat, longitude: lon, elevation: await getElevation(lat, lon) });
+  } catch (error) {
+    console.error('Error reading elevation:', error);
+    res.status(500).json({ error: 'Failed to read elevation data' });
+  }
+});
+
+// POST elevations of many points { points: [[lat, lon], ...] }, in the same order
+app.post('/api/elevation', async (req, res) => {
+  if (!isElevationConfigured()) {
+    return res.status(503).json({ error: 'No elevation data configured' });
+  }
+
+  const { points } = req.body || {};
+  if (!Array.isArray(points) || points.length === 0 || points.length > MAX_ELEVATION_POINTS) {
+    return res.status(400).json({ error: `points must be an array of 1 to ${MAX_ELEVATION_POINTS} [lat, lon] pairs` });
+  }
+  if (!points.every(point => Array.isArray(point) && isValidPosition(point[0], point[1]))) {
+    return res.status(400).json({ error: 'Every point must be a valid [lat, lon] pair' });
+  }
+
+  try {
+    res.json({ elevations: await getElevations(points) });
+  } catch (error) {
+    console.error('Error reading elevations:', error);
+    res.status(500).json({ error: 'Failed to read elevation data' });
+  }
+});
+
+// ===== GPX ENDPOINTS =====
+
+// Analyze a GPX track: detected peaks, track stats and OSM matches per peak.
+// Send the file as raw body with detection settings as query parameters
+// (e.g. ?stopSpeedThreshold=0.3 or ?detectionMode=terrain), or as JSON { gpx, settings }.
+// Raw bodies may also be TCX, KML or FIT files, sent with their content type
+// (e.g. application/vnd.google-earth.kml+xml) or with ?format=tcx|kml|fit.
+// ?osm=false skips the OSM lookup, ?osmRadius= sets its radius in meters.
+const ANALYZE_CONTENT_TYPES = ['*/xml', '*/*+xml', 'application/octet-stream', TRACK_CONTENT_TYPES.fit];
+
+app.post('/api/gpx/analyze', express.raw({ type: ANALYZE_CONTENT_TYPES, limit: '20mb' }), async (req, res) => {
+  const raw = Buffer.isBuffer(req.body);
+  const data = raw ? req.body : req.body?.gpx;
+  const typeFormat = TRACK_FORMATS.find(format => req.is(TRACK_CONTENT_TYPES[format]));
+  const format = raw ? (req.query.format || typeFormat || 'gpx').toLowerCase() : 'gpx';
+  const osmRadius = req.query.osmRadius === undefined ? DEFAULT_RADIUS : parseInt(req.query.osmRadius, 10);
+  
+  if (!data || data.length === 0 || (!raw && typeof data !== 'string')) {
+    return res.status(400).json({ error: 'No GPX data uploaded' });
+  }
+  if (!TRACK_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Format must be one of: ${TRACK_FORMATS.join(', ')}` });
+  }
+  if (isNaN(osmRadius) || osmRadius < 1 || osmRadius > MAX_RADIUS) {
+    return res.status(400).json({ error: `osmRadius must be between 1 and ${MAX_RADIUS} meters` });
+  }
+  
+  let settings;
+  try {
+    settings = parseDetectionSettings(raw ? req.query : req.body.settings);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  try {
+    const result = await analyzeGpx(data, settings, { format, osmLookup: req.query.osm !== 'false', osmRadius });
+    res.json(result);
+  } catch (error) {
+    if (error.invalidFile) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error analyzing GPX:', error);
+    res.status(500).json({ error: 'Failed to analyze GPX' });
+  }
+});
+
+// ===== DETECTION PRESET ENDPOINTS =====
+
+// Validate the name and settings of a preset request. Missing fields stay undefined
+// unless required; throws with a message for the 400 response.
+const parsePresetInput = ({ name, settings }, required) => {
+  const input = {};
+  
+  if (name !== undefined || required) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('Preset name is required');
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+      throw new Error(`Preset name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    input.name = name.trim();
+  }
+  
+  if (settings !== undefined || required) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new Error('Preset settings must be an object');
+    }
+    input.settings = parseDetectionSettings(settings);
+  }
+  
+  return input;
+};
+
+// GET the user's detection presets and the id of the one used last
+app.get('/api/presets', async (req, res) => {
+  try {
+    const presets = await findPresets(req.user.id);
+    res.json({
+      presets: presets.map(formatPreset),
+      lastUsedId: lastUsedPresetId(presets)
+    });
+  } catch (error) {
+    console.error('Error fetching presets:', error);
+    res.status(500).json({ error: 'Failed to fetch presets' });
+  }
+});
+
+// POST create a preset { name, settings } - names are unique per user
+app.post('/api/presets', async (req, res) => {
+  let input;
+  try {
+    input = parsePresetInput(req.body, true);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  try {
+    if (await findPresetByName(req.user.id, input.name)) {
+      return res.status(409).json({ error: 'A preset with this name already exists' });
+    }
+    
+    const preset = await createPreset(req.user.id, input.name, input.settings);
+    res.status(201).json(formatPreset(preset));
+  } catch (error) {
+    console.error('Error creating preset:', error);
+    res.status(500).json({ error: 'Failed to create preset' });
+  }
+});
+
+// PUT rename a preset or replace its settings
+app.put('/api/presets/:id', async (req, res) => {
+  let input;
+  try {
+    input = parsePresetInput(req.body, false);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  try {
+    const preset = await findPreset(req.user.id, parseInt(req.params.id));
+    
+    if (!preset) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+    
+    if (input.name && input.name !== preset.name && await findPresetByName(req.user.id, input.name)) {
+      return res.status(409).json({ error: 'A preset with this name already exists' });
+    }
+    
+    const updated = await updatePreset(preset, input);
+    res.json(formatPreset(updated));
+  } catch (error) {
+    console.error('Error updating preset:', error);
+    res.status(500).json({ error: 'Failed to update preset' });
+  }
+});
+
+// DELETE the last used preset mark, the user went back to the default settings
+app.delete('/api/presets/last-used', async (req, res) => {
+  try {
+    await clearPresetsUsed(req.user.id);
+    
+    res.json({ message: 'Default settings marked as used' });
+  } catch (error) {
+    console.error('Error clearing last used preset:', error);
+    res.status(500).json({ error: 'Failed to clear last used preset' });
+  }
+});
+
+// POST remember a preset as the last one used
+app.post('/api/presets/:id/use', async (req, res) => {
+  try {
+    const preset = await findPreset(req.user.id, parseInt(req.params.id));
+    
+    if (!preset) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+    
+    await markPresetUsed(preset.id);
+    
+    res.json({ message: 'Preset marked as used' });
+  } catch (error) {
+    console.error('Error marking preset as used:', error);
+    res.status(500).json({ error: 'Failed to mark preset as used' });
+  }
+});
+
+// DELETE preset
+app.delete('/api/presets/:id', async (req, res) => {
+  try {
+    const preset = await findPreset(req.user.id, parseInt(req.params.id));
+    
+    if (!preset) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+    
+    await dbRun('DELETE FROM detection_presets WHERE id = ?', [preset.id]);
+    
+    res.json({ message: 'Preset deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting preset:', error);
+    res.status(500).json({ error: 'Failed to delete preset' });
+  }
+});
+
 // ===== STATS ENDPOINT =====
 
 app.get('/api/stats', async (req, res) => {
@@ -450,28 +1107,36 @@ app.get('/api/stats', async (req, res) => {
     const stats = {};
     
     // Total summits
-    const summitCount = await dbGet('SELECT COUNT(*) as count FROM summits');
+    const summitCount = await dbGet(
+      'SELECT COUNT(*) as count FROM summits WHERE user_id = ?',
+      [req.user.id]
+    );
     stats.totalSummits = summitCount.count;
     
     // Total visits
-    const visitCount = await dbGet('SELECT COUNT(*) as count FROM visits');
+    const visitCount = await dbGet(
+      'SELECT COUNT(*) as count FROM visits WHERE user_id = ?',
+      [req.user.id]
+    );
     stats.totalVisits = visitCount.count;
     
     // Years with visits
     const years = await dbAll(`
       SELECT DISTINCT strftime('%Y', date) as year 
       FROM visits 
+      WHERE user_id = ?
       ORDER BY year DESC
-    `);
+    `, [req.user.id]);
     stats.years = years.map(y => y.year);
     
     // Visits by year
     const visitsByYear = await dbAll(`
       SELECT strftime('%Y', date) as year, COUNT(*) as count
       FROM visits
+      WHERE user_id = ?
       GROUP BY year
       ORDER BY year
-    `);
+    `, [req.user.id]);
     stats.visitsByYear = visitsByYear.reduce((acc, item) => {
       acc[item.year] = item.count;
       return acc;
@@ -486,85 +1151,109 @@ app.get('/api/stats', async (req, res) => {
 
 // ===== IMPORT/EXPORT ENDPOINTS =====
 
+// Bulk import in one transaction.
+// mode: merge (update matching summits/visits), replace (delete everything first)
+// or skip-existing. With dryRun the import is rolled back and only the report returned.
 app.post('/api/import', async (req, res) => {
   try {
     const { summits, visits } = req.body;
+    const mode = req.body.mode || req.query.mode || 'merge';
+    const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
     
     if (!summits && !visits) {
       return res.status(400).json({ error: 'No data to import' });
     }
     
-    let importedSummits = 0;
-    let importedVisits = 0;
-    
-    // Import summits
-    if (summits && Array.isArray(summits)) {
-      for (const summit of summits) {
-        try {
-          const createdAt = summit.createdAt || new Date().toISOString();
-          await dbRun(
-            `INSERT OR IGNORE INTO summits (id, name, latitude, longitude, elevation, wikipedia, created_at, updated_at)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-            [summit.id, summit.name, summit.latitude, summit.longitude, summit.elevation, summit.wikipedia, createdAt, summit.updatedAt]
-          );
-          importedSummits++;
-        } catch (err) {
-          console.error('Error importing summit:', err);
-        }
-      }
+    if ((summits && !Array.isArray(summits)) || (visits && !Array.isArray(visits))) {
+      return res.status(400).json({ error: 'Summits and visits must be arrays' });
     }
     
-    // Import visits
-    if (visits && Array.isArray(visits)) {
-      for (const visit of visits) {
-        try {
-          const createdAt = visit.createdAt || new Date().toISOString();
-          await dbRun(
-            'INSERT OR IGNORE INTO visits (id, summit_id, date, notes, created_at) VALUES (?, ?, ?, ?, ?)',
-            [visit.id, visit.summitId, visit.date, visit.notes, createdAt]
-          );
-          importedVisits++;
-        } catch (err) {
-          console.error('Error importing visit:', err);
-        }
-      }
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Mode must be one of: ${IMPORT_MODES.join(', ')}` });
     }
     
-    res.json({
-      message: 'Import completed',
-      importedSummits,
-      importedVisits
-    });
+    const report = await importData(req.user.id, { summits, visits }, { mode, dryRun });
+    
+    res.json(report);
   } catch (error) {
     console.error('Error importing data:', error);
     res.status(500).json({ error: 'Failed to import data' });
   }
 });
 
+// Convert an uploaded GeoJSON, KML or KMZ file into { summits, visits } for
+// POST /api/import, so geo files go through the same preview and duplicate detection
+app.post('/api/import/convert', express.raw({ type: '*/*', limit: '20mb' }), async (req, res) => {
+  const format = String(req.query.format || '').toLowerCase();
+  const parse = IMPORT_PARSERS[format];
+  
+  if (!parse) {
+    return res.status(400).json({ error: `Format must be one of: ${Object.keys(IMPORT_PARSERS).join(', ')}` });
+  }
+  
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  
+  try {
+    const summits = parse(req.body);
+    res.json({ summits, visits: [] });
+  } catch (error) {
+    console.error('Error converting import file:', error);
+    res.status(400).json({ error: `Could not read ${format.toUpperCase()} file: ${error.message}` });
+  }
+});
+
+// GET export as JSON (default), GPX, GeoJSON, KML, KMZ or CSV (?format=).
+// CSV exports one line per summit, or per visit with ?type=visits.
+// Optional summitId, year and season filters work like GET /api/visits.
 app.get('/api/export', async (req, res) => {
   try {
-    const summits = await dbAll('SELECT * FROM summits');
-    const visits = await dbAll('SELECT * FROM visits');
+    const format = req.query.format || 'json';
+    
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    
+    const { summits, visits } = await findSummitsWithVisits(req.user.id, req.query);
+    const fileName = `gipfel-tracker-${new Date().toISOString().split('T')[0]}`;
+    const documentName = `Summit Tracker – ${req.user.username}`;
+    
+    if (format === 'gpx') {
+      res.type('application/gpx+xml');
+      res.attachment(`${fileName}.gpx`);
+      return res.send(buildGpx(summits, visits, { name: documentName }));
+    }
+    
+    if (format === 'geojson') {
+      res.type('application/geo+json');
+      res.attachment(`${fileName}.geojson`);
+      return res.send(JSON.stringify(buildGeoJson(summits, visits), null, 2));
+    }
+    
+    if (format === 'kml') {
+      res.type('application/vnd.google-earth.kml+xml');
+      res.attachment(`${fileName}.kml`);
+      return res.send(buildKml(summits, visits, { name: documentName }));
+    }
+    
+    if (format === 'kmz') {
+      res.type('application/vnd.google-earth.kmz');
+      res.attachment(`${fileName}.kmz`);
+      return res.send(buildKmz(summits, visits, { name: documentName }));
+    }
+    
+    if (format === 'csv') {
+      const type = req.query.type === 'visits' ? 'visits' : 'summits';
+      res.type('text/csv');
+      res.attachment(`${fileName}-${type === 'visits' ? 'besuche' : 'gipfel'}.csv`);
+      return res.send(type === 'visits' ? buildVisitsCsv(summits, visits) : buildSummitsCsv(summits, visits));
+    }
     
     // Format for JSON export (camelCase)
     const exportData = {
-      summits: summits.map(s => ({
-        id: s.id,
-        name: s.name,
-        latitude: s.latitude,
-        longitude: s.longitude,
-        elevation: s.elevation,
-        wikipedia: s.wikipedia,
-        createdAt: s.created_at,
-        updatedAt: s.updated_at
-      })),
-      visits: visits.map(v => ({
-        id: v.id,
-        summitId: v.summit_id,
-        date: v.date,
-        notes: v.notes,
-        createdAt: v.created_at
-      })),
+      summits: summits.map(formatSummit),
+      visits: visits.map(formatVisit),
       exportedAt: new Date().toISOString()
     };
     
@@ -575,8 +1264,21 @@ app.get('/api/export', async (req, res) => {
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`API available at http://localhost:${PORT}/api`);
-});
+// Start server once the database schema is up to date. Tests require the app
+// and listen on a port of their own.
+if (require.main === module) {
+  initializeDatabase()
+    .then(() => {
+      app.listen(PORT, () => {
+        console.log(`Server running on port ${PORT}`);
+        console.log(`API available at http://localhost:${PORT}/api`);
+      });
+      startSyncJob();
+    })
+    .catch(err => {
+      console.error('Failed to initialize database:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = app;
@@ -0,0 +1,78 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { closeDatabase, startServer, createClient } = require('./helpers');
+const { readFixture, buildFit } = require('@summit-tracker/shared/test/helpers');
+
+const TCX = `<?xml version="1.0"?>
+<TrainingCenterDatabase><Activities><Activity><Lap><Track>
+  <Trackpoint><Time>2024-07-15T07:00:00Z</Time>
+    <Position><LatitudeDegrees>47.0</LatitudeDegrees><LongitudeDegrees>11.0</LongitudeDegrees></Position>
+    <AltitudeMeters>1000</AltitudeMeters></Trackpoint>
+  <Trackpoint><Time>2024-07-15T07:01:00Z</Time>
+    <Position><LatitudeDegrees>47.0009</LatitudeDegrees><LongitudeDegrees>11.0</LongitudeDegrees></Position>
+    <AltitudeMeters>1030</AltitudeMeters></Trackpoint>
+</Track></Lap></Activity></Activities></TrainingCenterDatabase>`;
+
+const FIT = buildFit([
+  { lat: 47, lon: 11, ele: 1000, time: new Date('2024-07-15T07:00:00Z') },
+  { lat: 47.0009, lon: 11, ele: 1030, time: new Date('2024-07-15T07:01:00Z') },
+  { lat: 47.0018, lon: 11, ele: 1060, time: new Date('2024-07-15T07:02:00Z') }
+]);
+
+let server;
+let client;
+
+before(async () => {
+  server = await startServer();
+  client = createClient(server.url);
+  await client.register('analyst');
+});
+
+after(async () => {
+  await server.close();
+  await closeDatabase();
+});
+
+const analyze = (body, contentType, query = '') => client.request(
+  'POST', `/api/gpx/analyze?osm=false${query}`, body, { 'Content-Type': contentType }
+);
+
+describe('POST /api/gpx/analyze', () => {
+  test('reads GPX sent as application/gpx+xml', async () => {
+    const { status, body } = await analyze(readFixture('hike.gpx'), 'application/gpx+xml');
+    assert.equal(status, 200);
+    assert.equal(body.stats.pointCount, 55);
+    assert.equal(body.peaks.length, 1);
+  });
+
+  test('reads KML sent with its content type', async () => {
+    const { status, body } = await analyze(readFixture('hike.kml'), 'application/vnd.google-earth.kml+xml');
+    assert.equal(status, 200);
+    assert.equal(body.stats.pointCount, 55);
+    assert.equal(body.peaks.length, 1);
+  });
+
+  test('reads TCX sent with its content type', async () => {
+    const { status, body } = await analyze(TCX, 'application/vnd.garmin.tcx+xml');
+    assert.equal(status, 200);
+    assert.equal(body.stats.pointCount, 2);
+  });
+
+  test('reads FIT sent with its content type', async () => {
+    const { status, body } = await analyze(FIT, 'application/vnd.ant.fit');
+    assert.equal(status, 200);
+    assert.equal(body.stats.pointCount, 3);
+  });
+
+  test('takes the format from the query for generic content types', async () => {
+    const { status, body } = await analyze(FIT, 'application/octet-stream', '&format=fit');
+    assert.equal(status, 200);
+    assert.equal(body.stats.pointCount, 3);
+  });
+
+  test('rejects a body in the wrong format', async () => {
+    const { status, body } = await analyze(readFixture('hike.gpx'), 'application/vnd.google-earth.kml+xml');
+    assert.equal(status, 400);
+    assert.match(body.error, /KML/);
+  });
+});
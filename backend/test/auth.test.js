@@ -0,0 +1,126 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { closeDatabase, startServer, createClient } = require('./helpers');
+const { dbRun } = require('../database/db');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+  await closeDatabase();
+});
+
+describe('POST /api/auth/register', () => {
+  test('creates the user and starts a session', async () => {
+    const client = createClient(server.url);
+    const response = await client.register('anna');
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.user.username, 'anna');
+    assert.equal(response.body.user.password_hash, undefined);
+    assert.match(client.session(), /^sessionId=\w+/);
+
+    const me = await client.request('GET', '/api/auth/me');
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user.id, response.body.user.id);
+  });
+
+  test('rejects a taken username', async () => {
+    await createClient(server.url).register('bert');
+    const response = await createClient(server.url).register('bert');
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.error, 'Username already exists');
+  });
+
+  test('rejects missing, non-string and short credentials', async () => {
+    const client = createClient(server.url);
+
+    assert.equal((await client.request('POST', '/api/auth/register', { username: 'carl' })).status, 400);
+    assert.equal((await client.request('POST', '/api/auth/register', { username: ['carl'], password: 'secret123' })).status, 400);
+    assert.equal((await client.register('carl', 'short')).status, 400);
+    assert.equal(client.session(), null);
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  before(async () => {
+    await createClient(server.url).register('dora');
+  });
+
+  test('starts a session for valid credentials', async () => {
+    const client = createClient(server.url);
+    const response = await client.request('POST', '/api/auth/login', { username: 'dora', password: 'secret123' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.user.username, 'dora');
+    assert.equal((await client.request('GET', '/api/summits')).status, 200);
+  });
+
+  test('rejects a wrong password or unknown user without a session', async () => {
+    const client = createClient(server.url);
+
+    const wrongPassword = await client.request('POST', '/api/auth/login', { username: 'dora', password: 'wrong-password' });
+    const unknownUser = await client.request('POST', '/api/auth/login', { username: 'nobody', password: 'secret123' });
+
+    assert.equal(wrongPassword.status, 401);
+    assert.equal(unknownUser.status, 401);
+    assert.equal(wrongPassword.body.error, unknownUser.body.error);
+    assert.equal(client.session(), null);
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  test('ends the session on the server', async () => {
+    const client = createClient(server.url);
+    await client.register('emil');
+    const cookie = client.session();
+
+    const response = await client.request('POST', '/api/auth/logout');
+    assert.equal(response.status, 200);
+
+    const replayed = await client.request('GET', '/api/auth/me', undefined, { Cookie: cookie });
+    assert.equal(replayed.status, 401);
+  });
+});
+
+describe('requireAuth', () => {
+  test('rejects API requests without a session', async () => {
+    const client = createClient(server.url);
+
+    for (const path of ['/api/auth/me', '/api/summits', '/api/visits', '/api/presets', '/api/export']) {
+      const response = await client.request('GET', path);
+      assert.equal(response.status, 401, path);
+      assert.equal(response.body.error, 'Authentication required');
+    }
+  });
+
+  test('rejects unknown and expired sessions', async () => {
+    const client = createClient(server.url);
+    await client.register('frieda');
+    const cookie = client.session();
+
+    const unknown = await client.request('GET', '/api/summits', undefined, { Cookie: 'sessionId=unknown' });
+    assert.equal(unknown.status, 401);
+    assert.equal(unknown.body.error, 'Invalid or expired session');
+
+    await dbRun('UPDATE sessions SET expires_at = ? WHERE id = ?', [
+      new Date(Date.now() - 1000).toISOString(), cookie.split('=')[1]
+    ]);
+    assert.equal((await client.request('GET', '/api/summits')).status, 401);
+  });
+
+  test('accepts the session id in the X-Session-Id header', async () => {
+    const client = createClient(server.url);
+    await client.register('gustav');
+    const sessionId = client.session().split('=')[1];
+
+    const response = await createClient(server.url).request('GET', '/api/auth/me', undefined, { 'X-Session-Id': sessionId });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.user.username, 'gustav');
+  });
+});
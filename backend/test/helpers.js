@@ -0,0 +1,117 @@
+// Every test file runs in its own process (node --test) with a fresh database.
+// Require this file before anything that opens the database.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'summit-tracker-test-'));
+process.env.DB_PATH = path.join(tempDir, 'test.db');
+
+const { db, initializeDatabase } = require('../database/db');
+
+const setupDatabase = () => initializeDatabase();
+
+const closeDatabase = () => new Promise((resolve) => {
+  db.close(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    resolve();
+  });
+});
+
+/**
+ * Local stand-in for the Overpass API. Answers every query with the nodes
+ * returned by respond(query) after delay ms.
+ * @param {Function} respond - Overpass QL query -> array of OSM elements
+ * @returns {Promise<Object>} { url, queries, maxConcurrent, close() }
+ */
+async function startOverpassStub(respond, { delay = 20 } = {}) {
+  const stub = { queries: [], maxConcurrent: 0, status: 200 };
+  let concurrent = 0;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      concurrent++;
+      stub.maxConcurrent = Math.max(stub.maxConcurrent, concurrent);
+      const query = new URLSearchParams(body).get('data');
+      stub.queries.push(query);
+
+      setTimeout(() => {
+        concurrent--;
+        res.writeHead(stub.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ elements: stub.status === 200 ? respond(query) : [] }));
+      }, delay);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  stub.url = `http://127.0.0.1:${server.address().port}/api/interpreter`;
+  stub.close = () => new Promise(resolve => server.close(resolve));
+  return stub;
+}
+
+/**
+ * Start the API on a free port, after the migrations ran
+ * @returns {Promise<Object>} { url, close() }
+ */
+async function startServer() {
+  const app = require('../server');
+  await setupDatabase();
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Minimal API client that keeps the session cookie like a browser
+ * @param {string} url - Server base URL
+ * @returns {Object} request(method, path, body, headers) -> { status, body }, register(username)
+ */
+function createClient(url) {
+  let cookie = null;
+
+  const request = async (method, path, body, headers = {}) => {
+    const raw = body instanceof Uint8Array || typeof body === 'string';
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && !raw ? { 'Content-Type': 'application/json' } : {}),
+        ...(cookie ? { Cookie: cookie } : {}),
+        ...headers
+      },
+      body: body === undefined || raw ? body : JSON.stringify(body)
+    });
+
+    const setCookie = response.headers.get('set-cookie');
+    if (setCookie) cookie = setCookie.split(';')[0];
+
+    const text = await response.text();
+    const type = response.headers.get('content-type') || '';
+    return { status: response.status, body: type.includes('json') ? JSON.parse(text) : text };
+  };
+
+  const register = (username, password = 'secret123') => (
+    request('POST', '/api/auth/register', { username, password })
+  );
+
+  // The session cookie as sent by the last response, for replaying it after a logout
+  const session = () => cookie;
+
+  return { request, register, session };
+}
+
+module.exports = {
+  setupDatabase,
+  closeDatabase,
+  startOverpassStub,
+  startServer,
+  createClient
+};
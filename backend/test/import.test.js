@@ -0,0 +1,236 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { closeDatabase, startServer, createClient } = require('./helpers');
+const { importData } = require('../database/importer');
+const { readFixture } = require('@summit-tracker/shared/test/helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+  await closeDatabase();
+});
+
+// Every test imports as its own user so the rows of one test never match another's
+let userCount = 0;
+const newClient = async () => {
+  const client = createClient(server.url);
+  await client.register(`importer${++userCount}`);
+  return client;
+};
+
+const snapshot = async (client) => ({
+  summits: (await client.request('GET', '/api/summits')).body,
+  visits: (await client.request('GET', '/api/visits')).body
+});
+
+const runImport = async (client, data) => {
+  const response = await client.request('POST', '/api/import', data);
+  assert.equal(response.status, 200);
+  return response.body;
+};
+
+const seed = async (client) => {
+  const { body } = await client.request('POST', '/api/summits-with-visit', {
+    name: 'Patscherkofel', latitude: 47.2089, longitude: 11.4608, elevation: 2246,
+    date: '2024-07-15', notes: 'Sonnig'
+  });
+  return body;
+};
+
+describe('POST /api/import', () => {
+  test('a dry run reports the rows but leaves the database unchanged', async () => {
+    const client = await newClient();
+    await seed(client);
+    const before = await snapshot(client);
+
+    const report = await runImport(client, {
+      dryRun: true,
+      summits: [
+        { ref: 'a', name: 'Serles', latitude: 47.0982, longitude: 11.3862 },
+        { name: 'Patscherkofel (Gipfel)', latitude: 47.2089, longitude: 11.4608 }
+      ],
+      visits: [{ summitRef: 'a', date: '2024-08-01' }]
+    });
+
+    assert.equal(report.dryRun, true);
+    assert.deepEqual(report.summary.summits, { created: 1, updated: 1, skipped: 0, conflict: 0 });
+    assert.deepEqual(report.summary.visits, { created: 1, updated: 0, skipped: 0, conflict: 0 });
+    assert.deepEqual(await snapshot(client), before);
+  });
+
+  test('a dry run in replace mode keeps the rows it would delete', async () => {
+    const client = await newClient();
+    await seed(client);
+    const before = await snapshot(client);
+
+    const report = await runImport(client, { mode: 'replace', dryRun: true, summits: [] });
+
+    assert.deepEqual(report.deleted, { summits: 1, visits: 1 });
+    assert.deepEqual(await snapshot(client), before);
+  });
+
+  test('reports created, updated, skipped and conflicting summits per row', async () => {
+    const client = await newClient();
+    const { summit } = await seed(client);
+
+    const report = await runImport(client, {
+      summits: [
+        { name: 'Serles', latitude: 47.0982, longitude: 11.3862 },
+        // About 30 m from the stored summit: the same peak under a new name
+        { name: 'Patscherkofel Gipfel', latitude: 47.2091, longitude: 11.4610 },
+        { id: summit.id, name: 'Patscherkofel Gipfel', latitude: 47.2089, longitude: 11.4608 },
+        { id: summit.id, name: 'Patscherkofel', latitude: 47.3, longitude: 11.4608 },
+        { name: '', latitude: 47.1, longitude: 11.1 }
+      ]
+    });
+
+    assert.deepEqual(
+      report.rows.summits.map(({ index, status }) => ({ index, status })),
+      [
+        { index: 0, status: 'created' },
+        { index: 1, status: 'updated' },
+        { index: 2, status: 'skipped' },
+        { index: 3, status: 'conflict' },
+        { index: 4, status: 'conflict' }
+      ]
+    );
+    assert.equal(report.rows.summits[1].id, summit.id);
+    assert.equal(report.rows.summits[2].reason, 'Unchanged');
+    assert.match(report.rows.summits[3].reason, /different coordinates/);
+    assert.deepEqual(report.summary.summits, { created: 1, updated: 1, skipped: 1, conflict: 2 });
+
+    const { summits } = await snapshot(client);
+    assert.deepEqual(summits.map(s => s.name).sort(), ['Patscherkofel Gipfel', 'Serles']);
+  });
+
+  test('skip-existing leaves summits matched by coordinates untouched', async () => {
+    const client = await newClient();
+    const { summit } = await seed(client);
+
+    const report = await runImport(client, {
+      mode: 'skip-existing',
+      summits: [{ name: 'Patscherkofel Gipfel', latitude: 47.2091, longitude: 11.4610, elevation: 2250 }]
+    });
+
+    assert.equal(report.rows.summits[0].status, 'skipped');
+    assert.equal(report.rows.summits[0].id, summit.id);
+    assert.match(report.rows.summits[0].reason, /Matches existing summit Patscherkofel/);
+
+    const { summits } = await snapshot(client);
+    assert.equal(summits[0].name, 'Patscherkofel');
+    assert.equal(summits[0].elevation, 2246);
+  });
+
+  test('reports created, updated, skipped and conflicting visits per row', async () => {
+    const client = await newClient();
+    const { summit } = await seed(client);
+
+    const report = await runImport(client, {
+      summits: [{ id: 7, name: 'Patscherkofel', latitude: 47.2089, longitude: 11.4608 }],
+      visits: [
+        { summitId: 7, date: '2024-08-01', notes: 'Nebel' },
+        { summitId: 7, date: '2024-07-15', notes: 'Gewitter' },
+        { summitId: 7, date: '2024-07-15', notes: 'Gewitter' },
+        { summitId: 99, date: '2024-08-02' },
+        { summitId: 7, date: '15.07.2024' },
+        { summitId: 7 }
+      ]
+    });
+
+    assert.deepEqual(report.rows.visits.map(row => row.status), [
+      'created', 'updated', 'skipped', 'conflict', 'conflict', 'conflict'
+    ]);
+    // Visits of a summit matched by coordinates are attached to the stored summit
+    assert.equal(report.rows.visits[0].summitId, summit.id);
+    assert.match(report.rows.visits[3].reason, /Unknown summit 99/);
+    assert.match(report.rows.visits[4].reason, /Invalid date/);
+    assert.match(report.rows.visits[5].reason, /Date is required/);
+    assert.deepEqual(report.summary.visits, { created: 1, updated: 1, skipped: 1, conflict: 3 });
+
+    const { visits } = await snapshot(client);
+    assert.deepEqual(
+      visits.map(({ date, notes }) => ({ date, notes })).sort((a, b) => a.date.localeCompare(b.date)),
+      [{ date: '2024-07-15', notes: 'Gewitter' }, { date: '2024-08-01', notes: 'Nebel' }]
+    );
+  });
+
+  test("keeps the track of a visit only when it is the importing user's", async () => {
+    const client = await newClient();
+    const other = await newClient();
+    const upload = (owner) => owner.request(
+      'POST', '/api/tracks?fileName=hike.gpx', readFixture('hike.gpx'), { 'Content-Type': 'application/gpx+xml' }
+    );
+    const ownTrack = (await upload(client)).body;
+    const otherTrack = (await upload(other)).body;
+
+    await runImport(client, {
+      summits: [{ id: 1, name: 'Serles', latitude: 47.0982, longitude: 11.3862 }],
+      visits: [
+        { summitId: 1, date: '2024-08-01', trackId: ownTrack.id },
+        { summitId: 1, date: '2024-08-02', trackId: otherTrack.id },
+        { summitId: 1, date: '2024-08-03', trackId: 999999 }
+      ]
+    });
+
+    const { visits } = await snapshot(client);
+    assert.deepEqual(
+      visits.map(({ date, trackId }) => ({ date, trackId })).sort((a, b) => a.date.localeCompare(b.date)),
+      [
+        { date: '2024-08-01', trackId: ownTrack.id },
+        { date: '2024-08-02', trackId: null },
+        { date: '2024-08-03', trackId: null }
+      ]
+    );
+  });
+
+  test('replace mode reports the deleted rows before importing', async () => {
+    const client = await newClient();
+    await seed(client);
+
+    const report = await runImport(client, {
+      mode: 'replace',
+      summits: [{ name: 'Serles', latitude: 47.0982, longitude: 11.3862 }]
+    });
+
+    assert.deepEqual(report.deleted, { summits: 1, visits: 1 });
+    assert.equal(report.rows.summits[0].status, 'created');
+
+    const { summits, visits } = await snapshot(client);
+    assert.deepEqual(summits.map(s => s.name), ['Serles']);
+    assert.deepEqual(visits, []);
+  });
+});
+
+describe('importData', () => {
+  test('a failure partway rolls back the whole import', async () => {
+    const client = await newClient();
+    await seed(client);
+    const before = await snapshot(client);
+    const { body } = await client.request('GET', '/api/auth/me');
+
+    const broken = {
+      latitude: 47.1,
+      longitude: 11.1,
+      get name() { throw new Error('boom'); }
+    };
+
+    await assert.rejects(
+      importData(body.user.id, {
+        summits: [
+          { name: 'Serles', latitude: 47.0982, longitude: 11.3862 },
+          { name: 'Patscherkofel Gipfel', latitude: 47.2089, longitude: 11.4608 },
+          broken
+        ],
+        visits: [{ summitId: 1, date: '2024-08-01' }]
+      }, { mode: 'replace' }),
+      /boom/
+    );
+
+    assert.deepEqual(await snapshot(client), before);
+  });
+});
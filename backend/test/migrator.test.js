@@ -0,0 +1,181 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { loadMigrations, getMigrationStatus, runMigrations } = require('../database/migrator');
+
+// An in-memory database with the connection interface migrations expect
+function openConnection() {
+  const db = new sqlite3.Database(':memory:');
+  const call = (method) => (sql, params = []) => new Promise((resolve, reject) => {
+    db[method](sql, params, function(err, result) {
+      if (err) reject(err);
+      else resolve(method === 'run' ? this : result);
+    });
+  });
+
+  return {
+    dbRun: call('run'),
+    dbGet: call('get'),
+    dbAll: call('all'),
+    dbExec: (sql) => new Promise((resolve, reject) => {
+      db.exec(sql, err => (err ? reject(err) : resolve()));
+    }),
+    close: () => new Promise(resolve => db.close(resolve))
+  };
+}
+
+let dir;
+let conn;
+let logged;
+
+const writeMigrations = (files) => {
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+};
+
+const migrate = () => runMigrations(conn, { dir, log: message => logged.push(message) });
+
+const tables = async () => (
+  await conn.dbAll("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")
+).map(row => row.name);
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'summit-migrations-'));
+  conn = openConnection();
+  logged = [];
+});
+
+afterEach(async () => {
+  await conn.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('loadMigrations', () => {
+  test('orders by numeric version and ignores other files', () => {
+    writeMigrations({
+      '10_later.sql': '',
+      '2_second.js': '',
+      '001_first.sql': '',
+      'README.md': '',
+      'notes.sql': ''
+    });
+
+    assert.deepEqual(loadMigrations(dir).map(m => [m.version, m.name, m.type]), [
+      [1, 'first', 'sql'],
+      [2, 'second', 'js'],
+      [10, 'later', 'sql']
+    ]);
+  });
+
+  test('rejects two migrations with the same version', () => {
+    writeMigrations({ '001_a.sql': '', '01_b.sql': '' });
+
+    assert.throws(() => loadMigrations(dir), /Duplicate migration version 1/);
+  });
+});
+
+describe('runMigrations', () => {
+  beforeEach(() => {
+    writeMigrations({
+      '001_peaks.sql': 'CREATE TABLE peaks (id INTEGER PRIMARY KEY, name TEXT);',
+      // Relies on 001 having run first
+      '002_seed.js': `module.exports = {
+        up: async ({ dbRun }) => {
+          await dbRun("INSERT INTO peaks (name) VALUES ('Serles')");
+        }
+      };`,
+      '010_visits.sql': 'CREATE TABLE visits (id INTEGER PRIMARY KEY, peak_id INTEGER REFERENCES peaks(id));'
+    });
+  });
+
+  test('applies pending migrations in version order', async () => {
+    const applied = await migrate();
+
+    assert.deepEqual(applied.map(m => m.version), [1, 2, 10]);
+    assert.deepEqual(logged, [
+      'Applying migration 001_peaks...',
+      'Applying migration 002_seed...',
+      'Applying migration 010_visits...'
+    ]);
+    assert.deepEqual(await tables(), ['peaks', 'schema_migrations', 'visits']);
+    assert.deepEqual(await conn.dbAll('SELECT name FROM peaks'), [{ name: 'Serles' }]);
+  });
+
+  test('records every applied migration in schema_migrations', async () => {
+    await migrate();
+
+    const rows = await conn.dbAll('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    assert.deepEqual(rows.map(row => [row.version, row.name]), [[1, 'peaks'], [2, 'seed'], [10, 'visits']]);
+    assert.ok(rows.every(row => !isNaN(Date.parse(row.applied_at))));
+
+    const status = await getMigrationStatus(conn, { dir });
+    assert.ok(status.every(migration => migration.applied && migration.appliedAt));
+  });
+
+  test('skips applied migrations on the next run', async () => {
+    await migrate();
+    logged = [];
+
+    assert.deepEqual(await migrate(), []);
+    assert.deepEqual(logged, []);
+    assert.deepEqual(await conn.dbAll('SELECT name FROM peaks'), [{ name: 'Serles' }]);
+
+    writeMigrations({ '011_tracks.sql': 'CREATE TABLE tracks (id INTEGER PRIMARY KEY);' });
+    assert.deepEqual((await migrate()).map(m => m.version), [11]);
+  });
+
+  test('rolls back a failing SQL migration and keeps the earlier ones', async () => {
+    writeMigrations({
+      '011_broken.sql': `
+        CREATE TABLE tracks (id INTEGER PRIMARY KEY);
+        INSERT INTO peaks (name) VALUES ('Habicht');
+        INSERT INTO missing_table VALUES (1);
+      `
+    });
+
+    await assert.rejects(migrate(), /Migration 011_broken failed: .*missing_table/);
+
+    assert.deepEqual(await tables(), ['peaks', 'schema_migrations', 'visits']);
+    assert.deepEqual(await conn.dbAll('SELECT name FROM peaks'), [{ name: 'Serles' }]);
+    const status = await getMigrationStatus(conn, { dir });
+    assert.deepEqual(status.map(m => [m.version, m.applied]), [[1, true], [2, true], [10, true], [11, false]]);
+  });
+
+  test('rolls back a JS migration that throws', async () => {
+    writeMigrations({
+      '011_broken.js': `module.exports = {
+        up: async ({ dbRun }) => {
+          await dbRun('DROP TABLE visits');
+          throw new Error('boom');
+        }
+      };`
+    });
+
+    await assert.rejects(migrate(), /Migration 011_broken failed: boom/);
+
+    assert.deepEqual(await tables(), ['peaks', 'schema_migrations', 'visits']);
+    assert.equal((await conn.dbGet('SELECT COUNT(*) AS count FROM schema_migrations')).count, 3);
+  });
+
+  test('rolls back a migration that leaves foreign key violations', async () => {
+    writeMigrations({ '011_orphan.sql': 'INSERT INTO visits (peak_id) VALUES (42);' });
+
+    await assert.rejects(migrate(), /Migration 011_orphan failed: .*foreign key violations/);
+
+    assert.deepEqual(await conn.dbAll('SELECT * FROM visits'), []);
+    assert.equal((await conn.dbGet('PRAGMA foreign_keys')).foreign_keys, 1);
+  });
+
+  test('applies a fixed migration on the next run', async () => {
+    writeMigrations({ '011_tracks.sql': 'CREATE TABLE tracks (id INTEGER PRIMARY KEY); INSERT INTO nope VALUES (1);' });
+    await assert.rejects(migrate());
+
+    writeMigrations({ '011_tracks.sql': 'CREATE TABLE tracks (id INTEGER PRIMARY KEY);' });
+    assert.deepEqual((await migrate()).map(m => m.version), [11]);
+    assert.ok((await tables()).includes('tracks'));
+  });
+});
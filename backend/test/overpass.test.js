@@ -0,0 +1,124 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, closeDatabase, startOverpassStub } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// One peak exactly at the queried point, none north of 60°
+const respond = (query) => {
+  const around = query.match(/around:(\d+),([\d.-]+),([\d.-]+)/);
+  if (!around) return [];
+  const lat = parseFloat(around[2]);
+  const lon = parseFloat(around[3]);
+  return lat > 60 ? [] : [{ type: 'node', id: 1, lat, lon, tags: { natural: 'peak', name: `Peak ${lat}`, ele: '2000' } }];
+};
+
+let stub;
+let runQuery;
+let findPeaks;
+let dbRun;
+let dbGet;
+
+before(async () => {
+  stub = await startOverpassStub(respond);
+  process.env.OVERPASS_URL = stub.url;
+  process.env.OVERPASS_MIN_INTERVAL_MS = '0';
+
+  ({ runQuery } = require('../osm/overpass'));
+  ({ findPeaks } = require('../osm/peaks'));
+  ({ dbRun, dbGet } = require('../database/db'));
+  await setupDatabase();
+});
+
+after(async () => {
+  await stub.close();
+  await closeDatabase();
+});
+
+// Queries the stub received during fn
+const countQueries = async (fn) => {
+  const before = stub.queries.length;
+  const result = await fn();
+  return { result, queries: stub.queries.length - before };
+};
+
+describe('runQuery', () => {
+  test('sends one request upstream at a time', async () => {
+    stub.maxConcurrent = 0;
+    const results = await Promise.all([1, 2, 3].map(i => runQuery(`node(around:100,4${i},11);out;`)));
+    assert.equal(results.length, 3);
+    assert.equal(stub.maxConcurrent, 1);
+  });
+
+  test('keeps the queue going after a failed request', async () => {
+    stub.status = 500;
+    await assert.rejects(runQuery('node(around:100,47,11);out;'), /status 500/);
+    stub.status = 200;
+    const data = await runQuery('node(around:100,47,11);out;');
+    assert.equal(data.elements.length, 1);
+  });
+});
+
+describe('findPeaks', () => {
+  test('shares one upstream request between identical lookups in flight', async () => {
+    const { result, queries } = await countQueries(() => Promise.all([
+      findPeaks(46.5, 10.5, 100),
+      findPeaks(46.5, 10.5, 100),
+      findPeaks(46.50001, 10.50001, 100)
+    ]));
+    assert.equal(queries, 1);
+    assert.ok(result.every(({ source }) => source === 'overpass'));
+    assert.equal(result[0].peaks[0].name, 'Peak 46.5');
+  });
+
+  test('serves lookups with the same rounded position and radius from the cache', async () => {
+    const { result, queries } = await countQueries(() => findPeaks(46.50004, 10.49996, 100));
+    assert.equal(queries, 0);
+    assert.equal(result.source, 'cache');
+    assert.equal(result.peaks[0].osmId, 1);
+  });
+
+  test('asks Overpass for another radius or position', async () => {
+    assert.equal((await countQueries(() => findPeaks(46.5, 10.5, 200))).queries, 1);
+    assert.equal((await countQueries(() => findPeaks(46.5002, 10.5, 100))).queries, 1);
+  });
+
+  test('caches peaks for a week and empty results for a day', async () => {
+    await findPeaks(61, 10, 100);
+    const ttl = async (key) => {
+      const row = await dbGet('SELECT fetched_at, expires_at FROM osm_cache WHERE cache_key = ?', [key]);
+      return (new Date(row.expires_at) - new Date(row.fetched_at)) / HOUR_MS;
+    };
+    assert.equal(await ttl('peaks:46.5:10.5:100'), 168);
+    assert.equal(await ttl('peaks:61:10:100'), 24);
+  });
+
+  test('asks Overpass again once the entry has expired', async () => {
+    const expire = () => dbRun(
+      'UPDATE osm_cache SET expires_at = ? WHERE cache_key = ?',
+      [new Date(Date.now() - 1000).toISOString(), 'peaks:46.5:10.5:100']
+    );
+
+    await expire();
+    const { result, queries } = await countQueries(() => findPeaks(46.5, 10.5, 100));
+    assert.equal(queries, 1);
+    assert.equal(result.source, 'overpass');
+    assert.equal(result.stale, false);
+  });
+
+  test('falls back to the expired entry when Overpass fails', async () => {
+    await dbRun(
+      'UPDATE osm_cache SET expires_at = ? WHERE cache_key = ?',
+      [new Date(Date.now() - 1000).toISOString(), 'peaks:46.5:10.5:100']
+    );
+    stub.status = 500;
+    try {
+      const result = await findPeaks(46.5, 10.5, 100);
+      assert.equal(result.source, 'cache');
+      assert.equal(result.stale, true);
+      assert.equal(result.peaks.length, 1);
+    } finally {
+      stub.status = 200;
+    }
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { closeDatabase, startServer, createClient } = require('./helpers');
+const { readFixture } = require('@summit-tracker/shared/test/helpers');
+
+let server;
+let alice;
+let bob;
+let summit;
+let visit;
+let track;
+let preset;
+
+before(async () => {
+  server = await startServer();
+  alice = createClient(server.url);
+  bob = createClient(server.url);
+  await alice.register('alice');
+  await bob.register('bob');
+
+  ({ summit, visit } = (await alice.request('POST', '/api/summits-with-visit', {
+    name: 'Serles', latitude: 47.0982, longitude: 11.3862, elevation: 2717, date: '2024-07-15', notes: 'Alice'
+  })).body);
+  track = (await alice.request(
+    'POST', '/api/tracks?fileName=hike.gpx', readFixture('hike.gpx'), { 'Content-Type': 'application/gpx+xml' }
+  )).body;
+  preset = (await alice.request('POST', '/api/presets', { name: 'Alice', settings: {} })).body;
+});
+
+after(async () => {
+  await server.close();
+  await closeDatabase();
+});
+
+// Everything bob tries must leave alice's logbook as it was
+const assertAliceUnchanged = async () => {
+  const summitResponse = await alice.request('GET', `/api/summits/${summit.id}`);
+  assert.equal(summitResponse.status, 200);
+  assert.equal(summitResponse.body.name, 'Serles');
+  assert.deepEqual(summitResponse.body.visits.map(v => [v.id, v.notes]), [[visit.id, 'Alice']]);
+  assert.equal((await alice.request('GET', `/api/tracks/${track.id}`)).status, 200);
+  assert.deepEqual((await alice.request('GET', '/api/presets')).body.presets.map(p => p.id), [preset.id]);
+};
+
+describe('ownership', () => {
+  test('lists only the own summits, visits and presets', async () => {
+    assert.deepEqual((await bob.request('GET', '/api/summits')).body, []);
+    assert.deepEqual((await bob.request('GET', '/api/visits')).body, []);
+    assert.deepEqual((await bob.request('GET', '/api/presets')).body.presets, []);
+    assert.deepEqual(
+      (await bob.request('GET', '/api/summits/near?lat=47.0982&lon=11.3862')).body, []
+    );
+    const exported = (await bob.request('GET', '/api/export')).body;
+    assert.deepEqual([exported.summits, exported.visits], [[], []]);
+  });
+
+  test("hides another user's summit, track and preset", async () => {
+    assert.equal((await bob.request('GET', `/api/summits/${summit.id}`)).status, 404);
+    assert.equal((await bob.request('GET', `/api/tracks/${track.id}`)).status, 404);
+    assert.equal((await bob.request('GET', `/api/tracks/${track.id}/download`)).status, 404);
+    assert.equal((await bob.request('POST', `/api/presets/${preset.id}/use`)).status, 404);
+  });
+
+  test("refuses to update another user's rows", async () => {
+    assert.equal((await bob.request('PUT', `/api/summits/${summit.id}`, { name: 'Bob' })).status, 404);
+    assert.equal((await bob.request('PUT', `/api/visits/${visit.id}`, { notes: 'Bob' })).status, 404);
+    assert.equal((await bob.request('PUT', `/api/presets/${preset.id}`, { name: 'Bob' })).status, 404);
+    await assertAliceUnchanged();
+  });
+
+  test("refuses to delete another user's rows", async () => {
+    assert.equal((await bob.request('DELETE', `/api/visits/${visit.id}`)).status, 404);
+    assert.equal((await bob.request('DELETE', `/api/summits/${summit.id}`)).status, 404);
+    assert.equal((await bob.request('DELETE', `/api/tracks/${track.id}`)).status, 404);
+    assert.equal((await bob.request('DELETE', `/api/presets/${preset.id}`)).status, 404);
+    await assertAliceUnchanged();
+  });
+
+  test("refuses to attach visits to another user's summit or track", async () => {
+    const onSummit = await bob.request('POST', '/api/visits', { summitId: summit.id, date: '2024-08-01' });
+    assert.equal(onSummit.status, 404);
+
+    const withTrack = await bob.request('POST', '/api/summits-with-visit', {
+      name: 'Serles', latitude: 47.0982, longitude: 11.3862, date: '2024-08-01', trackId: track.id
+    });
+    assert.equal(withTrack.status, 404);
+    await assertAliceUnchanged();
+  });
+
+  test('keeps a summit at the same position apart per user', async () => {
+    const response = await bob.request('POST', '/api/summits-with-visit', {
+      name: 'Serles', latitude: 47.0982, longitude: 11.3862, date: '2024-08-01', notes: 'Bob'
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.summitCreated, true);
+    assert.notEqual(response.body.summit.id, summit.id);
+    await assertAliceUnchanged();
+  });
+});
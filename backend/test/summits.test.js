@@ -0,0 +1,120 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { closeDatabase, startServer, createClient } = require('./helpers');
+const { saveEntities } = require('../wikidata/entities');
+
+const ZUGSPITZE = {
+  id: 'Q3375',
+  descriptions: { de: 'höchster Berg Deutschlands' },
+  sitelinks: { de: 'Zugspitze', en: 'Zugspitze' },
+  prominence: 1746,
+  firstAscent: '1820-08-27'
+};
+
+let server;
+let client;
+
+before(async () => {
+  server = await startServer();
+  client = createClient(server.url);
+  await client.register('wiki');
+
+  await saveEntities([ZUGSPITZE], 'entities.json');
+  await client.request('POST', '/api/summits', {
+    name: 'Zugspitze', latitude: 47.4211, longitude: 10.9853, elevation: 2962, wikidata: 'Q3375'
+  });
+  await client.request('POST', '/api/summits', {
+    name: 'Alpspitze', latitude: 47.4217, longitude: 11.0469, elevation: 2628
+  });
+});
+
+after(async () => {
+  await server.close();
+  await closeDatabase();
+});
+
+const wikidataInfo = (summits) => Object.fromEntries(summits.map(s => [s.name, s.wikidataInfo]));
+
+describe('summit lists', () => {
+  const expected = {
+    Alpspitze: null,
+    Zugspitze: {
+      id: 'Q3375',
+      descriptions: ZUGSPITZE.descriptions,
+      sitelinks: ZUGSPITZE.sitelinks,
+      prominence: 1746,
+      firstAscent: '1820-08-27'
+    }
+  };
+
+  test('GET /api/summits attaches the stored Wikidata facts', async () => {
+    const { body } = await client.request('GET', '/api/summits');
+    assert.deepEqual(wikidataInfo(body), expected);
+  });
+
+  test('GET /api/summits/near attaches the stored Wikidata facts', async () => {
+    const { status, body } = await client.request('GET', '/api/summits/near?lat=47.42&lon=11.01&radius=5000');
+
+    assert.equal(status, 200);
+    assert.deepEqual(wikidataInfo(body), expected);
+  });
+});
+
+describe('GET /api/summits/search', () => {
+  let searcher;
+
+  before(async () => {
+    searcher = createClient(server.url);
+    await searcher.register('searcher');
+
+    const summits = [
+      ['Hoher Riffler', 47.1, 10.3, '2023-07-02'],
+      ['Kleiner Riffler', 47.2, 10.4, '2024-01-14'],
+      ['Riffl_see Spitze', 47.3, 10.5, '2024-08-10'],
+      ['Habicht', 47.4, 10.6, '2024-07-20'],
+      ['100% Gipfel', 47.5, 10.7, '2022-05-01']
+    ];
+    for (const [name, latitude, longitude, date] of summits) {
+      await searcher.request('POST', '/api/summits-with-visit', { name, latitude, longitude, date });
+    }
+  });
+
+  const search = async (query) => {
+    const response = await searcher.request('GET', `/api/summits/search?${query}`);
+    assert.equal(response.status, 200);
+    return { names: response.body.summits.map(s => s.name), total: response.body.total };
+  };
+
+  test('finds summits by part of the name, ignoring case', async () => {
+    assert.deepEqual(await search('q=riffl'), {
+      names: ['Hoher Riffler', 'Kleiner Riffler', 'Riffl_see Spitze'],
+      total: 3
+    });
+  });
+
+  test('matches LIKE wildcards literally', async () => {
+    assert.deepEqual((await search('q=ffl_')).names, ['Riffl_see Spitze']);
+    assert.deepEqual((await search('q=%25')).names, ['100% Gipfel']);
+  });
+
+  test('filters by the year and season of a visit', async () => {
+    assert.deepEqual((await search('year=2024')).names, ['Habicht', 'Kleiner Riffler', 'Riffl_see Spitze']);
+    assert.deepEqual((await search('q=riffler&season=winter')).names, ['Kleiner Riffler']);
+  });
+
+  test('returns one page with the total of all matches', async () => {
+    assert.deepEqual(await search('limit=2'), { names: ['100% Gipfel', 'Habicht'], total: 5 });
+    assert.deepEqual(await search('limit=2&offset=4'), { names: ['Riffl_see Spitze'], total: 5 });
+  });
+
+  test('rejects invalid paging', async () => {
+    assert.equal((await searcher.request('GET', '/api/summits/search?limit=0')).status, 400);
+    assert.equal((await searcher.request('GET', '/api/summits/search?limit=501')).status, 400);
+    assert.equal((await searcher.request('GET', '/api/summits/search?offset=-1')).status, 400);
+  });
+
+  test('only searches the own summits', async () => {
+    const { body } = await client.request('GET', '/api/summits/search?q=riffler');
+    assert.deepEqual(body, { summits: [], total: 0 });
+  });
+});
@@ -0,0 +1,46 @@
+const { EARTH_RADIUS, haversineDistance } = require('@summit-tracker/shared');
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Bounding box that contains every point within radius meters of a point.
+ * Used to pre-filter index lookups before checking the real distance.
+ * @returns {Object} { minLat, maxLat, minLon, maxLon } in degrees
+ */
+function boundingBox(lat, lon, radius) {
+  const latDelta = (radius / EARTH_RADIUS) * (180 / Math.PI);
+  // Longitude degrees shrink towards the poles
+  const cosLat = Math.max(Math.cos(toRadians(lat)), 0.01);
+  const lonDelta = Math.min(latDelta / cosLat, 180);
+
+  return {
+    minLat: Math.max(lat - latDelta, -90),
+    maxLat: Math.min(lat + latDelta, 90),
+    minLon: lon - lonDelta,
+    maxLon: lon + lonDelta
+  };
+}
+
+/**
+ * Parse a "minLon,minLat,maxLon,maxLat" bounding box (the order used by GeoJSON and OSM)
+ * @param {string} text - Comma-separated box
+ * @returns {Object|null} { minLon, minLat, maxLon, maxLat } or null if invalid
+ */
+function parseBbox(text) {
+  const values = String(text).split(',').map(Number);
+  if (values.length !== 4 || values.some(isNaN)) return null;
+
+  const [minLon, minLat, maxLon, maxLat] = values;
+  if (minLat < -90 || maxLat > 90 || minLat > maxLat) return null;
+  if (minLon < -180 || maxLon > 180) return null;
+
+  return { minLon, minLat, maxLon, maxLat };
+}
+
+module.exports = {
+  EARTH_RADIUS,
+  toRadians,
+  haversineDistance,
+  boundingBox,
+  parseBbox
+};
@@ -0,0 +1,150 @@
+// Readers for Wikidata entity data: the JSON dumps (one entity per line inside
+// a JSON array, optionally gzipped) and Special:EntityData/<id>.json downloads.
+// Only the few facts the summit list shows are kept.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+
+const PROMINENCE = 'P2660';
+const SIGNIFICANT_EVENT = 'P793';
+const POINT_IN_TIME = 'P585';
+const FIRST_ASCENT = 'Q1194369';
+
+// Units of quantity values, converted to meters
+const LENGTH_UNITS = {
+  'http://www.wikidata.org/entity/Q11573': 1, // metre
+  'http://www.wikidata.org/entity/Q3710': 0.3048 // foot
+};
+
+// Language wikis are "<lang>wiki" (dewiki, zh_yuewiki), unlike commonswiki or specieswiki
+const LANGUAGE_WIKI_PATTERN = /^([a-z]{2,3}(?:_[a-z]+)*)wiki$/;
+
+// The id is among the first keys of a dump line, so lines can be skipped unparsed
+const LINE_ID_PATTERN = /"id":"(Q\d+)"/;
+
+// Statements in rank order: preferred before normal, deprecated ones left out
+const rankedStatements = (entity, property) => {
+  const statements = (entity.claims?.[property] || []).filter(s => s.rank !== 'deprecated');
+  return [
+    ...statements.filter(s => s.rank === 'preferred'),
+    ...statements.filter(s => s.rank !== 'preferred')
+  ];
+};
+
+const readProminence = (entity) => {
+  for (const statement of rankedStatements(entity, PROMINENCE)) {
+    const value = statement.mainsnak?.datavalue?.value;
+    const factor = value && LENGTH_UNITS[value.unit];
+    if (factor) return Math.round(parseFloat(value.amount) * factor);
+  }
+  return null;
+};
+
+// Wikidata times look like "+1820-08-27T00:00:00Z"; precision 9 is a year, 10 a month, 11 a day
+const formatTime = ({ time, precision }) => {
+  const match = /^([+-]\d+)-(\d{2})-(\d{2})/.exec(time || '');
+  if (!match || precision < 9) return null;
+
+  const year = String(parseInt(match[1], 10));
+  if (precision === 9) return year;
+  if (precision === 10) return `${year}-${match[2]}`;
+  return `${year}-${match[2]}-${match[3]}`;
+};
+
+const readFirstAscent = (entity) => {
+  const event = rankedStatements(entity, SIGNIFICANT_EVENT)
+    .find(s => s.mainsnak?.datavalue?.value?.id === FIRST_ASCENT);
+  const time = event?.qualifiers?.[POINT_IN_TIME]?.[0]?.datavalue?.value;
+  return time ? formatTime(time) : null;
+};
+
+/**
+ * The facts kept from a Wikidata entity
+ * @param {Object} entity - Entity in the Wikibase JSON format
+ * @returns {Object} { id, descriptions: { lang: text }, sitelinks: { lang: title }, prominence, firstAscent }
+ */
+function readEntity(entity) {
+  const descriptions = Object.fromEntries(Object.values(entity.descriptions || {})
+    .map(description => [description.language, description.value]));
+
+  const sitelinks = {};
+  for (const [site, link] of Object.entries(entity.sitelinks || {})) {
+    const match = LANGUAGE_WIKI_PATTERN.exec(site);
+    if (match) sitelinks[match[1].replace(/_/g, '-')] = link.title;
+  }
+
+  return {
+    id: entity.id,
+    descriptions,
+    sitelinks,
+    prominence: readProminence(entity),
+    firstAscent: readFirstAscent(entity)
+  };
+}
+
+const openLines = (file) => {
+  const stream = fs.createReadStream(file);
+  const input = file.endsWith('.gz') ? stream.pipe(zlib.createGunzip()) : stream;
+  stream.on('error', error => input.destroy(error));
+  return readline.createInterface({ input, crlfDelay: Infinity });
+};
+
+/**
+ * Read entities from a dump or an entity JSON file
+ * @param {string} file - .json or .json.gz
+ * @param {Function} wanted - Called with each entity id, only entities it accepts are read
+ * @returns {Promise<Array>} Entities as returned by readEntity()
+ */
+async function readEntityFile(file, wanted = () => true) {
+  const entities = [];
+  const buffered = [];
+  let isDump = null;
+
+  for await (const line of openLines(file)) {
+    const trimmed = line.trim();
+    if (isDump === null && trimmed) isDump = trimmed === '[';
+
+    if (!isDump) {
+      buffered.push(line);
+      continue;
+    }
+    if (trimmed === '[' || trimmed === ']' || !trimmed) continue;
+
+    const id = LINE_ID_PATTERN.exec(trimmed.slice(0, 200));
+    if (!id || !wanted(id[1])) continue;
+
+    const entity = JSON.parse(trimmed.endsWith(',') ? trimmed.slice(0, -1) : trimmed);
+    entities.push(readEntity(entity));
+  }
+
+  if (!isDump && buffered.length > 0) {
+    // Special:EntityData answers { entities: { Q1: {...} } }
+    const data = JSON.parse(buffered.join('\n'));
+    Object.values(data.entities || {})
+      .filter(entity => entity.id && wanted(entity.id))
+      .forEach(entity => entities.push(readEntity(entity)));
+  }
+
+  return entities;
+}
+
+/**
+ * Files to read for a path: the file itself, or the .json(.gz) files of a directory
+ * @returns {Array<string>} File paths
+ */
+function entityFiles(target) {
+  if (!fs.statSync(target).isDirectory()) return [target];
+
+  return fs.readdirSync(target)
+    .filter(name => name.endsWith('.json') || name.endsWith('.json.gz'))
+    .sort()
+    .map(name => path.join(target, name));
+}
+
+module.exports = {
+  readEntity,
+  readEntityFile,
+  entityFiles
+};
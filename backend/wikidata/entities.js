@@ -0,0 +1,81 @@
+const path = require('path');
+const { dbRun, dbAll, withTransaction } = require('../database/db');
+
+// SQLite limits the number of bound parameters per statement
+const LOOKUP_BATCH_SIZE = 500;
+
+// Convert an entity row to the shape attached to summits
+const formatEntity = (row) => ({
+  id: row.id,
+  descriptions: JSON.parse(row.descriptions),
+  sitelinks: JSON.parse(row.sitelinks),
+  prominence: row.prominence,
+  firstAscent: row.first_ascent
+});
+
+/**
+ * Store entities in the local Wikidata table, replacing earlier copies
+ * @param {Array} entities - Entities as returned by readEntity()
+ * @param {string} source - File the entities were read from
+ * @returns {Promise<number>} Number of stored entities
+ */
+async function saveEntities(entities, source) {
+  const importedAt = new Date().toISOString();
+
+  await withTransaction(async () => {
+    for (const entity of entities) {
+      await dbRun(
+        `INSERT OR REPLACE INTO wikidata_entities
+           (id, descriptions, sitelinks, prominence, first_ascent, source, imported_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          entity.id, JSON.stringify(entity.descriptions), JSON.stringify(entity.sitelinks),
+          entity.prominence, entity.firstAscent, path.basename(source), importedAt
+        ]
+      );
+    }
+  });
+
+  return entities.length;
+}
+
+/**
+ * Wikidata ids referenced by summits or by the local peaks table
+ * @returns {Promise<Set>} Entity ids
+ */
+async function findReferencedIds() {
+  const rows = await dbAll(
+    `SELECT wikidata FROM summits WHERE wikidata IS NOT NULL
+     UNION
+     SELECT wikidata FROM peaks WHERE wikidata IS NOT NULL`
+  );
+  return new Set(rows.map(row => row.wikidata));
+}
+
+/**
+ * Add the locally stored Wikidata facts to formatted summits as `wikidataInfo`
+ * (null when the entity was not imported)
+ * @param {Array} summits - Summits in the API shape
+ * @returns {Promise<Array>} The same summits with wikidataInfo
+ */
+async function attachWikidata(summits) {
+  const ids = [...new Set(summits.map(summit => summit.wikidata).filter(Boolean))];
+  const entities = new Map();
+
+  for (let i = 0; i < ids.length; i += LOOKUP_BATCH_SIZE) {
+    const batch = ids.slice(i, i + LOOKUP_BATCH_SIZE);
+    const rows = await dbAll(
+      `SELECT * FROM wikidata_entities WHERE id IN (${batch.map(() => '?').join(',')})`,
+      batch
+    );
+    rows.forEach(row => entities.set(row.id, formatEntity(row)));
+  }
+
+  return summits.map(summit => ({ ...summit, wikidataInfo: entities.get(summit.wikidata) || null }));
+}
+
+module.exports = {
+  saveEntities,
+  findReferencedIds,
+  attachWikidata
+};
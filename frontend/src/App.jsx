@@ -1,14 +1,60 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import SummitForm from './components/SummitForm';
 import SummitList from './components/SummitList';
 import SummitMap from './components/SummitMap';
 import FilterBar from './components/FilterBar';
 import GpxAnalyzer from './components/GpxAnalyzer';
-import { summitAPI, visitAPI, statsAPI } from './services/api';
+import GpxBatchAnalyzer from './components/GpxBatchAnalyzer';
+import LoginForm from './components/LoginForm';
+import ImportDialog from './components/ImportDialog';
+import GpxImportReview from './components/GpxImportReview';
+import CsvImportWizard from './components/CsvImportWizard';
+import OsmSyncReview from './components/OsmSyncReview';
+import { authAPI, summitAPI, visitAPI, statsAPI, dataAPI, trackAPI } from './services/api';
 import './App.css';
 
+// Above this many summits only the ones in the map viewport are loaded
+const VIEWPORT_LOADING_THRESHOLD = 500;
+// The list of such a collection is searched on the server, this many summits at a time
+const SUMMIT_LIST_PAGE_SIZE = 100;
+
+// Load the summits in a [west, south, east, north] box. The map moves faster
+// than requests return, so only the latest request may apply its result.
+const loadViewportSummits = async (bbox, requestRef, apply) => {
+  const request = ++requestRef.current;
+  try {
+    const data = await summitAPI.getInBbox(bbox);
+    if (request === requestRef.current) {
+      apply(data);
+    }
+  } catch (err) {
+    console.error('Failed to load summits in viewport:', err);
+  }
+};
+
+// Load the first limit summits matching the filters from all summits, for the list of a
+// collection whose map only has the viewport. Only the latest request may apply its result.
+const loadSummitList = async (filters, limit, requestRef, apply) => {
+  const request = ++requestRef.current;
+  try {
+    const data = await summitAPI.search(filters, { limit });
+    if (request === requestRef.current) {
+      apply(data);
+    }
+  } catch (err) {
+    console.error('Failed to load summit list:', err);
+  }
+};
+
 function App() {
+  const [user, setUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
   const [summits, setSummits] = useState([]);
+  const [summitCount, setSummitCount] = useState(0);
+  const [summitList, setSummitList] = useState({ summits: [], total: 0 });
+  const [listLimit, setListLimit] = useState(SUMMIT_LIST_PAGE_SIZE);
+  // Bumped to reload the list after summits changed
+  const [listVersion, setListVersion] = useState(0);
   const [allVisits, setAllVisits] = useState([]);
   const [selectedSummitId, setSelectedSummitId] = useState(null);
   const [summitVisits, setSummitVisits] = useState([]);
@@ -20,14 +66,39 @@ function App() {
   const [filters, setFilters] = useState({ search: '', year: '', season: '' });
   const [availableYears, setAvailableYears] = useState([]);
   const [showGpxAnalyzer, setShowGpxAnalyzer] = useState(false);
-
-  // Load summits on mount
+  const [showGpxBatch, setShowGpxBatch] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [pendingCsv, setPendingCsv] = useState(null);
+  const [gpxReview, setGpxReview] = useState(null);
+  const [shownTrack, setShownTrack] = useState(null);
+  const [showOsmSync, setShowOsmSync] = useState(false);
+  const viewportRef = useRef(null);
+  const viewportRequestRef = useRef(0);
+  const listRequestRef = useRef(0);
+
+  const largeCollection = summitCount > VIEWPORT_LOADING_THRESHOLD;
+
+  // Check for an existing session on mount
   useEffect(() => {
-    loadSummits();
-    loadAllVisits();
-    loadStats();
+    checkAuth();
   }, []);
 
+  // Load summits once logged in
+  useEffect(() => {
+    if (user) {
+      loadSummits();
+      loadAllVisits();
+      loadStats();
+    }
+  }, [user]);
+
+  // The list of a large collection searches all summits, not just the viewport
+  useEffect(() => {
+    if (largeCollection) {
+      loadSummitList(filters, listLimit, listRequestRef, setSummitList);
+    }
+  }, [largeCollection, filters, listLimit, listVersion]);
+
   // Load visits when a summit is selected
   useEffect(() => {
     if (selectedSummitId) {
@@ -37,12 +108,56 @@ function App() {
     }
   }, [selectedSummitId]);
 
+  const checkAuth = async () => {
+    try {
+      const currentUser = await authAPI.me();
+      setUser(currentUser);
+    } catch (err) {
+      console.error('Failed to check session:', err);
+    } finally {
+      setAuthChecked(true);
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await authAPI.logout();
+    } catch (err) {
+      console.error('Failed to log out:', err);
+    }
+    setUser(null);
+    setSummits([]);
+    setSummitCount(0);
+    setSummitList({ summits: [], total: 0 });
+    setAllVisits([]);
+    setSelectedSummitId(null);
+    setShowForm(false);
+    setShowGpxAnalyzer(false);
+    setShowGpxBatch(false);
+  };
+
+  const handleViewportChange = useCallback((bbox) => {
+    viewportRef.current = bbox;
+    loadViewportSummits(bbox, viewportRequestRef, setSummits);
+  }, []);
+
   const loadSummits = async () => {
     try {
       setLoading(true);
       setError(null);
-      const data = await summitAPI.getAll();
-      setSummits(data);
+      const { totalSummits } = await statsAPI.get();
+      setSummitCount(totalSummits);
+      if (totalSummits > VIEWPORT_LOADING_THRESHOLD) {
+        setListVersion((version) => version + 1);
+        // Until the map has reported its viewport there is nothing to load
+        if (viewportRef.current) {
+          await loadViewportSummits(viewportRef.current, viewportRequestRef, setSummits);
+        }
+      } else {
+        viewportRequestRef.current++;
+        const data = await summitAPI.getAll();
+        setSummits(data);
+      }
     } catch (err) {
       setError(err.message);
       console.error('Failed to load summits:', err);
@@ -134,34 +249,13 @@ function App() {
   };
 
   const filteredSummits = getFilteredSummits();
+  const listedSummits = largeCollection ? summitList.summits : filteredSummits;
+  // A summit picked from the list can lie outside the loaded viewport
+  const selectedSummit = listedSummits.find((s) => s.id === selectedSummitId) || null;
 
-  // Helper function to find existing summit by coordinates
-  const findExistingSummitByCoordinates = (latitude, longitude, tolerance = 100) => {
-    return summits.find(existing => {
-      const distance = calculateDistance(
-        existing.latitude,
-        existing.longitude,
-        latitude,
-        longitude
-      );
-      return distance < tolerance; // Within tolerance meters = same summit
-    });
-  };
-
-  // Helper function to calculate distance between two coordinates
-  const calculateDistance = (lat1, lon1, lat2, lon2) => {
-    const R = 6371e3; // Earth radius in meters
-    const φ1 = (lat1 * Math.PI) / 180;
-    const φ2 = (lat2 * Math.PI) / 180;
-    const Δφ = ((lat2 - lat1) * Math.PI) / 180;
-    const Δλ = ((lon2 - lon1) * Math.PI) / 180;
-
-    const a =
-      Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-      Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
-    return R * c; // Distance in meters
+  const handleFilterChange = (nextFilters) => {
+    setFilters(nextFilters);
+    setListLimit(SUMMIT_LIST_PAGE_SIZE);
   };
 
   const handleAddSummit = async (summitData) => {
@@ -240,6 +334,7 @@ function App() {
     try {
       await summitAPI.delete(id);
       setSummits((prev) => prev.filter((s) => s.id !== id));
+      setSummitCount((prev) => prev - 1);
       if (selectedSummitId === id) {
         setSelectedSummitId(null);
       }
@@ -250,203 +345,119 @@ function App() {
 
   const handleExport = async () => {
     try {
-      await summitAPI.export();
+      await dataAPI.export();
     } catch (err) {
       alert('Fehler beim Exportieren: ' + err.message);
     }
   };
 
+  // File exports (GPX, KML, KMZ, GeoJSON, CSV) respect the active year/season filters
+  const handleExportFile = async (format, type) => {
+    try {
+      await dataAPI.exportFile(format, { year: filters.year, season: filters.season, type });
+    } catch (err) {
+      alert(`Fehler beim ${format.toUpperCase()}-Export: ` + err.message);
+    }
+  };
+
   const handleImport = async (event) => {
     const file = event.target.files[0];
     if (!file) return;
+    event.target.value = '';
+
+    // Geo formats are converted to summits by the backend, then previewed like JSON
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (['geojson', 'kml', 'kmz'].includes(extension)) {
+      try {
+        const data = await dataAPI.convertFile(file, extension);
+        setPendingImport({ data, fileName: file.name });
+      } catch (err) {
+        alert('Fehler beim Importieren: ' + err.message);
+      }
+      return;
+    }
 
     const reader = new FileReader();
+
+    // CSV columns are mapped by the user in the wizard before the import preview
+    if (extension === 'csv') {
+      reader.onload = (e) => setPendingCsv({ text: e.target.result, fileName: file.name });
+      reader.readAsText(file);
+      return;
+    }
+
     reader.onload = async (e) => {
       try {
-        const importedSummits = JSON.parse(e.target.result);
-        await summitAPI.import(importedSummits, 'replace');
-        await loadSummits();
-        alert(`${importedSummits.length} Gipfel erfolgreich importiert!`);
+        const parsed = JSON.parse(e.target.result);
+        // GeoJSON saved with a .json extension
+        if (parsed.type === 'FeatureCollection' || parsed.type === 'Feature') {
+          const data = await dataAPI.convertFile(file, 'geojson');
+          setPendingImport({ data, fileName: file.name });
+          return;
+        }
+        // Old exports were a plain array of summits
+        const data = Array.isArray(parsed)
+          ? { summits: parsed, visits: [] }
+          : { summits: parsed.summits || [], visits: parsed.visits || [] };
+        setPendingImport({ data, fileName: file.name });
       } catch (err) {
         alert('Fehler beim Importieren: ' + err.message);
       }
     };
     reader.readAsText(file);
-    event.target.value = '';
   };
 
-  const handlePeaksDetected = async (peaks) => {
-    setShowGpxAnalyzer(false);
-    
-    // Get the date from the GPX track (first point's timestamp)
-    const gpxDate = peaks[0]?.startTime ? peaks[0].startTime.toISOString().split('T')[0] : new Date().toISOString().split('T')[0];
-    
-    // Query OSM for each detected peak
-    const peaksWithOsmData = [];
-    const peaksWithoutOsmData = [];
-    
-    for (const peak of peaks) {
-      try {
-        // Query OSM using the same logic as in SummitForm
-        const radius = 100;
-        const query = `
-          [out:json];
-          (
-            node["natural"="peak"](around:${radius},${peak.lat},${peak.lon});
-            node["natural"="volcano"](around:${radius},${peak.lat},${peak.lon});
-          );
-          out body;
-        `;
-        
-        const response = await fetch('https://overpass-api.de/api/interpreter', {
-          method: 'POST',
-          body: query,
-        });
-        
-        if (response.ok) {
-          const data = await response.json();
-          if (data.elements && data.elements.length > 0) {
-            const osmPeak = data.elements[0];
-            peaksWithOsmData.push({
-              name: osmPeak.tags?.name || `Gipfel ${peaksWithOsmData.length + 1}`,
-              latitude: osmPeak.lat,
-              longitude: osmPeak.lon,
-              elevation: osmPeak.tags?.ele || peak.ele,
-              wikipedia: osmPeak.tags?.wikipedia || null,
-              visitDate: peak.startTime ? peak.startTime.toISOString().split('T')[0] : gpxDate,
-              visitTime: peak.startTime,
-              duration: peak.duration,
-              score: peak.score,
-              fromGpx: true,
-              gpxData: peak
-            });
-          } else {
-            // No OSM data found
-            peaksWithoutOsmData.push(peak);
-          }
-        } else {
-          peaksWithoutOsmData.push(peak);
-        }
-      } catch (err) {
-        console.error('Error querying OSM for peak:', err);
-        peaksWithoutOsmData.push(peak);
-      }
-    }
-    
-    // Log all detected summits with visit data
-    console.log('=== GPX Analysis Results ===');
-    console.log('Track Date:', gpxDate);
-    console.log('Summits with OSM data:', peaksWithOsmData.length);
-    console.log('Summits without OSM data:', peaksWithoutOsmData.length);
-    console.log('\n--- Summits to Add ---');
-    peaksWithOsmData.forEach((peak, i) => {
-      console.log(`${i + 1}. ${peak.name}`);
-      console.log(`   Date: ${peak.visitDate}`);
-      console.log(`   Time: ${peak.visitTime?.toLocaleTimeString('de-DE')}`);
-      console.log(`   Duration: ${peak.duration.toFixed(1)} min`);
-      console.log(`   Coordinates: ${peak.latitude.toFixed(6)}, ${peak.longitude.toFixed(6)}`);
-      console.log(`   Elevation: ${peak.elevation}m`);
-      console.log(`   Score: ${peak.score.toFixed(1)}`);
-    });
-    
-    // Log peaks without OSM data for future download feature
-    if (peaksWithoutOsmData.length > 0) {
-      console.log('\n--- Peaks without OSM data (skipped) ---');
-      peaksWithoutOsmData.forEach((peak, i) => {
-        console.log(`${i + 1}. Unknown Peak`);
-        console.log(`   Coordinates: ${peak.lat.toFixed(6)}, ${peak.lon.toFixed(6)}`);
-        console.log(`   Elevation: ${peak.ele}m`);
-        console.log(`   Score: ${peak.score.toFixed(1)}`);
-      });
-      alert(`${peaksWithoutOsmData.length} Gipfel ohne OSM-Daten gefunden. Diese werden übersprungen.\n(Details in der Browser-Konsole)`);
-    }
-    
-    if (peaksWithOsmData.length === 0) {
-      alert('Keine Gipfel mit OSM-Daten gefunden');
+  // Show a visit's track on the map, or hide it when it is already shown
+  const handleToggleTrack = async (trackId) => {
+    if (shownTrack?.id === trackId) {
+      setShownTrack(null);
       return;
     }
-    
-    // Show summary and ask for confirmation
-    const message = `${peaksWithOsmData.length} Gipfel mit OSM-Daten gefunden:\n\n` +
-      peaksWithOsmData.map((p, i) => `${i + 1}. ${p.name} (${p.elevation}m) - ${p.visitDate}`).join('\n') +
-      '\n\nMöchten Sie diese Gipfel hinzufügen?';
-    
-    if (window.confirm(message)) {
-      // Check for duplicates and add summits/visits
-      await addPeaksFromGpx(peaksWithOsmData);
+
+    try {
+      setShownTrack(await trackAPI.get(trackId));
+    } catch (err) {
+      alert('Fehler beim Laden des Tracks: ' + err.message);
     }
   };
 
-  // Function to add peaks from GPX (checks for duplicates)
-  const addPeaksFromGpx = async (peaks) => {
-    let newSummitsCount = 0;
-    let newVisitsCount = 0;
-    let errors = [];
+  const handleImportCompleted = async (report) => {
+    setPendingImport(null);
+    await loadSummits();
+    await loadAllVisits();
+    await loadStats();
 
-    for (const peak of peaks) {
-      try {
-        // Check if summit already exists
-        const existingSummit = findExistingSummitByCoordinates(
-          peak.latitude,
-          peak.longitude,
-          100 // 100m tolerance
-        );
+    const { summits: s, visits: v } = report.summary;
+    alert(
+      `Import abgeschlossen!\n\n` +
+      `Gipfel: ${s.created} neu, ${s.updated} aktualisiert, ${s.skipped} übersprungen, ${s.conflict} Konflikte\n` +
+      `Besuche: ${v.created} neu, ${v.updated} aktualisiert, ${v.skipped} übersprungen, ${v.conflict} Konflikte`
+    );
+  };
 
-        if (existingSummit) {
-          // Summit exists - add a new visit
-          console.log(`✓ Summit exists: ${existingSummit.name} (ID: ${existingSummit.id})`);
-          console.log(`  Adding visit for ${peak.visitDate}`);
-          
-          await visitAPI.create({
-            summitId: existingSummit.id,
-            date: peak.visitDate,
-            notes: `Aus GPX-Track importiert (Dauer: ${peak.duration.toFixed(1)} min, Score: ${peak.score.toFixed(1)})`
-          });
-          
-          newVisitsCount++;
-        } else {
-          // Summit is new - create summit with visit
-          console.log(`+ New summit: ${peak.name}`);
-          console.log(`  Creating with visit for ${peak.visitDate}`);
-          
-          await summitAPI.createWithVisit({
-            name: peak.name,
-            latitude: peak.latitude,
-            longitude: peak.longitude,
-            elevation: peak.elevation,
-            wikipedia: peak.wikipedia,
-            date: peak.visitDate,
-            notes: `Aus GPX-Track importiert (Dauer: ${peak.duration.toFixed(1)} min, Score: ${peak.score.toFixed(1)})`
-          });
-          
-          newSummitsCount++;
-        }
-      } catch (err) {
-        console.error(`Error adding peak ${peak.name}:`, err);
-        errors.push(`${peak.name}: ${err.message}`);
-      }
-    }
+  // Peaks picked in the analyzer are reviewed before anything is stored
+  const handlePeaksDetected = (peaks, gpxFile) => {
+    setShowGpxAnalyzer(false);
+    setGpxReview({ peaks, gpxFile });
+  };
 
-    // Reload data
+  const handleGpxImported = async () => {
     await loadSummits();
     await loadAllVisits();
+    await loadStats();
+  };
 
-    // Show summary
-    let summary = `GPX-Import abgeschlossen!\n\n`;
-    summary += `Neue Gipfel: ${newSummitsCount}\n`;
-    summary += `Neue Besuche: ${newVisitsCount}\n`;
-    
-    if (errors.length > 0) {
-      summary += `\nFehler: ${errors.length}\n`;
-      summary += errors.join('\n');
-    }
+  if (!authChecked) {
+    return (
+      <div className="loading-screen">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
 
-    alert(summary);
-    console.log('=== Import Summary ===');
-    console.log(`New summits: ${newSummitsCount}`);
-    console.log(`New visits: ${newVisitsCount}`);
-    console.log(`Errors: ${errors.length}`);
-  };
+  if (!user) {
+    return <LoginForm onLogin={setUser} />;
+  }
 
   if (loading) {
     return (
@@ -512,22 +523,59 @@ function App() {
             >
               📊 GPX analysieren
             </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => setShowGpxBatch(true)}
+            >
+              📚 Mehrere Tracks
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => setShowOsmSync(true)}
+              title="Name, Höhe und Wikipedia-Link der Gipfel mit OpenStreetMap abgleichen"
+            >
+              🔄 OSM-Abgleich
+            </button>
             <button className="btn btn-secondary" onClick={handleExport}>
               Exportieren
             </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => handleExportFile('gpx')}
+              title="Gipfel als GPX-Wegpunkte exportieren (aktive Filter werden berücksichtigt)"
+            >
+              Export GPX
+            </button>
+            <select
+              className="btn btn-secondary"
+              value=""
+              onChange={(e) => e.target.value && handleExportFile(...e.target.value.split(':'))}
+              title="Gipfel als KML, KMZ, GeoJSON oder CSV exportieren"
+            >
+              <option value="">Weitere Formate…</option>
+              <option value="kml">KML</option>
+              <option value="kmz">KMZ</option>
+              <option value="geojson">GeoJSON</option>
+              <option value="csv:summits">CSV (Gipfel)</option>
+              <option value="csv:visits">CSV (Besuche)</option>
+            </select>
             <label className="btn btn-secondary">
               Importieren
               <input
                 type="file"
-                accept=".json"
+                accept=".json,.geojson,.kml,.kmz,.csv"
                 onChange={handleImport}
                 style={{ display: 'none' }}
               />
             </label>
+            <span className="user-info">👤 {user.username}</span>
+            <button className="btn btn-secondary" onClick={handleLogout}>
+              Abmelden
+            </button>
           </div>
         </div>
         <div className="stats">
-          {filteredSummits.length} von {summits.length} {summits.length === 1 ? 'Gipfel' : 'Gipfel'}
+          {largeCollection ? summitList.total : filteredSummits.length} von {summitCount} Gipfel
           {filters.search || filters.year || filters.season ? ' (gefiltert)' : ''}
         </div>
       </header>
@@ -539,7 +587,7 @@ function App() {
 
             <FilterBar
               filters={filters}
-              onFilterChange={setFilters}
+              onFilterChange={handleFilterChange}
               availableYears={availableYears}
             />
 
@@ -559,7 +607,7 @@ function App() {
             )}
 
             <SummitList
-              summits={filteredSummits}
+              summits={listedSummits}
               selectedId={selectedSummitId}
               onSelect={setSelectedSummitId}
               onDelete={handleDeleteSummit}
@@ -567,10 +615,21 @@ function App() {
               onAddVisit={handleAddVisit}
               onDeleteVisit={handleDeleteVisit}
               summitVisits={summitVisits}
+              shownTrackId={shownTrack?.id}
+              onToggleTrack={handleToggleTrack}
               onLocate={(id) => {
                 setSelectedSummitId(id);
               }}
             />
+
+            {largeCollection && summitList.summits.length < summitList.total && (
+              <button
+                className="btn btn-secondary"
+                onClick={() => setListLimit((limit) => limit + SUMMIT_LIST_PAGE_SIZE)}
+              >
+                Weitere {Math.min(SUMMIT_LIST_PAGE_SIZE, summitList.total - summitList.summits.length)} Gipfel laden
+              </button>
+            )}
           </div>
         </div>
 
@@ -578,17 +637,66 @@ function App() {
           <SummitMap
             summits={filteredSummits}
             selectedId={selectedSummitId}
+            selectedSummit={selectedSummit}
             onSelectSummit={setSelectedSummitId}
+            onViewportChange={largeCollection ? handleViewportChange : null}
+            track={shownTrack}
           />
         </div>
       </main>
 
+      {pendingCsv && (
+        <CsvImportWizard
+          text={pendingCsv.text}
+          fileName={pendingCsv.fileName}
+          onClose={() => setPendingCsv(null)}
+          onSubmit={(data) => {
+            setPendingImport({ data, fileName: pendingCsv.fileName });
+            setPendingCsv(null);
+          }}
+        />
+      )}
+
+      {pendingImport && (
+        <ImportDialog
+          data={pendingImport.data}
+          fileName={pendingImport.fileName}
+          onClose={() => setPendingImport(null)}
+          onImported={handleImportCompleted}
+        />
+      )}
+
       {showGpxAnalyzer && (
         <GpxAnalyzer
           onPeaksDetected={handlePeaksDetected}
           onClose={() => setShowGpxAnalyzer(false)}
         />
       )}
+
+      {gpxReview && (
+        <GpxImportReview
+          peaks={gpxReview.peaks}
+          gpxFile={gpxReview.gpxFile}
+          visits={allVisits}
+          onClose={() => setGpxReview(null)}
+          onImported={handleGpxImported}
+        />
+      )}
+
+      {showOsmSync && (
+        <OsmSyncReview
+          onClose={() => setShowOsmSync(false)}
+          onApplied={loadSummits}
+        />
+      )}
+
+      {showGpxBatch && (
+        <GpxBatchAnalyzer
+          visits={allVisits}
+          onImported={handleGpxImported}
+          onClose={() => setShowGpxBatch(false)}
+        />
+      )}
     </div>
   );
 }
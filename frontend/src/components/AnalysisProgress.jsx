@@ -0,0 +1,26 @@
+import React from 'react';
+import { ANALYSIS_STAGES } from '../utils/trackAnalysis';
+
+// Progress bar of a running track analysis, stage names from ANALYSIS_STAGES
+function AnalysisProgress({ stage, onCancel, compact = false }) {
+  const current = ANALYSIS_STAGES[stage] || ANALYSIS_STAGES.read;
+  const percent = Math.round(current.progress * 100);
+
+  return (
+    <div className={`analysis-progress ${compact ? 'compact' : ''}`}>
+      <div className="analysis-progress-bar">
+        <div className="analysis-progress-fill" style={{ width: `${percent}%` }}></div>
+      </div>
+      <div className="analysis-progress-info">
+        <span>{current.label}… ({percent}%)</span>
+        {onCancel && (
+          <button type="button" className="btn-small btn-secondary" onClick={onCancel}>
+            Abbrechen
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AnalysisProgress;
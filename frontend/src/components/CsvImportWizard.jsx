@@ -0,0 +1,243 @@
+import React, { useState, useMemo } from 'react';
+import { parseCsv, parseNumber, detectDelimiter, detectDecimalComma } from '../utils/csvUtils';
+import { parseDate, formatDate } from '../utils/dateUtils';
+
+const FIELDS = [
+  { key: 'name', label: 'Name', required: true, aliases: ['name', 'gipfel', 'summit', 'peak', 'berg'] },
+  { key: 'latitude', label: 'Breitengrad', required: true, aliases: ['latitude', 'lat', 'breitengrad', 'breite'] },
+  { key: 'longitude', label: 'Längengrad', required: true, aliases: ['longitude', 'lon', 'lng', 'längengrad', 'laenge', 'länge'] },
+  { key: 'elevation', label: 'Höhe', aliases: ['elevation', 'ele', 'höhe', 'hoehe', 'altitude'] },
+  { key: 'wikipedia', label: 'Wikipedia', aliases: ['wikipedia', 'wiki'] },
+  { key: 'wikidata', label: 'Wikidata', aliases: ['wikidata', 'qid'] },
+  { key: 'date', label: 'Datum', aliases: ['date', 'datum', 'besucht', 'visited'] },
+  { key: 'notes', label: 'Notizen', aliases: ['notes', 'notizen', 'notiz', 'bemerkung', 'kommentar'] },
+];
+
+const PREVIEW_ROWS = 5;
+
+// Pre-select columns whose header matches one of the field aliases
+const guessMapping = (header) => {
+  const normalized = header.map((h) => h.trim().toLowerCase());
+  const mapping = {};
+  FIELDS.forEach((field) => {
+    const index = normalized.findIndex((h) => field.aliases.includes(h));
+    mapping[field.key] = index >= 0 ? index : '';
+  });
+  return mapping;
+};
+
+const cellValue = (row, mapping, key) => (
+  mapping[key] === '' ? '' : (row[mapping[key]] || '').trim()
+);
+
+// Convert one CSV row into summit/visit values, or an error message
+const convertRow = (row, mapping, decimalComma) => {
+  const name = cellValue(row, mapping, 'name');
+  const latitude = parseNumber(cellValue(row, mapping, 'latitude'), decimalComma);
+  const longitude = parseNumber(cellValue(row, mapping, 'longitude'), decimalComma);
+
+  if (!name) return { error: 'Name fehlt' };
+  if (latitude === null || latitude < -90 || latitude > 90) return { name, error: 'Ungültiger Breitengrad' };
+  if (longitude === null || longitude < -180 || longitude > 180) return { name, error: 'Ungültiger Längengrad' };
+
+  const dateText = cellValue(row, mapping, 'date');
+  const date = parseDate(dateText);
+  if (dateText && !date) return { name, error: `Ungültiges Datum "${dateText}"` };
+
+  return {
+    name,
+    latitude,
+    longitude,
+    elevation: parseNumber(cellValue(row, mapping, 'elevation'), decimalComma),
+    wikipedia: cellValue(row, mapping, 'wikipedia') || null,
+    wikidata: cellValue(row, mapping, 'wikidata') || null,
+    date,
+    notes: cellValue(row, mapping, 'notes') || null,
+  };
+};
+
+function CsvImportWizard({ text, fileName, onClose, onSubmit }) {
+  const rows = useMemo(() => parseCsv(text), [text]);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState(() => guessMapping(rows[0] || []));
+  const [decimalComma, setDecimalComma] = useState(() => detectDecimalComma(rows, detectDelimiter(text)));
+
+  const columnCount = Math.max(0, ...rows.map((row) => row.length));
+  const columns = Array.from({ length: columnCount }, (_, i) => (
+    hasHeader && rows[0]?.[i] ? rows[0][i] : `Spalte ${i + 1}`
+  ));
+  const dataRows = useMemo(() => (hasHeader ? rows.slice(1) : rows), [rows, hasHeader]);
+
+  const converted = useMemo(
+    () => dataRows.map((row, index) => ({
+      // Line in the file, counting the header
+      line: index + (hasHeader ? 2 : 1),
+      ...convertRow(row, mapping, decimalComma),
+    })),
+    [dataRows, mapping, decimalComma, hasHeader]
+  );
+  const invalidRows = converted.filter((row) => row.error);
+  const errorCount = invalidRows.length;
+  const mappingComplete = FIELDS.every((field) => !field.required || mapping[field.key] !== '');
+
+  const handleMappingChange = (key, value) => {
+    setMapping((prev) => ({ ...prev, [key]: value === '' ? '' : Number(value) }));
+  };
+
+  // Rows at the same coordinates become one summit with several visits
+  const handleSubmit = () => {
+    const summits = [];
+    const visits = [];
+    const refs = new Map();
+
+    converted.filter((row) => !row.error).forEach((row) => {
+      const key = `${row.latitude.toFixed(5)},${row.longitude.toFixed(5)}`;
+      if (!refs.has(key)) {
+        refs.set(key, `csv-${refs.size + 1}`);
+        summits.push({
+          ref: refs.get(key),
+          name: row.name,
+          latitude: row.latitude,
+          longitude: row.longitude,
+          elevation: row.elevation,
+          wikipedia: row.wikipedia,
+          wikidata: row.wikidata,
+        });
+      }
+      if (row.date) {
+        visits.push({ summitRef: refs.get(key), date: row.date, notes: row.notes });
+      }
+    });
+
+    onSubmit({ summits, visits });
+  };
+
+  return (
+    <div className="gpx-analyzer-overlay">
+      <div className="gpx-analyzer-modal import-modal">
+        <div className="gpx-analyzer-header">
+          <h3>📄 CSV-Import{fileName ? ` – ${fileName}` : ''}</h3>
+          <button className="btn-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="gpx-analyzer-content">
+          {rows.length === 0 ? (
+            <p className="import-warning">Die Datei enthält keine Zeilen.</p>
+          ) : (
+            <>
+              <label className="csv-header-toggle">
+                <input
+                  type="checkbox"
+                  checked={hasHeader}
+                  onChange={(e) => setHasHeader(e.target.checked)}
+                />
+                Erste Zeile enthält Spaltennamen
+              </label>
+
+              <label className="csv-header-toggle">
+                Dezimaltrennzeichen{' '}
+                <select
+                  value={decimalComma ? 'comma' : 'dot'}
+                  onChange={(e) => setDecimalComma(e.target.value === 'comma')}
+                >
+                  <option value="comma">Komma (47,42 / 2.962)</option>
+                  <option value="dot">Punkt (47.42 / 2,962)</option>
+                </select>
+              </label>
+
+              <div className="settings-grid">
+                {FIELDS.map((field) => (
+                  <div key={field.key} className="setting-item">
+                    <label>{field.label}{field.required ? ' *' : ''}</label>
+                    <select
+                      value={mapping[field.key]}
+                      onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                    >
+                      <option value="">– nicht importieren –</option>
+                      {columns.map((column, index) => (
+                        <option key={index} value={index}>{column}</option>
+                      ))}
+                    </select>
+                    {field.key === 'date' && <small>TT.MM.JJJJ oder JJJJ-MM-TT</small>}
+                  </div>
+                ))}
+              </div>
+
+              <div className="import-summary">
+                <strong>Zeilen:</strong>
+                <span className="import-status import-status-created">
+                  Gültig: {converted.length - errorCount}
+                </span>
+                <span className="import-status import-status-conflict">
+                  Fehlerhaft: {errorCount}
+                </span>
+              </div>
+
+              <div className="peaks-table-compact import-table">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>#</th>
+                      <th>Name</th>
+                      <th>Koordinaten</th>
+                      <th>Höhe</th>
+                      <th>Datum</th>
+                      <th>Hinweis</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {converted.slice(0, PREVIEW_ROWS).map((row) => (
+                      <tr key={row.line}>
+                        <td>{row.line}</td>
+                        <td>{row.name || ''}</td>
+                        <td>{row.error ? '' : `${row.latitude.toFixed(5)}, ${row.longitude.toFixed(5)}`}</td>
+                        <td>{row.elevation !== null && row.elevation !== undefined ? `${row.elevation} m` : ''}</td>
+                        <td>{row.date ? formatDate(row.date) : ''}</td>
+                        <td>
+                          {row.error && (
+                            <span className="import-status import-status-conflict">{row.error}</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {converted.length > PREVIEW_ROWS && (
+                <p className="csv-more-rows">… und {converted.length - PREVIEW_ROWS} weitere Zeilen</p>
+              )}
+
+              {errorCount > 0 && (
+                <div className="csv-invalid-rows">
+                  <strong>Fehlerhafte Zeilen werden nicht importiert:</strong>
+                  <ul>
+                    {invalidRows.map((row) => (
+                      <li key={row.line}>
+                        Zeile {row.line}{row.name ? ` (${row.name})` : ''}: {row.error}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </>
+          )}
+
+          <div className="gpx-actions">
+            <button
+              className="btn btn-primary"
+              onClick={handleSubmit}
+              disabled={!mappingComplete || converted.length === errorCount}
+            >
+              Weiter zur Import-Vorschau
+            </button>
+            <button className="btn btn-secondary" onClick={onClose}>
+              Abbrechen
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CsvImportWizard;
@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { DEFAULT_SETTINGS } from '@summit-tracker/shared';
+import { presetAPI } from '../services/api';
+
+// Presets only store what was set back then; settings added later keep their defaults
+const presetSettings = (preset) => ({ ...DEFAULT_SETTINGS, ...preset.settings });
+
+const sameSettings = (a, b) => Object.keys(DEFAULT_SETTINGS).every((key) => a[key] === b[key]);
+
+// Named detection settings of the user (e.g. "Skitour"). The preset used last
+// is applied when the analyzer opens.
+function DetectionPresets({ settings, onChange, disabled = false }) {
+  const [presets, setPresets] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  // The presets are loaded once when the analyzer opens, with the onChange of that moment
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    presetAPI.getAll().then(
+      ({ presets: loaded, lastUsedId }) => {
+        if (cancelled) return;
+        setPresets(loaded);
+        const lastUsed = loaded.find((preset) => preset.id === lastUsedId);
+        if (lastUsed) {
+          setSelectedId(lastUsed.id);
+          onChangeRef.current(presetSettings(lastUsed));
+        }
+      },
+      (error) => console.error('Error loading presets:', error)
+    );
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const selected = presets.find((preset) => preset.id === selectedId) || null;
+  const modified = selected && !sameSettings(settings, presetSettings(selected));
+
+  const handleSelect = (value) => {
+    if (!value) {
+      setSelectedId(null);
+      onChange({ ...DEFAULT_SETTINGS });
+      presetAPI.clearUsed().catch((error) => console.error('Error saving last used preset:', error));
+      return;
+    }
+
+    const preset = presets.find((p) => p.id === parseInt(value, 10));
+    setSelectedId(preset.id);
+    onChange(presetSettings(preset));
+    presetAPI.markUsed(preset.id).catch((error) => console.error('Error saving last used preset:', error));
+  };
+
+  const replacePreset = (saved) => {
+    setPresets((prev) => [...prev.filter((p) => p.id !== saved.id), saved]
+      .sort((a, b) => a.name.localeCompare(b.name, 'de', { sensitivity: 'base' })));
+    setSelectedId(saved.id);
+  };
+
+  const handleSaveAs = async () => {
+    const name = window.prompt('Name der Vorlage (z.B. "Skitour"):', selected ? selected.name : '');
+    if (!name || !name.trim()) return;
+
+    const existing = presets.find((p) => p.name === name.trim());
+    try {
+      if (existing) {
+        if (!window.confirm(`Vorlage "${existing.name}" überschreiben?`)) return;
+        replacePreset(await presetAPI.update(existing.id, { settings }));
+        presetAPI.markUsed(existing.id).catch((error) => console.error('Error saving last used preset:', error));
+      } else {
+        replacePreset(await presetAPI.create(name.trim(), settings));
+      }
+    } catch (error) {
+      alert(`Fehler beim Speichern der Vorlage: ${error.message}`);
+    }
+  };
+
+  const handleUpdate = async () => {
+    try {
+      replacePreset(await presetAPI.update(selected.id, { settings }));
+    } catch (error) {
+      alert(`Fehler beim Speichern der Vorlage: ${error.message}`);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Vorlage "${selected.name}" löschen?`)) return;
+
+    try {
+      await presetAPI.delete(selected.id);
+      setPresets((prev) => prev.filter((p) => p.id !== selected.id));
+      setSelectedId(null);
+      // The analyzer now runs with the default settings, don't fall back to an older preset next time
+      presetAPI.clearUsed().catch((error) => console.error('Error saving last used preset:', error));
+    } catch (error) {
+      alert(`Fehler beim Löschen der Vorlage: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="detection-presets">
+      <label>Vorlage</label>
+      <select
+        value={selectedId || ''}
+        onChange={(e) => handleSelect(e.target.value)}
+        disabled={disabled}
+      >
+        <option value="">Standardwerte</option>
+        {presets.map((preset) => (
+          <option key={preset.id} value={preset.id}>{preset.name}</option>
+        ))}
+      </select>
+      {modified && <span className="preset-modified">geändert</span>}
+      <button type="button" className="btn-small btn-secondary" onClick={handleSaveAs} disabled={disabled}>
+        Speichern unter…
+      </button>
+      {selected && (
+        <>
+          <button
+            type="button"
+            className="btn-small btn-secondary"
+            onClick={handleUpdate}
+            disabled={disabled || !modified}
+          >
+            Aktualisieren
+          </button>
+          <button type="button" className="btn-small btn-secondary" onClick={handleDelete} disabled={disabled}>
+            Löschen
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default DetectionPresets;
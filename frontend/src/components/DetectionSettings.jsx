@@ -0,0 +1,185 @@
+import React from 'react';
+
+const usesStops = (settings) => settings.detectionMode !== 'terrain';
+const usesTerrain = (settings) => settings.detectionMode !== 'stops';
+
+// Fields with options are selects, the others number inputs.
+// visible() decides whether a field applies to the current settings.
+const SETTING_FIELDS = [
+  {
+    key: 'detectionMode',
+    label: 'Erkennungsmethode',
+    options: [
+      { value: 'auto', label: 'Automatisch (ohne Zeitstempel: Geländeform)' },
+      { value: 'stops', label: 'Stopps (benötigt Zeitstempel)' },
+      { value: 'terrain', label: 'Geländeform (Höhenmaxima)' },
+    ],
+    hint: 'Geplante Routen ohne Zeitstempel werden über die Geländeform erkannt',
+  },
+  {
+    key: 'stopSpeedThreshold',
+    visible: usesStops,
+    label: 'Stopp-Geschwindigkeit (m/s)',
+    step: '0.1',
+    min: '0.1',
+    max: '2',
+    parse: parseFloat,
+    hint: 'Standard: 0.5 m/s (~1.8 km/h)',
+  },
+  {
+    key: 'clusterDistance',
+    label: 'Cluster-Distanz (m)',
+    min: '20',
+    max: '200',
+    parse: parseInt,
+    hint: 'Gruppiert Stopps bzw. Gipfel in diesem Radius',
+  },
+  {
+    key: 'minStopDuration',
+    visible: usesStops,
+    label: 'Min. Stopp-Dauer (min)',
+    min: '1',
+    max: '30',
+    parse: parseInt,
+    hint: 'Standard: 1 min (optimiert für kurze Gipfelstopps)',
+  },
+  {
+    key: 'clusterTimeGap',
+    visible: usesStops,
+    label: 'Zeit-Cluster (min)',
+    min: '1',
+    max: '30',
+    parse: parseInt,
+    hint: 'Standard: 5 min (gruppiert nahe Stopps zeitlich)',
+  },
+  {
+    key: 'prominenceRadius',
+    visible: usesStops,
+    label: 'Prominenz-Radius (m)',
+    min: '20',
+    max: '1000',
+    parse: parseInt,
+    hint: 'Umgebung, mit der die Höhe eines Stopps verglichen wird',
+  },
+  {
+    key: 'prominenceTimeWindow',
+    visible: usesStops,
+    label: 'Prominenz-Zeitfenster (min)',
+    min: '1',
+    max: '60',
+    parse: parseInt,
+    hint: 'Trackpunkte vor und nach dem Stopp, die zum Vergleich zählen',
+  },
+  {
+    key: 'elevationPercentile',
+    label: 'Höhen-Perzentil (%)',
+    min: '0',
+    max: '100',
+    parse: parseInt,
+    hint: 'Gipfel über diesem Anteil der Trackhöhen erhalten einen höheren Score',
+  },
+  {
+    key: 'minProminence',
+    visible: usesTerrain,
+    label: 'Min. Prominenz (m)',
+    min: '5',
+    max: '300',
+    parse: parseInt,
+    hint: 'Abstieg bis zum nächsten höheren Punkt des Tracks',
+  },
+  {
+    key: 'turnaroundAngle',
+    visible: usesTerrain,
+    label: 'Umkehr-Winkel (°)',
+    min: '90',
+    max: '180',
+    parse: parseInt,
+    hint: 'Richtungswechsel, ab dem ein Umkehrpunkt zählt (halbe Prominenz reicht dann)',
+  },
+  {
+    key: 'turnaroundDistance',
+    visible: usesTerrain,
+    label: 'Umkehr-Strecke (m)',
+    min: '10',
+    max: '500',
+    parse: parseInt,
+    hint: 'Trackstrecke vor und nach dem Punkt, aus der die Richtung bestimmt wird',
+  },
+  {
+    key: 'elevationSmoothing',
+    label: 'Höhenglättung',
+    options: [
+      { value: 'none', label: 'Keine' },
+      { value: 'moving-average', label: 'Gleitender Mittelwert' },
+      { value: 'kalman', label: 'Kalman-Filter' },
+    ],
+    hint: 'Entfernt GPS-Rauschen vor Erkennung und Statistik',
+  },
+  {
+    key: 'smoothingWindow',
+    visible: (settings) => settings.elevationSmoothing === 'moving-average',
+    label: 'Glättungsfenster (m)',
+    min: '10',
+    max: '500',
+    parse: parseInt,
+    hint: 'Streckenlänge, über die gemittelt wird',
+  },
+  {
+    key: 'kalmanNoise',
+    visible: (settings) => settings.elevationSmoothing === 'kalman',
+    label: 'GPS-Höhenfehler (m)',
+    min: '1',
+    max: '30',
+    parse: parseFloat,
+    hint: 'Größere Werte glätten stärker',
+  },
+  {
+    key: 'ascentThreshold',
+    label: 'Auf-/Abstiegs-Schwelle (m)',
+    min: '0',
+    max: '20',
+    parse: parseFloat,
+    hint: 'Höhenänderung, ab der ein Richtungswechsel zählt',
+  },
+];
+
+// Input grid for the peak detection settings, shared by the single and batch analyzers
+function DetectionSettings({ settings, onChange, disabled = false }) {
+  const handleChange = (field, value) => {
+    onChange({ ...settings, [field.key]: field.options ? value : field.parse(value) });
+  };
+
+  return (
+    <div className="settings-grid">
+      {SETTING_FIELDS.filter((field) => !field.visible || field.visible(settings)).map((field) => (
+        <div key={field.key} className="setting-item">
+          <label>{field.label}</label>
+          {field.options ? (
+            <select
+              value={settings[field.key]}
+              onChange={(e) => handleChange(field, e.target.value)}
+              disabled={disabled}
+            >
+              {field.options.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type="number"
+              step={field.step}
+              value={settings[field.key]}
+              onChange={(e) => handleChange(field, e.target.value)}
+              min={field.min}
+              max={field.max}
+              disabled={disabled}
+            />
+          )}
+          <small>{field.hint}</small>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default DetectionSettings;
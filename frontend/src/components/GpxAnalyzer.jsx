@@ -1,7 +1,16 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import Plotly from 'plotly.js-dist-min';
 import { MapContainer, TileLayer, Marker, Popup, Polyline } from 'react-leaflet';
 import L from 'leaflet';
+import { DEFAULT_SETTINGS, haversineDistance } from '@summit-tracker/shared';
+import DetectionSettings from './DetectionSettings';
+import DetectionPresets from './DetectionPresets';
+import TrackStats from './TrackStats';
+import AnalysisProgress from './AnalysisProgress';
+import { TRACK_FILE_ACCEPT } from '../utils/trackUtils';
+import { analyzeTrackFile, isAbortError } from '../utils/trackWorker';
+import { osmAPI } from '../services/api';
+import { formatPeakReasons, describePeakReasons } from '../utils/peakUtils';
 import 'leaflet/dist/leaflet.css';
 
 // Fix for default marker icons in React
@@ -12,8 +21,44 @@ L.Icon.Default.mergeOptions({
   shadowUrl: require('leaflet/dist/images/marker-shadow.png'),
 });
 
+// Index of the track point closest to a map position
+const nearestTrackIndex = (points, lat, lon) => {
+  let nearest = 0;
+  let nearestDistance = Infinity;
+  points.forEach((point, i) => {
+    const distance = haversineDistance(lat, lon, point.lat, point.lon);
+    if (distance < nearestDistance) {
+      nearest = i;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+};
+
+// Position and time of a peak placed on a track point by hand
+const peakAtTrackPoint = (points, index) => {
+  const point = points[index];
+  return {
+    index,
+    lat: point.lat,
+    lon: point.lon,
+    ele: point.ele || 0,
+    startTime: point.time,
+    endTime: point.time,
+  };
+};
+
+// OSM match of a peak for the table: looked up in the analyzer, reused on import
+const formatOsmMatch = (peak) => {
+  if (peak.osmStatus === 'done') return peak.osm ? peak.osm.name || 'Unbenannt' : '–';
+  if (peak.osmStatus === 'error') return '⚠️';
+  return '…';
+};
+
 function GpxAnalyzer({ onPeaksDetected, onClose }) {
   const [gpxData, setGpxData] = useState(null);
+  const [gpxFile, setGpxFile] = useState(null);
+  const [trackStats, setTrackStats] = useState(null);
   const [detectedPeaks, setDetectedPeaks] = useState([]);
   const [selectedPeakIndices, setSelectedPeakIndices] = useState([]);
   const [hoveredPeakIndex, setHoveredPeakIndex] = useState(null);
@@ -22,268 +67,138 @@ function GpxAnalyzer({ onPeaksDetected, onClose }) {
   const mapRef = useRef(null);
   const [mapCenter, setMapCenter] = useState([47.2692, 11.4041]); // Default: Innsbruck area
   const [mapZoom, setMapZoom] = useState(13);
-  const [settings, setSettings] = useState({
-    stopSpeedThreshold: 0.5,
-    clusterDistance: 50,
-    clusterTimeGap: 5,  // Reduced from 15 - tighter temporal clustering
-    minStopDuration: 1,  // Reduced from 3 - catch shorter summit stops
-    prominenceRadius: 100,
-    prominenceTimeWindow: 10,
-    elevationPercentile: 80
-  });
-
-  const parseGPX = async (file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        try {
-          const parser = new DOMParser();
-          const xmlDoc = parser.parseFromString(e.target.result, 'text/xml');
-          
-          const parseError = xmlDoc.querySelector('parsererror');
-          if (parseError) {
-            reject(new Error('Ungültige GPX-Datei'));
-            return;
-          }
-
-          const trkpts = xmlDoc.querySelectorAll('trkpt');
-          const points = [];
-
-          trkpts.forEach((trkpt, index) => {
-            const lat = parseFloat(trkpt.getAttribute('lat'));
-            const lon = parseFloat(trkpt.getAttribute('lon'));
-            const eleNode = trkpt.querySelector('ele');
-            const timeNode = trkpt.querySelector('time');
-            
-            const ele = eleNode ? parseFloat(eleNode.textContent) : null;
-            const time = timeNode ? new Date(timeNode.textContent) : null;
-
-            points.push({
-              index,
-              lat,
-              lon,
-              ele,
-              time,
-              distance: 0,
-              speed: 0
-            });
-          });
-
-          // Calculate distance and speed
-          let totalDistance = 0;
-          for (let i = 1; i < points.length; i++) {
-            const dist = calculateDistance(
-              points[i - 1].lat,
-              points[i - 1].lon,
-              points[i].lat,
-              points[i].lon
-            );
-            totalDistance += dist;
-            points[i].distance = totalDistance;
-
-            if (points[i].time && points[i - 1].time) {
-              const timeDiff = (points[i].time - points[i - 1].time) / 1000;
-              points[i].speed = timeDiff > 0 ? dist / timeDiff : 0;
-            }
-          }
-
-          resolve(points);
-        } catch (error) {
-          reject(error);
-        }
-      };
-      reader.onerror = () => reject(new Error('Fehler beim Lesen der Datei'));
-      reader.readAsText(file);
-    });
-  };
-
-  const calculateDistance = (lat1, lon1, lat2, lon2) => {
-    const R = 6371e3;
-    const φ1 = (lat1 * Math.PI) / 180;
-    const φ2 = (lat2 * Math.PI) / 180;
-    const Δφ = ((lat2 - lat1) * Math.PI) / 180;
-    const Δλ = ((lon2 - lon1) * Math.PI) / 180;
-
-    const a =
-      Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-      Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
-    return R * c;
-  };
+  const [settings, setSettings] = useState({ ...DEFAULT_SETTINGS });
+  // GPS elevations are noisy; the backend's elevation model replaces them if wanted
+  const [correctElevations, setCorrectElevations] = useState(false);
+  const [elevationCorrection, setElevationCorrection] = useState(null);
+
+  const [progressStage, setProgressStage] = useState(null);
+  const abortRef = useRef(null);
+  // Manual editing: clicks on profile or track add peaks, markers can be moved
+  const [editMode, setEditMode] = useState(false);
+  const [movingPeakIndex, setMovingPeakIndex] = useState(null);
+  const nextPeakKey = useRef(1);
+
+  // Stop a running analysis when the analyzer is closed
+  useEffect(() => () => {
+    if (abortRef.current) abortRef.current.abort();
+  }, []);
 
-  const detectStopBasedPeaks = (points) => {
-    const { stopSpeedThreshold, clusterDistance, clusterTimeGap, minStopDuration,
-            prominenceRadius, prominenceTimeWindow, elevationPercentile } = settings;
-
-    // Step 1: Identify stop segments
-    const stopSegments = [];
-    let currentStop = null;
-
-    for (let i = 0; i < points.length; i++) {
-      const point = points[i];
-      
-      if (point.speed < stopSpeedThreshold) {
-        if (!currentStop) {
-          currentStop = {
-            startIndex: i,
-            points: [point]
-          };
-        } else {
-          currentStop.points.push(point);
-        }
-      } else {
-        if (currentStop && currentStop.points.length >= 2) {
-          stopSegments.push({
-            ...currentStop,
-            endIndex: i - 1,
-            startTime: currentStop.points[0].time,
-            endTime: currentStop.points[currentStop.points.length - 1].time,
-            avgLat: currentStop.points.reduce((sum, p) => sum + p.lat, 0) / currentStop.points.length,
-            avgLon: currentStop.points.reduce((sum, p) => sum + p.lon, 0) / currentStop.points.length,
-            avgEle: currentStop.points.reduce((sum, p) => sum + (p.ele || 0), 0) / currentStop.points.length,
-            maxEle: Math.max(...currentStop.points.map(p => p.ele || 0))
-          });
-        }
-        currentStop = null;
-      }
-    }
+  const handleFileUpload = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
 
-    if (currentStop && currentStop.points.length >= 2) {
-      stopSegments.push({
-        ...currentStop,
-        endIndex: points.length - 1,
-        startTime: currentStop.points[0].time,
-        endTime: currentStop.points[currentStop.points.length - 1].time,
-        avgLat: currentStop.points.reduce((sum, p) => sum + p.lat, 0) / currentStop.points.length,
-        avgLon: currentStop.points.reduce((sum, p) => sum + p.lon, 0) / currentStop.points.length,
-        avgEle: currentStop.points.reduce((sum, p) => sum + (p.ele || 0), 0) / currentStop.points.length,
-        maxEle: Math.max(...currentStop.points.map(p => p.ele || 0))
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setLoading(true);
+    setProgressStage('read');
+    try {
+      // Parsing, smoothing and detection run in a worker so large tracks don't freeze the page
+      const { points, peaks, stats, elevationCorrection: correction } = await analyzeTrackFile(file, settings, {
+        onProgress: setProgressStage,
+        signal: controller.signal,
+        correctElevations,
       });
+      setGpxData(points);
+      setGpxFile(file);
+      setTrackStats(stats);
+      setElevationCorrection(correction);
+      setDetectedPeaks(peaks.map(peak => ({ ...peak, key: nextPeakKey.current++ })));
+      setMovingPeakIndex(null);
+      setSelectedPeakIndices(peaks.map((_, idx) => idx));
+      
+      // Set map center to the middle of the track
+      const bounds = points.reduce((b, p) => ({
+        minLat: Math.min(b.minLat, p.lat),
+        maxLat: Math.max(b.maxLat, p.lat),
+        minLon: Math.min(b.minLon, p.lon),
+        maxLon: Math.max(b.maxLon, p.lon),
+      }), { minLat: Infinity, maxLat: -Infinity, minLon: Infinity, maxLon: -Infinity });
+      setMapCenter([(bounds.minLat + bounds.maxLat) / 2, (bounds.minLon + bounds.maxLon) / 2]);
+      setMapZoom(12);
+    } catch (error) {
+      if (!isAbortError(error)) alert(`Fehler: ${error.message}`);
+    } finally {
+      if (abortRef.current === controller) abortRef.current = null;
+      setLoading(false);
+      setProgressStage(null);
     }
+  };
 
-    // Step 2: Cluster nearby stops
-    const clusters = [];
-    const used = new Set();
-
-    for (let i = 0; i < stopSegments.length; i++) {
-      if (used.has(i)) continue;
+  const handleCancelAnalysis = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
 
-      const cluster = {
-        segments: [stopSegments[i]],
-        indices: [i]
-      };
-      used.add(i);
+  // Track line for the map, recomputed only for a new track
+  const trackPositions = useMemo(
+    () => (gpxData ? gpxData.map(point => [point.lat, point.lon]) : []),
+    [gpxData]
+  );
 
-      for (let j = i + 1; j < stopSegments.length; j++) {
-        if (used.has(j)) continue;
+  // Look up the OSM summit of one peak at a time (again after a peak was moved)
+  useEffect(() => {
+    if (detectedPeaks.some(peak => peak.osmStatus === 'loading')) return;
 
-        const dist = calculateDistance(
-          stopSegments[i].avgLat,
-          stopSegments[i].avgLon,
-          stopSegments[j].avgLat,
-          stopSegments[j].avgLon
-        );
+    const next = detectedPeaks.find(peak => !peak.osmStatus);
+    if (!next) return;
 
-        const timeDiff = Math.abs(stopSegments[j].startTime - stopSegments[i].endTime) / (1000 * 60);
+    // A result for a position the peak has been moved away from is dropped
+    const update = (changes) => setDetectedPeaks(prev => prev.map(peak => (
+      peak.key === next.key && peak.index === next.index ? { ...peak, ...changes } : peak
+    )));
 
-        if (dist <= clusterDistance || timeDiff <= clusterTimeGap) {
-          cluster.segments.push(stopSegments[j]);
-          cluster.indices.push(j);
-          used.add(j);
-        }
-      }
-
-      const allPoints = cluster.segments.flatMap(s => s.points);
-      const totalDuration = cluster.segments.reduce((sum, s) => {
-        return sum + (s.endTime - s.startTime) / (1000 * 60);
-      }, 0);
-
-      if (totalDuration >= minStopDuration) {
-        cluster.avgLat = allPoints.reduce((sum, p) => sum + p.lat, 0) / allPoints.length;
-        cluster.avgLon = allPoints.reduce((sum, p) => sum + p.lon, 0) / allPoints.length;
-        cluster.avgEle = allPoints.reduce((sum, p) => sum + (p.ele || 0), 0) / allPoints.length;
-        cluster.maxEle = Math.max(...allPoints.map(p => p.ele || 0));
-        cluster.duration = totalDuration;
-        cluster.startTime = cluster.segments[0].startTime;
-        cluster.endTime = cluster.segments[cluster.segments.length - 1].endTime;
-        
-        clusters.push(cluster);
-      }
+    update({ osmStatus: 'loading' });
+    osmAPI.findPeaks(next.lat, next.lon).then(
+      (osmPeaks) => update({ osmStatus: 'done', osm: osmPeaks[0] || null }),
+      () => update({ osmStatus: 'error', osm: null })
+    );
+  }, [detectedPeaks]);
+
+  // Add a manual peak at a track point, or put the peak being moved there
+  const handleTrackPointClick = (index) => {
+    if (movingPeakIndex !== null) {
+      handleMovePeak(movingPeakIndex, index);
+      setMovingPeakIndex(null);
+      return;
     }
 
-    // Step 3: Calculate prominence and score
-    const elevations = points.map(p => p.ele || 0);
-    const sortedElevations = [...elevations].sort((a, b) => a - b);
-    const elevationThreshold = sortedElevations[Math.floor(sortedElevations.length * elevationPercentile / 100)];
-
-    clusters.forEach(cluster => {
-      const centerIdx = Math.floor((cluster.segments[0].startIndex + cluster.segments[cluster.segments.length - 1].endIndex) / 2);
-      
-      const spatialNeighbors = points.filter(p => {
-        const dist = calculateDistance(cluster.avgLat, cluster.avgLon, p.lat, p.lon);
-        return dist <= prominenceRadius && p.index !== centerIdx;
-      });
-
-      const temporalNeighbors = points.filter(p => {
-        if (!p.time || !cluster.startTime) return false;
-        const timeDiff = Math.abs(p.time - cluster.startTime) / (1000 * 60);
-        return timeDiff <= prominenceTimeWindow && p.index !== centerIdx;
-      });
-
-      const combinedNeighbors = [...new Set([...spatialNeighbors, ...temporalNeighbors])];
-      const neighborElevations = combinedNeighbors.map(p => p.ele || 0);
-      const avgNeighborEle = neighborElevations.length > 0
-        ? neighborElevations.reduce((sum, e) => sum + e, 0) / neighborElevations.length
-        : cluster.avgEle;
-
-      cluster.prominence = cluster.maxEle - avgNeighborEle;
-      cluster.index = centerIdx;
-
-      const durationScore = Math.min(cluster.duration / 10, 1) * 100;
-      const elevationScore = cluster.avgEle >= elevationThreshold ? 100 : 50;
-      const prominenceScore = Math.min(cluster.prominence / 50, 1) * 100;
-
-      cluster.score = (durationScore + elevationScore + prominenceScore) / 3;
-      cluster.durationScore = durationScore;
-      cluster.elevationScore = elevationScore;
-      cluster.prominenceScore = prominenceScore;
-
-      cluster.lat = cluster.avgLat;
-      cluster.lon = cluster.avgLon;
-      cluster.ele = cluster.maxEle;
-    });
+    setDetectedPeaks(prev => [...prev, {
+      ...peakAtTrackPoint(gpxData, index),
+      key: nextPeakKey.current++,
+      avgEle: gpxData[index].ele || 0,
+      duration: 0,
+      // Chosen by the user, so there is nothing left to doubt
+      score: 100,
+      reasons: ['manual'],
+    }]);
+    setSelectedPeakIndices(prev => [...prev, detectedPeaks.length]);
+  };
 
-    return clusters.sort((a, b) => b.score - a.score);
+  // The Plotly click handler is only re-registered on re-plots, so it calls the current handler
+  const trackPointClickRef = useRef(handleTrackPointClick);
+  trackPointClickRef.current = handleTrackPointClick;
+
+  const handleMovePeak = (idx, index) => {
+    setDetectedPeaks(prev => prev.map((peak, i) => (i !== idx ? peak : {
+      ...peak,
+      ...peakAtTrackPoint(gpxData, index),
+      reasons: peak.reasons.includes('manual') ? peak.reasons : [...peak.reasons, 'manual'],
+      osmStatus: undefined,
+      osm: undefined,
+    })));
   };
 
-  const handleFileUpload = async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  const handleDeletePeak = (idx) => {
+    setDetectedPeaks(prev => prev.filter((_, i) => i !== idx));
+    setSelectedPeakIndices(prev => prev.filter(i => i !== idx).map(i => (i > idx ? i - 1 : i)));
+    setHoveredPeakIndex(null);
+    setMovingPeakIndex(null);
+  };
 
-    setLoading(true);
-    try {
-      const points = await parseGPX(file);
-      setGpxData(points);
-      
-      const peaks = detectStopBasedPeaks(points);
-      setDetectedPeaks(peaks);
-      setSelectedPeakIndices(peaks.map((_, idx) => idx));
-      
-      // Set map center to the middle of the track
-      if (points.length > 0) {
-        const lats = points.map(p => p.lat);
-        const lons = points.map(p => p.lon);
-        const centerLat = (Math.min(...lats) + Math.max(...lats)) / 2;
-        const centerLon = (Math.min(...lons) + Math.max(...lons)) / 2;
-        setMapCenter([centerLat, centerLon]);
-        setMapZoom(12);
-      }
-    } catch (error) {
-      alert(`Fehler: ${error.message}`);
-    } finally {
-      setLoading(false);
-    }
+  const handleToggleEditMode = () => {
+    setEditMode(prev => !prev);
+    setMovingPeakIndex(null);
   };
 
   // Create Plotly chart
@@ -308,6 +223,20 @@ function GpxAnalyzer({ onPeaksDetected, onClose }) {
       hovertemplate: 'Distanz: %{x:.2f} km<br>Höhe: %{y:.0f} m<extra></extra>'
     };
 
+    // Unsmoothed elevations for comparison
+    const rawTrace = gpxData[0].rawEle !== undefined && {
+      x: distances,
+      y: gpxData.map(p => p.rawEle || 0),
+      type: 'scatter',
+      mode: 'lines',
+      name: 'Rohdaten',
+      line: {
+        color: '#cbd5e0',
+        width: 1
+      },
+      hovertemplate: 'Distanz: %{x:.2f} km<br>Höhe (roh): %{y:.0f} m<extra></extra>'
+    };
+
     // Summit markers
     const summitMarkers = {
       x: detectedPeaks.map(peak => gpxData[peak.index]?.distance / 1000 || 0),
@@ -317,10 +246,10 @@ function GpxAnalyzer({ onPeaksDetected, onClose }) {
       name: 'Erkannte Gipfel',
       marker: {
         size: detectedPeaks.map((peak, idx) => 
-          hoveredPeakIndex === idx ? 18 : selectedPeakIndices.includes(idx) ? 14 : 10
+          hoveredPeakIndex === idx || movingPeakIndex === idx ? 18 : selectedPeakIndices.includes(idx) ? 14 : 10
         ),
         color: detectedPeaks.map((peak, idx) => {
-          if (hoveredPeakIndex === idx) return '#fbbf24';
+          if (hoveredPeakIndex === idx || movingPeakIndex === idx) return '#fbbf24';
           if (selectedPeakIndices.includes(idx)) return '#48bb78';
           return '#e53e3e';
         }),
@@ -340,13 +269,15 @@ function GpxAnalyzer({ onPeaksDetected, onClose }) {
       hovertemplate: detectedPeaks.map((peak, idx) => 
         `Gipfel #${idx + 1}<br>` +
         `Höhe: ${Math.round(peak.ele)} m<br>` +
-        `Dauer: ${peak.duration.toFixed(1)} min<br>` +
+        (peak.duration > 0 ? `Dauer: ${peak.duration.toFixed(1)} min<br>` : '') +
+        `Erkannt: ${formatPeakReasons(peak)}<br>` +
         `Score: ${peak.score.toFixed(1)}<extra></extra>`
       )
     };
 
-    const minEle = Math.min(...elevations);
-    const maxEle = Math.max(...elevations);
+    // Spreading all elevations into Math.min/max overflows the stack on long tracks
+    const minEle = elevations.reduce((a, b) => Math.min(a, b), Infinity);
+    const maxEle = elevations.reduce((a, b) => Math.max(a, b), -Infinity);
 
     const layout = {
       xaxis: {
@@ -377,17 +308,26 @@ function GpxAnalyzer({ onPeaksDetected, onClose }) {
       displaylogo: false
     };
 
-    Plotly.newPlot(plotRef.current, [elevationTrace, summitMarkers], layout, config);
+    const traces = rawTrace ? [rawTrace, elevationTrace, summitMarkers] : [elevationTrace, summitMarkers];
+    Plotly.newPlot(plotRef.current, traces, layout, config);
 
-    // Add click handler for markers
+    // Markers toggle the selection, or pick a peak up for moving in edit mode.
+    // In edit mode a click on the profile adds or places a peak; both profile
+    // traces are indexed like the track points.
     plotRef.current.on('plotly_click', (data) => {
-      if (data.points[0].curveNumber === 1) { // Summit markers trace
-        const pointIndex = data.points[0].pointIndex;
-        handlePeakToggle(pointIndex);
+      const { data: trace, pointIndex } = data.points[0];
+      if (trace === summitMarkers) {
+        if (editMode) {
+          setMovingPeakIndex(prev => (prev === pointIndex ? null : pointIndex));
+        } else {
+          handlePeakToggle(pointIndex);
+        }
+      } else if (editMode) {
+        trackPointClickRef.current(pointIndex);
       }
     });
 
-  }, [gpxData, detectedPeaks, selectedPeakIndices, hoveredPeakIndex]);
+  }, [gpxData, detectedPeaks, selectedPeakIndices, hoveredPeakIndex, editMode, movingPeakIndex]);
 
   // Update map when hovering peaks
   useEffect(() => {
@@ -415,7 +355,7 @@ function GpxAnalyzer({ onPeaksDetected, onClose }) {
 
   const handleConfirmPeaks = () => {
     const selectedPeaks = selectedPeakIndices.map(idx => detectedPeaks[idx]);
-    onPeaksDetected(selectedPeaks);
+    onPeaksDetected(selectedPeaks, gpxFile);
   };
 
   const formatTime = (time) => {
@@ -434,71 +374,40 @@ function GpxAnalyzer({ onPeaksDetected, onClose }) {
         <div className="gpx-analyzer-content">
           {!gpxData ? (
             <div className="gpx-upload-section">
-              <p>Lade eine GPX-Datei hoch, um automatisch Gipfel zu erkennen.</p>
+              <p>Lade einen Track (GPX, TCX, FIT oder KML) hoch, um automatisch Gipfel zu erkennen.</p>
               
               <div className="algorithm-info">
-                <h4>Stop-basierte Gipfelerkennung</h4>
-                <p><strong>Methode:</strong> Identifiziert Gipfel durch Analyse von Stop-Clustern (Geschwindigkeit &lt; 0.5 m/s) kombiniert mit Höhenprominenz.</p>
+                <h4>Gipfelerkennung</h4>
+                <p><strong>Stopps:</strong> Identifiziert Gipfel durch Analyse von Stop-Clustern (Geschwindigkeit &lt; 0.5 m/s) kombiniert mit Höhenprominenz.</p>
+                <p><strong>Geländeform:</strong> Für Tracks ohne Zeitstempel – lokale Höhenmaxima mit Mindest-Prominenz, Umkehrpunkte zählen schon mit halber Prominenz.</p>
               </div>
 
-              <div className="settings-grid">
-                <div className="setting-item">
-                  <label>Stopp-Geschwindigkeit (m/s)</label>
-                  <input
-                    type="number"
-                    step="0.1"
-                    value={settings.stopSpeedThreshold}
-                    onChange={(e) => setSettings({...settings, stopSpeedThreshold: parseFloat(e.target.value)})}
-                    min="0.1"
-                    max="2"
-                  />
-                  <small>Standard: 0.5 m/s (~1.8 km/h)</small>
-                </div>
-                <div className="setting-item">
-                  <label>Cluster-Distanz (m)</label>
-                  <input
-                    type="number"
-                    value={settings.clusterDistance}
-                    onChange={(e) => setSettings({...settings, clusterDistance: parseInt(e.target.value)})}
-                    min="20"
-                    max="200"
-                  />
-                  <small>Gruppiert Stopps in diesem Radius</small>
-                </div>
-                <div className="setting-item">
-                  <label>Min. Stopp-Dauer (min)</label>
-                  <input
-                    type="number"
-                    value={settings.minStopDuration}
-                    onChange={(e) => setSettings({...settings, minStopDuration: parseInt(e.target.value)})}
-                    min="1"
-                    max="30"
-                  />
-                  <small>Standard: 1 min (optimiert für kurze Gipfelstopps)</small>
-                </div>
-                <div className="setting-item">
-                  <label>Zeit-Cluster (min)</label>
-                  <input
-                    type="number"
-                    value={settings.clusterTimeGap}
-                    onChange={(e) => setSettings({...settings, clusterTimeGap: parseInt(e.target.value)})}
-                    min="1"
-                    max="30"
-                  />
-                  <small>Standard: 5 min (gruppiert nahe Stopps zeitlich)</small>
-                </div>
-              </div>
+              <DetectionPresets settings={settings} onChange={setSettings} />
+              <DetectionSettings settings={settings} onChange={setSettings} />
 
-              <label className="btn btn-primary file-upload-btn">
-                {loading ? 'Verarbeite...' : 'GPX-Datei auswählen'}
+              <label className="elevation-option">
                 <input
-                  type="file"
-                  accept=".gpx"
-                  onChange={handleFileUpload}
+                  type="checkbox"
+                  checked={correctElevations}
+                  onChange={(e) => setCorrectElevations(e.target.checked)}
                   disabled={loading}
-                  style={{ display: 'none' }}
                 />
+                Höhen aus dem Höhenmodell (SRTM) statt GPS-Höhen verwenden
               </label>
+
+              {loading ? (
+                <AnalysisProgress stage={progressStage} onCancel={handleCancelAnalysis} />
+              ) : (
+                <label className="btn btn-primary file-upload-btn">
+                  Track-Datei auswählen
+                  <input
+                    type="file"
+                    accept={TRACK_FILE_ACCEPT}
+                    onChange={handleFileUpload}
+                    style={{ display: 'none' }}
+                  />
+                </label>
+              )}
             </div>
           ) : (
             <div className="gpx-results">
@@ -506,15 +415,15 @@ function GpxAnalyzer({ onPeaksDetected, onClose }) {
                 <div className="stat-item">
                   <strong>Trackpunkte:</strong> {gpxData.length}
                 </div>
-                <div className="stat-item">
-                  <strong>Distanz:</strong> {(gpxData[gpxData.length - 1].distance / 1000).toFixed(2)} km
-                </div>
                 <div className="stat-item">
                   <strong>Gipfel erkannt:</strong> {detectedPeaks.length}
                 </div>
-                {gpxData[0].time && gpxData[gpxData.length - 1].time && (
+                {elevationCorrection && (
                   <div className="stat-item">
-                    <strong>Dauer:</strong> {Math.round((gpxData[gpxData.length - 1].time - gpxData[0].time) / (1000 * 60))} min
+                    <strong>Höhenmodell:</strong>
+                    {elevationCorrection.error
+                      ? `nicht verfügbar (${elevationCorrection.error}), GPS-Höhen verwendet`
+                      : `${elevationCorrection.corrected} von ${elevationCorrection.total} Höhen korrigiert`}
                   </div>
                 )}
               </div>
@@ -523,25 +432,38 @@ function GpxAnalyzer({ onPeaksDetected, onClose }) {
               <div className="gpx-two-column-layout">
                 {/* LEFT COLUMN: Summit table */}
                 <div className="gpx-left-column">
-                  {detectedPeaks.length > 0 && (
-                    <div className="detected-peaks-list-compact">
-                      <div className="peaks-header">
-                        <h4>Erkannte Gipfel ({detectedPeaks.length})</h4>
-                        <div className="selection-controls">
-                          <button 
-                            className="btn-small btn-secondary"
-                            onClick={handleSelectAll}
-                          >
-                            Alle
-                          </button>
-                          <button 
-                            className="btn-small btn-secondary"
-                            onClick={handleDeselectAll}
-                          >
-                            Keine
-                          </button>
-                        </div>
+                  <div className="detected-peaks-list-compact">
+                    <div className="peaks-header">
+                      <h4>Erkannte Gipfel ({detectedPeaks.length})</h4>
+                      <div className="selection-controls">
+                        <button 
+                          className="btn-small btn-secondary"
+                          onClick={handleSelectAll}
+                        >
+                          Alle
+                        </button>
+                        <button 
+                          className="btn-small btn-secondary"
+                          onClick={handleDeselectAll}
+                        >
+                          Keine
+                        </button>
+                        <button
+                          className={`btn-small ${editMode ? 'btn-primary' : 'btn-secondary'}`}
+                          onClick={handleToggleEditMode}
+                        >
+                          {editMode ? '✓ Fertig' : '✏️ Bearbeiten'}
+                        </button>
                       </div>
+                    </div>
+                    {editMode && (
+                      <p className="peak-edit-hint">
+                        {movingPeakIndex !== null
+                          ? `Neue Stelle für Gipfel #${movingPeakIndex + 1} im Profil oder auf dem Track anklicken.`
+                          : 'Klick auf Höhenprofil oder Track fügt einen Gipfel hinzu. Zum Verschieben Marker auf der Karte ziehen oder im Profil anklicken.'}
+                      </p>
+                    )}
+                    {detectedPeaks.length > 0 ? (
                       <div className="peaks-table-compact">
                         <table>
                           <thead>
@@ -551,6 +473,9 @@ function GpxAnalyzer({ onPeaksDetected, onClose }) {
                               <th>Zeit</th>
                               <th>Höhe</th>
                               <th>Score</th>
+                              <th>Grund</th>
+                              <th>OSM</th>
+                              {editMode && <th width="30"></th>}
                             </tr>
                           </thead>
                           <tbody>
@@ -559,7 +484,7 @@ function GpxAnalyzer({ onPeaksDetected, onClose }) {
                                                peak.score > 30 ? 'score-medium' : 'score-low';
                               return (
                                 <tr 
-                                  key={idx} 
+                                  key={peak.key} 
                                   className={`${selectedPeakIndices.includes(idx) ? 'selected' : ''} ${hoveredPeakIndex === idx ? 'hovered' : ''}`}
                                   onClick={() => handlePeakToggle(idx)}
                                   onMouseEnter={() => setHoveredPeakIndex(idx)}
@@ -579,18 +504,42 @@ function GpxAnalyzer({ onPeaksDetected, onClose }) {
                                   <td>
                                     <span className={`score-badge ${scoreClass}`}>{peak.score.toFixed(0)}</span>
                                   </td>
+                                  <td className="peak-reason" title={describePeakReasons(peak)}>
+                                    {formatPeakReasons(peak)}
+                                  </td>
+                                  <td title={peak.osm ? `${peak.osm.name || 'Unbenannt'} (${peak.osm.elevation || '?'} m)` : ''}>
+                                    {formatOsmMatch(peak)}
+                                  </td>
+                                  {editMode && (
+                                    <td>
+                                      <button
+                                        className="btn-small btn-secondary"
+                                        onClick={(e) => {
+                                          e.stopPropagation();
+                                          handleDeletePeak(idx);
+                                        }}
+                                        title="Gipfel entfernen"
+                                      >
+                                        🗑️
+                                      </button>
+                                    </td>
+                                  )}
                                 </tr>
                               );
                             })}
                           </tbody>
                         </table>
                       </div>
-                    </div>
-                  )}
+                    ) : (
+                      <p className="peak-edit-hint">Keine Gipfel erkannt. Im Bearbeiten-Modus lassen sich Gipfel von Hand setzen.</p>
+                    )}
+                  </div>
                 </div>
 
                 {/* RIGHT COLUMN: Chart and Map */}
                 <div className="gpx-right-column">
+                  {trackStats && <TrackStats stats={trackStats} />}
+
                   {/* Elevation Profile */}
                   <div className="elevation-profile-plotly">
                     <h4>Höhenprofil</h4>
@@ -628,7 +577,12 @@ function GpxAnalyzer({ onPeaksDetected, onClose }) {
                         
                         {/* GPX Track */}
                         <Polyline
-                          positions={gpxData.map(point => [point.lat, point.lon])}
+                          positions={trackPositions}
+                          eventHandlers={{
+                            click: (e) => {
+                              if (editMode) handleTrackPointClick(nearestTrackIndex(gpxData, e.latlng.lat, e.latlng.lng));
+                            },
+                          }}
                           pathOptions={{
                             color: '#667eea',
                             weight: 3,
@@ -639,15 +593,26 @@ function GpxAnalyzer({ onPeaksDetected, onClose }) {
                         {/* Peak Markers */}
                         {detectedPeaks.map((peak, idx) => (
                           <Marker
-                            key={idx}
+                            key={peak.key}
                             position={[peak.lat, peak.lon]}
+                            draggable={editMode}
+                            eventHandlers={{
+                              // Snap the dropped marker back onto the track
+                              dragend: (e) => {
+                                const { lat, lng } = e.target.getLatLng();
+                                const index = nearestTrackIndex(gpxData, lat, lng);
+                                e.target.setLatLng([gpxData[index].lat, gpxData[index].lon]);
+                                handleMovePeak(idx, index);
+                              },
+                            }}
                             opacity={hoveredPeakIndex === idx ? 1 : selectedPeakIndices.includes(idx) ? 0.7 : 0.3}
                           >
                             <Popup>
                               <div>
                                 <strong>Gipfel #{idx + 1}</strong><br/>
                                 Höhe: {Math.round(peak.ele)} m<br/>
-                                Dauer: {peak.duration.toFixed(1)} min<br/>
+                                {peak.duration > 0 && <>Dauer: {peak.duration.toFixed(1)} min<br/></>}
+                                Erkannt: {formatPeakReasons(peak)}<br/>
                                 Score: {peak.score.toFixed(1)}<br/>
                                 <small>{peak.lat.toFixed(5)}, {peak.lon.toFixed(5)}</small>
                               </div>
@@ -666,12 +631,14 @@ function GpxAnalyzer({ onPeaksDetected, onClose }) {
                   onClick={handleConfirmPeaks}
                   disabled={selectedPeakIndices.length === 0}
                 >
-                  Ausgewählte Gipfel zu OSM abfragen ({selectedPeakIndices.length})
+                  Ausgewählte Gipfel prüfen ({selectedPeakIndices.length})
                 </button>
                 <button 
                   className="btn btn-secondary"
                   onClick={() => {
                     setGpxData(null);
+                    setTrackStats(null);
+                    setElevationCorrection(null);
                     setDetectedPeaks([]);
                     setSelectedPeakIndices([]);
                   }}
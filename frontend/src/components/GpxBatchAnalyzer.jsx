@@ -0,0 +1,366 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { DEFAULT_SETTINGS, haversineDistance } from '@summit-tracker/shared';
+import DetectionSettings from './DetectionSettings';
+import DetectionPresets from './DetectionPresets';
+import AnalysisProgress from './AnalysisProgress';
+import GpxBatchReview from './GpxBatchReview';
+import { TRACK_FILE_ACCEPT, isTrackFile, trackDate } from '../utils/trackUtils';
+import { analyzeTrackFile, isAbortError } from '../utils/trackWorker';
+import { formatPeakReasons, describePeakReasons } from '../utils/peakUtils';
+
+// Peaks closer than this are treated as the same summit (same tolerance as the backend)
+const DUPLICATE_DISTANCE = 100; // meters
+
+const STATUS_LABELS = {
+  pending: 'Wartend',
+  processing: 'Analysiere...',
+  done: 'Fertig',
+  error: 'Fehler',
+};
+
+const STATUS_CLASSES = {
+  pending: 'import-status-skipped',
+  processing: 'import-status-updated',
+  done: 'import-status-created',
+  error: 'import-status-conflict',
+};
+
+// Analyze one file in a worker. Only the peak summaries come back, not the track points.
+const analyzeFile = async (file, settings, options) => {
+  const { peaks, stats } = await analyzeTrackFile(file, settings, { ...options, includePoints: false });
+
+  return {
+    date: trackDate(stats.startTime, file),
+    distance: stats.distance,
+    // In track order, which also works for tracks without timestamps
+    peaks: peaks
+      .sort((a, b) => a.index - b.index)
+      .map((peak) => ({ ...peak, included: true })),
+  };
+};
+
+// Group the included peaks of all tracks: peaks within DUPLICATE_DISTANCE of a
+// group's first peak belong to the same summit
+const groupPeaks = (entries) => {
+  const groups = [];
+
+  entries.forEach((entry) => {
+    if (entry.status !== 'done') return;
+
+    entry.peaks.forEach((peak, peakIndex) => {
+      if (!peak.included) return;
+
+      const visit = { entryId: entry.id, peakIndex, file: entry.file, date: entry.date, peak };
+      const group = groups.find((g) => (
+        haversineDistance(g.lat, g.lon, peak.lat, peak.lon) <= DUPLICATE_DISTANCE
+      ));
+
+      if (group) {
+        group.visits.push(visit);
+      } else {
+        groups.push({ lat: peak.lat, lon: peak.lon, ele: peak.ele, visits: [visit] });
+      }
+    });
+  });
+
+  return groups;
+};
+
+const formatTime = (time) => (
+  time ? time.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' }) : '–'
+);
+
+function GpxBatchAnalyzer({ visits, onImported, onClose }) {
+  const [settings, setSettings] = useState({ ...DEFAULT_SETTINGS });
+  const [entries, setEntries] = useState([]);
+  // Groups handed to the review, the analysis stays as it is for going back
+  const [reviewGroups, setReviewGroups] = useState(null);
+  const [ignoredCount, setIgnoredCount] = useState(0);
+  const nextEntryId = useRef(1);
+  // AbortControllers of running analyses by entry id
+  const controllers = useRef(new Map());
+
+  // Stop running analyses when the dialog is closed
+  useEffect(() => () => {
+    controllers.current.forEach((controller) => controller.abort());
+  }, []);
+
+  const updateEntry = (id, changes) => {
+    setEntries((prev) => prev.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry)));
+  };
+
+  // Work through the queue one file at a time
+  useEffect(() => {
+    if (entries.some((entry) => entry.status === 'processing')) return;
+
+    const next = entries.find((entry) => entry.status === 'pending');
+    if (!next) return;
+
+    const finish = (changes) => setEntries((prev) => prev.map((entry) => (
+      entry.id === next.id ? { ...entry, ...changes(entry) } : entry
+    )));
+
+    const controller = new AbortController();
+    controllers.current.set(next.id, controller);
+
+    finish(() => ({ status: 'processing', stage: 'read' }));
+    analyzeFile(next.file, settings, {
+      signal: controller.signal,
+      onProgress: (stage) => finish(() => ({ stage })),
+    }).then(
+      // A date edited before re-analyzing is kept
+      (result) => finish((entry) => ({ status: 'done', error: null, ...result, date: entry.date || result.date })),
+      (error) => {
+        // A cancelled entry has been removed already
+        if (!isAbortError(error)) finish(() => ({ status: 'error', error: error.message, peaks: [] }));
+      }
+    ).finally(() => controllers.current.delete(next.id));
+  }, [entries, settings]);
+
+  const handleFilesSelected = (event) => {
+    const files = Array.from(event.target.files || []);
+    const trackFiles = files.filter(isTrackFile);
+
+    setIgnoredCount((prev) => prev + files.length - trackFiles.length);
+    setEntries((prev) => [
+      ...prev,
+      ...trackFiles
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map((file) => ({
+          id: nextEntryId.current++,
+          file,
+          status: 'pending',
+          error: null,
+          date: '',
+          distance: 0,
+          peaks: [],
+        })),
+    ]);
+
+    // Allow selecting the same files again
+    event.target.value = '';
+  };
+
+  // Re-run the detection of all finished files with the current settings
+  const handleReanalyze = () => {
+    setEntries((prev) => prev.map((entry) => (
+      entry.status === 'processing' ? entry : { ...entry, status: 'pending' }
+    )));
+  };
+
+  // Removing an entry that is being analyzed cancels its analysis
+  const handleRemoveEntry = (id) => {
+    const controller = controllers.current.get(id);
+    if (controller) controller.abort();
+    setEntries((prev) => prev.filter((entry) => entry.id !== id));
+  };
+
+  const handlePeakToggle = (entryId, peakIndex) => {
+    setEntries((prev) => prev.map((entry) => (
+      entry.id !== entryId ? entry : {
+        ...entry,
+        peaks: entry.peaks.map((peak, i) => (i === peakIndex ? { ...peak, included: !peak.included } : peak)),
+      }
+    )));
+  };
+
+  const groups = useMemo(() => groupPeaks(entries), [entries]);
+
+  // Group number and size per included peak, for the review table
+  const groupByPeak = useMemo(() => {
+    const lookup = new Map();
+    groups.forEach((group, index) => {
+      group.visits.forEach((visit) => {
+        lookup.set(`${visit.entryId}:${visit.peakIndex}`, { number: index + 1, size: group.visits.length });
+      });
+    });
+    return lookup;
+  }, [groups]);
+
+  const busy = entries.some((entry) => entry.status === 'pending' || entry.status === 'processing');
+  const doneCount = entries.filter((entry) => entry.status === 'done').length;
+  const visitCount = groups.reduce((sum, group) => sum + new Set(group.visits.map((v) => v.date)).size, 0);
+
+  if (reviewGroups) {
+    return (
+      <GpxBatchReview
+        groups={reviewGroups}
+        visits={visits}
+        onBack={() => setReviewGroups(null)}
+        onClose={onClose}
+        onImported={onImported}
+      />
+    );
+  }
+
+  return (
+    <div className="gpx-analyzer-overlay">
+      <div className="gpx-analyzer-modal import-modal">
+        <div className="gpx-analyzer-header">
+          <h3>📚 Mehrere Tracks analysieren</h3>
+          <button className="close-button" onClick={onClose}>×</button>
+        </div>
+
+        <div className="gpx-analyzer-content">
+          <p>
+            Wähle mehrere Track-Dateien oder einen ganzen Ordner (GPX, TCX, FIT oder KML).
+            Die Dateien werden nacheinander mit den aktuellen Einstellungen analysiert.
+          </p>
+
+          <DetectionPresets settings={settings} onChange={setSettings} />
+          <DetectionSettings settings={settings} onChange={setSettings} />
+
+          <div className="gpx-actions batch-file-actions">
+            <label className="btn btn-primary file-upload-btn">
+              Dateien auswählen
+              <input
+                type="file"
+                accept={TRACK_FILE_ACCEPT}
+                multiple
+                onChange={handleFilesSelected}
+                style={{ display: 'none' }}
+              />
+            </label>
+            <label className="btn btn-secondary file-upload-btn">
+              Ordner auswählen
+              <input
+                type="file"
+                webkitdirectory=""
+                multiple
+                onChange={handleFilesSelected}
+                style={{ display: 'none' }}
+              />
+            </label>
+            <button
+              className="btn btn-secondary"
+              onClick={handleReanalyze}
+              disabled={busy || entries.length === 0}
+            >
+              Neu analysieren
+            </button>
+          </div>
+
+          {entries.length > 0 && (
+            <>
+              <div className="import-summary">
+                <strong>Dateien:</strong> {doneCount} von {entries.length} analysiert
+                {ignoredCount > 0 && (
+                  <span className="import-status import-status-skipped">
+                    {ignoredCount} ohne Track-Format ignoriert
+                  </span>
+                )}
+                <strong>Import:</strong> {groups.length} Gipfel, {visitCount} Besuche
+              </div>
+
+              <div className="peaks-table-compact import-table">
+                <table>
+                  <thead>
+                    <tr>
+                      <th width="30"></th>
+                      <th>Datei / Zeit</th>
+                      <th>Datum / Höhe</th>
+                      <th>Score / Grund</th>
+                      <th>Koordinaten</th>
+                      <th>Gipfel</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {entries.map((entry) => (
+                      <React.Fragment key={entry.id}>
+                        <tr className="batch-file-row">
+                          <td>
+                            <button
+                              className="btn-small btn-secondary"
+                              onClick={() => handleRemoveEntry(entry.id)}
+                              title={entry.status === 'processing' ? 'Analyse abbrechen und entfernen' : 'Datei entfernen'}
+                            >
+                              ×
+                            </button>
+                          </td>
+                          <td><strong>{entry.file.name}</strong></td>
+                          <td>
+                            {entry.status === 'done' && (
+                              <input
+                                type="date"
+                                value={entry.date}
+                                onChange={(e) => updateEntry(entry.id, { date: e.target.value })}
+                              />
+                            )}
+                          </td>
+                          <td colSpan="2">
+                            <span className={`import-status ${STATUS_CLASSES[entry.status]}`}>
+                              {STATUS_LABELS[entry.status]}
+                            </span>
+                            {entry.error && ` ${entry.error}`}
+                            {entry.status === 'done' && ` ${(entry.distance / 1000).toFixed(1)} km`}
+                            {entry.status === 'processing' && <AnalysisProgress stage={entry.stage} compact />}
+                          </td>
+                          <td>
+                            {entry.status === 'done' && entry.peaks.length === 0 && 'Keine Gipfel erkannt'}
+                          </td>
+                        </tr>
+                        {entry.peaks.map((peak, peakIndex) => {
+                          const group = groupByPeak.get(`${entry.id}:${peakIndex}`);
+                          const scoreClass = peak.score > 60 ? 'score-high' :
+                                           peak.score > 30 ? 'score-medium' : 'score-low';
+                          return (
+                            <tr
+                              key={peakIndex}
+                              className={peak.included ? 'selected' : ''}
+                              onClick={() => handlePeakToggle(entry.id, peakIndex)}
+                            >
+                              <td>
+                                <input
+                                  type="checkbox"
+                                  checked={peak.included}
+                                  onChange={() => handlePeakToggle(entry.id, peakIndex)}
+                                  onClick={(e) => e.stopPropagation()}
+                                />
+                              </td>
+                              <td>{formatTime(peak.startTime)}</td>
+                              <td>{Math.round(peak.ele)} m</td>
+                              <td>
+                                <span className={`score-badge ${scoreClass}`}>{peak.score.toFixed(0)}</span>
+                                <span className="peak-reason" title={describePeakReasons(peak)}>
+                                  {' '}{formatPeakReasons(peak)}
+                                </span>
+                              </td>
+                              <td>{peak.lat.toFixed(5)}, {peak.lon.toFixed(5)}</td>
+                              <td>
+                                {group && `#${group.number}`}
+                                {group && group.size > 1 && (
+                                  <span className="import-status import-status-updated batch-duplicate">
+                                    {group.size}× in Auswahl
+                                  </span>
+                                )}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </React.Fragment>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          <div className="gpx-actions">
+            <button
+              className="btn btn-primary"
+              onClick={() => setReviewGroups(groups)}
+              disabled={busy || groups.length === 0}
+            >
+              {groups.length} Gipfel zuordnen
+            </button>
+            <button className="btn btn-secondary" onClick={onClose}>
+              Abbrechen
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default GpxBatchAnalyzer;
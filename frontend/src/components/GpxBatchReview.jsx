@@ -0,0 +1,329 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { summitAPI, visitAPI, osmAPI, trackAPI } from '../services/api';
+
+// A summit this close counts as already existing (same tolerance as the backend)
+const DUPLICATE_DISTANCE = 100; // meters
+
+const STATUS_LABELS = {
+  created: 'Neuer Gipfel',
+  visit: 'Besuch ergänzt',
+  recorded: 'Bereits erfasst',
+  error: 'Fehler',
+};
+
+const STATUS_CLASSES = {
+  created: 'import-status-created',
+  visit: 'import-status-updated',
+  recorded: 'import-status-skipped',
+  error: 'import-status-conflict',
+};
+
+// A summit gets at most one visit per day, same check as the single track import
+const visitKey = (summitId, date) => `${summitId}:${date}`;
+
+const formatPosition = (group) => `${group.lat.toFixed(5)}, ${group.lon.toFixed(5)}`;
+
+// One visit per day, linked to the first track of that day
+const visitsByDate = (group) => {
+  const byDate = new Map();
+  group.visits.forEach((visit) => {
+    if (!byDate.has(visit.date)) byDate.set(visit.date, visit);
+  });
+  return byDate;
+};
+
+const initialRows = (groups) => groups.map((group, index) => ({
+  key: index,
+  group,
+  dates: [...visitsByDate(group).keys()].sort(),
+  loading: true,
+  existing: null,
+  osmPeak: null,
+  selected: false,
+  name: '',
+  elevation: Math.round(group.ele),
+  status: null,
+  error: null,
+}));
+
+const importNotes = (file, peak) => (
+  `Aus Track ${file.name} importiert (Dauer: ${peak.duration.toFixed(1)} min, Score: ${peak.score.toFixed(1)})`
+);
+
+// Review of the summit groups of a batch analysis before they are imported. Each group
+// becomes one summit: an existing one, else the nearest OSM peak, else a new summit at
+// the track position that the user names. Tracks are uploaded once and linked to their visits.
+function GpxBatchReview({ groups, visits, onBack, onClose, onImported }) {
+  const [rows, setRows] = useState(() => initialRows(groups));
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const visitKeys = useMemo(() => new Set(visits.map((v) => visitKey(v.summitId, v.date))), [visits]);
+
+  const updateRow = (key, changes) => {
+    setRows((prev) => prev.map((row) => (row.key === key ? { ...row, ...changes } : row)));
+  };
+
+  // Look up existing summits and OSM peaks one group after the other,
+  // the backend queues OSM lookups anyway
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadRows = async () => {
+      for (const row of initialRows(groups)) {
+        let changes;
+        try {
+          const [existing] = await summitAPI.findNear(row.group.lat, row.group.lon, DUPLICATE_DISTANCE);
+          const [osmPeak] = existing ? [] : await osmAPI.findPeaks(row.group.lat, row.group.lon);
+
+          changes = {
+            loading: false,
+            existing: existing || null,
+            osmPeak: osmPeak || null,
+            // Groups without any name to go by are left out until the user names them
+            selected: Boolean(existing || (osmPeak && osmPeak.name)),
+            name: existing ? existing.name : (osmPeak && osmPeak.name) || '',
+            elevation: existing?.elevation || (osmPeak && parseFloat(osmPeak.elevation)) || row.elevation,
+          };
+        } catch (err) {
+          console.error(`Error looking up peak at ${formatPosition(row.group)}:`, err);
+          changes = { loading: false, error: err.message };
+        }
+
+        if (cancelled) return;
+        setRows((prev) => prev.map((r) => (r.key === row.key ? { ...r, ...changes } : r)));
+      }
+    };
+
+    loadRows();
+    return () => {
+      cancelled = true;
+    };
+  }, [groups]);
+
+  const recordedCount = (row) => (
+    row.existing ? row.dates.filter((date) => visitKeys.has(visitKey(row.existing.id, date))).length : 0
+  );
+  const selectedRows = rows.filter((row) => row.selected && !row.loading);
+
+  // Naming a group is taken as wanting to import it
+  const handleNameChange = (row, name) => {
+    updateRow(row.key, { name, selected: row.selected || Boolean(name.trim()) });
+  };
+
+  const handleImport = async () => {
+    if (selectedRows.some((row) => !row.existing && !row.name.trim())) {
+      setError('Bitte einen Namen für alle ausgewählten neuen Gipfel angeben.');
+      return;
+    }
+
+    setError(null);
+    setImporting(true);
+
+    const counts = { summits: 0, visits: 0, recorded: 0 };
+    const errors = [];
+    const trackIds = new Map();
+    // Two groups can resolve to the same summit, so visits created here are tracked too
+    const recordedKeys = new Set(visitKeys);
+
+    const uploadTrack = async (file) => {
+      if (!trackIds.has(file)) {
+        try {
+          const track = await trackAPI.upload(file);
+          trackIds.set(file, track.id);
+        } catch (err) {
+          console.error(`Error storing track ${file.name}:`, err);
+          errors.push(`Track ${file.name}: ${err.message}`);
+          trackIds.set(file, null);
+        }
+      }
+      return trackIds.get(file);
+    };
+
+    for (const row of selectedRows) {
+      let summitId = row.existing ? row.existing.id : null;
+      let status = 'recorded';
+
+      try {
+        for (const [date, { file, peak }] of visitsByDate(row.group)) {
+          if (summitId && recordedKeys.has(visitKey(summitId, date))) {
+            counts.recorded++;
+            continue;
+          }
+
+          const trackId = await uploadTrack(file);
+          const notes = importNotes(file, peak);
+
+          if (summitId) {
+            await visitAPI.create({ summitId, date, trackId, notes });
+            if (status === 'recorded') status = 'visit';
+          } else {
+            const { osmPeak } = row;
+            const created = await summitAPI.createWithVisit({
+              name: row.name.trim(),
+              latitude: osmPeak ? osmPeak.latitude : row.group.lat,
+              longitude: osmPeak ? osmPeak.longitude : row.group.lon,
+              elevation: row.elevation || null,
+              wikipedia: osmPeak ? osmPeak.wikipedia : null,
+              wikidata: osmPeak ? osmPeak.wikidata : null,
+              osmId: osmPeak ? osmPeak.osmId : null,
+              date,
+              trackId,
+              notes,
+            });
+            summitId = created.summit.id;
+            if (created.summitCreated) counts.summits++;
+            status = created.summitCreated ? 'created' : 'visit';
+          }
+          recordedKeys.add(visitKey(summitId, date));
+          counts.visits++;
+        }
+        updateRow(row.key, { status, error: null });
+      } catch (err) {
+        console.error(`Error importing peak at ${formatPosition(row.group)}:`, err);
+        errors.push(`${row.name || formatPosition(row.group)}: ${err.message}`);
+        updateRow(row.key, { status: 'error', error: err.message });
+      }
+    }
+
+    setImporting(false);
+    setResult({ ...counts, errors });
+    onImported();
+  };
+
+  return (
+    <div className="gpx-analyzer-overlay">
+      <div className="gpx-analyzer-modal import-modal">
+        <div className="gpx-analyzer-header">
+          <h3>🏔️ Track-Import prüfen</h3>
+          <button className="close-button" onClick={onClose} disabled={importing}>×</button>
+        </div>
+
+        <div className="gpx-analyzer-content">
+          {result ? (
+            <div className="import-summary">
+              <strong>Import abgeschlossen:</strong> {result.summits} neue Gipfel,
+              {' '}{result.visits} neue Besuche, {result.recorded} bereits erfasst
+              {result.errors.length > 0 && `, ${result.errors.length} Fehler`}
+            </div>
+          ) : (
+            <div className="import-summary">
+              <strong>Gipfel:</strong> {rows.length} erkannt, {selectedRows.length} ausgewählt
+              {' – '}
+              {selectedRows.filter((row) => row.existing).length} vorhanden,
+              {' '}
+              {selectedRows.filter((row) => !row.existing).length} neu
+            </div>
+          )}
+
+          {error && <div className="error-message">{error}</div>}
+          {result && result.errors.length > 0 && (
+            <div className="error-message">
+              {result.errors.map((message) => <div key={message}>{message}</div>)}
+            </div>
+          )}
+
+          <div className="peaks-table-compact import-table gpx-review-table">
+            <table>
+              <thead>
+                <tr>
+                  <th width="30"></th>
+                  <th>Erkannt</th>
+                  <th>Besuche</th>
+                  <th>Zuordnung</th>
+                  <th>Name</th>
+                  <th>Höhe (m)</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.key} className={row.selected ? 'selected' : ''}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={row.selected}
+                        onChange={() => updateRow(row.key, { selected: !row.selected })}
+                        disabled={row.loading || importing || Boolean(result)}
+                      />
+                    </td>
+                    <td>
+                      {Math.round(row.group.ele)} m
+                      <br />
+                      <small>{formatPosition(row.group)}</small>
+                    </td>
+                    <td>{row.dates.join(', ')}</td>
+                    <td>
+                      {row.loading ? 'Suche…' :
+                        row.existing ? `Vorhanden: ${row.existing.name}` :
+                        row.osmPeak ? `OSM: ${row.osmPeak.name || 'Unbenannt'}` :
+                        'Kein OSM-Gipfel (Trackposition)'}
+                    </td>
+                    <td>
+                      <input
+                        type="text"
+                        value={row.name}
+                        placeholder="Name des Gipfels"
+                        onChange={(e) => handleNameChange(row, e.target.value)}
+                        disabled={row.loading || Boolean(row.existing) || importing || Boolean(result)}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        value={row.elevation || ''}
+                        onChange={(e) => updateRow(row.key, { elevation: parseFloat(e.target.value) || null })}
+                        disabled={row.loading || Boolean(row.existing) || importing || Boolean(result)}
+                      />
+                    </td>
+                    <td>
+                      {row.status ? (
+                        <span className={`import-status ${STATUS_CLASSES[row.status]}`}>
+                          {STATUS_LABELS[row.status]}
+                        </span>
+                      ) : row.existing && recordedCount(row) === row.dates.length ? (
+                        <span className="import-status import-status-skipped" title="An diesen Tagen ist bereits ein Besuch erfasst">
+                          Bereits erfasst
+                        </span>
+                      ) : row.existing ? (
+                        <span className="import-status import-status-updated" title="Die Besuche werden diesem Gipfel zugeordnet">
+                          Vorhanden{recordedCount(row) > 0 && `, ${recordedCount(row)} bereits erfasst`}
+                        </span>
+                      ) : !row.loading && (
+                        <span className="import-status import-status-created">Neu</span>
+                      )}
+                      {row.error && <small className="import-row-error"> {row.error}</small>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="gpx-actions">
+            {result ? (
+              <button className="btn btn-primary" onClick={onClose}>
+                Schließen
+              </button>
+            ) : (
+              <>
+                <button
+                  className="btn btn-primary"
+                  onClick={handleImport}
+                  disabled={importing || selectedRows.length === 0}
+                >
+                  {importing ? 'Importiere...' : `${selectedRows.length} Gipfel importieren`}
+                </button>
+                <button className="btn btn-secondary" onClick={onBack} disabled={importing}>
+                  Zurück
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default GpxBatchReview;
@@ -0,0 +1,373 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { summitAPI, visitAPI, osmAPI, trackAPI } from '../services/api';
+import { formatPeakReasons } from '../utils/peakUtils';
+
+// OSM peaks within this radius are offered as candidates
+const CANDIDATE_RADIUS = 300; // meters
+// A summit this close counts as already existing (same tolerance as the backend)
+const DUPLICATE_DISTANCE = 100; // meters
+
+// Candidate index of a row that becomes a new summit without OSM data
+const NEW_SUMMIT = -1;
+
+const STATUS_LABELS = {
+  created: 'Neuer Gipfel',
+  visit: 'Besuch ergänzt',
+  recorded: 'Bereits erfasst',
+  error: 'Fehler',
+};
+
+const STATUS_CLASSES = {
+  created: 'import-status-created',
+  visit: 'import-status-updated',
+  recorded: 'import-status-skipped',
+  error: 'import-status-conflict',
+};
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+// A summit gets at most one visit per day, same check as the batch import
+const visitKey = (summitId, date) => `${summitId}:${date}`;
+
+// Coordinates the summit will get: those of the chosen OSM peak, else the track's
+const rowPosition = (row) => {
+  const candidate = row.candidates[row.candidateIndex];
+  return candidate
+    ? { latitude: candidate.latitude, longitude: candidate.longitude }
+    : { latitude: row.peak.lat, longitude: row.peak.lon };
+};
+
+// Existing summit at the position a row would import to
+const findExisting = async (row) => {
+  const { latitude, longitude } = rowPosition(row);
+  const [existing] = await summitAPI.findNear(latitude, longitude, DUPLICATE_DISTANCE);
+  return existing || null;
+};
+
+const initialRows = (peaks) => {
+  const trackDate = peaks.find((peak) => peak.startTime)?.startTime;
+  const fallbackDate = toDateString(trackDate || new Date());
+
+  return peaks.map((peak, index) => ({
+    key: index,
+    peak,
+    loading: true,
+    candidates: [],
+    candidateIndex: NEW_SUMMIT,
+    existing: null,
+    selected: false,
+    name: '',
+    elevation: Math.round(peak.ele),
+    date: peak.startTime ? toDateString(peak.startTime) : fallbackDate,
+    status: null,
+    error: null,
+  }));
+};
+
+const importNotes = (peak) => (
+  `Aus GPX-Track importiert (Dauer: ${(peak.duration || 0).toFixed(1)} min, Score: ${peak.score.toFixed(1)})`
+);
+
+// Review of the peaks picked in the GPX analyzer before they become summits and visits.
+// Every peak shows its OSM candidates and whether the summit exists already; name,
+// elevation and date can be edited and each row can be left out.
+function GpxImportReview({ peaks, gpxFile, visits, onClose, onImported }) {
+  const [rows, setRows] = useState(() => initialRows(peaks));
+  const [importing, setImporting] = useState(false);
+  const [done, setDone] = useState(false);
+  const [error, setError] = useState(null);
+  const visitKeys = useMemo(() => new Set(visits.map((v) => visitKey(v.summitId, v.date))), [visits]);
+
+  const updateRow = (key, changes) => {
+    setRows((prev) => prev.map((row) => (row.key === key ? { ...row, ...changes } : row)));
+  };
+
+  // Load OSM candidates and existing summits one peak after the other,
+  // the backend queues OSM lookups anyway
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadRows = async () => {
+      for (const row of initialRows(peaks)) {
+        let changes;
+        try {
+          const candidates = await osmAPI.findPeaks(row.peak.lat, row.peak.lon, CANDIDATE_RADIUS);
+
+          // The match the analyzer showed, else the nearest candidate
+          const analyzerMatch = row.peak.osm
+            ? candidates.findIndex((c) => c.osmId === row.peak.osm.osmId)
+            : -1;
+          const candidateIndex = analyzerMatch >= 0 ? analyzerMatch : (candidates.length > 0 ? 0 : NEW_SUMMIT);
+          const candidate = candidates[candidateIndex];
+          const existing = await findExisting({ ...row, candidates, candidateIndex });
+
+          changes = {
+            loading: false,
+            candidates,
+            candidateIndex,
+            existing,
+            // Peaks without any name to go by are left out until the user names them
+            selected: Boolean(existing || (candidate && candidate.name)),
+            name: existing ? existing.name : (candidate && candidate.name) || '',
+            elevation: existing?.elevation || (candidate && parseFloat(candidate.elevation)) || row.elevation,
+          };
+        } catch (err) {
+          console.error('Error looking up peak:', err);
+          changes = { loading: false, error: err.message };
+        }
+
+        if (cancelled) return;
+        setRows((prev) => prev.map((r) => (r.key === row.key ? { ...r, ...changes } : r)));
+      }
+    };
+
+    loadRows();
+    return () => {
+      cancelled = true;
+    };
+  }, [peaks]);
+
+  const handleCandidateChange = async (row, candidateIndex) => {
+    const candidate = row.candidates[candidateIndex];
+    const changed = {
+      ...row,
+      candidateIndex,
+      name: candidate ? candidate.name || '' : row.name,
+      elevation: (candidate && parseFloat(candidate.elevation)) || row.elevation,
+    };
+    updateRow(row.key, { candidateIndex, name: changed.name, elevation: changed.elevation, loading: true });
+
+    let changes;
+    try {
+      const existing = await findExisting(changed);
+      changes = {
+        loading: false,
+        existing,
+        name: existing ? existing.name : changed.name,
+        elevation: existing?.elevation || changed.elevation,
+      };
+    } catch (err) {
+      changes = { loading: false, error: err.message };
+    }
+
+    // Drop the result if another candidate was picked in the meantime
+    setRows((prev) => prev.map((r) => (
+      r.key === row.key && r.candidateIndex === candidateIndex ? { ...r, ...changes } : r
+    )));
+  };
+
+  const canImport = (row) => row.existing || row.name.trim();
+  const isRecorded = (row) => Boolean(row.existing) && visitKeys.has(visitKey(row.existing.id, row.date));
+  const selectedRows = rows.filter((row) => row.selected && !row.loading);
+
+  const handleImport = async () => {
+    const invalid = selectedRows.filter((row) => !canImport(row) || !row.date);
+    if (invalid.length > 0) {
+      setError('Bitte Name und Datum für alle ausgewählten Gipfel angeben.');
+      return;
+    }
+
+    setError(null);
+    setImporting(true);
+
+    // Keep the track itself, the new visits link to it
+    let trackId = null;
+    if (gpxFile) {
+      try {
+        const track = await trackAPI.upload(gpxFile);
+        trackId = track.id;
+      } catch (err) {
+        console.error('Error storing GPX track:', err);
+        setError(`Track konnte nicht gespeichert werden: ${err.message}`);
+      }
+    }
+
+    // Two rows can resolve to the same summit, so visits created here are tracked too
+    const recordedKeys = new Set(visitKeys);
+
+    for (const row of selectedRows) {
+      try {
+        if (row.existing) {
+          const key = visitKey(row.existing.id, row.date);
+          if (recordedKeys.has(key)) {
+            updateRow(row.key, { status: 'recorded', error: null });
+            continue;
+          }
+
+          await visitAPI.create({
+            summitId: row.existing.id,
+            date: row.date,
+            trackId,
+            notes: importNotes(row.peak),
+          });
+          recordedKeys.add(key);
+          updateRow(row.key, { status: 'visit', error: null });
+        } else {
+          const candidate = row.candidates[row.candidateIndex];
+          await summitAPI.createWithVisit({
+            name: row.name.trim(),
+            ...rowPosition(row),
+            elevation: row.elevation || null,
+            wikipedia: candidate ? candidate.wikipedia : null,
+            wikidata: candidate ? candidate.wikidata : null,
+            osmId: candidate ? candidate.osmId : null,
+            date: row.date,
+            trackId,
+            notes: importNotes(row.peak),
+          });
+          updateRow(row.key, { status: 'created', error: null });
+        }
+      } catch (err) {
+        console.error(`Error importing peak ${row.name}:`, err);
+        updateRow(row.key, { status: 'error', error: err.message });
+      }
+    }
+
+    setImporting(false);
+    setDone(true);
+    onImported();
+  };
+
+  const formatCandidate = (candidate) => (
+    `${candidate.name || 'Unbenannt'}${candidate.elevation ? ` (${candidate.elevation} m)` : ''} – ${candidate.distance} m`
+  );
+
+  return (
+    <div className="gpx-analyzer-overlay">
+      <div className="gpx-analyzer-modal import-modal">
+        <div className="gpx-analyzer-header">
+          <h3>🏔️ GPX-Import prüfen{gpxFile ? ` – ${gpxFile.name}` : ''}</h3>
+          <button className="close-button" onClick={onClose} disabled={importing}>×</button>
+        </div>
+
+        <div className="gpx-analyzer-content">
+          <div className="import-summary">
+            <strong>Gipfel:</strong> {peaks.length} erkannt, {selectedRows.length} ausgewählt
+            {' – '}
+            {selectedRows.filter((row) => row.existing).length} vorhanden,
+            {' '}
+            {selectedRows.filter((row) => !row.existing).length} neu
+            {selectedRows.some(isRecorded) && ` – ${selectedRows.filter(isRecorded).length} Besuch(e) bereits erfasst`}
+          </div>
+
+          {error && <div className="error-message">{error}</div>}
+
+          <div className="peaks-table-compact import-table gpx-review-table">
+            <table>
+              <thead>
+                <tr>
+                  <th width="30"></th>
+                  <th>Erkannt</th>
+                  <th>OSM-Gipfel</th>
+                  <th>Name</th>
+                  <th>Höhe (m)</th>
+                  <th>Datum</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.key} className={row.selected ? 'selected' : ''}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={row.selected}
+                        onChange={() => updateRow(row.key, { selected: !row.selected })}
+                        disabled={row.loading || importing || done}
+                      />
+                    </td>
+                    <td>
+                      {Math.round(row.peak.ele)} m
+                      <br />
+                      <small className="peak-reason">{formatPeakReasons(row.peak)}</small>
+                    </td>
+                    <td>
+                      {row.loading && row.candidates.length === 0 ? 'Suche…' : (
+                        <select
+                          value={row.candidateIndex}
+                          onChange={(e) => handleCandidateChange(row, parseInt(e.target.value, 10))}
+                          disabled={importing || done}
+                        >
+                          {row.candidates.map((candidate, index) => (
+                            <option key={candidate.osmId} value={index}>{formatCandidate(candidate)}</option>
+                          ))}
+                          <option value={NEW_SUMMIT}>Ohne OSM-Daten (Trackposition)</option>
+                        </select>
+                      )}
+                    </td>
+                    <td>
+                      <input
+                        type="text"
+                        value={row.name}
+                        placeholder="Name des Gipfels"
+                        onChange={(e) => updateRow(row.key, { name: e.target.value })}
+                        disabled={Boolean(row.existing) || importing || done}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        value={row.elevation || ''}
+                        onChange={(e) => updateRow(row.key, { elevation: parseFloat(e.target.value) || null })}
+                        disabled={Boolean(row.existing) || importing || done}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="date"
+                        value={row.date}
+                        onChange={(e) => updateRow(row.key, { date: e.target.value })}
+                        disabled={importing || done}
+                      />
+                    </td>
+                    <td>
+                      {row.status ? (
+                        <span className={`import-status ${STATUS_CLASSES[row.status]}`}>
+                          {STATUS_LABELS[row.status]}
+                        </span>
+                      ) : isRecorded(row) ? (
+                        <span className="import-status import-status-skipped" title="An diesem Tag ist bereits ein Besuch erfasst">
+                          Bereits erfasst: {row.existing.name}
+                        </span>
+                      ) : row.existing ? (
+                        <span className="import-status import-status-updated" title="Der Besuch wird diesem Gipfel zugeordnet">
+                          Vorhanden: {row.existing.name}
+                        </span>
+                      ) : !row.loading && (
+                        <span className="import-status import-status-created">Neu</span>
+                      )}
+                      {row.error && <small className="import-row-error"> {row.error}</small>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="gpx-actions">
+            {done ? (
+              <button className="btn btn-primary" onClick={onClose}>
+                Schließen
+              </button>
+            ) : (
+              <>
+                <button
+                  className="btn btn-primary"
+                  onClick={handleImport}
+                  disabled={importing || selectedRows.length === 0}
+                >
+                  {importing ? 'Importiere...' : `${selectedRows.length} Gipfel importieren`}
+                </button>
+                <button className="btn btn-secondary" onClick={onClose} disabled={importing}>
+                  Abbrechen
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default GpxImportReview;
@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import { dataAPI } from '../services/api';
+import { formatDate } from '../utils/dateUtils';
+
+const MODES = [
+  { value: 'merge', label: 'Zusammenführen', description: 'Neue Einträge anlegen, vorhandene aktualisieren' },
+  { value: 'skip-existing', label: 'Vorhandene überspringen', description: 'Nur neue Einträge anlegen' },
+  { value: 'replace', label: 'Ersetzen', description: 'Alle eigenen Gipfel und Besuche löschen und neu importieren' },
+];
+
+const STATUS_LABELS = {
+  created: 'Neu',
+  updated: 'Aktualisiert',
+  skipped: 'Übersprungen',
+  conflict: 'Konflikt',
+};
+
+function ImportDialog({ data, fileName, onClose, onImported }) {
+  const [mode, setMode] = useState('merge');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Dry run whenever the mode changes so the report always matches what will happen
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadPreview = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const preview = await dataAPI.import(data, { mode, dryRun: true });
+        if (!cancelled) setReport(preview);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadPreview();
+    return () => {
+      cancelled = true;
+    };
+  }, [data, mode]);
+
+  const handleConfirm = async () => {
+    if (mode === 'replace' &&
+        !window.confirm('Alle vorhandenen Gipfel und Besuche werden gelöscht. Fortfahren?')) {
+      return;
+    }
+
+    setImporting(true);
+    try {
+      const result = await dataAPI.import(data, { mode, dryRun: false });
+      onImported(result);
+    } catch (err) {
+      setError(err.message);
+      setImporting(false);
+    }
+  };
+
+  // Visits point to summits by id, or by a file-local ref (CSV imports)
+  const summitNames = new Map((data.summits || []).map((s) => [s.ref ?? s.id, s.name]));
+
+  const renderSummary = (summary) => (
+    Object.keys(STATUS_LABELS).map((status) => (
+      <span key={status} className={`import-status import-status-${status}`}>
+        {STATUS_LABELS[status]}: {summary[status]}
+      </span>
+    ))
+  );
+
+  return (
+    <div className="gpx-analyzer-overlay">
+      <div className="gpx-analyzer-modal import-modal">
+        <div className="gpx-analyzer-header">
+          <h3>📥 Import-Vorschau{fileName ? ` – ${fileName}` : ''}</h3>
+          <button className="btn-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="gpx-analyzer-content">
+          <div className="import-modes">
+            {MODES.map((m) => (
+              <label key={m.value} className="import-mode">
+                <input
+                  type="radio"
+                  name="import-mode"
+                  value={m.value}
+                  checked={mode === m.value}
+                  onChange={() => setMode(m.value)}
+                  disabled={importing}
+                />
+                <strong>{m.label}</strong>
+                <small>{m.description}</small>
+              </label>
+            ))}
+          </div>
+
+          {error && <div className="error-message">{error}</div>}
+          {loading && <p>Vorschau wird berechnet...</p>}
+
+          {report && !loading && (
+            <>
+              {report.deleted.summits + report.deleted.visits > 0 && (
+                <p className="import-warning">
+                  ⚠️ {report.deleted.summits} Gipfel und {report.deleted.visits} Besuche werden gelöscht.
+                </p>
+              )}
+
+              <div className="import-summary">
+                <strong>Gipfel:</strong> {renderSummary(report.summary.summits)}
+              </div>
+              <div className="import-summary">
+                <strong>Besuche:</strong> {renderSummary(report.summary.visits)}
+              </div>
+
+              <div className="peaks-table-compact import-table">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Typ</th>
+                      <th>Eintrag</th>
+                      <th>Status</th>
+                      <th>Hinweis</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.rows.summits.map((row) => (
+                      <tr key={`summit-${row.index}`}>
+                        <td>⛰️ Gipfel</td>
+                        <td>{row.name || `Zeile ${row.index + 1}`}</td>
+                        <td>
+                          <span className={`import-status import-status-${row.status}`}>
+                            {STATUS_LABELS[row.status]}
+                          </span>
+                        </td>
+                        <td>{row.reason || ''}</td>
+                      </tr>
+                    ))}
+                    {report.rows.visits.map((row) => {
+                      const visit = data.visits[row.index];
+                      return (
+                        <tr key={`visit-${row.index}`}>
+                          <td>📅 Besuch</td>
+                          <td>
+                            {summitNames.get(visit.summitRef ?? visit.summitId) || `Gipfel ${visit.summitRef ?? visit.summitId}`}
+                            {' – '}
+                            {formatDate(row.date)}
+                          </td>
+                          <td>
+                            <span className={`import-status import-status-${row.status}`}>
+                              {STATUS_LABELS[row.status]}
+                            </span>
+                          </td>
+                          <td>{row.reason || ''}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          <div className="gpx-actions">
+            <button
+              className="btn btn-primary"
+              onClick={handleConfirm}
+              disabled={!report || loading || importing}
+            >
+              {importing ? 'Importiere...' : 'Import bestätigen'}
+            </button>
+            <button className="btn btn-secondary" onClick={onClose} disabled={importing}>
+              Abbrechen
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportDialog;
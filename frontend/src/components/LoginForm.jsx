@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { authAPI } from '../services/api';
+
+function LoginForm({ onLogin }) {
+  // mode can be: 'login', 'register'
+  const [mode, setMode] = useState('login');
+  const [formData, setFormData] = useState({
+    username: '',
+    password: '',
+    passwordConfirm: '',
+    email: '',
+  });
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.username.trim() || !formData.password) {
+      setError('Benutzername und Passwort sind erforderlich');
+      return;
+    }
+
+    if (mode === 'register') {
+      if (formData.password.length < 8) {
+        setError('Das Passwort muss mindestens 8 Zeichen lang sein');
+        return;
+      }
+      if (formData.password !== formData.passwordConfirm) {
+        setError('Die Passwörter stimmen nicht überein');
+        return;
+      }
+    }
+
+    setSubmitting(true);
+    try {
+      const user = mode === 'register'
+        ? await authAPI.register(
+            formData.username.trim(),
+            formData.password,
+            formData.email.trim() || null
+          )
+        : await authAPI.login(formData.username.trim(), formData.password);
+      onLogin(user);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setMode((prev) => (prev === 'login' ? 'register' : 'login'));
+    setError(null);
+  };
+
+  return (
+    <div className="auth-screen">
+      <form onSubmit={handleSubmit} className="summit-form auth-form">
+        <h3 className="form-title">
+          {mode === 'login' ? 'Anmelden' : 'Konto erstellen'}
+        </h3>
+
+        <div className="form-group">
+          <label htmlFor="username">Benutzername</label>
+          <input
+            type="text"
+            id="username"
+            name="username"
+            value={formData.username}
+            onChange={handleChange}
+            autoComplete="username"
+            autoFocus
+          />
+        </div>
+
+        {mode === 'register' && (
+          <div className="form-group">
+            <label htmlFor="email">E-Mail (optional)</label>
+            <input
+              type="email"
+              id="email"
+              name="email"
+              value={formData.email}
+              onChange={handleChange}
+              autoComplete="email"
+            />
+          </div>
+        )}
+
+        <div className="form-group">
+          <label htmlFor="password">Passwort</label>
+          <input
+            type="password"
+            id="password"
+            name="password"
+            value={formData.password}
+            onChange={handleChange}
+            autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+          />
+        </div>
+
+        {mode === 'register' && (
+          <div className="form-group">
+            <label htmlFor="passwordConfirm">Passwort wiederholen</label>
+            <input
+              type="password"
+              id="passwordConfirm"
+              name="passwordConfirm"
+              value={formData.passwordConfirm}
+              onChange={handleChange}
+              autoComplete="new-password"
+            />
+          </div>
+        )}
+
+        {error && <span className="error-message">{error}</span>}
+
+        <div className="form-actions">
+          <button type="submit" className="btn btn-primary" disabled={submitting}>
+            {submitting
+              ? 'Bitte warten...'
+              : mode === 'login' ? 'Anmelden' : 'Registrieren'}
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={toggleMode}>
+            {mode === 'login' ? 'Neues Konto' : 'Zur Anmeldung'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default LoginForm;
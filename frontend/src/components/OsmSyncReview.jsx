@@ -0,0 +1,248 @@
+import React, { useState, useEffect } from 'react';
+import { osmSyncAPI } from '../services/api';
+import { formatDate } from '../utils/dateUtils';
+
+// The sync runs on the server, its progress is polled at this interval
+const STATUS_POLL_INTERVAL = 2000; // ms
+
+const FIELD_LABELS = {
+  name: 'Name',
+  elevation: 'Höhe',
+  wikipedia: 'Wikipedia',
+  wikidata: 'Wikidata',
+  osmId: 'OSM-Knoten',
+};
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined) {
+    return field === 'osmId' ? 'gelöscht' : '–';
+  }
+  if (field === 'elevation') return `${value} m`;
+  if (field === 'osmId') {
+    return (
+      <a href={`https://www.openstreetmap.org/node/${value}`} target="_blank" rel="noopener noreferrer">
+        {value}
+      </a>
+    );
+  }
+  return value;
+};
+
+// All fields of every summit start out accepted
+const initialSelection = (entries) => Object.fromEntries(
+  entries.map((entry) => [entry.summit.id, Object.keys(entry.changes)])
+);
+
+// Differences between the stored summits and OpenStreetMap found by the re-sync.
+// Per summit the checked fields are taken over, the others are rejected and not
+// proposed again until OSM changes them once more.
+function OsmSyncReview({ onClose, onApplied }) {
+  const [entries, setEntries] = useState([]);
+  const [selection, setSelection] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [syncing, setSyncing] = useState(false);
+  const [savingId, setSavingId] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.all([osmSyncAPI.getChanges(), osmSyncAPI.getStatus()]).then(
+      ([loaded, status]) => {
+        if (cancelled) return;
+        setEntries(loaded);
+        setSelection(initialSelection(loaded));
+        setLoading(false);
+        // A sync started before the dialog was closed keeps running
+        if (status.running) {
+          setResult(status);
+          setSyncing(true);
+        }
+      },
+      (err) => {
+        if (cancelled) return;
+        setError(err.message);
+        setLoading(false);
+      }
+    );
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Follow the running sync and reload the changes when it is done
+  useEffect(() => {
+    if (!syncing) return undefined;
+    let cancelled = false;
+    let timer;
+
+    const poll = async () => {
+      try {
+        const status = await osmSyncAPI.getStatus();
+        if (cancelled) return;
+        setResult(status);
+        if (status.running) {
+          timer = setTimeout(poll, STATUS_POLL_INTERVAL);
+          return;
+        }
+
+        if (status.error) setError(`Abgleich fehlgeschlagen: ${status.error}`);
+        const changes = await osmSyncAPI.getChanges();
+        if (cancelled) return;
+        setEntries(changes);
+        setSelection(initialSelection(changes));
+      } catch (err) {
+        if (cancelled) return;
+        setError(err.message);
+      }
+      setSyncing(false);
+    };
+
+    timer = setTimeout(poll, STATUS_POLL_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [syncing]);
+
+  const handleSync = async () => {
+    setError(null);
+    try {
+      setResult(await osmSyncAPI.sync());
+      setSyncing(true);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const toggleField = (summitId, field) => {
+    setSelection((prev) => {
+      const fields = prev[summitId] || [];
+      return {
+        ...prev,
+        [summitId]: fields.includes(field) ? fields.filter((f) => f !== field) : [...fields, field],
+      };
+    });
+  };
+
+  // Empty fields reject all changes of the summit
+  const handleDecision = async (summitId, fields) => {
+    setSavingId(summitId);
+    setError(null);
+    try {
+      await osmSyncAPI.apply([{ summitId, fields }]);
+      setEntries((prev) => prev.filter((entry) => entry.summit.id !== summitId));
+      if (fields.length > 0) onApplied();
+    } catch (err) {
+      setError(`Fehler beim Übernehmen: ${err.message}`);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const busy = syncing || savingId !== null;
+
+  return (
+    <div className="gpx-analyzer-overlay">
+      <div className="gpx-analyzer-modal import-modal">
+        <div className="gpx-analyzer-header">
+          <h3>🔄 Abgleich mit OpenStreetMap</h3>
+          <button className="close-button" onClick={onClose} disabled={savingId !== null}>×</button>
+        </div>
+
+        <div className="gpx-analyzer-content">
+          <div className="import-summary">
+            {loading ? 'Lade Änderungen…' : (
+              <>
+                <strong>{entries.length}</strong>
+                {entries.length === 1 ? ' Gipfel weicht' : ' Gipfel weichen'} von OpenStreetMap ab
+              </>
+            )}
+            {result && (result.running ? (
+              <span>
+                {' – '}Abgleich läuft: {result.checked + result.failed} von {result.total ?? '…'} Gipfeln geprüft
+              </span>
+            ) : (
+              <span>
+                {' – '}{result.checked} geprüft, {result.changed} mit neuen Änderungen
+                {result.failed > 0 && `, ${result.failed} nicht erreichbar`}
+              </span>
+            ))}
+          </div>
+
+          {error && <div className="error-message">{error}</div>}
+
+          {entries.map(({ summit, changes, detectedAt }) => (
+            <div key={summit.id} className="osm-sync-entry">
+              <div className="osm-sync-entry-header">
+                <strong>{summit.name}</strong>
+                <small>gefunden am {formatDate(detectedAt)}</small>
+              </div>
+              <div className="peaks-table-compact">
+                <table>
+                  <thead>
+                    <tr>
+                      <th width="30"></th>
+                      <th>Feld</th>
+                      <th>Gespeichert</th>
+                      <th>OpenStreetMap</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(changes).map(([field, { current, osm }]) => (
+                      <tr key={field}>
+                        <td>
+                          <input
+                            type="checkbox"
+                            checked={(selection[summit.id] || []).includes(field)}
+                            onChange={() => toggleField(summit.id, field)}
+                            disabled={busy}
+                          />
+                        </td>
+                        <td>{FIELD_LABELS[field]}</td>
+                        <td>{formatValue(field, current)}</td>
+                        <td>{formatValue(field, osm)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="osm-sync-entry-actions">
+                <button
+                  className="btn-small btn-primary"
+                  onClick={() => handleDecision(summit.id, selection[summit.id] || [])}
+                  disabled={busy || (selection[summit.id] || []).length === 0}
+                >
+                  {savingId === summit.id ? 'Speichere…' : 'Auswahl übernehmen'}
+                </button>
+                <button
+                  className="btn-small btn-secondary"
+                  onClick={() => handleDecision(summit.id, [])}
+                  disabled={busy}
+                >
+                  Ablehnen
+                </button>
+              </div>
+            </div>
+          ))}
+
+          <div className="gpx-actions">
+            <button className="btn btn-primary" onClick={handleSync} disabled={busy || loading}>
+              {syncing ? 'Gleiche ab…' : 'Jetzt abgleichen'}
+            </button>
+            <button className="btn btn-secondary" onClick={onClose} disabled={savingId !== null}>
+              Schließen
+            </button>
+          </div>
+          {syncing && (
+            <p className="osm-sync-hint">Der Abgleich läuft auf dem Server weiter, auch wenn der Dialog geschlossen wird.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default OsmSyncReview;
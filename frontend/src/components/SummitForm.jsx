@@ -1,65 +1,39 @@
 import React, { useState } from 'react';
+import { isWikidataId } from '@summit-tracker/shared';
+import { osmAPI, elevationAPI } from '../services/api';
+import WikiLink from './WikiLink';
+
+// Default radius (meters) for the OSM lookup; the backend allows up to 5000
+const DEFAULT_OSM_RADIUS = 100;
+const MAX_OSM_RADIUS = 5000;
+
+const emptyForm = () => ({
+  name: '',
+  latitude: '',
+  longitude: '',
+  date: new Date().toISOString().split('T')[0],
+  elevation: '',
+  wikipedia: '',
+  wikidata: '',
+  notes: '',
+  osmId: null,
+});
 
 function SummitForm({ onSubmit, onCancel, initialData = null, mode = 'create' }) {
   // mode can be: 'create' (summit+visit), 'edit-summit', 'add-visit', 'edit-visit'
   
-  const [formData, setFormData] = useState(
-    initialData || {
-      name: '',
-      latitude: '',
-      longitude: '',
-      date: new Date().toISOString().split('T')[0],
-      elevation: '',
-      wikipedia: '',
-      notes: '',
-    }
-  );
+  const [formData, setFormData] = useState(initialData || emptyForm());
 
   const [errors, setErrors] = useState({});
-  const [osmData, setOsmData] = useState(null);
-  const [showOsmPopup, setShowOsmPopup] = useState(false);
+  // All OSM peaks within the radius, nearest first; the user picks one
+  const [osmCandidates, setOsmCandidates] = useState(null);
+  const [selectedCandidate, setSelectedCandidate] = useState(0);
+  const [osmRadius, setOsmRadius] = useState(DEFAULT_OSM_RADIUS);
   const [loadingOsm, setLoadingOsm] = useState(false);
+  // Elevation from the backend's elevation model: { loading }, { value } or { error }
+  const [elevationSuggestion, setElevationSuggestion] = useState(null);
 
   // Function to query OSM for peak data
-  const queryOSM = async (latitude, longitude) => {
-    const radius = 100;
-    const query = `
-      [out:json];
-      (
-        node["natural"="peak"](around:${radius},${latitude},${longitude});
-        node["natural"="volcano"](around:${radius},${latitude},${longitude});
-      );
-      out body;
-    `;
-    
-    const response = await fetch('https://overpass-api.de/api/interpreter', {
-      method: 'POST',
-      body: query,
-    });
-    
-    if (!response.ok) {
-      throw new Error('Failed to query OSM');
-    }
-    
-    const data = await response.json();
-    return data.elements;
-  };
-
-  const calculateDistance = (lat1, lon1, lat2, lon2) => {
-    const R = 6371e3;
-    const φ1 = (lat1 * Math.PI) / 180;
-    const φ2 = (lat2 * Math.PI) / 180;
-    const Δφ = ((lat2 - lat1) * Math.PI) / 180;
-    const Δλ = ((lon2 - lon1) * Math.PI) / 180;
-
-    const a =
-      Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-      Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
-    return Math.round(R * c);
-  };
-
   const validate = () => {
     const newErrors = {};
 
@@ -77,6 +51,11 @@ function SummitForm({ onSubmit, onCancel, initialData = null, mode = 'create' })
       if (isNaN(lon) || lon < -180 || lon > 180) {
         newErrors.longitude = 'Longitude must be between -180 and 180';
       }
+
+      const wikidata = (formData.wikidata || '').trim().toUpperCase();
+      if (wikidata && !isWikidataId(wikidata)) {
+        newErrors.wikidata = 'Wikidata id must look like Q1234';
+      }
     }
 
     if (mode === 'create' || mode === 'add-visit' || mode === 'edit-visit') {
@@ -108,6 +87,8 @@ function SummitForm({ onSubmit, onCancel, initialData = null, mode = 'create' })
         submitData.longitude = parseFloat(formData.longitude);
         submitData.elevation = formData.elevation ? parseFloat(formData.elevation) : null;
         submitData.wikipedia = formData.wikipedia ? formData.wikipedia.trim() : null;
+        submitData.wikidata = formData.wikidata ? formData.wikidata.trim().toUpperCase() : null;
+        submitData.osmId = formData.osmId || null;
       } else {
         // mode === 'create' - summit with visit
         submitData.name = formData.name.trim();
@@ -116,22 +97,17 @@ function SummitForm({ onSubmit, onCancel, initialData = null, mode = 'create' })
         submitData.date = formData.date;
         submitData.elevation = formData.elevation ? parseFloat(formData.elevation) : null;
         submitData.wikipedia = formData.wikipedia ? formData.wikipedia.trim() : null;
+        submitData.wikidata = formData.wikidata ? formData.wikidata.trim().toUpperCase() : null;
+        submitData.osmId = formData.osmId || null;
         submitData.notes = formData.notes ? formData.notes.trim() : null;
       }
 
       onSubmit(submitData);
 
       // Reset form
-      setFormData({
-        name: '',
-        latitude: '',
-        longitude: '',
-        date: new Date().toISOString().split('T')[0],
-        elevation: '',
-        wikipedia: '',
-        notes: '',
-      });
+      setFormData(emptyForm());
       setErrors({});
+      setElevationSuggestion(null);
     }
   };
 
@@ -152,33 +128,30 @@ function SummitForm({ onSubmit, onCancel, initialData = null, mode = 'create' })
   const handleCheckOSM = async () => {
     const lat = parseFloat(formData.latitude);
     const lon = parseFloat(formData.longitude);
+    const radius = parseInt(osmRadius, 10);
 
     if (isNaN(lat) || isNaN(lon)) {
       alert('Please enter valid coordinates first');
       return;
     }
+    if (isNaN(radius) || radius < 1 || radius > MAX_OSM_RADIUS) {
+      alert(`Search radius must be between 1 and ${MAX_OSM_RADIUS} meters`);
+      return;
+    }
 
     setLoadingOsm(true);
     try {
-      const results = await queryOSM(lat, lon);
+      const results = await osmAPI.findPeaks(lat, lon, radius);
       
       if (results.length === 0) {
-        alert('No peak found at these coordinates in OSM.');
+        alert(`No peak found within ${radius} m in OSM.`);
         return;
       }
 
-      const peak = results[0];
-      const osmDataObj = {
-        osmName: peak.tags?.name || 'Unnamed peak',
-        osmElevation: peak.tags?.ele || peak.tags?.elevation || null,
-        osmWikipedia: peak.tags?.wikipedia || null,
-        lat: peak.lat,
-        lon: peak.lon,
-        distance: calculateDistance(lat, lon, peak.lat, peak.lon),
-      };
-      
-      setOsmData(osmDataObj);
-      setShowOsmPopup(true);
+      // Preselect the node the summit is linked to, else the nearest peak
+      const linked = results.findIndex((peak) => peak.osmId === formData.osmId);
+      setSelectedCandidate(linked >= 0 ? linked : 0);
+      setOsmCandidates(results);
     } catch (error) {
       alert('Failed to query OpenStreetMap: ' + error.message);
     } finally {
@@ -186,18 +159,46 @@ function SummitForm({ onSubmit, onCancel, initialData = null, mode = 'create' })
     }
   };
 
+  const suggestElevation = async (lat, lon) => {
+    setElevationSuggestion({ loading: true });
+    try {
+      const elevation = await elevationAPI.get(lat, lon);
+      setElevationSuggestion(elevation === null
+        ? { error: 'Keine Höhendaten für diese Position' }
+        : { value: Math.round(elevation) });
+    } catch (error) {
+      setElevationSuggestion({ error: error.message });
+    }
+  };
+
+  const handleSuggestElevation = () => {
+    const lat = parseFloat(formData.latitude);
+    const lon = parseFloat(formData.longitude);
+    if (isNaN(lat) || isNaN(lon)) {
+      alert('Please enter valid coordinates first');
+      return;
+    }
+    suggestElevation(lat, lon);
+  };
+
   const handleApplyOsmData = () => {
-    if (osmData) {
+    const peak = osmCandidates && osmCandidates[selectedCandidate];
+    if (peak) {
+      // Many OSM peaks have no ele tag, the elevation model fills the gap
+      if (!peak.elevation && !formData.elevation) {
+        suggestElevation(peak.latitude, peak.longitude);
+      }
       setFormData((prev) => ({
         ...prev,
-        name: osmData.osmName || prev.name,
-        latitude: osmData.lat,
-        longitude: osmData.lon,
-        elevation: osmData.osmElevation || prev.elevation,
-        wikipedia: osmData.osmWikipedia || prev.wikipedia,
+        name: peak.name || prev.name,
+        latitude: peak.latitude,
+        longitude: peak.longitude,
+        elevation: peak.elevation || prev.elevation,
+        wikipedia: peak.wikipedia || prev.wikipedia,
+        wikidata: peak.wikidata || prev.wikidata,
+        osmId: peak.osmId,
       }));
-      setShowOsmPopup(false);
-      setOsmData(null);
+      setOsmCandidates(null);
     }
   };
 
@@ -226,43 +227,58 @@ function SummitForm({ onSubmit, onCancel, initialData = null, mode = 'create' })
 
   return (
     <>
-      {showOsmPopup && osmData && (
-        <div className="osm-popup-overlay" onClick={() => setShowOsmPopup(false)}>
+      {osmCandidates && (
+        <div className="osm-popup-overlay" onClick={() => setOsmCandidates(null)}>
           <div className="osm-popup" onClick={(e) => e.stopPropagation()}>
-            <h3>OpenStreetMap-Daten gefunden</h3>
-            <div className="osm-data">
-              <div className="osm-field">
-                <strong>Name:</strong> {osmData.osmName}
-              </div>
-              {osmData.osmElevation && (
-                <div className="osm-field">
-                  <strong>Höhe:</strong> {osmData.osmElevation} m
-                </div>
-              )}
-              <div className="osm-field">
-                <strong>Koordinaten:</strong> {osmData.lat.toFixed(6)}, {osmData.lon.toFixed(6)}
-              </div>
-              <div className="osm-field">
-                <strong>Entfernung:</strong> {osmData.distance} Meter
-              </div>
-              {osmData.osmWikipedia && (
-                <div className="osm-field">
-                  <strong>Wikipedia:</strong>{' '}
-                  <a
-                    href={`https://en.wikipedia.org/wiki/${osmData.osmWikipedia.replace('en:', '')}`}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                  >
-                    {osmData.osmWikipedia}
-                  </a>
-                </div>
-              )}
+            <h3>
+              {osmCandidates.length === 1
+                ? 'OpenStreetMap-Gipfel gefunden'
+                : `${osmCandidates.length} OpenStreetMap-Gipfel gefunden`}
+            </h3>
+            <div className="osm-data osm-candidates">
+              {osmCandidates.map((peak, index) => (
+                <label
+                  key={peak.osmId}
+                  className={`osm-candidate ${index === selectedCandidate ? 'selected' : ''}`}
+                >
+                  <input
+                    type="radio"
+                    name="osm-candidate"
+                    checked={index === selectedCandidate}
+                    onChange={() => setSelectedCandidate(index)}
+                  />
+                  <div>
+                    <div className="osm-candidate-name">
+                      <strong>{peak.name || 'Unbenannter Gipfel'}</strong>
+                      {peak.elevation && ` · ${peak.elevation} m`}
+                      {` · ${peak.distance} m entfernt`}
+                    </div>
+                    <div className="osm-field">
+                      OSM-Knoten{' '}
+                      <a
+                        href={`https://www.openstreetmap.org/node/${peak.osmId}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                      >
+                        {peak.osmId}
+                      </a>
+                      {' · '}{peak.latitude.toFixed(6)}, {peak.longitude.toFixed(6)}
+                    </div>
+                    {(peak.wikipedia || peak.wikidata) && (
+                      <div className="osm-field">
+                        <WikiLink item={peak} />
+                        {peak.wikidata && ` · ${peak.wikidata}`}
+                      </div>
+                    )}
+                  </div>
+                </label>
+              ))}
             </div>
             <div className="osm-popup-actions">
               <button className="btn btn-primary" onClick={handleApplyOsmData}>
                 Daten übernehmen
               </button>
-              <button className="btn btn-secondary" onClick={() => setShowOsmPopup(false)}>
+              <button className="btn btn-secondary" onClick={() => setOsmCandidates(null)}>
                 Abbrechen
               </button>
             </div>
@@ -336,6 +352,34 @@ function SummitForm({ onSubmit, onCancel, initialData = null, mode = 'create' })
                 step="1"
                 placeholder="z.B. 2962"
               />
+              <div className="elevation-suggestion">
+                <button
+                  type="button"
+                  className="btn-small btn-secondary"
+                  onClick={handleSuggestElevation}
+                  disabled={elevationSuggestion?.loading}
+                >
+                  {elevationSuggestion?.loading ? 'Lade…' : '⛰️ Aus Höhenmodell'}
+                </button>
+                {elevationSuggestion?.value !== undefined && (
+                  <>
+                    <span>Vorschlag: {elevationSuggestion.value} m</span>
+                    <button
+                      type="button"
+                      className="btn-small btn-primary"
+                      onClick={() => {
+                        setFormData((prev) => ({ ...prev, elevation: elevationSuggestion.value }));
+                        setElevationSuggestion(null);
+                      }}
+                    >
+                      Übernehmen
+                    </button>
+                  </>
+                )}
+                {elevationSuggestion?.error && (
+                  <small className="elevation-suggestion-error">{elevationSuggestion.error}</small>
+                )}
+              </div>
             </div>
 
             <div className="form-group">
@@ -349,6 +393,62 @@ function SummitForm({ onSubmit, onCancel, initialData = null, mode = 'create' })
                 placeholder="z.B. de:Zugspitze"
               />
             </div>
+
+            <div className="form-group">
+              <label htmlFor="wikidata">Wikidata</label>
+              <input
+                type="text"
+                id="wikidata"
+                name="wikidata"
+                value={formData.wikidata || ''}
+                onChange={handleChange}
+                placeholder="z.B. Q3375"
+                className={errors.wikidata ? 'error' : ''}
+              />
+              {errors.wikidata && (
+                <span className="error-message">{errors.wikidata}</span>
+              )}
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="osmRadius">OSM-Suchradius (Meter)</label>
+                <input
+                  type="number"
+                  id="osmRadius"
+                  value={osmRadius}
+                  onChange={(e) => setOsmRadius(e.target.value)}
+                  min="1"
+                  max={MAX_OSM_RADIUS}
+                  step="10"
+                />
+              </div>
+
+              <div className="form-group">
+                <label>OSM-Knoten</label>
+                {formData.osmId ? (
+                  <div className="osm-link">
+                    <a
+                      href={`https://www.openstreetmap.org/node/${formData.osmId}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                    >
+                      {formData.osmId}
+                    </a>
+                    <button
+                      type="button"
+                      className="btn-small btn-secondary"
+                      onClick={() => setFormData((prev) => ({ ...prev, osmId: null }))}
+                      title="Verknüpfung mit OpenStreetMap lösen"
+                    >
+                      ×
+                    </button>
+                  </div>
+                ) : (
+                  <small className="osm-link">Nicht verknüpft – über „Check OSM“ wählen</small>
+                )}
+              </div>
+            </div>
           </>
         )}
 
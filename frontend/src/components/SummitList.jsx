@@ -1,8 +1,10 @@
 import React from 'react';
 import { formatDate } from '../utils/dateUtils';
+import { wikiDescription, formatWikidataDate } from '../utils/wikiUtils';
 import VisitList from './VisitList';
+import WikiLink from './WikiLink';
 
-function SummitList({ summits, selectedId, onSelect, onDelete, onLocate, onEdit, onAddVisit, summitVisits, onDeleteVisit }) {
+function SummitList({ summits, selectedId, onSelect, onDelete, onLocate, onEdit, onAddVisit, summitVisits, onDeleteVisit, shownTrackId, onToggleTrack }) {
   if (summits.length === 0) {
     return (
       <div className="empty-state">
@@ -58,17 +60,28 @@ function SummitList({ summits, selectedId, onSelect, onDelete, onLocate, onEdit,
                   <span>{summit.visitCount} {summit.visitCount === 1 ? 'Besuch' : 'Besuche'}</span>
                 </div>
               )}
-              {summit.wikipedia && (
+              {wikiDescription(summit) && (
+                <div className="info-item">
+                  <span className="icon">ℹ️</span>
+                  <span>{wikiDescription(summit)}</span>
+                </div>
+              )}
+              {summit.wikidataInfo?.prominence && (
+                <div className="info-item">
+                  <span className="icon">📏</span>
+                  <span>Schartenhöhe: {summit.wikidataInfo.prominence} m</span>
+                </div>
+              )}
+              {summit.wikidataInfo?.firstAscent && (
+                <div className="info-item">
+                  <span className="icon">🧗</span>
+                  <span>Erstbesteigung: {formatWikidataDate(summit.wikidataInfo.firstAscent)}</span>
+                </div>
+              )}
+              {(summit.wikipedia || summit.wikidata) && (
                 <div className="info-item">
                   <span className="icon">📖</span>
-                  <a
-                    href={`https://en.wikipedia.org/wiki/${summit.wikipedia.replace('en:', '')}`}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    onClick={(e) => e.stopPropagation()}
-                  >
-                    Wikipedia
-                  </a>
+                  <WikiLink item={summit} onClick={(e) => e.stopPropagation()} />
                 </div>
               )}
             </div>
@@ -117,6 +130,8 @@ function SummitList({ summits, selectedId, onSelect, onDelete, onLocate, onEdit,
               <VisitList 
                 visits={summitVisits} 
                 onDeleteVisit={onDeleteVisit}
+                shownTrackId={shownTrackId}
+                onToggleTrack={onToggleTrack}
               />
             </div>
           )}
@@ -1,8 +1,9 @@
 import React, { useEffect, useRef, useState } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import { formatDate } from '../utils/dateUtils';
+import WikiLink from './WikiLink';
 
 // Custom mountain icon
 const mountainIcon = new L.DivIcon({
@@ -29,32 +30,85 @@ const mountainIcon = new L.DivIcon({
   popupAnchor: [0, -16],
 });
 
-// Component to handle map bounds updates
-function MapBoundsHandler({ summits, selectedId }) {
+// Component to handle map bounds updates. Summits loaded for the viewport must
+// not move the map, or every load would trigger the next one.
+function MapBoundsHandler({ summits, selectedId, selectedSummit, fitToSummits }) {
   const map = useMap();
 
   useEffect(() => {
-    if (summits.length > 0) {
+    if (fitToSummits && summits.length > 0) {
       const bounds = summits.map((s) => [s.latitude, s.longitude]);
       map.fitBounds(bounds, { padding: [50, 50] });
     }
-  }, [summits, map]);
+  }, [summits, fitToSummits, map]);
 
   useEffect(() => {
     if (selectedId) {
-      const summit = summits.find((s) => s.id === selectedId);
+      const summit = summits.find((s) => s.id === selectedId) || selectedSummit;
       if (summit) {
         map.setView([summit.latitude, summit.longitude], 13, {
           animate: true,
         });
       }
     }
-  }, [selectedId, summits, map]);
+  }, [selectedId, selectedSummit, summits, map]);
 
   return null;
 }
 
-function SummitMap({ summits, selectedId, onSelectSummit }) {
+// Component to draw a visit's track and zoom to it
+function TrackLayer({ track }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (track.polyline.length > 0) {
+      map.fitBounds(track.polyline, { padding: [30, 30] });
+    }
+  }, [track, map]);
+
+  return (
+    <Polyline
+      positions={track.polyline}
+      pathOptions={{ color: '#e53e3e', weight: 4, opacity: 0.8 }}
+    />
+  );
+}
+
+// Component to report the visible area whenever the map stops moving
+function ViewportReporter({ onChange }) {
+  const map = useMap();
+
+  useEffect(() => {
+    let timer = null;
+
+    const report = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const bounds = map.getBounds().pad(0.2);
+        onChange([
+          Math.max(bounds.getWest(), -180),
+          Math.max(bounds.getSouth(), -90),
+          Math.min(bounds.getEast(), 180),
+          Math.min(bounds.getNorth(), 90),
+        ]);
+      }, 300);
+    };
+
+    report();
+    map.on('moveend', report);
+    return () => {
+      clearTimeout(timer);
+      map.off('moveend', report);
+    };
+  }, [map, onChange]);
+
+  return null;
+}
+
+// With onViewportChange the summits are the ones loaded for the visible area
+// (large collections), otherwise the map zooms to fit all of them. selectedSummit
+// lets the map go to a selected summit that is not loaded yet.
+function SummitMap({ summits, selectedId, selectedSummit = null, onSelectSummit, onViewportChange = null, track = null }) {
   const mapRef = useRef(null);
   const containerRef = useRef(null);
   const [isFullscreen, setIsFullscreen] = useState(false);
@@ -136,16 +190,9 @@ function SummitMap({ summits, selectedId, onSelectSummit }) {
                   <div>
                     📍 {summit.latitude.toFixed(4)}, {summit.longitude.toFixed(4)}
                   </div>
-                  {summit.wikipedia && (
+                  {(summit.wikipedia || summit.wikidata) && (
                     <div>
-                      📖{' '}
-                      <a
-                        href={`https://en.wikipedia.org/wiki/${summit.wikipedia.replace('en:', '')}`}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                      >
-                        Wikipedia
-                      </a>
+                      📖 <WikiLink item={summit} />
                     </div>
                   )}
                 </div>
@@ -154,7 +201,14 @@ function SummitMap({ summits, selectedId, onSelectSummit }) {
           </Marker>
         ))}
 
-        <MapBoundsHandler summits={summits} selectedId={selectedId} />
+        <MapBoundsHandler
+          summits={summits}
+          selectedId={selectedId}
+          selectedSummit={selectedSummit}
+          fitToSummits={!onViewportChange}
+        />
+        {onViewportChange && <ViewportReporter onChange={onViewportChange} />}
+        {track && <TrackLayer track={track} />}
       </MapContainer>
     </div>
   );
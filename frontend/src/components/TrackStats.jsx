@@ -0,0 +1,40 @@
+import React from 'react';
+
+// Seconds as "3:05 h"
+const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return '–';
+  const minutes = Math.round(seconds / 60);
+  return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')} h`;
+};
+
+const formatMeters = (value) => (value === null || value === undefined ? '–' : `${Math.round(value)} m`);
+
+const formatRate = (value) => (value === null || value === undefined ? '–' : `${Math.round(value)} m/h`);
+
+// Statistics panel of an analyzed track, values from computeTrackStats()
+function TrackStats({ stats }) {
+  const items = [
+    { label: 'Distanz', value: `${(stats.distance / 1000).toFixed(2)} km` },
+    { label: 'Aufstieg', value: formatMeters(stats.elevationGain) },
+    { label: 'Abstieg', value: formatMeters(stats.elevationLoss) },
+    { label: 'Max. Höhe', value: formatMeters(stats.maxElevation) },
+    { label: 'Min. Höhe', value: formatMeters(stats.minElevation) },
+    { label: 'Bewegungszeit', value: formatDuration(stats.movingTime) },
+    { label: 'Gesamtzeit', value: formatDuration(stats.elapsedTime) },
+    { label: 'Ø Aufstieg', value: formatRate(stats.ascentRate), title: 'Höhenmeter pro Stunde in Bewegung bergauf' },
+    { label: 'Ø Abstieg', value: formatRate(stats.descentRate), title: 'Höhenmeter pro Stunde in Bewegung bergab' },
+  ];
+
+  return (
+    <div className="track-stats">
+      {items.map((item) => (
+        <div key={item.label} className="track-stat" title={item.title}>
+          <span className="track-stat-label">{item.label}</span>
+          <span className="track-stat-value">{item.value}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default TrackStats;
@@ -1,7 +1,16 @@
 import React from 'react';
 import { formatDate } from '../utils/dateUtils';
+import { trackAPI } from '../services/api';
+
+function VisitList({ visits, onDeleteVisit, shownTrackId, onToggleTrack }) {
+  const handleDownloadTrack = async (trackId) => {
+    try {
+      await trackAPI.download(trackId);
+    } catch (err) {
+      alert('Fehler beim Herunterladen des Tracks: ' + err.message);
+    }
+  };
 
-function VisitList({ visits, onDeleteVisit }) {
   if (!visits || visits.length === 0) {
     return (
       <div className="visit-empty">
@@ -24,6 +33,23 @@ function VisitList({ visits, onDeleteVisit }) {
                 💭 {visit.notes}
               </div>
             )}
+            {visit.trackId && (
+              <div className="visit-track">
+                <button
+                  className="btn-small btn-track"
+                  onClick={() => onToggleTrack(visit.trackId)}
+                >
+                  {shownTrackId === visit.trackId ? '🗺️ Track ausblenden' : '🗺️ Track anzeigen'}
+                </button>
+                <button
+                  className="btn-small btn-track"
+                  onClick={() => handleDownloadTrack(visit.trackId)}
+                  title="Original-GPX herunterladen"
+                >
+                  ⬇️ GPX
+                </button>
+              </div>
+            )}
           </div>
           <button
             className="btn-small btn-delete-visit"
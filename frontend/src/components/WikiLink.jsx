@@ -0,0 +1,16 @@
+import React from 'react';
+import { wikiLink } from '../utils/wikiUtils';
+
+// Wikipedia article of a summit or OSM peak in the preferred language, else its Wikidata page
+function WikiLink({ item, onClick }) {
+  const link = wikiLink(item);
+  if (!link) return null;
+
+  return (
+    <a href={link.url} title={link.title} target="_blank" rel="noopener noreferrer" onClick={onClick}>
+      {link.label}
+    </a>
+  );
+}
+
+export default WikiLink;
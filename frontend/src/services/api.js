@@ -4,6 +4,8 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api
 
 const api = axios.create({
   baseURL: API_BASE_URL,
+  // Send the HttpOnly session cookie with every request
+  withCredentials: true,
   headers: {
     'Content-Type': 'application/json',
   },
@@ -20,6 +22,52 @@ const handleError = (error) => {
   }
 };
 
+// Auth API methods
+export const authAPI = {
+  // Get the currently logged-in user (null if not logged in)
+  me: async () => {
+    try {
+      const response = await api.get('/auth/me');
+      return response.data.user;
+    } catch (error) {
+      if (error.response && error.response.status === 401) {
+        return null;
+      }
+      handleError(error);
+    }
+  },
+
+  // Log in and receive a session cookie
+  login: async (username, password) => {
+    try {
+      const response = await api.post('/auth/login', { username, password });
+      return response.data.user;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // Create a new account (logs in immediately)
+  register: async (username, password, email) => {
+    try {
+      const response = await api.post('/auth/register', { username, password, email });
+      return response.data.user;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // End the current session
+  logout: async () => {
+    try {
+      const response = await api.post('/auth/logout');
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+};
+
 // Summit API methods
 export const summitAPI = {
   // Get all summits with visit counts
@@ -32,6 +80,36 @@ export const summitAPI = {
     }
   },
 
+  // Get summits inside a [west, south, east, north] box, nearest to its center first
+  getInBbox: async ([west, south, east, north]) => {
+    try {
+      const response = await api.get('/summits', { params: { bbox: [west, south, east, north].join(',') } });
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // Get summits within radius meters of a point, nearest first (with distance in meters)
+  findNear: async (lat, lon, radius = 1000) => {
+    try {
+      const response = await api.get('/summits/near', { params: { lat, lon, radius } });
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // Search all summits by name, optionally visited in a year/season: { summits, total } for one page
+  search: async ({ search, year, season }, { limit, offset } = {}) => {
+    try {
+      const response = await api.get('/summits/search', { params: { q: search, year, season, limit, offset } });
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
   // Get single summit with all visits
   getById: async (id) => {
     try {
@@ -131,6 +209,185 @@ export const visitAPI = {
   },
 };
 
+// Tracks API
+export const trackAPI = {
+  // Upload a track file, returns the stored track with polyline and statistics
+  upload: async (file) => {
+    try {
+      const response = await api.post('/tracks', await file.arrayBuffer(), {
+        params: { fileName: file.name },
+        headers: { 'Content-Type': 'application/octet-stream' },
+      });
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  get: async (id) => {
+    try {
+      const response = await api.get(`/tracks/${id}`);
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // Download the originally uploaded file
+  download: async (id) => {
+    try {
+      const response = await api.get(`/tracks/${id}/download`, { responseType: 'blob' });
+      const disposition = response.headers['content-disposition'] || '';
+      const match = disposition.match(/filename="?([^";]+)"?/);
+      downloadBlob(response.data, match ? match[1] : `track-${id}.gpx`);
+    } catch (error) {
+      handleError(error);
+    }
+  },
+};
+
+// Named detection settings, stored per user
+export const presetAPI = {
+  // Returns { presets, lastUsedId }
+  getAll: async () => {
+    try {
+      const response = await api.get('/presets');
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  create: async (name, settings) => {
+    try {
+      const response = await api.post('/presets', { name, settings });
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  update: async (id, changes) => {
+    try {
+      const response = await api.put(`/presets/${id}`, changes);
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // Remember the preset as the last one used, so it is preselected next time
+  markUsed: async (id) => {
+    try {
+      await api.post(`/presets/${id}/use`);
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // Go back to the default settings, so no preset is preselected next time
+  clearUsed: async () => {
+    try {
+      await api.delete('/presets/last-used');
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  delete: async (id) => {
+    try {
+      const response = await api.delete(`/presets/${id}`);
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+};
+
+// OpenStreetMap lookups go through the backend, which queues and caches Overpass requests
+export const osmAPI = {
+  findPeaks: async (lat, lon, radius = 100) => {
+    try {
+      const response = await api.get('/osm/peaks', { params: { lat, lon, radius } });
+      return response.data.peaks;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+};
+
+// Points per request, the backend accepts up to 20000
+const ELEVATION_BATCH_SIZE = 10000;
+
+export const elevationAPI = {
+  // Elevation (m) of a point from the backend's elevation model, null without data there
+  get: async (lat, lon) => {
+    try {
+      const response = await api.get('/elevation', { params: { lat, lon } });
+      return response.data.elevation;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // Elevations of many [lat, lon] points, in the same order
+  getMany: async (points) => {
+    try {
+      const elevations = [];
+      for (let i = 0; i < points.length; i += ELEVATION_BATCH_SIZE) {
+        const response = await api.post('/elevation', { points: points.slice(i, i + ELEVATION_BATCH_SIZE) });
+        elevations.push(...response.data.elevations);
+      }
+      return elevations;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+};
+
+// Re-sync of the stored summits with OpenStreetMap
+export const osmSyncAPI = {
+  // Pending differences between the summits and OSM from the last re-sync
+  getChanges: async () => {
+    try {
+      const response = await api.get('/osm/sync');
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // Starts the re-sync on the server and returns its status, see getStatus
+  sync: async (summitIds) => {
+    try {
+      const response = await api.post('/osm/sync', summitIds ? { summitIds } : {});
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // Returns { running, total, checked, changed, failed, error } of the last re-sync
+  getStatus: async () => {
+    try {
+      const response = await api.get('/osm/sync/status');
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // decisions: [{ summitId, fields }] - fields are taken from OSM, the rest is rejected
+  apply: async (decisions) => {
+    try {
+      const response = await api.post('/osm/sync/apply', { decisions });
+      return response.data.summits;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+};
+
 // Statistics API
 export const statsAPI = {
   get: async () => {
@@ -143,6 +400,16 @@ export const statsAPI = {
   },
 };
 
+// Save a blob as a file download in the browser
+const downloadBlob = (blob, fileName) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  window.URL.revokeObjectURL(url);
+};
+
 // Export/Import utilities
 export const dataAPI = {
   // Export summits and visits
@@ -160,49 +427,57 @@ export const dataAPI = {
       const blob = new Blob([JSON.stringify(data, null, 2)], {
         type: 'application/json',
       });
-      const url = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `gipfel-tracker-${new Date().toISOString().split('T')[0]}.json`;
-      link.click();
-      window.URL.revokeObjectURL(url);
+      downloadBlob(blob, `gipfel-tracker-${new Date().toISOString().split('T')[0]}.json`);
     } catch (error) {
       handleError(error);
     }
   },
 
-  // Import summits and visits
-  import: async (data) => {
+  // Export summits in a geo format ('gpx' | 'geojson' | 'kml' | 'kmz'),
+  // with optional year/season/summitId filters
+  exportFile: async (format, filters = {}) => {
     try {
-      // This would need a backend endpoint to handle bulk import
-      // For now, we'll import manually
-      const results = {
-        summitsCreated: 0,
-        visitsCreated: 0,
-        errors: []
-      };
+      const params = new URLSearchParams({ format });
+      if (filters.summitId) params.append('summitId', filters.summitId);
+      if (filters.year) params.append('year', filters.year);
+      if (filters.season) params.append('season', filters.season);
+      // CSV exports summits or visits (type=summits|visits)
+      if (filters.type) params.append('type', filters.type);
 
-      // Import summits first
-      for (const summit of data.summits || []) {
-        try {
-          await summitAPI.create(summit);
-          results.summitsCreated++;
-        } catch (error) {
-          results.errors.push(`Summit ${summit.name}: ${error.message}`);
-        }
-      }
+      const response = await api.get(`/export?${params.toString()}`, { responseType: 'blob' });
+      const suffix = filters.type === 'visits' ? '-besuche' : filters.type === 'summits' ? '-gipfel' : '';
+      downloadBlob(response.data, `gipfel-tracker-${new Date().toISOString().split('T')[0]}${suffix}.${format}`);
+    } catch (error) {
+      handleError(error);
+    }
+  },
 
-      // Then import visits
-      for (const visit of data.visits || []) {
-        try {
-          await visitAPI.create(visit);
-          results.visitsCreated++;
-        } catch (error) {
-          results.errors.push(`Visit ${visit.id}: ${error.message}`);
-        }
-      }
+  // Convert a GeoJSON, KML or KMZ file into { summits, visits } for import
+  convertFile: async (file, format) => {
+    try {
+      const response = await api.post(
+        `/import/convert?format=${format}`,
+        await file.arrayBuffer(),
+        { headers: { 'Content-Type': 'application/octet-stream' } }
+      );
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
 
-      return results;
+  // Import summits and visits in one transaction on the backend.
+  // mode: 'merge' | 'replace' | 'skip-existing'; with dryRun nothing is saved
+  // and only the per-row report is returned.
+  import: async (data, { mode = 'merge', dryRun = false } = {}) => {
+    try {
+      const response = await api.post('/import', {
+        summits: data.summits || [],
+        visits: data.visits || [],
+        mode,
+        dryRun,
+      });
+      return response.data;
     } catch (error) {
       handleError(error);
     }
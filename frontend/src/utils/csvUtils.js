@@ -0,0 +1,124 @@
+// CSV parsing utilities for imports from spreadsheets
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guess the delimiter from the first line (German Excel uses semicolons)
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter character
+ */
+export const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+  let best = ',';
+  let bestCount = 0;
+
+  DELIMITERS.forEach((delimiter) => {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180 quoting, empty lines skipped)
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Cell delimiter, detected if omitted
+ * @returns {Array<Array<string>>} Rows of cell values
+ */
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const input = text.replace(/^﻿/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((value) => value.trim() !== ''));
+};
+
+const COMMA_DECIMAL = /^[-+]?\d+,\d+$/;
+const DOT_DECIMAL = /^[-+]?\d+\.\d+$/;
+// Numbers with thousands separators, e.g. "1.234,5" (German) and "1,234.5"
+const DOT_GROUPED = /^[-+]?\d{1,3}(\.\d{3})+(,\d*)?$/;
+const COMMA_GROUPED = /^[-+]?\d{1,3}(,\d{3})+(\.\d*)?$/;
+
+/**
+ * Guess whether the numbers in the rows use a decimal comma (German Excel):
+ * the more common of "47,4211" and "47.4211" wins, semicolon files default to commas
+ * @param {Array<Array<string>>} rows - Rows from parseCsv
+ * @param {string} delimiter - Cell delimiter of the file
+ * @returns {boolean} True for a decimal comma
+ */
+export const detectDecimalComma = (rows, delimiter = ',') => {
+  let commas = 0;
+  let dots = 0;
+
+  rows.forEach((row) => row.forEach((value) => {
+    const text = value.trim();
+    if (COMMA_DECIMAL.test(text)) commas++;
+    else if (DOT_DECIMAL.test(text)) dots++;
+  }));
+
+  return commas === dots ? delimiter === ';' : commas > dots;
+};
+
+/**
+ * Parse a number with German ("2.962", "47,4211", "1.234,5") or English
+ * ("2,962", "47.4211", "1,234.5") separators
+ * @param {string} value - Number text, a trailing unit "m" is ignored
+ * @param {boolean} decimalComma - Whether the file uses a decimal comma
+ * @returns {number|null} Parsed number or null
+ */
+export const parseNumber = (value, decimalComma = false) => {
+  if (value === undefined || value === null) return null;
+
+  let text = String(value).trim().replace(/\s|m$/g, '');
+  if (!text) return null;
+
+  // Strip thousands separators, but only in properly grouped numbers so that a
+  // stray "47.4211" in a German file still reads as a decimal
+  if (decimalComma && DOT_GROUPED.test(text)) {
+    text = text.replace(/\./g, '');
+  } else if (!decimalComma && COMMA_GROUPED.test(text)) {
+    text = text.replace(/,/g, '');
+  }
+
+  const number = Number(text.replace(',', '.'));
+  return isNaN(number) ? null : number;
+};
@@ -0,0 +1,87 @@
+import { parseCsv, detectDelimiter, parseNumber, detectDecimalComma } from './csvUtils';
+
+describe('detectDelimiter', () => {
+  test('picks the most common delimiter of the first line', () => {
+    expect(detectDelimiter('name;lat;lon\nA;47,1;11,2')).toBe(';');
+    expect(detectDelimiter('name\tlat\tlon')).toBe('\t');
+    expect(detectDelimiter('name,lat,lon')).toBe(',');
+  });
+
+  test('ignores delimiters inside quotes', () => {
+    expect(detectDelimiter('"a;b;c",lat,lon')).toBe(',');
+  });
+});
+
+describe('parseCsv', () => {
+  test('splits rows and cells with the detected delimiter', () => {
+    expect(parseCsv('name;lat\nZugspitze;47,4211\r\nWatzmann;47,5547\n')).toEqual([
+      ['name', 'lat'],
+      ['Zugspitze', '47,4211'],
+      ['Watzmann', '47,5547'],
+    ]);
+  });
+
+  test('handles quoted cells with delimiters, quotes and line breaks', () => {
+    expect(parseCsv('name,notes\n"Piz Buin","Sehr ""windig"", kalt\nund nass"', ',')).toEqual([
+      ['name', 'notes'],
+      ['Piz Buin', 'Sehr "windig", kalt\nund nass'],
+    ]);
+  });
+
+  test('skips empty lines and a byte order mark', () => {
+    expect(parseCsv('\uFEFFname,lat\n\n , \nA,1')).toEqual([['name', 'lat'], ['A', '1']]);
+  });
+
+  test('keeps empty cells and a last line without line break', () => {
+    expect(parseCsv('a,,c\nd,e,', ',')).toEqual([['a', '', 'c'], ['d', 'e', '']]);
+  });
+});
+
+describe('parseNumber', () => {
+  test('reads German numbers with a decimal comma', () => {
+    expect(parseNumber('47,4211', true)).toBe(47.4211);
+    expect(parseNumber('2.962', true)).toBe(2962);
+    expect(parseNumber('1.234,5', true)).toBe(1234.5);
+    expect(parseNumber('1.234.567', true)).toBe(1234567);
+    expect(parseNumber('-0,5', true)).toBe(-0.5);
+  });
+
+  test('keeps a stray decimal point in a German file', () => {
+    expect(parseNumber('47.4211', true)).toBe(47.4211);
+  });
+
+  test('reads English numbers with thousands separators', () => {
+    expect(parseNumber('47.4211')).toBe(47.4211);
+    expect(parseNumber('2,962')).toBe(2962);
+    expect(parseNumber('1,234.5')).toBe(1234.5);
+  });
+
+  test('accepts a decimal comma without thousands grouping in English files', () => {
+    expect(parseNumber('47,4211')).toBe(47.4211);
+  });
+
+  test('ignores spaces and a trailing unit', () => {
+    expect(parseNumber(' 2962 m ', true)).toBe(2962);
+    expect(parseNumber('2.962 m', true)).toBe(2962);
+  });
+
+  test('returns null for empty and invalid values', () => {
+    expect(parseNumber('')).toBeNull();
+    expect(parseNumber(null)).toBeNull();
+    expect(parseNumber(undefined)).toBeNull();
+    expect(parseNumber('abc')).toBeNull();
+    expect(parseNumber('1,2,3', true)).toBeNull();
+  });
+});
+
+describe('detectDecimalComma', () => {
+  test('picks the more common decimal separator', () => {
+    expect(detectDecimalComma([['Zugspitze', '47,4211', '10,9853', '2.962']], ';')).toBe(true);
+    expect(detectDecimalComma([['Zugspitze', '47.4211', '10.9853', '2,962']], ',')).toBe(false);
+  });
+
+  test('falls back to the delimiter without decimals', () => {
+    expect(detectDecimalComma([['Zugspitze', '47', '11']], ';')).toBe(true);
+    expect(detectDecimalComma([['Zugspitze', '47', '11']], ',')).toBe(false);
+  });
+});
@@ -129,4 +129,40 @@ export const getSeason = (date) => {
   } catch (error) {
     return '';
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Parse a date in German (DD.MM.YYYY, D.M.YY) or ISO format (YYYY-MM-DD)
+ * @param {string} value - Date text, e.g. from an imported file
+ * @returns {string|null} ISO date string (YYYY-MM-DD) or null if not a valid date
+ */
+export const parseDate = (value) => {
+  if (!value) return null;
+
+  const text = String(value).trim();
+  let day, month, year;
+
+  const german = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4}|\d{2})$/);
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/);
+
+  if (german) {
+    [, day, month, year] = german.map(Number);
+    // Two-digit years: up to the current year means 20xx, otherwise 19xx
+    if (german[3].length === 2) {
+      const currentYear = new Date().getFullYear() % 100;
+      year += year <= currentYear ? 2000 : 1900;
+    }
+  } else if (iso) {
+    [, year, month, day] = iso.map(Number);
+  } else {
+    return null;
+  }
+
+  // Reject impossible dates like 31.02.2024
+  const dateObj = new Date(Date.UTC(year, month - 1, day));
+  if (dateObj.getUTCFullYear() !== year || dateObj.getUTCMonth() !== month - 1 || dateObj.getUTCDate() !== day) {
+    return null;
+  }
+
+  return dateObj.toISOString().split('T')[0];
+};
@@ -0,0 +1,31 @@
+import { parseDate } from './dateUtils';
+
+describe('parseDate', () => {
+  test('reads German dates', () => {
+    expect(parseDate('05.12.2024')).toBe('2024-12-05');
+    expect(parseDate('5.7.2023')).toBe('2023-07-05');
+    expect(parseDate(' 31.01.2020 ')).toBe('2020-01-31');
+  });
+
+  test('reads two-digit years up to the current year as 20xx', () => {
+    const currentYear = new Date().getFullYear();
+    const nextYear = String((currentYear + 1) % 100).padStart(2, '0');
+    expect(parseDate('01.06.05')).toBe('2005-06-01');
+    expect(parseDate(`01.06.${nextYear}`)).toBe(`19${nextYear}-06-01`);
+  });
+
+  test('reads ISO dates and timestamps', () => {
+    expect(parseDate('2024-07-15')).toBe('2024-07-15');
+    expect(parseDate('2024-7-5')).toBe('2024-07-05');
+    expect(parseDate('2024-07-15T08:30:00Z')).toBe('2024-07-15');
+  });
+
+  test('rejects impossible and unknown dates', () => {
+    expect(parseDate('31.02.2024')).toBeNull();
+    expect(parseDate('2023-02-29')).toBeNull();
+    expect(parseDate('12/05/2024')).toBeNull();
+    expect(parseDate('gestern')).toBeNull();
+    expect(parseDate('')).toBeNull();
+    expect(parseDate(null)).toBeNull();
+  });
+});
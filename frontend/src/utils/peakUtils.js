@@ -0,0 +1,30 @@
+// Display helpers for detected peaks
+
+const PEAK_REASON_LABELS = {
+  stop: '⏸️ Stopp',
+  prominence: '⛰️ Prominenz',
+  turnaround: '↩️ Umkehrpunkt',
+  manual: '✋ Manuell',
+};
+
+/**
+ * Describe why a peak was detected
+ * @param {Object} peak - Peak from detectPeaks()
+ * @returns {string} E.g. "⛰️ Prominenz, ↩️ Umkehrpunkt"
+ */
+export const formatPeakReasons = (peak) => (
+  (peak.reasons || []).map((reason) => PEAK_REASON_LABELS[reason] || reason).join(', ')
+);
+
+/**
+ * Tooltip with the numbers behind a detection
+ * @param {Object} peak - Peak from detectPeaks()
+ * @returns {string}
+ */
+export const describePeakReasons = (peak) => {
+  const parts = [];
+  if (peak.duration > 0) parts.push(`Stopp: ${peak.duration.toFixed(1)} min`);
+  if (peak.prominence !== undefined) parts.push(`Prominenz: ${Math.round(peak.prominence)} m`);
+  if (peak.turnAngle !== undefined) parts.push(`Richtungswechsel: ${Math.round(peak.turnAngle)}°`);
+  return parts.join(' · ');
+};
@@ -0,0 +1,70 @@
+// Track analysis (parse, smooth, detect, stats). Runs in a Web Worker, see trackWorker.js
+
+import { smoothTrack, detectPeaks, summarizePeak, computeTrackStats } from '@summit-tracker/shared';
+import { readTrackFile } from './trackUtils';
+import { elevationAPI } from '../services/api';
+
+// Share of the total work done when each stage starts, for the progress bar
+export const ANALYSIS_STAGES = {
+  read: { label: 'Datei wird gelesen', progress: 0 },
+  elevation: { label: 'Höhen werden aus dem Höhenmodell gelesen', progress: 0.15 },
+  smooth: { label: 'Höhen werden geglättet', progress: 0.4 },
+  detect: { label: 'Gipfel werden gesucht', progress: 0.55 },
+  stats: { label: 'Statistik wird berechnet', progress: 0.85 },
+};
+
+// Replace GPS elevations by the backend's elevation model. Points outside its
+// tiles keep their GPS elevation; if the model is unavailable, all of them do.
+const correctTrackElevations = async (points) => {
+  try {
+    const elevations = await elevationAPI.getMany(points.map((p) => [p.lat, p.lon]));
+    const corrected = points.map((p, i) => (elevations[i] === null ? p : { ...p, ele: elevations[i] }));
+    const count = elevations.filter((ele) => ele !== null).length;
+    return { points: corrected, correction: { corrected: count, total: points.length } };
+  } catch (error) {
+    return { points, correction: { corrected: 0, total: points.length, error: error.message } };
+  }
+};
+
+/**
+ * Analyze a track file in the current thread
+ * @param {File} file - Track file
+ * @param {Object} settings - Detection settings, see DEFAULT_SETTINGS
+ * @param {Object} options - onProgress(stage) per stage, includePoints: return the smoothed points,
+ *   correctElevations: take elevations from the backend's elevation model instead of the GPS
+ * @returns {Promise<Object>} { points (or null), peaks (summaries, best first), stats,
+ *   elevationCorrection: { corrected, total, error } or null }
+ */
+export const runTrackAnalysis = async (file, settings, {
+  onProgress = () => {},
+  includePoints = true,
+  correctElevations = false,
+} = {}) => {
+  onProgress('read');
+  let parsed = await readTrackFile(file);
+  if (parsed.length === 0) {
+    throw new Error('Keine Trackpunkte gefunden');
+  }
+
+  let elevationCorrection = null;
+  if (correctElevations) {
+    onProgress('elevation');
+    const corrected = await correctTrackElevations(parsed);
+    parsed = corrected.points;
+    elevationCorrection = corrected.correction;
+  }
+
+  onProgress('smooth');
+  const points = smoothTrack(parsed, settings);
+
+  onProgress('detect');
+  const peaks = detectPeaks(points, settings).map(summarizePeak);
+
+  onProgress('stats');
+  const stats = computeTrackStats(points, {
+    movingSpeedThreshold: settings.stopSpeedThreshold,
+    ascentThreshold: settings.ascentThreshold,
+  });
+
+  return { points: includePoints ? points : null, peaks, stats, elevationCorrection };
+};
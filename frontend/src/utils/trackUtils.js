@@ -0,0 +1,44 @@
+// Reading track files (GPX, TCX, KML, FIT) in the browser
+
+import { TRACK_FORMATS, trackFormatFromFileName, parseTrack } from '@summit-tracker/shared';
+
+// Value for the accept attribute of track file inputs
+export const TRACK_FILE_ACCEPT = TRACK_FORMATS.map((format) => `.${format}`).join(',');
+
+/**
+ * Check whether a file has a supported track extension
+ * @param {File} file - Selected file
+ * @returns {boolean}
+ */
+export const isTrackFile = (file) => trackFormatFromFileName(file.name) !== null;
+
+/**
+ * Read and parse a track file. Parsing lives in the shared package so the backend can run it too.
+ * @param {File} file - Selected file
+ * @returns {Promise<Array>} Track points { lat, lon, ele, time, distance, speed }
+ */
+export const readTrackFile = async (file) => {
+  const format = trackFormatFromFileName(file.name);
+  if (!format) {
+    throw new Error(`Nicht unterstütztes Dateiformat (erlaubt: ${TRACK_FORMATS.join(', ').toUpperCase()})`);
+  }
+
+  // FIT is binary, the other formats are XML
+  const data = format === 'fit' ? new Uint8Array(await file.arrayBuffer()) : await file.text();
+  try {
+    return parseTrack(data, format);
+  } catch (error) {
+    throw new Error(`Ungültige ${format.toUpperCase()}-Datei`);
+  }
+};
+
+/**
+ * Date of a track (YYYY-MM-DD) from its first timestamp, else from the file's modification date
+ * @param {Date|null} startTime - First timestamp of the track, see computeTrackStats()
+ * @param {File} file - Track file
+ * @returns {string} Date string
+ */
+export const trackDate = (startTime, file) => {
+  const date = startTime || new Date(file.lastModified || Date.now());
+  return date.toISOString().split('T')[0];
+};
@@ -0,0 +1,65 @@
+// Client side of the track analysis worker
+
+import { runTrackAnalysis } from './trackAnalysis';
+
+/**
+ * Analyze a track file without blocking the UI. Each analysis gets its own worker,
+ * so cancelling simply terminates it.
+ * @param {File} file - Track file
+ * @param {Object} settings - Detection settings
+ * @param {Object} options - onProgress(stage), signal: AbortSignal to cancel,
+ *   includePoints: return the smoothed points (not needed for batch analysis),
+ *   correctElevations: use the backend's elevation model
+ * @returns {Promise<Object>} Like runTrackAnalysis(); rejects with an AbortError when cancelled
+ */
+export const analyzeTrackFile = (file, settings, {
+  onProgress,
+  signal,
+  includePoints = true,
+  correctElevations = false,
+} = {}) => {
+  if (typeof Worker === 'undefined') {
+    return runTrackAnalysis(file, settings, { onProgress, includePoints, correctElevations });
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('../workers/trackAnalysis.worker.js', import.meta.url));
+
+    const finish = () => {
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', handleAbort);
+    };
+    const handleAbort = () => {
+      finish();
+      reject(new DOMException('Analyse abgebrochen', 'AbortError'));
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        handleAbort();
+        return;
+      }
+      signal.addEventListener('abort', handleAbort);
+    }
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        if (onProgress) onProgress(data.stage);
+        return;
+      }
+
+      finish();
+      if (data.type === 'result') resolve(data.result);
+      else reject(new Error(data.message));
+    };
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(event.message || 'Analyse fehlgeschlagen'));
+    };
+
+    worker.postMessage({ file, settings, includePoints, correctElevations });
+  });
+};
+
+// True for the rejection of a cancelled analysis
+export const isAbortError = (error) => error && error.name === 'AbortError';
@@ -0,0 +1,57 @@
+// Wikipedia and Wikidata display helpers for summits and OSM peaks
+
+import { pickWikipediaArticle, wikidataUrl } from '@summit-tracker/shared';
+
+/**
+ * Languages to show Wikipedia articles in: the browser's preferences, then English
+ * @returns {Array<string>} Language codes like "de", most preferred first
+ */
+export const preferredLanguages = () => {
+  const browserLanguages = navigator.languages?.length ? navigator.languages : [navigator.language];
+  const languages = browserLanguages
+    .filter(Boolean)
+    .map((language) => language.toLowerCase().split('-')[0]);
+  return [...new Set([...languages, 'en'])];
+};
+
+/**
+ * Link to a summit's Wikipedia article in the preferred language. Other languages
+ * are only known once the Wikidata entity was imported; without any article the
+ * Wikidata page is linked.
+ * @param {Object} summit - Summit or OSM peak with wikipedia, wikidata and optional wikidataInfo
+ * @returns {Object|null} { url, label, title }
+ */
+export const wikiLink = (summit) => {
+  const article = pickWikipediaArticle(
+    summit.wikipedia,
+    summit.wikidataInfo?.sitelinks,
+    preferredLanguages()
+  );
+  if (article) {
+    return { url: article.url, label: `Wikipedia (${article.lang})`, title: article.title };
+  }
+  if (summit.wikidata) {
+    return { url: wikidataUrl(summit.wikidata), label: 'Wikidata', title: summit.wikidata };
+  }
+  return null;
+};
+
+/**
+ * Wikidata description in the preferred language, if one was imported
+ */
+export const wikiDescription = (summit) => {
+  const descriptions = summit.wikidataInfo?.descriptions || {};
+  const language = preferredLanguages().find((lang) => descriptions[lang]);
+  return language ? descriptions[language] : null;
+};
+
+/**
+ * Wikidata dates come as "1820", "1820-08" or "1820-08-27"
+ * @returns {string} German display form, e.g. "27.08.1820"
+ */
+export const formatWikidataDate = (date) => {
+  const [year, month, day] = date.split('-');
+  if (day) return `${day}.${month}.${year}`;
+  if (month) return `${month}.${year}`;
+  return year;
+};
@@ -0,0 +1,19 @@
+/* eslint-disable no-restricted-globals */
+// Runs runTrackAnalysis() off the main thread, see analyzeTrackFile() in utils/trackWorker.js
+
+import { runTrackAnalysis } from '../utils/trackAnalysis';
+
+self.onmessage = async ({ data }) => {
+  const { file, settings, includePoints, correctElevations } = data;
+
+  try {
+    const result = await runTrackAnalysis(file, settings, {
+      includePoints,
+      correctElevations,
+      onProgress: (stage) => self.postMessage({ type: 'progress', stage }),
+    });
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
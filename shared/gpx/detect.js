@@ -0,0 +1,220 @@
+const { DETECTION_MODES, DEFAULT_SETTINGS } = require('./settings');
+const { createSpatialGrid, lowerBound } = require('./grid');
+const { detectTerrainPeaks } = require('./terrain');
+
+const summarizeStop = (stop, endIndex) => ({
+  ...stop,
+  endIndex,
+  startTime: stop.points[0].time,
+  endTime: stop.points[stop.points.length - 1].time,
+  avgLat: stop.points.reduce((sum, p) => sum + p.lat, 0) / stop.points.length,
+  avgLon: stop.points.reduce((sum, p) => sum + p.lon, 0) / stop.points.length,
+  avgEle: stop.points.reduce((sum, p) => sum + (p.ele || 0), 0) / stop.points.length,
+  maxEle: stop.points.reduce((max, p) => Math.max(max, p.ele || 0), -Infinity)
+});
+
+/**
+ * Detect summits as places where the track stops near a local high point.
+ * Stops are clustered, then scored by duration, elevation and prominence.
+ * @param {Array} points - Track points from parseGpx()
+ * @param {Object} settings - Overrides for DEFAULT_SETTINGS
+ * @returns {Array} Peak clusters sorted by score (best first)
+ */
+function detectStopBasedPeaks(points, settings = {}) {
+  const { stopSpeedThreshold, clusterDistance, clusterTimeGap, minStopDuration,
+          prominenceRadius, prominenceTimeWindow, elevationPercentile } = { ...DEFAULT_SETTINGS, ...settings };
+
+  // Step 1: Identify stop segments
+  const stopSegments = [];
+  let currentStop = null;
+
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+
+    if (point.speed < stopSpeedThreshold) {
+      if (!currentStop) {
+        currentStop = {
+          startIndex: i,
+          points: [point]
+        };
+      } else {
+        currentStop.points.push(point);
+      }
+    } else {
+      if (currentStop && currentStop.points.length >= 2) {
+        stopSegments.push(summarizeStop(currentStop, i - 1));
+      }
+      currentStop = null;
+    }
+  }
+
+  if (currentStop && currentStop.points.length >= 2) {
+    stopSegments.push(summarizeStop(currentStop, points.length - 1));
+  }
+
+  // Step 2: Cluster nearby stops. Candidates close in space or time come from
+  // indexes; they are checked in segment order like a full pairwise scan would.
+  const clusters = [];
+  const used = new Set();
+
+  const segmentGrid = createSpatialGrid(clusterDistance);
+  stopSegments.forEach((segment, j) => segmentGrid.insert({ lat: segment.avgLat, lon: segment.avgLon, j }));
+  const segmentsByStart = stopSegments
+    .map((segment, j) => ({ start: segment.startTime ? segment.startTime.getTime() : null, j }))
+    .filter(entry => entry.start !== null)
+    .sort((a, b) => a.start - b.start);
+  const gapMs = clusterTimeGap * 60 * 1000;
+
+  for (let i = 0; i < stopSegments.length; i++) {
+    if (used.has(i)) continue;
+
+    const cluster = {
+      segments: [stopSegments[i]],
+      indices: [i]
+    };
+    used.add(i);
+
+    const candidates = new Set(
+      segmentGrid.within(stopSegments[i].avgLat, stopSegments[i].avgLon, clusterDistance).map(entry => entry.j)
+    );
+    if (stopSegments[i].endTime) {
+      const endMs = stopSegments[i].endTime.getTime();
+      for (let k = lowerBound(segmentsByStart, endMs - gapMs, entry => entry.start);
+           k < segmentsByStart.length && segmentsByStart[k].start <= endMs + gapMs; k++) {
+        candidates.add(segmentsByStart[k].j);
+      }
+    }
+
+    [...candidates].filter(j => j > i && !used.has(j)).sort((a, b) => a - b).forEach(j => {
+      cluster.segments.push(stopSegments[j]);
+      cluster.indices.push(j);
+      used.add(j);
+    });
+
+    const allPoints = cluster.segments.flatMap(s => s.points);
+    const totalDuration = cluster.segments.reduce((sum, s) => {
+      return sum + (s.endTime - s.startTime) / (1000 * 60);
+    }, 0);
+
+    if (totalDuration >= minStopDuration) {
+      cluster.avgLat = allPoints.reduce((sum, p) => sum + p.lat, 0) / allPoints.length;
+      cluster.avgLon = allPoints.reduce((sum, p) => sum + p.lon, 0) / allPoints.length;
+      cluster.avgEle = allPoints.reduce((sum, p) => sum + (p.ele || 0), 0) / allPoints.length;
+      cluster.maxEle = allPoints.reduce((max, p) => Math.max(max, p.ele || 0), -Infinity);
+      cluster.duration = totalDuration;
+      cluster.startTime = cluster.segments[0].startTime;
+      cluster.endTime = cluster.segments[cluster.segments.length - 1].endTime;
+
+      clusters.push(cluster);
+    }
+  }
+
+  // Step 3: Calculate prominence and score
+  const elevations = points.map(p => p.ele || 0);
+  const sortedElevations = [...elevations].sort((a, b) => a - b);
+  const elevationThreshold = sortedElevations[Math.floor(sortedElevations.length * elevationPercentile / 100)];
+
+  // Neighbour lookups go through a spatial grid and a time-sorted list instead of
+  // scanning all points per cluster, which doesn't scale to multi-day tracks
+  const grid = createSpatialGrid(prominenceRadius);
+  if (clusters.length > 0) points.forEach(grid.insert);
+  const byTime = points.filter(p => p.time).sort((a, b) => a.time - b.time);
+  const windowMs = prominenceTimeWindow * 60 * 1000;
+
+  clusters.forEach(cluster => {
+    const centerIdx = Math.floor((cluster.segments[0].startIndex + cluster.segments[cluster.segments.length - 1].endIndex) / 2);
+
+    const spatialNeighbors = grid.within(cluster.avgLat, cluster.avgLon, prominenceRadius)
+      .filter(p => p.index !== centerIdx);
+
+    const temporalNeighbors = [];
+    if (cluster.startTime) {
+      const startMs = cluster.startTime.getTime();
+      for (let i = lowerBound(byTime, startMs - windowMs, p => p.time.getTime());
+           i < byTime.length && byTime[i].time.getTime() <= startMs + windowMs; i++) {
+        if (byTime[i].index !== centerIdx) temporalNeighbors.push(byTime[i]);
+      }
+    }
+
+    const combinedNeighbors = [...new Set([...spatialNeighbors, ...temporalNeighbors])];
+    const neighborElevations = combinedNeighbors.map(p => p.ele || 0);
+    const avgNeighborEle = neighborElevations.length > 0
+      ? neighborElevations.reduce((sum, e) => sum + e, 0) / neighborElevations.length
+      : cluster.avgEle;
+
+    cluster.prominence = cluster.maxEle - avgNeighborEle;
+    cluster.index = centerIdx;
+
+    const durationScore = Math.min(cluster.duration / 10, 1) * 100;
+    const elevationScore = cluster.avgEle >= elevationThreshold ? 100 : 50;
+    const prominenceScore = Math.min(cluster.prominence / 50, 1) * 100;
+
+    cluster.score = (durationScore + elevationScore + prominenceScore) / 3;
+    cluster.durationScore = durationScore;
+    cluster.elevationScore = elevationScore;
+    cluster.prominenceScore = prominenceScore;
+
+    cluster.lat = cluster.avgLat;
+    cluster.lon = cluster.avgLon;
+    cluster.ele = cluster.maxEle;
+    cluster.reasons = ['stop'];
+  });
+
+  return clusters.sort((a, b) => b.score - a.score);
+}
+
+// Stop detection needs speeds, so at least half of the points must carry a time
+const hasTimestamps = (points) => points.filter(p => p.time).length >= points.length / 2;
+
+/**
+ * Detect summits with the method chosen by settings.detectionMode
+ * @param {Array} points - Track points from parseGpx()
+ * @param {Object} settings - Overrides for DEFAULT_SETTINGS
+ * @returns {Array} Peaks sorted by score (best first), each with its detection reasons
+ */
+function detectPeaks(points, settings = {}) {
+  const effectiveSettings = { ...DEFAULT_SETTINGS, ...settings };
+  const { detectionMode } = effectiveSettings;
+
+  if (!DETECTION_MODES.includes(detectionMode)) {
+    throw new Error(`Unknown detection mode "${detectionMode}"`);
+  }
+
+  const useTerrain = detectionMode === 'terrain' ||
+    (detectionMode === 'auto' && !hasTimestamps(points));
+
+  return useTerrain
+    ? detectTerrainPeaks(points, effectiveSettings)
+    : detectStopBasedPeaks(points, effectiveSettings);
+}
+
+/**
+ * Strip the raw points and segments from a detected peak, e.g. before sending it as JSON
+ */
+const summarizePeak = (peak) => ({
+  index: peak.index,
+  lat: peak.lat,
+  lon: peak.lon,
+  ele: peak.ele,
+  avgEle: peak.avgEle,
+  startTime: peak.startTime,
+  endTime: peak.endTime,
+  duration: peak.duration,
+  prominence: peak.prominence,
+  score: peak.score,
+  durationScore: peak.durationScore,
+  elevationScore: peak.elevationScore,
+  prominenceScore: peak.prominenceScore,
+  turnaroundScore: peak.turnaroundScore,
+  turnAngle: peak.turnAngle,
+  reasons: peak.reasons
+});
+
+module.exports = {
+  DETECTION_MODES,
+  DEFAULT_SETTINGS,
+  hasTimestamps,
+  detectPeaks,
+  detectStopBasedPeaks,
+  summarizePeak
+};
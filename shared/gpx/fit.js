@@ -0,0 +1,156 @@
+const { toTrackPoints } = require('./parse');
+
+// Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+const FIT_EPOCH_OFFSET = 631065600;
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+const RECORD_MESSAGE = 20;
+const FIELDS = {
+  timestamp: 253,
+  lat: 0,
+  lon: 1,
+  altitude: 2,
+  enhancedAltitude: 78
+};
+
+// Base type number -> [size in bytes, DataView getter, invalid value]
+const BASE_TYPES = {
+  0x00: [1, 'getUint8', 0xff],
+  0x01: [1, 'getInt8', 0x7f],
+  0x02: [1, 'getUint8', 0xff],
+  0x83: [2, 'getInt16', 0x7fff],
+  0x84: [2, 'getUint16', 0xffff],
+  0x85: [4, 'getInt32', 0x7fffffff],
+  0x86: [4, 'getUint32', 0xffffffff],
+  0x8b: [2, 'getUint16', 0x0000],
+  0x8c: [4, 'getUint32', 0x00000000]
+};
+
+const toDataView = (data) => {
+  if (data instanceof ArrayBuffer) return new DataView(data);
+  if (ArrayBuffer.isView(data)) return new DataView(data.buffer, data.byteOffset, data.byteLength);
+  throw new Error('Invalid FIT file: expected binary data');
+};
+
+// Read a single numeric field value, or null for invalid / non-numeric fields
+const readValue = (view, offset, field) => {
+  const type = BASE_TYPES[field.baseType];
+  if (!type || type[0] !== field.size) return null;
+
+  const value = view[type[1]](offset, field.littleEndian);
+  return value === type[2] ? null : value;
+};
+
+/**
+ * Parse the record messages of a Garmin FIT activity file. Only the fields
+ * needed for peak detection are decoded; chained FIT files are read in order.
+ * @param {ArrayBuffer|Uint8Array} data - FIT file contents
+ * @returns {Array} Points like parseGpx()
+ */
+function parseFit(data) {
+  const view = toDataView(data);
+  const raw = [];
+  let fileStart = 0;
+
+  while (fileStart < view.byteLength) {
+    const headerSize = view.getUint8(fileStart);
+    if (headerSize < 12 || fileStart + headerSize > view.byteLength ||
+        String.fromCharCode(...[8, 9, 10, 11].map(i => view.getUint8(fileStart + i))) !== '.FIT') {
+      throw new Error('Invalid FIT file: missing ".FIT" header');
+    }
+
+    const dataSize = view.getUint32(fileStart + 4, true);
+    const end = fileStart + headerSize + dataSize;
+    if (end > view.byteLength) {
+      throw new Error('Invalid FIT file: file is truncated');
+    }
+
+    const definitions = {};
+    let lastTimestamp = null;
+    let offset = fileStart + headerSize;
+
+    while (offset < end) {
+      const header = view.getUint8(offset++);
+
+      // Compressed timestamp header: data message with a 5 bit time offset
+      const compressed = (header & 0x80) !== 0;
+      const localType = compressed ? (header >> 5) & 0x03 : header & 0x0f;
+
+      if (!compressed && (header & 0x40)) {
+        const littleEndian = view.getUint8(offset + 1) === 0;
+        const globalNumber = view.getUint16(offset + 2, littleEndian);
+        const fieldCount = view.getUint8(offset + 4);
+        offset += 5;
+
+        const fields = [];
+        for (let i = 0; i < fieldCount; i++, offset += 3) {
+          fields.push({
+            number: view.getUint8(offset),
+            size: view.getUint8(offset + 1),
+            baseType: view.getUint8(offset + 2),
+            littleEndian
+          });
+        }
+
+        // Developer fields are skipped, only their sizes matter
+        let developerSize = 0;
+        if (header & 0x20) {
+          const developerCount = view.getUint8(offset++);
+          for (let i = 0; i < developerCount; i++, offset += 3) {
+            developerSize += view.getUint8(offset + 1);
+          }
+        }
+
+        definitions[localType] = { globalNumber, fields, developerSize };
+        continue;
+      }
+
+      const definition = definitions[localType];
+      if (!definition) {
+        throw new Error(`Invalid FIT file: data message without definition at byte ${offset - 1}`);
+      }
+
+      const values = {};
+      for (const field of definition.fields) {
+        if (definition.globalNumber === RECORD_MESSAGE || field.number === FIELDS.timestamp) {
+          values[field.number] = readValue(view, offset, field);
+        }
+        offset += field.size;
+      }
+      offset += definition.developerSize;
+
+      let timestamp = values[FIELDS.timestamp] ?? null;
+      if (compressed && lastTimestamp !== null) {
+        const timeOffset = header & 0x1f;
+        timestamp = (lastTimestamp & ~0x1f) + timeOffset;
+        if (timeOffset < (lastTimestamp & 0x1f)) timestamp += 0x20;
+        timestamp >>>= 0;
+      }
+      if (timestamp !== null) lastTimestamp = timestamp;
+
+      if (definition.globalNumber !== RECORD_MESSAGE) continue;
+
+      const lat = values[FIELDS.lat];
+      const lon = values[FIELDS.lon];
+      if (lat === null || lat === undefined || lon === null || lon === undefined) continue;
+
+      const altitude = values[FIELDS.enhancedAltitude] ?? values[FIELDS.altitude];
+
+      raw.push({
+        lat: lat * SEMICIRCLES_TO_DEGREES,
+        lon: lon * SEMICIRCLES_TO_DEGREES,
+        ele: altitude === null || altitude === undefined ? null : altitude / 5 - 500,
+        time: timestamp === null ? null : new Date((timestamp + FIT_EPOCH_OFFSET) * 1000)
+      });
+    }
+
+    // Skip the 2 byte file CRC
+    fileStart = end + 2;
+  }
+
+  return toTrackPoints(raw);
+}
+
+module.exports = {
+  parseFit
+};
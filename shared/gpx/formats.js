@@ -0,0 +1,44 @@
+const { parseGpx } = require('./parse');
+const { parseTcx } = require('./tcx');
+const { parseKmlTrack } = require('./kml');
+const { parseFit } = require('./fit');
+
+const toText = (data) => (typeof data === 'string' ? data : new TextDecoder('utf-8').decode(data));
+
+const PARSERS = {
+  gpx: (data) => parseGpx(toText(data)),
+  tcx: (data) => parseTcx(toText(data)),
+  kml: (data) => parseKmlTrack(toText(data)),
+  fit: (data) => parseFit(data)
+};
+
+const TRACK_FORMATS = Object.keys(PARSERS);
+
+/**
+ * Derive the track format from a file name extension
+ * @returns {string|null} One of TRACK_FORMATS, or null when unknown
+ */
+function trackFormatFromFileName(fileName) {
+  const extension = String(fileName || '').split('.').pop().toLowerCase();
+  return TRACK_FORMATS.includes(extension) ? extension : null;
+}
+
+/**
+ * Parse a track file into the point structure used by peak detection
+ * @param {string|ArrayBuffer|Uint8Array} data - File contents; FIT needs binary data
+ * @param {string} format - One of TRACK_FORMATS
+ * @returns {Array} Points { index, lat, lon, ele, time, distance, speed }
+ */
+function parseTrack(data, format) {
+  const parser = PARSERS[format];
+  if (!parser) {
+    throw new Error(`Unsupported track format "${format}"`);
+  }
+  return parser(data);
+}
+
+module.exports = {
+  TRACK_FORMATS,
+  trackFormatFromFileName,
+  parseTrack
+};
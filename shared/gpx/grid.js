@@ -0,0 +1,76 @@
+const { haversineDistance } = require('../geo');
+
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Spatial index for neighbour lookups: items (anything with lat and lon) are bucketed
+ * into cells of roughly cellSize meters, so a lookup only checks the surrounding cells.
+ * @param {number} radius - Usual lookup radius in meters, used as cell edge
+ * @returns {Object} { insert(item), within(lat, lon, radius) }
+ */
+function createSpatialGrid(radius) {
+  const cellSize = Math.max(radius, 1);
+  const cells = new Map();
+  const latStep = cellSize / METERS_PER_DEGREE;
+  // Fixed by the first item; lookups convert their radius at their own latitude
+  let lonStep = null;
+
+  const cellKey = (latCell, lonCell) => `${latCell}:${lonCell}`;
+
+  const insert = (item) => {
+    if (lonStep === null) {
+      lonStep = latStep / Math.max(Math.cos((item.lat * Math.PI) / 180), 0.01);
+    }
+
+    const key = cellKey(Math.floor(item.lat / latStep), Math.floor(item.lon / lonStep));
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(item);
+  };
+
+  const within = (lat, lon, radius) => {
+    if (lonStep === null) return [];
+
+    const latRange = Math.ceil(radius / cellSize);
+    const lonDegrees = radius / (METERS_PER_DEGREE * Math.max(Math.cos((lat * Math.PI) / 180), 0.01));
+    const lonRange = Math.ceil(lonDegrees / lonStep);
+    const latCell = Math.floor(lat / latStep);
+    const lonCell = Math.floor(lon / lonStep);
+    const found = [];
+
+    for (let i = latCell - latRange; i <= latCell + latRange; i++) {
+      for (let j = lonCell - lonRange; j <= lonCell + lonRange; j++) {
+        const cell = cells.get(cellKey(i, j));
+        if (!cell) continue;
+
+        cell.forEach(item => {
+          if (haversineDistance(lat, lon, item.lat, item.lon) <= radius) found.push(item);
+        });
+      }
+    }
+
+    return found;
+  };
+
+  return { insert, within };
+}
+
+/**
+ * Index of the first element of a sorted array for which value(element) >= target
+ */
+function lowerBound(sorted, target, value) {
+  let lo = 0;
+  let hi = sorted.length;
+
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (value(sorted[mid]) < target) lo = mid + 1;
+    else hi = mid;
+  }
+
+  return lo;
+}
+
+module.exports = {
+  createSpatialGrid,
+  lowerBound
+};
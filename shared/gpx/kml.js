@@ -0,0 +1,47 @@
+const { parseXml, findAll, asArray, textOf } = require('./xml');
+const { toTrackPoints } = require('./parse');
+
+// "lon lat [alt]" (gx:coord) or "lon,lat[,alt]" (coordinates)
+const parseCoordinate = (text, separator) => {
+  const [lon, lat, ele] = String(text).trim().split(separator).map(parseFloat);
+  return { lat, lon, ele: ele === undefined ? null : ele };
+};
+
+/**
+ * Parse KML tracks. gx:Track elements (with timestamps) are preferred, plain
+ * LineStrings are used when a file has none.
+ * @param {string} text - KML XML
+ * @returns {Array} Points like parseGpx()
+ */
+function parseKmlTrack(text) {
+  const doc = parseXml(text, 'KML');
+  if (!doc.kml) {
+    throw new Error('Invalid KML file: missing <kml> element');
+  }
+
+  // gx:Track lists all <when> elements, then all <gx:coord> elements in the same order
+  const tracks = findAll(doc.kml, 'Track');
+  if (tracks.length > 0) {
+    return toTrackPoints(tracks.flatMap(track => {
+      const times = asArray(track.when).map(textOf);
+      return asArray(track.coord).map((coord, i) => ({
+        ...parseCoordinate(textOf(coord), /\s+/),
+        time: times[i] ? new Date(times[i]) : null
+      }));
+    }));
+  }
+
+  return toTrackPoints(
+    findAll(doc.kml, 'LineString').flatMap(line =>
+      String(textOf(line.coordinates) || '')
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(tuple => ({ ...parseCoordinate(tuple, ','), time: null }))
+    )
+  );
+}
+
+module.exports = {
+  parseKmlTrack
+};
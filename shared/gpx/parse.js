@@ -0,0 +1,82 @@
+const { haversineDistance } = require('../geo');
+const { parseXml, asArray, textOf } = require('./xml');
+
+/**
+ * Add cumulative distance (m) and speed (m/s) to consecutive track points
+ * @param {Array} points - Points with lat, lon and optional time (Date)
+ * @returns {Array} The same points, updated in place
+ */
+function addDistanceAndSpeed(points) {
+  let totalDistance = 0;
+  for (let i = 1; i < points.length; i++) {
+    const dist = haversineDistance(
+      points[i - 1].lat,
+      points[i - 1].lon,
+      points[i].lat,
+      points[i].lon
+    );
+    totalDistance += dist;
+    points[i].distance = totalDistance;
+
+    if (points[i].time && points[i - 1].time) {
+      const timeDiff = (points[i].time - points[i - 1].time) / 1000;
+      points[i].speed = timeDiff > 0 ? dist / timeDiff : 0;
+    }
+  }
+  return points;
+}
+
+/**
+ * Build track points from raw coordinates, the common output of all track parsers
+ * @param {Array} raw - Objects with lat, lon, ele (number or null) and time (Date or null)
+ * @returns {Array} Points { index, lat, lon, ele, time, distance, speed }
+ */
+function toTrackPoints(raw) {
+  const points = raw
+    .filter(p => !isNaN(p.lat) && !isNaN(p.lon))
+    .map((p, index) => ({
+      index,
+      lat: p.lat,
+      lon: p.lon,
+      ele: p.ele !== null && !isNaN(p.ele) ? p.ele : null,
+      time: p.time && !isNaN(p.time.getTime()) ? p.time : null,
+      distance: 0,
+      speed: 0
+    }));
+
+  return addDistanceAndSpeed(points);
+}
+
+/**
+ * Parse the track points of a GPX document. All tracks and segments are joined in order.
+ * @param {string} text - GPX XML
+ * @returns {Array} Points { index, lat, lon, ele, time, distance, speed }; time is a Date or null
+ */
+function parseGpx(text) {
+  const gpx = parseXml(text, 'GPX').gpx;
+  if (!gpx) {
+    throw new Error('Invalid GPX file: missing <gpx> element');
+  }
+
+  const trkpts = asArray(gpx.trk)
+    .flatMap(trk => asArray(trk.trkseg))
+    .flatMap(seg => asArray(seg.trkpt));
+
+  return toTrackPoints(trkpts.map(trkpt => {
+    const ele = textOf(trkpt.ele);
+    const time = textOf(trkpt.time);
+
+    return {
+      lat: parseFloat(trkpt.lat),
+      lon: parseFloat(trkpt.lon),
+      ele: ele !== undefined && ele !== '' ? parseFloat(ele) : null,
+      time: time ? new Date(time) : null
+    };
+  }));
+}
+
+module.exports = {
+  addDistanceAndSpeed,
+  toTrackPoints,
+  parseGpx
+};
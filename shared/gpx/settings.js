@@ -0,0 +1,36 @@
+// 'auto' uses stop detection when the track has timestamps, terrain detection otherwise
+const DETECTION_MODES = ['auto', 'stops', 'terrain'];
+
+const SMOOTHING_METHODS = ['none', 'moving-average', 'kalman'];
+
+// Allowed values of the settings that are not numbers
+const SETTING_OPTIONS = {
+  detectionMode: DETECTION_MODES,
+  elevationSmoothing: SMOOTHING_METHODS
+};
+
+// Defaults tuned on Alpine day hikes
+const DEFAULT_SETTINGS = {
+  detectionMode: 'auto',
+  stopSpeedThreshold: 0.5,  // m/s - slower counts as standing still
+  clusterDistance: 50,      // m - stops (or terrain peaks) closer than this are merged
+  clusterTimeGap: 5,        // min - stops closer in time are merged
+  minStopDuration: 1,       // min - shorter clusters are ignored
+  prominenceRadius: 100,    // m - neighbourhood used for prominence
+  prominenceTimeWindow: 10, // min - time window used for prominence
+  elevationPercentile: 80,  // peaks above this percentile of the track score higher
+  minProminence: 30,        // m - terrain mode: drop to the next higher point of the track
+  turnaroundAngle: 135,     // deg - terrain mode: direction change that counts as turning around
+  turnaroundDistance: 50,   // m - terrain mode: track length before and after used for the direction
+  elevationSmoothing: 'moving-average',
+  smoothingWindow: 50,      // m - moving average: track length averaged around each point
+  kalmanNoise: 5,           // m - kalman: expected GPS elevation error
+  ascentThreshold: 5        // m - elevation change needed before ascent turns into descent and back
+};
+
+module.exports = {
+  DETECTION_MODES,
+  SMOOTHING_METHODS,
+  SETTING_OPTIONS,
+  DEFAULT_SETTINGS
+};
@@ -0,0 +1,58 @@
+const { EARTH_RADIUS } = require('../geo');
+
+// Perpendicular distance (m) of p from the segment a-b, on a local flat projection
+function segmentDistance(p, a, b) {
+  const cosLat = Math.cos((a.lat * Math.PI) / 180);
+  const toXY = (q) => [
+    ((q.lon - a.lon) * Math.PI / 180) * EARTH_RADIUS * cosLat,
+    ((q.lat - a.lat) * Math.PI / 180) * EARTH_RADIUS
+  ];
+
+  const [px, py] = toXY(p);
+  const [bx, by] = toXY(b);
+  const lengthSquared = bx * bx + by * by;
+  const t = lengthSquared > 0 ? Math.max(0, Math.min(1, (px * bx + py * by) / lengthSquared)) : 0;
+
+  return Math.hypot(px - t * bx, py - t * by);
+}
+
+/**
+ * Simplify a track with the Douglas-Peucker algorithm
+ * @param {Array} points - Points with lat and lon
+ * @param {number} tolerance - Maximum deviation from the original track in meters
+ * @returns {Array} The kept points, in order
+ */
+function simplifyTrack(points, tolerance = 10) {
+  if (points.length <= 2) return [...points];
+
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+
+  // Explicit stack instead of recursion, long tracks have tens of thousands of points
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let maxIndex = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = segmentDistance(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        maxIndex = i;
+      }
+    }
+
+    if (maxDistance > tolerance) {
+      keep[maxIndex] = 1;
+      stack.push([first, maxIndex], [maxIndex, last]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+}
+
+module.exports = {
+  simplifyTrack
+};
@@ -0,0 +1,105 @@
+const { SMOOTHING_METHODS, DEFAULT_SETTINGS } = require('./settings');
+
+// Kalman model: elevation may change by up to this grade between two points
+const KALMAN_MAX_GRADE = 0.3;
+
+// Average over a window of track distance, so uneven point spacing doesn't matter
+const movingAverage = (points, window) => {
+  const half = window / 2;
+  const smoothed = new Array(points.length).fill(null);
+  let start = 0;
+  let end = 0;
+  let sum = 0;
+  let count = 0;
+
+  for (let i = 0; i < points.length; i++) {
+    if (points[i].ele === null) continue;
+
+    while (end < points.length && points[end].distance <= points[i].distance + half) {
+      if (points[end].ele !== null) {
+        sum += points[end].ele;
+        count++;
+      }
+      end++;
+    }
+    while (points[start].distance < points[i].distance - half) {
+      if (points[start].ele !== null) {
+        sum -= points[start].ele;
+        count--;
+      }
+      start++;
+    }
+
+    smoothed[i] = sum / count;
+  }
+
+  return smoothed;
+};
+
+// Kalman filter with a backward (Rauch-Tung-Striebel) pass, which removes the
+// lag of a forward-only filter so summits stay where they are
+const kalman = (points, noise) => {
+  const indices = points.map((p, i) => i).filter(i => points[i].ele !== null);
+  const smoothed = new Array(points.length).fill(null);
+  if (indices.length === 0) return smoothed;
+
+  const measurementVariance = noise * noise;
+  const predicted = [];
+  const predictedVariance = [];
+  const estimate = [];
+  const variance = [];
+
+  indices.forEach((pointIndex, k) => {
+    const z = points[pointIndex].ele;
+
+    if (k === 0) {
+      predicted.push(z);
+      predictedVariance.push(measurementVariance);
+    } else {
+      const step = points[pointIndex].distance - points[indices[k - 1]].distance;
+      predicted.push(estimate[k - 1]);
+      predictedVariance.push(variance[k - 1] + (KALMAN_MAX_GRADE * step) ** 2);
+    }
+
+    const gain = predictedVariance[k] / (predictedVariance[k] + measurementVariance);
+    estimate.push(predicted[k] + gain * (z - predicted[k]));
+    variance.push((1 - gain) * predictedVariance[k]);
+  });
+
+  for (let k = indices.length - 2; k >= 0; k--) {
+    const factor = predictedVariance[k + 1] > 0 ? variance[k] / predictedVariance[k + 1] : 0;
+    estimate[k] += factor * (estimate[k + 1] - predicted[k + 1]);
+  }
+
+  indices.forEach((pointIndex, k) => {
+    smoothed[pointIndex] = estimate[k];
+  });
+  return smoothed;
+};
+
+/**
+ * Smooth the elevations of a track to remove GPS noise before detection and statistics
+ * @param {Array} points - Track points from parseGpx()
+ * @param {Object} settings - elevationSmoothing ('none' | 'moving-average' | 'kalman'),
+ *   smoothingWindow (m) and kalmanNoise (m), see DEFAULT_SETTINGS
+ * @returns {Array} Copies of the points with smoothed ele and the original value as rawEle
+ *   (the input array itself for 'none')
+ */
+function smoothTrack(points, settings = {}) {
+  const { elevationSmoothing, smoothingWindow, kalmanNoise } = { ...DEFAULT_SETTINGS, ...settings };
+
+  if (!SMOOTHING_METHODS.includes(elevationSmoothing)) {
+    throw new Error(`Unknown smoothing method "${elevationSmoothing}"`);
+  }
+  if (elevationSmoothing === 'none') return points;
+
+  const smoothed = elevationSmoothing === 'kalman'
+    ? kalman(points, kalmanNoise)
+    : movingAverage(points, smoothingWindow);
+
+  return points.map((point, i) => ({ ...point, ele: smoothed[i], rawEle: point.ele }));
+}
+
+module.exports = {
+  smoothTrack
+};
@@ -0,0 +1,111 @@
+const { DEFAULT_SETTINGS } = require('./settings');
+
+// Moving time uses the speed over this time window instead of point-to-point speed,
+// which GPS jitter pushes above the threshold while standing still
+const MOVING_SPEED_WINDOW = 30; // s
+
+// Seconds in motion before each point (0 for the first point and untimed intervals)
+const movingSeconds = (points, threshold) => {
+  const seconds = new Array(points.length).fill(0);
+  const timed = points.map((p, i) => i).filter(i => points[i].time);
+  const half = (MOVING_SPEED_WINDOW * 1000) / 2;
+  let lo = 0;
+  let hi = 0;
+
+  for (let k = 1; k < timed.length; k++) {
+    const previous = points[timed[k - 1]];
+    const current = points[timed[k]];
+    const middle = (previous.time.getTime() + current.time.getTime()) / 2;
+
+    while (lo < k - 1 && points[timed[lo + 1]].time <= middle - half) lo++;
+    hi = Math.max(hi, k);
+    while (hi + 1 < timed.length && points[timed[hi + 1]].time <= middle + half) hi++;
+
+    const from = points[timed[lo]];
+    const to = points[timed[hi]];
+    const windowSeconds = (to.time - from.time) / 1000;
+    const speed = windowSeconds > 0 ? (to.distance - from.distance) / windowSeconds : 0;
+
+    if (speed >= threshold) {
+      seconds[timed[k]] = (current.time - previous.time) / 1000;
+    }
+  }
+
+  return seconds;
+};
+
+/**
+ * Statistics for a parsed (and usually smoothed) track
+ * @param {Array} points - Track points from parseGpx() or smoothTrack()
+ * @param {Object} options - movingSpeedThreshold: slower (m/s) doesn't count as moving time,
+ *   ascentThreshold: elevation change (m) needed to switch between ascent and descent
+ * @returns {Object} pointCount, distance (m), elevationGain/Loss (m), minElevation, maxElevation,
+ *   startTime, endTime, elapsedTime and movingTime (s), ascentRate and descentRate
+ *   (m/h while moving up or down); times and rates are null without timestamps
+ */
+function computeTrackStats(points, {
+  movingSpeedThreshold = DEFAULT_SETTINGS.stopSpeedThreshold,
+  ascentThreshold = DEFAULT_SETTINGS.ascentThreshold
+} = {}) {
+  const elevations = points.map(p => p.ele).filter(ele => ele !== null && !isNaN(ele));
+  const timed = points.filter(p => p.time);
+  const startTime = timed.length > 0 ? timed[0].time : null;
+  const endTime = timed.length > 0 ? timed[timed.length - 1].time : null;
+
+  // Cumulative moving time up to each point
+  const movingBefore = movingSeconds(points, movingSpeedThreshold);
+  for (let i = 1; i < movingBefore.length; i++) {
+    movingBefore[i] += movingBefore[i - 1];
+  }
+
+  // Hysteresis: follow the current direction, switch only after ascentThreshold
+  // meters the other way, so noise below the threshold doesn't add up
+  let elevationGain = 0;
+  let elevationLoss = 0;
+  let ascentSeconds = 0;
+  let descentSeconds = 0;
+  let reference = null;
+  let direction = 0;
+
+  points.forEach((point, i) => {
+    if (point.ele === null || isNaN(point.ele)) return;
+    if (reference === null) {
+      reference = i;
+      return;
+    }
+
+    const diff = point.ele - points[reference].ele;
+    const seconds = movingBefore[i] - movingBefore[reference];
+
+    if (diff > 0 && (direction > 0 || diff >= ascentThreshold)) {
+      elevationGain += diff;
+      ascentSeconds += seconds;
+      direction = 1;
+      reference = i;
+    } else if (diff < 0 && (direction < 0 || -diff >= ascentThreshold)) {
+      elevationLoss -= diff;
+      descentSeconds += seconds;
+      direction = -1;
+      reference = i;
+    }
+  });
+
+  return {
+    pointCount: points.length,
+    distance: points.length > 0 ? points[points.length - 1].distance : 0,
+    elevationGain,
+    elevationLoss,
+    minElevation: elevations.length > 0 ? elevations.reduce((a, b) => Math.min(a, b)) : null,
+    maxElevation: elevations.length > 0 ? elevations.reduce((a, b) => Math.max(a, b)) : null,
+    startTime,
+    endTime,
+    elapsedTime: startTime && endTime ? (endTime - startTime) / 1000 : null,
+    movingTime: startTime ? movingBefore[movingBefore.length - 1] : null,
+    ascentRate: ascentSeconds > 0 ? elevationGain / (ascentSeconds / 3600) : null,
+    descentRate: descentSeconds > 0 ? elevationLoss / (descentSeconds / 3600) : null
+  };
+}
+
+module.exports = {
+  computeTrackStats
+};
@@ -0,0 +1,35 @@
+const { parseXml, findAll, textOf } = require('./xml');
+const { toTrackPoints } = require('./parse');
+
+/**
+ * Parse the trackpoints of a Garmin TCX file (activities and courses).
+ * Trackpoints without a position (e.g. heart rate only) are skipped.
+ * @param {string} text - TCX XML
+ * @returns {Array} Points like parseGpx()
+ */
+function parseTcx(text) {
+  const doc = parseXml(text, 'TCX');
+  if (!doc.TrainingCenterDatabase) {
+    throw new Error('Invalid TCX file: missing <TrainingCenterDatabase> element');
+  }
+
+  return toTrackPoints(
+    findAll(doc.TrainingCenterDatabase, 'Trackpoint')
+      .filter(tp => tp.Position)
+      .map(tp => {
+        const ele = textOf(tp.AltitudeMeters);
+        const time = textOf(tp.Time);
+
+        return {
+          lat: parseFloat(textOf(tp.Position.LatitudeDegrees)),
+          lon: parseFloat(textOf(tp.Position.LongitudeDegrees)),
+          ele: ele !== undefined && ele !== '' ? parseFloat(ele) : null,
+          time: time ? new Date(time) : null
+        };
+      })
+  );
+}
+
+module.exports = {
+  parseTcx
+};
@@ -0,0 +1,152 @@
+const { bearing } = require('../geo');
+const { createSpatialGrid } = require('./grid');
+const { DEFAULT_SETTINGS } = require('./settings');
+
+// Indices of local elevation maxima. A plateau counts once, at its middle;
+// the first and last point are never maxima.
+const findLocalMaxima = (elevations) => {
+  const maxima = [];
+  let i = 1;
+
+  while (i < elevations.length - 1) {
+    if (elevations[i] <= elevations[i - 1]) {
+      i++;
+      continue;
+    }
+
+    let end = i;
+    while (end + 1 < elevations.length && elevations[end + 1] === elevations[i]) end++;
+
+    if (end + 1 < elevations.length && elevations[end + 1] < elevations[i]) {
+      maxima.push(Math.floor((i + end) / 2));
+    }
+    i = end + 1;
+  }
+
+  return maxima;
+};
+
+// Lowest point between each point and the next higher point in one direction
+// (or the track end), in O(n): a stack keeps the points still waiting for a
+// higher one, each with the lowest elevation since the stack entry below it.
+// For a maximum, the higher of both sides is its key col.
+const colElevations = (elevations, step) => {
+  const cols = new Array(elevations.length);
+  const stack = [];
+  const start = step > 0 ? 0 : elevations.length - 1;
+
+  for (let i = start; i >= 0 && i < elevations.length; i += step) {
+    let lowest = elevations[i];
+    while (stack.length > 0 && elevations[stack[stack.length - 1].index] <= elevations[i]) {
+      lowest = Math.min(lowest, stack.pop().lowest);
+    }
+
+    cols[i] = lowest;
+    stack.push({ index: i, lowest });
+  }
+
+  return cols;
+};
+
+// Walk along the track until at least `distance` meters away from the index
+const pointAtTrackDistance = (points, index, distance, step) => {
+  let i = index;
+  while (i + step >= 0 && i + step < points.length &&
+         Math.abs(points[i].distance - points[index].distance) < distance) {
+    i += step;
+  }
+  return points[i];
+};
+
+// Change of direction at a point in degrees: 0 goes straight on, 180 turns back
+const turnAngle = (points, index, distance) => {
+  const before = pointAtTrackDistance(points, index, distance, -1);
+  const after = pointAtTrackDistance(points, index, distance, 1);
+  const point = points[index];
+
+  if (before === point || after === point) return 0;
+
+  const incoming = bearing(before.lat, before.lon, point.lat, point.lon);
+  const outgoing = bearing(point.lat, point.lon, after.lat, after.lon);
+  return Math.abs(((outgoing - incoming + 540) % 360) - 180);
+};
+
+/**
+ * Detect summits from the terrain shape alone, for tracks without timestamps.
+ * Candidates are local elevation maxima; a candidate is a peak if its prominence
+ * along the track reaches minProminence, or half of it where the track turns around.
+ * @param {Array} points - Track points from parseGpx()
+ * @param {Object} settings - Overrides for DEFAULT_SETTINGS
+ * @returns {Array} Peaks sorted by score (best first), shaped like detectStopBasedPeaks()
+ */
+function detectTerrainPeaks(points, settings = {}) {
+  const { clusterDistance, elevationPercentile, minProminence, turnaroundAngle,
+          turnaroundDistance } = { ...DEFAULT_SETTINGS, ...settings };
+
+  const track = points.filter(p => p.ele !== null);
+  if (track.length < 3) return [];
+
+  const elevations = track.map(p => p.ele);
+  const sortedElevations = [...elevations].sort((a, b) => a - b);
+  const elevationThreshold = sortedElevations[Math.floor(sortedElevations.length * elevationPercentile / 100)];
+
+  // Step 1: Keep maxima that are prominent enough, or turn-around points with half the prominence
+  const candidates = [];
+  const colsBefore = colElevations(elevations, 1);
+  const colsAfter = colElevations(elevations, -1);
+
+  findLocalMaxima(elevations).forEach(i => {
+    const col = Math.max(colsBefore[i], colsAfter[i]);
+    const prominence = elevations[i] - col;
+    if (prominence < minProminence / 2) return;
+
+    const angle = turnAngle(track, i, turnaroundDistance);
+    const reasons = [];
+    if (prominence >= minProminence) reasons.push('prominence');
+    if (angle >= turnaroundAngle) reasons.push('turnaround');
+    if (reasons.length === 0) return;
+
+    candidates.push({ point: track[i], prominence, turnAngle: angle, reasons });
+  });
+
+  // Step 2: Drop candidates close to a higher one (e.g. passing the same summit twice)
+  candidates.sort((a, b) => b.point.ele - a.point.ele);
+  const grid = createSpatialGrid(clusterDistance);
+  const kept = candidates.filter(candidate => {
+    const { lat, lon } = candidate.point;
+    const nearHigher = grid.within(lat, lon, clusterDistance).length > 0;
+    grid.insert({ lat, lon });
+    return !nearHigher;
+  });
+
+  // Step 3: Score like stop detection, with the turn-around taking the place of the stop duration
+  const peaks = kept.map(({ point, prominence, turnAngle: angle, reasons }) => {
+    const turnaroundScore = reasons.includes('turnaround') ? 100 : 0;
+    const elevationScore = point.ele >= elevationThreshold ? 100 : 50;
+    const prominenceScore = Math.min(prominence / (2 * minProminence), 1) * 100;
+
+    return {
+      index: point.index,
+      lat: point.lat,
+      lon: point.lon,
+      ele: point.ele,
+      avgEle: point.ele,
+      startTime: point.time,
+      endTime: point.time,
+      duration: 0,
+      prominence,
+      turnAngle: angle,
+      score: (turnaroundScore + elevationScore + prominenceScore) / 3,
+      elevationScore,
+      prominenceScore,
+      turnaroundScore,
+      reasons
+    };
+  });
+
+  return peaks.sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  detectTerrainPeaks
+};
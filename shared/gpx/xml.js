@@ -0,0 +1,48 @@
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  parseTagValue: false
+});
+
+/**
+ * Validate and parse an XML track file
+ * @param {string} text - XML document
+ * @param {string} label - Format name for error messages
+ * @returns {Object} Parsed document, namespace prefixes removed
+ */
+function parseXml(text, label) {
+  const validation = XMLValidator.validate(text);
+  if (validation !== true) {
+    throw new Error(`Invalid ${label} file: ${validation.err.msg} (line ${validation.err.line})`);
+  }
+  return parser.parse(text);
+}
+
+const asArray = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+const textOf = (node) => (node && typeof node === 'object' ? node['#text'] : node);
+
+/**
+ * Collect all elements with a tag name anywhere below a node, in document order
+ */
+function findAll(node, name, found = []) {
+  if (!node || typeof node !== 'object') return found;
+
+  for (const [key, value] of Object.entries(node)) {
+    for (const child of asArray(value)) {
+      if (key === name) found.push(child);
+      else findAll(child, name, found);
+    }
+  }
+  return found;
+}
+
+module.exports = {
+  parseXml,
+  asArray,
+  textOf,
+  findAll
+};
@@ -0,0 +1,63 @@
+// Framework-free track analysis and Wikipedia links used by the React frontend and the Express backend
+
+const { EARTH_RADIUS, haversineDistance, bearing } = require('./geo');
+const { addDistanceAndSpeed, parseGpx } = require('./gpx/parse');
+const { parseTcx } = require('./gpx/tcx');
+const { parseKmlTrack } = require('./gpx/kml');
+const { parseFit } = require('./gpx/fit');
+const { TRACK_FORMATS, trackFormatFromFileName, parseTrack } = require('./gpx/formats');
+const {
+  DETECTION_MODES,
+  DEFAULT_SETTINGS,
+  hasTimestamps,
+  detectPeaks,
+  detectStopBasedPeaks,
+  summarizePeak
+} = require('./gpx/detect');
+const { detectTerrainPeaks } = require('./gpx/terrain');
+const { SMOOTHING_METHODS, SETTING_OPTIONS } = require('./gpx/settings');
+const { smoothTrack } = require('./gpx/smooth');
+const { computeTrackStats } = require('./gpx/stats');
+const { simplifyTrack } = require('./gpx/simplify');
+const {
+  DEFAULT_WIKIPEDIA_LANGUAGE,
+  parseWikipedia,
+  normalizeWikipedia,
+  wikipediaUrl,
+  isWikidataId,
+  wikidataUrl,
+  pickWikipediaArticle
+} = require('./wiki');
+
+module.exports = {
+  EARTH_RADIUS,
+  haversineDistance,
+  bearing,
+  addDistanceAndSpeed,
+  parseGpx,
+  parseTcx,
+  parseKmlTrack,
+  parseFit,
+  TRACK_FORMATS,
+  trackFormatFromFileName,
+  parseTrack,
+  DETECTION_MODES,
+  DEFAULT_SETTINGS,
+  hasTimestamps,
+  detectPeaks,
+  detectStopBasedPeaks,
+  detectTerrainPeaks,
+  summarizePeak,
+  SMOOTHING_METHODS,
+  SETTING_OPTIONS,
+  smoothTrack,
+  computeTrackStats,
+  simplifyTrack,
+  DEFAULT_WIKIPEDIA_LANGUAGE,
+  parseWikipedia,
+  normalizeWikipedia,
+  wikipediaUrl,
+  isWikidataId,
+  wikidataUrl,
+  pickWikipediaArticle
+};
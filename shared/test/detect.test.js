@@ -0,0 +1,111 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseGpx,
+  parseKmlTrack,
+  hasTimestamps,
+  detectPeaks,
+  detectStopBasedPeaks,
+  detectTerrainPeaks,
+  summarizePeak
+} = require('..');
+const { readFixture, buildTrack } = require('./helpers');
+
+// The fixture climbs 600 m to the north, rests 14 minutes on top and walks back down
+const SUMMIT = { lat: 47.018, lon: 11 };
+const timedHike = parseGpx(readFixture('hike.gpx'));
+const untimedHike = parseKmlTrack(readFixture('hike.kml'));
+
+const nearSummit = (peak) => Math.abs(peak.lat - SUMMIT.lat) < 0.0002 && Math.abs(peak.lon - SUMMIT.lon) < 0.0002;
+
+describe('detectStopBasedPeaks', () => {
+  test('finds the rest on the summit', () => {
+    const peaks = detectStopBasedPeaks(timedHike);
+    assert.equal(peaks.length, 1);
+    assert.ok(nearSummit(peaks[0]));
+    assert.equal(peaks[0].ele, 1601);
+    assert.equal(peaks[0].duration, 13);
+    assert.deepEqual(peaks[0].reasons, ['stop']);
+    assert.equal(peaks[0].score, 100);
+  });
+
+  test('ignores rests shorter than minStopDuration', () => {
+    assert.deepEqual(detectStopBasedPeaks(timedHike, { minStopDuration: 20 }), []);
+  });
+
+  test('scores a rest in the valley lower than one on the summit', () => {
+    // Rest at the start, then the same climb
+    const track = buildTrack([
+      ...Array.from({ length: 10 }, () => [47, 11, 1000]),
+      ...Array.from({ length: 20 }, (_, i) => [47 + (i + 1) * 0.0009, 11, 1000 + (i + 1) * 30]),
+      ...Array.from({ length: 10 }, () => [47.018, 11, 1600])
+    ]);
+    const peaks = detectStopBasedPeaks(track);
+    assert.equal(peaks.length, 2);
+    assert.equal(peaks[0].ele, 1600);
+    assert.ok(peaks[0].score > peaks[1].score);
+  });
+});
+
+describe('detectTerrainPeaks', () => {
+  test('finds the summit from the elevation profile alone', () => {
+    const peaks = detectTerrainPeaks(untimedHike);
+    assert.equal(peaks.length, 1);
+    assert.ok(nearSummit(peaks[0]));
+    assert.equal(peaks[0].prominence, 601);
+    assert.deepEqual(peaks[0].reasons, ['prominence', 'turnaround']);
+  });
+
+  test('drops bumps below the prominence threshold', () => {
+    // 20 m bump walked straight over, then the real summit
+    const track = buildTrack([
+      [47, 11, 1000], [47.001, 11, 1020], [47.002, 11, 1000],
+      [47.003, 11, 1100], [47.004, 11, 1200], [47.005, 11, 1100], [47.006, 11, 1000]
+    ], { timed: false });
+    const peaks = detectTerrainPeaks(track);
+    assert.equal(peaks.length, 1);
+    assert.equal(peaks[0].ele, 1200);
+  });
+
+  test('accepts half the prominence where the track turns around', () => {
+    const track = buildTrack([
+      [47, 11, 1000], [47.001, 11, 1010], [47.002, 11, 1020], [47.001, 11.0001, 1010], [47, 11.0001, 1000]
+    ], { timed: false });
+    const [peak] = detectTerrainPeaks(track);
+    assert.equal(peak.ele, 1020);
+    assert.deepEqual(peak.reasons, ['turnaround']);
+    assert.deepEqual(detectTerrainPeaks(track, { minProminence: 50 }), []);
+  });
+
+  test('needs at least three points with elevation', () => {
+    assert.deepEqual(detectTerrainPeaks(buildTrack([[47, 11, 1000], [47.001, 11, null]])), []);
+  });
+});
+
+describe('detectPeaks', () => {
+  test('auto mode picks stops for timed tracks and terrain otherwise', () => {
+    assert.equal(hasTimestamps(timedHike), true);
+    assert.equal(hasTimestamps(untimedHike), false);
+    assert.deepEqual(detectPeaks(timedHike)[0].reasons, ['stop']);
+    assert.ok(detectPeaks(untimedHike)[0].reasons.includes('prominence'));
+  });
+
+  test('the mode can be forced', () => {
+    assert.ok(detectPeaks(timedHike, { detectionMode: 'terrain' })[0].reasons.includes('prominence'));
+    assert.deepEqual(detectPeaks(untimedHike, { detectionMode: 'stops' }), []);
+  });
+
+  test('rejects unknown modes', () => {
+    assert.throws(() => detectPeaks(timedHike, { detectionMode: 'magic' }), /Unknown detection mode "magic"/);
+  });
+});
+
+describe('summarizePeak', () => {
+  test('leaves out the raw points and segments', () => {
+    const summary = summarizePeak(detectStopBasedPeaks(timedHike)[0]);
+    assert.equal(summary.segments, undefined);
+    assert.equal(summary.indices, undefined);
+    assert.ok(nearSummit(summary));
+    assert.doesNotThrow(() => JSON.stringify(summary));
+  });
+});
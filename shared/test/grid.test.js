@@ -0,0 +1,58 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { haversineDistance, detectStopBasedPeaks } = require('..');
+const { createSpatialGrid, lowerBound } = require('../gpx/grid');
+const { buildTrack } = require('./helpers');
+
+// Deterministic scatter of points around 47/11, about 2 km across
+const scatter = (count) => Array.from({ length: count }, (_, i) => ({
+  id: i,
+  lat: 47 + ((i * 7919) % 1000) / 50000,
+  lon: 11 + ((i * 104729) % 1000) / 35000
+}));
+
+describe('createSpatialGrid', () => {
+  const items = scatter(500);
+  const grid = createSpatialGrid(100);
+  items.forEach(grid.insert);
+
+  test('finds the same items as a full scan', () => {
+    for (const center of items.slice(0, 50)) {
+      for (const radius of [50, 100, 250]) {
+        const expected = items
+          .filter(item => haversineDistance(center.lat, center.lon, item.lat, item.lon) <= radius)
+          .map(item => item.id);
+        const found = grid.within(center.lat, center.lon, radius).map(item => item.id);
+        assert.deepEqual(found.sort((a, b) => a - b), expected.sort((a, b) => a - b));
+      }
+    }
+  });
+
+  test('returns nothing before the first insert', () => {
+    assert.deepEqual(createSpatialGrid(100).within(47, 11, 1000), []);
+  });
+});
+
+describe('lowerBound', () => {
+  const sorted = [1, 3, 3, 5, 8];
+
+  test('returns the first index not below the target', () => {
+    assert.equal(lowerBound(sorted, 3, v => v), 1);
+    assert.equal(lowerBound(sorted, 4, v => v), 3);
+    assert.equal(lowerBound(sorted, 0, v => v), 0);
+    assert.equal(lowerBound(sorted, 9, v => v), 5);
+  });
+});
+
+describe('detectStopBasedPeaks with indexed lookups', () => {
+  test('merges stops close in time even when they are far apart', () => {
+    // Two rests 2 km apart, 3 minutes between them: one cluster with the default 5 minute gap
+    const track = buildTrack([
+      ...Array.from({ length: 5 }, () => [47, 11, 1500]),
+      [47.006, 11, 1500], [47.012, 11, 1500], [47.018, 11, 1500],
+      ...Array.from({ length: 5 }, () => [47.018, 11, 1500])
+    ]);
+    assert.equal(detectStopBasedPeaks(track).length, 1);
+    assert.equal(detectStopBasedPeaks(track, { clusterTimeGap: 1 }).length, 2);
+  });
+});
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const { addDistanceAndSpeed } = require('../gpx/parse');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+/**
+ * Track points from [lat, lon, ele] tuples, one per minute when timed
+ * @param {Array} coordinates - [lat, lon, ele] per point, ele may be null
+ * @param {Object} options - timed: whether the points carry a time
+ * @returns {Array} Points like parseGpx()
+ */
+const buildTrack = (coordinates, { timed = true } = {}) => addDistanceAndSpeed(
+  coordinates.map(([lat, lon, ele], index) => ({
+    index,
+    lat,
+    lon,
+    ele,
+    time: timed ? new Date(Date.UTC(2024, 6, 15, 7, index)) : null,
+    distance: 0,
+    speed: 0
+  }))
+);
+
+// FIT epoch (1989-12-31T00:00:00Z) in Unix seconds
+const FIT_EPOCH = 631065600;
+
+/**
+ * Minimal FIT activity: one record definition (timestamp, position, altitude)
+ * and a data message per point. CRCs are left at 0, the parser doesn't check them.
+ * @param {Array} records - { lat, lon, ele, time } per record; lat null writes the invalid value
+ * @returns {Uint8Array} FIT file contents
+ */
+const buildFit = (records) => {
+  const definition = [
+    0x40, 0, 0, 20, 0, 4,
+    253, 4, 0x86,
+    0, 4, 0x85,
+    1, 4, 0x85,
+    2, 2, 0x84
+  ];
+  const messageSize = 1 + 4 + 4 + 4 + 2;
+  const dataSize = definition.length + records.length * messageSize;
+  const bytes = new Uint8Array(14 + dataSize + 2);
+  const view = new DataView(bytes.buffer);
+
+  view.setUint8(0, 14);
+  view.setUint8(1, 0x10);
+  view.setUint16(2, 2093, true);
+  view.setUint32(4, dataSize, true);
+  bytes.set([...'.FIT'].map(c => c.charCodeAt(0)), 8);
+  bytes.set(definition, 14);
+
+  let offset = 14 + definition.length;
+  records.forEach(({ lat, lon, ele, time }) => {
+    view.setUint8(offset, 0);
+    view.setUint32(offset + 1, time.getTime() / 1000 - FIT_EPOCH, true);
+    view.setInt32(offset + 5, lat === null ? 0x7fffffff : Math.round(lat / 180 * 2 ** 31), true);
+    view.setInt32(offset + 9, Math.round(lon / 180 * 2 ** 31), true);
+    view.setUint16(offset + 13, (ele + 500) * 5, true);
+    offset += messageSize;
+  });
+
+  return bytes;
+};
+
+module.exports = {
+  readFixture,
+  buildTrack,
+  buildFit
+};
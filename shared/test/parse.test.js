@@ -0,0 +1,133 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGpx, parseTcx, parseKmlTrack, parseFit, parseTrack, trackFormatFromFileName } = require('..');
+const { readFixture, buildFit } = require('./helpers');
+
+describe('parseGpx', () => {
+  const points = parseGpx(readFixture('hike.gpx'));
+
+  test('reads all track points in order', () => {
+    assert.equal(points.length, 55);
+    assert.deepEqual(points.map(p => p.index), points.map((p, i) => i));
+    assert.equal(points[0].lat, 47);
+    assert.equal(points[0].lon, 11);
+    assert.equal(points[0].ele, 1000);
+    assert.deepEqual(points[0].time, new Date('2024-07-15T07:00:00Z'));
+  });
+
+  test('adds cumulative distance and speed', () => {
+    assert.equal(points[0].distance, 0);
+    // 0.0009° of latitude are about 100 m, walked in one minute
+    assert.ok(Math.abs(points[1].distance - 100) < 1);
+    assert.ok(Math.abs(points[1].speed - 100 / 60) < 0.02);
+    assert.ok(points.every((p, i) => i === 0 || p.distance >= points[i - 1].distance));
+  });
+
+  test('keeps points without elevation or time', () => {
+    const [point] = parseGpx(`<gpx><trk><trkseg><trkpt lat="47" lon="11"/></trkseg></trk></gpx>`);
+    assert.equal(point.ele, null);
+    assert.equal(point.time, null);
+  });
+
+  test('rejects documents that are not GPX', () => {
+    assert.throws(() => parseGpx('<kml></kml>'), /missing <gpx> element/);
+  });
+});
+
+describe('parseTcx', () => {
+  const tcx = `<?xml version="1.0"?>
+    <TrainingCenterDatabase><Activities><Activity><Lap><Track>
+      <Trackpoint><Time>2024-07-15T07:00:00Z</Time>
+        <Position><LatitudeDegrees>47.0</LatitudeDegrees><LongitudeDegrees>11.0</LongitudeDegrees></Position>
+        <AltitudeMeters>1000.5</AltitudeMeters></Trackpoint>
+      <Trackpoint><Time>2024-07-15T07:00:30Z</Time><HeartRateBpm><Value>120</Value></HeartRateBpm></Trackpoint>
+      <Trackpoint><Time>2024-07-15T07:01:00Z</Time>
+        <Position><LatitudeDegrees>47.0009</LatitudeDegrees><LongitudeDegrees>11.0</LongitudeDegrees></Position></Trackpoint>
+    </Track></Lap></Activity></Activities></TrainingCenterDatabase>`;
+
+  test('reads trackpoints with a position', () => {
+    const points = parseTcx(tcx);
+    assert.equal(points.length, 2);
+    assert.equal(points[0].ele, 1000.5);
+    assert.equal(points[1].ele, null);
+    assert.deepEqual(points[1].time, new Date('2024-07-15T07:01:00Z'));
+    assert.ok(points[1].speed > 1);
+  });
+
+  test('rejects documents that are not TCX', () => {
+    assert.throws(() => parseTcx('<gpx></gpx>'), /missing <TrainingCenterDatabase> element/);
+  });
+});
+
+describe('parseKmlTrack', () => {
+  test('reads LineString coordinates without times', () => {
+    const points = parseKmlTrack(readFixture('hike.kml'));
+    assert.equal(points.length, 55);
+    assert.equal(points[0].lat, 47);
+    assert.equal(points[0].lon, 11);
+    assert.equal(points[0].ele, 1000);
+    assert.ok(points.every(p => p.time === null));
+  });
+
+  test('prefers gx:Track with timestamps', () => {
+    const points = parseKmlTrack(`<kml xmlns:gx="http://www.google.com/kml/ext/2.2"><Placemark>
+      <gx:Track>
+        <when>2024-07-15T07:00:00Z</when><when>2024-07-15T07:01:00Z</when>
+        <gx:coord>11.0 47.0 1000</gx:coord><gx:coord>11.0 47.0009 1030</gx:coord>
+      </gx:Track>
+      <LineString><coordinates>10,46 10,46.1</coordinates></LineString>
+    </Placemark></kml>`);
+    assert.equal(points.length, 2);
+    assert.equal(points[1].lat, 47.0009);
+    assert.equal(points[1].ele, 1030);
+    assert.deepEqual(points[1].time, new Date('2024-07-15T07:01:00Z'));
+  });
+});
+
+describe('parseFit', () => {
+  const records = [
+    { lat: 47, lon: 11, ele: 1000, time: new Date('2024-07-15T07:00:00Z') },
+    { lat: null, lon: 11, ele: 1010, time: new Date('2024-07-15T07:00:30Z') },
+    { lat: 47.0009, lon: 11, ele: 1030, time: new Date('2024-07-15T07:01:00Z') }
+  ];
+
+  test('decodes positions, altitude and timestamps of record messages', () => {
+    const points = parseFit(buildFit(records));
+    assert.equal(points.length, 2);
+    assert.ok(Math.abs(points[0].lat - 47) < 1e-6);
+    assert.ok(Math.abs(points[1].lat - 47.0009) < 1e-6);
+    assert.equal(points[0].ele, 1000);
+    assert.equal(points[1].ele, 1030);
+    assert.deepEqual(points[1].time, new Date('2024-07-15T07:01:00Z'));
+  });
+
+  test('reads chained FIT files in order', () => {
+    const first = buildFit(records.slice(0, 1));
+    const second = buildFit(records.slice(2));
+    const chained = new Uint8Array(first.length + second.length);
+    chained.set(first);
+    chained.set(second, first.length);
+    assert.equal(parseFit(chained).length, 2);
+  });
+
+  test('rejects other and truncated files', () => {
+    assert.throws(() => parseFit(new TextEncoder().encode(readFixture('hike.gpx'))), /missing ".FIT" header/);
+    assert.throws(() => parseFit(buildFit(records).slice(0, 30)), /truncated/);
+  });
+});
+
+describe('parseTrack', () => {
+  test('dispatches on the format', () => {
+    assert.equal(parseTrack(readFixture('hike.gpx'), 'gpx').length, 55);
+    assert.equal(parseTrack(new TextEncoder().encode(readFixture('hike.kml')), 'kml').length, 55);
+    assert.equal(parseTrack(buildFit([{ lat: 47, lon: 11, ele: 1000, time: new Date() }]), 'fit').length, 1);
+    assert.throws(() => parseTrack('', 'csv'), /Unsupported track format "csv"/);
+  });
+
+  test('derives the format from the file name', () => {
+    assert.equal(trackFormatFromFileName('Tour.GPX'), 'gpx');
+    assert.equal(trackFormatFromFileName('activity.fit'), 'fit');
+    assert.equal(trackFormatFromFileName('notes.txt'), null);
+    assert.equal(trackFormatFromFileName(undefined), null);
+  });
+});
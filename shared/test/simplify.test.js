@@ -0,0 +1,30 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGpx, simplifyTrack } = require('..');
+const { readFixture, buildTrack } = require('./helpers');
+
+describe('simplifyTrack', () => {
+  test('drops points on a straight line', () => {
+    const line = buildTrack(Array.from({ length: 10 }, (_, i) => [47 + i * 0.0009, 11, 1000]));
+    assert.deepEqual(simplifyTrack(line, 5), [line[0], line[9]]);
+  });
+
+  test('keeps corners that deviate more than the tolerance', () => {
+    // About 38 m to the east in the middle of a 200 m line
+    const track = buildTrack([[47, 11, 1000], [47.0009, 11.0005, 1000], [47.0018, 11, 1000]]);
+    assert.equal(simplifyTrack(track, 5).length, 3);
+    assert.equal(simplifyTrack(track, 50).length, 2);
+  });
+
+  test('keeps the turnaround of the fixture hike', () => {
+    const simplified = simplifyTrack(parseGpx(readFixture('hike.gpx')), 5);
+    assert.ok(simplified.length >= 3 && simplified.length < 10);
+    assert.ok(simplified.some(p => p.lat > 47.0179));
+  });
+
+  test('returns short tracks unchanged', () => {
+    const track = buildTrack([[47, 11, 1000], [47.001, 11, 1000]]);
+    assert.deepEqual(simplifyTrack(track), track);
+    assert.deepEqual(simplifyTrack([]), []);
+  });
+});
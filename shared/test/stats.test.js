@@ -0,0 +1,98 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGpx, computeTrackStats, smoothTrack } = require('..');
+const { readFixture, buildTrack } = require('./helpers');
+
+// Points 100 m apart to the north, one per minute
+const trackWithElevations = (elevations, options) => buildTrack(
+  elevations.map((ele, i) => [47 + i * 0.0009, 11, ele]),
+  options
+);
+
+describe('computeTrackStats', () => {
+  test('summarizes the fixture hike', () => {
+    const stats = computeTrackStats(parseGpx(readFixture('hike.gpx')));
+    assert.equal(stats.pointCount, 55);
+    assert.ok(Math.abs(stats.distance - 4050) < 10);
+    assert.equal(stats.elevationGain, 601);
+    assert.equal(stats.elevationLoss, 601);
+    assert.equal(stats.minElevation, 1000);
+    assert.equal(stats.maxElevation, 1601);
+    assert.equal(stats.elapsedTime, 54 * 60);
+    // The 14 minute rest on the summit is not moving time
+    assert.equal(stats.movingTime, 40 * 60);
+  });
+
+  test('ignores changes below the ascent threshold (hysteresis)', () => {
+    const track = trackWithElevations([100, 102, 101, 110, 104, 120]);
+    const stats = computeTrackStats(track, { ascentThreshold: 5 });
+    assert.equal(stats.elevationGain, 26);
+    assert.equal(stats.elevationLoss, 6);
+
+    const raw = computeTrackStats(track, { ascentThreshold: 0 });
+    assert.equal(raw.elevationGain, 27);
+    assert.equal(raw.elevationLoss, 7);
+  });
+
+  test('keeps counting small steps in the current direction', () => {
+    const stats = computeTrackStats(trackWithElevations([100, 106, 108, 110, 109, 112]), { ascentThreshold: 5 });
+    assert.equal(stats.elevationGain, 12);
+    assert.equal(stats.elevationLoss, 0);
+  });
+
+  test('computes ascent and descent rates from the moving time', () => {
+    const stats = computeTrackStats(trackWithElevations([1000, 1010, 1020, 1010, 1000]));
+    // 20 m up in 2 minutes of walking, 20 m down in 2 minutes
+    assert.equal(stats.ascentRate, 600);
+    assert.equal(stats.descentRate, 600);
+  });
+
+  test('leaves times and rates empty without timestamps', () => {
+    const stats = computeTrackStats(trackWithElevations([1000, 1010, 1000], { timed: false }));
+    assert.equal(stats.elevationGain, 10);
+    assert.equal(stats.startTime, null);
+    assert.equal(stats.elapsedTime, null);
+    assert.equal(stats.movingTime, null);
+    assert.equal(stats.ascentRate, null);
+  });
+
+  test('handles tracks without points or elevations', () => {
+    const empty = computeTrackStats([]);
+    assert.equal(empty.distance, 0);
+    assert.equal(empty.minElevation, null);
+    assert.equal(computeTrackStats(trackWithElevations([null, null])).maxElevation, null);
+  });
+});
+
+describe('smoothTrack', () => {
+  // Flat ground with ±3 m GPS noise, points 100 m apart
+  const noisy = trackWithElevations(Array.from({ length: 30 }, (_, i) => 1000 + (i % 2 ? 3 : -3)));
+  const spread = (points) => Math.max(...points.map(p => p.ele)) - Math.min(...points.map(p => p.ele));
+
+  test('moving average flattens noise within the window', () => {
+    const smoothed = smoothTrack(noisy, { elevationSmoothing: 'moving-average', smoothingWindow: 250 });
+    assert.ok(spread(smoothed) < spread(noisy));
+    assert.deepEqual(smoothed.map(p => p.rawEle), noisy.map(p => p.ele));
+  });
+
+  test('kalman flattens noise and keeps the raw elevation', () => {
+    const smoothed = smoothTrack(noisy, { elevationSmoothing: 'kalman', kalmanNoise: 5 });
+    assert.ok(spread(smoothed) < spread(noisy));
+    assert.equal(smoothed[0].rawEle, noisy[0].ele);
+  });
+
+  test('keeps points without elevation empty', () => {
+    const track = trackWithElevations([1000, null, 1010]);
+    const smoothed = smoothTrack(track, { elevationSmoothing: 'moving-average', smoothingWindow: 500 });
+    assert.equal(smoothed[1].ele, null);
+    assert.equal(smoothed[0].ele, 1005);
+  });
+
+  test("'none' returns the points unchanged", () => {
+    assert.equal(smoothTrack(noisy, { elevationSmoothing: 'none' }), noisy);
+  });
+
+  test('rejects unknown methods', () => {
+    assert.throws(() => smoothTrack(noisy, { elevationSmoothing: 'spline' }), /Unknown smoothing method "spline"/);
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseWikipedia, normalizeWikipedia, pickWikipediaArticle } = require('..');
+
+describe('parseWikipedia', () => {
+  test('splits a language prefix from the title', () => {
+    assert.deepEqual(parseWikipedia('de:Zugspitze'), { lang: 'de', title: 'Zugspitze' });
+    assert.deepEqual(parseWikipedia(' DE : Großer Priel '), { lang: 'de', title: 'Großer Priel' });
+    assert.deepEqual(parseWikipedia('zh-yue:Everest'), { lang: 'zh-yue', title: 'Everest' });
+  });
+
+  test('takes bare titles as English', () => {
+    assert.deepEqual(parseWikipedia('Matterhorn'), { lang: 'en', title: 'Matterhorn' });
+  });
+
+  test('keeps colons that are part of the title', () => {
+    assert.deepEqual(parseWikipedia('de:Wandern: Zugspitze'), { lang: 'de', title: 'Wandern: Zugspitze' });
+    assert.deepEqual(parseWikipedia('Mountains: A History'), { lang: 'en', title: 'Mountains: A History' });
+    // A prefix without a title is not a language
+    assert.deepEqual(parseWikipedia('de:'), { lang: 'en', title: 'de:' });
+  });
+
+  test('reads language and title from article URLs', () => {
+    assert.deepEqual(
+      parseWikipedia('https://de.wikipedia.org/wiki/Gro%C3%9Fglockner'),
+      { lang: 'de', title: 'Großglockner' }
+    );
+    assert.deepEqual(
+      parseWikipedia('https://EN.m.wikipedia.org/wiki/Mont_Blanc?oldid=1#History'),
+      { lang: 'en', title: 'Mont Blanc' }
+    );
+    assert.deepEqual(
+      parseWikipedia('http://de.wikipedia.org/wiki/Watzmann:_Mittelspitze'),
+      { lang: 'de', title: 'Watzmann: Mittelspitze' }
+    );
+    assert.deepEqual(parseWikipedia('https://de.wikipedia.org/wiki/Bad%E0'), { lang: 'de', title: 'Bad%E0' });
+  });
+
+  test('returns null for empty values', () => {
+    assert.equal(parseWikipedia(''), null);
+    assert.equal(parseWikipedia('   '), null);
+    assert.equal(parseWikipedia(null), null);
+    assert.equal(parseWikipedia(42), null);
+  });
+});
+
+describe('normalizeWikipedia', () => {
+  test('stores every input as lang:Title', () => {
+    assert.equal(normalizeWikipedia('Matterhorn'), 'en:Matterhorn');
+    assert.equal(normalizeWikipedia('DE:Zugspitze'), 'de:Zugspitze');
+    assert.equal(normalizeWikipedia('https://fr.wikipedia.org/wiki/Mont_Blanc'), 'fr:Mont Blanc');
+    assert.equal(normalizeWikipedia('de:Wandern: Zugspitze'), 'de:Wandern: Zugspitze');
+  });
+
+  test('is stable for stored values', () => {
+    for (const value of ['en:Matterhorn', 'de:Wandern: Zugspitze', 'en:Mountains: A History']) {
+      assert.equal(normalizeWikipedia(normalizeWikipedia(value)), normalizeWikipedia(value));
+    }
+  });
+
+  test('returns null for empty values', () => {
+    assert.equal(normalizeWikipedia(''), null);
+    assert.equal(normalizeWikipedia(undefined), null);
+  });
+});
+
+describe('pickWikipediaArticle', () => {
+  const sitelinks = { en: 'Zugspitze', fr: 'Zugspitze (montagne)', it: 'Zugspitze' };
+
+  test('takes the first preferred language with an article', () => {
+    const article = pickWikipediaArticle('en:Zugspitze', sitelinks, ['es', 'fr', 'en']);
+
+    assert.deepEqual(article, {
+      lang: 'fr',
+      title: 'Zugspitze (montagne)',
+      url: 'https://fr.wikipedia.org/wiki/Zugspitze_(montagne)'
+    });
+  });
+
+  test('counts the stored article as one of the languages', () => {
+    assert.equal(pickWikipediaArticle('de:Zugspitze', sitelinks, ['de', 'en']).lang, 'de');
+  });
+
+  test('prefers the Wikidata title over the stored one in the same language', () => {
+    assert.equal(pickWikipediaArticle('fr:Zugspitze', sitelinks, ['fr']).title, 'Zugspitze (montagne)');
+  });
+
+  test('falls back to the stored language, then to any article', () => {
+    assert.equal(pickWikipediaArticle('it:Zugspitze', sitelinks, ['de', 'es']).lang, 'it');
+    assert.equal(pickWikipediaArticle(null, sitelinks, ['de']).lang, 'en');
+  });
+
+  test('uses the stored article without sitelinks', () => {
+    assert.deepEqual(pickWikipediaArticle('de:Wandern: Zugspitze', null, ['en']), {
+      lang: 'de',
+      title: 'Wandern: Zugspitze',
+      url: 'https://de.wikipedia.org/wiki/Wandern%3A_Zugspitze'
+    });
+  });
+
+  test('returns null without any article', () => {
+    assert.equal(pickWikipediaArticle(null, null, ['de']), null);
+    assert.equal(pickWikipediaArticle('', {}, ['de']), null);
+  });
+});
@@ -0,0 +1,91 @@
+// Wikipedia and Wikidata references as OSM tags them: wikipedia=de:Zugspitze, wikidata=Q3375
+
+// Titles without a language prefix are from the time only English links were supported
+const DEFAULT_WIKIPEDIA_LANGUAGE = 'en';
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z]+)*$/;
+const ARTICLE_URL_PATTERN = /^https?:\/\/([a-z-]+)\.(?:m\.)?wikipedia\.org\/wiki\/([^?#]+)/i;
+const WIKIDATA_ID_PATTERN = /^Q[1-9]\d*$/;
+
+/**
+ * Split a Wikipedia reference into language and title. Accepts "lang:Title",
+ * article URLs and bare titles (taken as English).
+ * @param {string} value - Reference as stored or entered
+ * @returns {Object|null} { lang, title }, null for an empty value
+ */
+function parseWikipedia(value) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) return null;
+
+  const url = text.match(ARTICLE_URL_PATTERN);
+  if (url) {
+    let title = url[2];
+    try {
+      title = decodeURIComponent(title);
+    } catch (error) {
+      // Keep malformed escapes as they are
+    }
+    return { lang: url[1].toLowerCase(), title: title.replace(/_/g, ' ') };
+  }
+
+  const separator = text.indexOf(':');
+  const lang = separator > 0 ? text.slice(0, separator).trim().toLowerCase() : '';
+  if (LANGUAGE_PATTERN.test(lang) && text.slice(separator + 1).trim()) {
+    return { lang, title: text.slice(separator + 1).trim() };
+  }
+
+  return { lang: DEFAULT_WIKIPEDIA_LANGUAGE, title: text };
+}
+
+/**
+ * The stored form "lang:Title" of a Wikipedia reference
+ * @returns {string|null} Normalized reference, null for an empty value
+ */
+function normalizeWikipedia(value) {
+  const article = parseWikipedia(value);
+  return article ? `${article.lang}:${article.title}` : null;
+}
+
+function wikipediaUrl(lang, title) {
+  return `https://${lang}.wikipedia.org/wiki/${encodeURIComponent(title.replace(/ /g, '_')).replace(/%2F/g, '/')}`;
+}
+
+function isWikidataId(value) {
+  return typeof value === 'string' && WIKIDATA_ID_PATTERN.test(value);
+}
+
+function wikidataUrl(id) {
+  return `https://www.wikidata.org/wiki/${id}`;
+}
+
+/**
+ * Pick the Wikipedia article to link for a summit, in the first preferred
+ * language that has one. Without sitelinks from Wikidata only the stored
+ * article is known, which is used in any language.
+ * @param {string|null} wikipedia - Stored reference ("lang:Title")
+ * @param {Object|null} sitelinks - lang -> title from the Wikidata entity
+ * @param {Array<string>} languages - Preferred languages, most preferred first
+ * @returns {Object|null} { lang, title, url }
+ */
+function pickWikipediaArticle(wikipedia, sitelinks, languages) {
+  const stored = parseWikipedia(wikipedia);
+  const articles = { ...(sitelinks || {}) };
+  if (stored && !articles[stored.lang]) {
+    articles[stored.lang] = stored.title;
+  }
+
+  const lang = languages.find(l => articles[l]) || (stored && stored.lang) || Object.keys(articles)[0];
+  if (!lang) return null;
+
+  return { lang, title: articles[lang], url: wikipediaUrl(lang, articles[lang]) };
+}
+
+module.exports = {
+  DEFAULT_WIKIPEDIA_LANGUAGE,
+  parseWikipedia,
+  normalizeWikipedia,
+  wikipediaUrl,
+  isWikidataId,
+  wikidataUrl,
+  pickWikipediaArticle
+};